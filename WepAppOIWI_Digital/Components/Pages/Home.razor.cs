@@ -14,10 +14,12 @@ using WepAppOIWI_Digital.Stamps;
 
 namespace WepAppOIWI_Digital.Components.Pages;
 
-public partial class Home : IDisposable
+public partial class Home : IAsyncDisposable
 {
     private readonly List<DocumentRecord> documents = new();
     private PagedResult<OiwiRow> pageData = new(Array.Empty<OiwiRow>(), 0, 1, 20);
+    // เวอร์ชันที่ EMP_NO จากหน้า Setup รับทราบแล้ว เฉพาะแถวในหน้าปัจจุบัน (null = ยังไม่รู้ ไม่แสดง badge)
+    private IReadOnlySet<(string NormalizedPath, string VersionId)>? acknowledgedVersions;
     private readonly int[] pageSizes = new[] { 10, 20, 50, 100 };
 
     private string searchTerm = string.Empty;
@@ -42,6 +44,37 @@ public partial class Home : IDisposable
     private bool _pendingFocus;
     private bool _loadQueued;
     private CancellationTokenSource? _cts;
+    private bool _sharedPreferenceReloadPending;
+    private int _selectedRowIndex = -1;
+    private bool _pendingRowScroll;
+    private bool _shortcutsRegistered;
+    private DotNetObjectReference<Home>? _selfRef;
+    private const string ShortcutScopeId = "home";
+    private const string ScannerScopeId = "home";
+    private static readonly string[] ScanKinds = { "Station" };
+    private bool _scannerRegistered;
+    private const string CatalogEventsScopeId = "home";
+    private bool _catalogEventsRegistered;
+
+    // อัปเดตเฉพาะแถวที่เปลี่ยนตามการแจ้งเตือนจาก /events/catalog โดยไม่โหลดหน้าใหม่ (หน้า/การเรียง/ตัวกรองคงเดิม)
+    private string? catalogUpdateNotice;
+    private string? _loadedSearchPayload;
+    private DateTimeOffset _pageQueriedAtUtc;
+    private readonly HashSet<string> _pendingRowRefresh = new(StringComparer.OrdinalIgnoreCase);
+    // path ใหม่ -> path เดิมที่อยู่ในหน้านี้ (แก้ไข/ตั้งเวอร์ชันแล้วชื่อไฟล์เปลี่ยน index จะแจ้งเป็นเพิ่มใหม่ + ลบของเดิม)
+    private readonly Dictionary<string, string> _pendingRenames = new(StringComparer.OrdinalIgnoreCase);
+    private readonly HashSet<string> _updatedRows = new(StringComparer.OrdinalIgnoreCase);
+    private bool _rowRefreshRunning;
+
+    private static readonly ShortcutBinding[] Shortcuts =
+    {
+        new("focusSearch", "/", "ไปที่ช่องค้นหา"),
+        new("nextRow", "j", "เลือกแถวถัดไป"),
+        new("previousRow", "k", "เลือกแถวก่อนหน้า"),
+        new("openRow", "Enter", "เปิดเอกสารในแถวที่เลือก"),
+        new("goToPage", "g #", "ไปหน้าที่ระบุของรายการ")
+    };
+    private static readonly TimeSpan SharedPreferenceReloadDelay = TimeSpan.FromMilliseconds(150);
 
     private int currentPage = 1;
     private int currentPageSize = 20;
@@ -65,22 +98,45 @@ public partial class Home : IDisposable
 
     protected override async Task OnInitializedAsync()
     {
-        if (!Nav.ToAbsoluteUri(Nav.Uri).Query.Contains("pageSize=", StringComparison.OrdinalIgnoreCase))
+        Preferences.Changed += HandlePreferenceChanged;
+
+        // ค่าที่ไม่มีใน query string ใช้ค่าที่บันทึกไว้ในเบราว์เซอร์ (จำนวนต่อหน้า, การเรียง, ตัวกรอง)
+        var query = Nav.ToAbsoluteUri(Nav.Uri).Query;
+        try
         {
-            try
+            if (!query.Contains("pageSize=", StringComparison.OrdinalIgnoreCase))
             {
-                var saved = await JS.InvokeAsync<int?>("oiwi_getPageSize", Array.Empty<object?>());
+                var saved = await Preferences.GetAsync<int?>(PreferenceKeys.PageSize);
                 if (saved is int s && pageSizes.Contains(s))
                 {
                     PageSizeQuery = s;
                     currentPageSize = s;
                 }
             }
-            catch (Exception ex)
+
+            if (!query.Contains("sort=", StringComparison.OrdinalIgnoreCase))
             {
-                Logger.LogDebug(ex, "Unable to read stored page size from localStorage.");
+                var savedSort = await Preferences.GetAsync<string?>(PreferenceKeys.SortColumn);
+                if (!string.IsNullOrWhiteSpace(savedSort))
+                {
+                    SortQuery = savedSort;
+                    SortDescQuery = await Preferences.GetAsync<bool?>(PreferenceKeys.SortDescending) ?? true;
+                }
+            }
+
+            if (!query.Contains("search=", StringComparison.OrdinalIgnoreCase))
+            {
+                var savedFilters = await Preferences.GetAsync<string?>(PreferenceKeys.Filters);
+                if (!string.IsNullOrWhiteSpace(savedFilters))
+                {
+                    SearchQuery = savedFilters;
+                }
             }
         }
+        catch (Exception ex)
+        {
+            Logger.LogDebug(ex, "Unable to read stored list preferences.");
+        }
     }
 
     protected override void OnParametersSet()
@@ -108,11 +164,32 @@ public partial class Home : IDisposable
         errorMessage = null;
         showSlowMessage = false;
         JumpInput = string.Empty;
+        _selectedRowIndex = -1;
         _loadQueued = true;
     }
 
     protected override async Task OnAfterRenderAsync(bool firstRender)
     {
+        if (firstRender)
+        {
+            await RegisterShortcutsAsync();
+            await RegisterScannerAsync();
+            await RegisterCatalogEventsAsync();
+        }
+
+        if (_pendingRowScroll)
+        {
+            _pendingRowScroll = false;
+            try
+            {
+                await JS.InvokeVoidAsync("oiwi_scrollIntoViewIfNeeded", GetRowId(_selectedRowIndex));
+            }
+            catch (Exception ex)
+            {
+                Logger.LogDebug(ex, "Failed to scroll selected row into view.");
+            }
+        }
+
         if (_loadQueued)
         {
             _loadQueued = false;
@@ -174,6 +251,36 @@ public partial class Home : IDisposable
         }
     }
 
+    private async Task LoadAcknowledgedVersionsAsync(CancellationToken cancellationToken)
+    {
+        acknowledgedVersions = null;
+        if (string.IsNullOrWhiteSpace(SetupState.EmpNo) || pageData.Items.Count == 0)
+        {
+            return;
+        }
+
+        try
+        {
+            acknowledgedVersions = await Acknowledgements.GetAcknowledgedVersionsAsync(
+                SetupState.EmpNo,
+                pageData.Items.Select(row => row.FileName).ToList(),
+                cancellationToken);
+        }
+        catch (OperationCanceledException)
+        {
+            throw;
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Failed to load acknowledgements for the OI/WI list page.");
+        }
+    }
+
+    private bool IsUnacknowledged(OiwiRow row)
+        => acknowledgedVersions is not null
+            && !acknowledgedVersions.Contains((row.FileName,
+                DocumentAcknowledgementService.GetVersionKey(row.ActiveVersionId, row.Version)));
+
     private async Task LoadFilterOptionsAsync(CancellationToken cancellationToken)
     {
         if (_documentsLoaded)
@@ -245,6 +352,7 @@ public partial class Home : IDisposable
                 NullIfEmpty(selectedUploader));
 
             var searchPayload = DocumentCatalogService.BuildOiwiSearchQuery(filters);
+            _pageQueriedAtUtc = DateTimeOffset.UtcNow;
             pageData = await DocumentCatalog.GetOiwiPageAsync(
                 currentPage,
                 currentPageSize,
@@ -252,6 +360,10 @@ public partial class Home : IDisposable
                 currentSortColumn,
                 currentSortDescending,
                 token);
+            _loadedSearchPayload = searchPayload;
+            _updatedRows.Clear();
+            catalogUpdateNotice = null;
+            await LoadAcknowledgedVersionsAsync(token);
 
             isError = false;
             errorMessage = null;
@@ -426,10 +538,114 @@ public partial class Home : IDisposable
             queryValues["search"] = payload;
         }
 
+        _ = PersistListPreferencesAsync(payload);
+
         var target = QueryHelpers.AddQueryString(GetCurrentRouteBase(), queryValues);
         Nav.NavigateTo(target, forceLoad: false);
     }
 
+    // ไฟล์ส่งออก/ดัชนีสำหรับพิมพ์ใช้ตัวกรองและการเรียงของรายการที่แสดงอยู่ (ได้ทุกแถว ไม่ใช่เฉพาะหน้านี้)
+    private string BuildExportUrl(string path, string? format = null)
+    {
+        var queryValues = new Dictionary<string, string?>
+        {
+            ["desc"] = currentSortDescending ? "true" : "false"
+        };
+
+        if (!string.IsNullOrWhiteSpace(format))
+        {
+            queryValues["format"] = format;
+        }
+
+        if (!string.IsNullOrWhiteSpace(currentSortColumn))
+        {
+            queryValues["sort"] = currentSortColumn;
+        }
+
+        if (!string.IsNullOrWhiteSpace(_loadedSearchPayload))
+        {
+            queryValues["search"] = _loadedSearchPayload;
+        }
+
+        return QueryHelpers.AddQueryString(path, queryValues);
+    }
+
+    private async Task ExportAsync(string format)
+    {
+        try
+        {
+            await JS.InvokeVoidAsync("oiwi_downloadFile", BuildExportUrl("/documents/export", format), null);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogDebug(ex, "Failed to start OI/WI list export ({Format}).", format);
+        }
+    }
+
+    private async Task PersistListPreferencesAsync(string? filtersPayload)
+    {
+        try
+        {
+            await Preferences.SetAsync(PreferenceKeys.SortColumn, currentSortColumn);
+            await Preferences.SetAsync(PreferenceKeys.SortDescending, currentSortDescending);
+            await Preferences.SetAsync(PreferenceKeys.Filters, string.IsNullOrWhiteSpace(filtersPayload) ? null : filtersPayload);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogDebug(ex, "Unable to persist list preferences.");
+        }
+    }
+
+    // อีกแท็บของเครื่องเดียวกันเปลี่ยนจำนวนต่อหน้า/การเรียง/ตัวกรอง: ใช้ค่าเดียวกันแล้วโหลดหน้าแรกใหม่
+    // แท็บนั้นเขียนหลาย key ติดกัน จึงรอให้ครบก่อนค่อยเปลี่ยนหน้าครั้งเดียว
+    private void HandlePreferenceChanged(PreferenceChange change)
+    {
+        if (!change.FromOtherTab)
+        {
+            return;
+        }
+
+        switch (change.Key)
+        {
+            case PreferenceKeys.PageSize:
+                if (change.GetValue<int?>() is int size && pageSizes.Contains(size))
+                {
+                    currentPageSize = size;
+                }
+                break;
+            case PreferenceKeys.SortColumn:
+                currentSortColumn = change.GetValue<string?>() ?? "Time";
+                break;
+            case PreferenceKeys.SortDescending:
+                currentSortDescending = change.GetValue<bool?>() ?? true;
+                break;
+            case PreferenceKeys.Filters:
+                var shared = DocumentCatalogService.ParseOiwiSearchQuery(change.GetValue<string?>());
+                searchTerm = shared.Keyword ?? string.Empty;
+                selectedDocumentType = shared.DocumentType ?? string.Empty;
+                selectedLine = shared.Line ?? string.Empty;
+                selectedStation = shared.Station ?? string.Empty;
+                selectedModel = shared.Model ?? string.Empty;
+                selectedUploader = shared.Uploader ?? string.Empty;
+                break;
+            default:
+                return;
+        }
+
+        if (_sharedPreferenceReloadPending)
+        {
+            return;
+        }
+
+        _sharedPreferenceReloadPending = true;
+        _ = InvokeAsync(async () =>
+        {
+            await Task.Delay(SharedPreferenceReloadDelay);
+            _sharedPreferenceReloadPending = false;
+            Go(1);
+        });
+    }
+
     private async Task ChangePageSize(ChangeEventArgs args)
     {
         if (int.TryParse(args.Value?.ToString(), out var selected) && pageSizes.Contains(selected))
@@ -438,11 +654,11 @@ public partial class Home : IDisposable
             PageSizeQuery = selected;
             try
             {
-                await JS.InvokeVoidAsync("oiwi_setPageSize", selected);
+                await Preferences.SetAsync(PreferenceKeys.PageSize, selected);
             }
             catch (Exception ex)
             {
-                Logger.LogDebug(ex, "Unable to persist page size to localStorage.");
+                Logger.LogDebug(ex, "Unable to persist page size preference.");
             }
 
             Go(1);
@@ -719,8 +935,331 @@ public partial class Home : IDisposable
         }
     }
 
-    public void Dispose()
-        => CancelPending();
+    private async Task RegisterShortcutsAsync()
+    {
+        _selfRef ??= DotNetObjectReference.Create(this);
+        try
+        {
+            await JS.InvokeVoidAsync("oiwiShortcuts.register", ShortcutScopeId, "รายการเอกสาร", Shortcuts, _selfRef);
+            _shortcutsRegistered = true;
+        }
+        catch (JSException ex)
+        {
+            Logger.LogDebug(ex, "Failed to register list shortcuts.");
+        }
+    }
+
+    [JSInvokable]
+    public async Task OnShortcutAsync(string id, int? number)
+    {
+        switch (id)
+        {
+            case "focusSearch":
+                await JS.InvokeVoidAsync("oiwi_focusById", "documentSearch");
+                break;
+            case "nextRow":
+                MoveRowSelection(1);
+                break;
+            case "previousRow":
+                MoveRowSelection(-1);
+                break;
+            case "openRow":
+                OpenSelectedRow();
+                break;
+            case "goToPage" when number is int page:
+                Go(page);
+                break;
+        }
+    }
+
+    private async Task RegisterScannerAsync()
+    {
+        _selfRef ??= DotNetObjectReference.Create(this);
+        try
+        {
+            await JS.InvokeVoidAsync("oiwiScanner.register", ScannerScopeId, ScanKinds, _selfRef);
+            _scannerRegistered = true;
+        }
+        catch (JSException ex)
+        {
+            Logger.LogDebug(ex, "Failed to register barcode scanner handler.");
+        }
+    }
+
+    // สแกนป้ายสถานี: กรองรายการตาม Line/Station ของป้าย (ตัวกรองอื่นคงไว้)
+    [JSInvokable]
+    public Task<bool> OnScanAsync(ScanResult result)
+    {
+        if (result.Kind != ScanResultKind.Station)
+        {
+            return Task.FromResult(false);
+        }
+
+        selectedLine = result.Line ?? string.Empty;
+        selectedStation = result.Station ?? string.Empty;
+        Go(1);
+        return Task.FromResult(true);
+    }
+
+    private async Task RegisterCatalogEventsAsync()
+    {
+        _selfRef ??= DotNetObjectReference.Create(this);
+        try
+        {
+            await JS.InvokeVoidAsync("oiwiCatalogEvents.register", CatalogEventsScopeId, _selfRef);
+            _catalogEventsRegistered = true;
+        }
+        catch (JSException ex)
+        {
+            Logger.LogDebug(ex, "Failed to subscribe to catalog change events.");
+        }
+    }
+
+    // รายการในหน้านี้มาจากตาราง Documents จึงรอการแจ้งจาก index (FromIndex) ที่อัปเดตตารางแล้วเท่านั้น
+    [JSInvokable]
+    public Task OnCatalogChangedAsync(CatalogChange change)
+    {
+        if (change is null)
+        {
+            return Task.CompletedTask;
+        }
+
+        // Sequence 0 = catalogEvents.js แจ้งเองหลังต่อกลับมาได้ (อาจพลาดการเปลี่ยนแปลงช่วงที่หลุด)
+        if (change.Kind == CatalogChangeKind.Refresh)
+        {
+            if (!isLoading && (change.Sequence == 0 || change.ChangedAtUtc >= _pageQueriedAtUtc))
+            {
+                ShowCatalogUpdateNotice("รายการเอกสารอาจมีการเปลี่ยนแปลงหลายรายการ");
+            }
+
+            return Task.CompletedTask;
+        }
+
+        var path = change.NormalizedPath;
+        if (string.IsNullOrWhiteSpace(path))
+        {
+            return Task.CompletedTask;
+        }
+
+        if (!change.FromIndex)
+        {
+            if (!string.IsNullOrWhiteSpace(change.PreviousPath) && IsOnCurrentPage(change.PreviousPath))
+            {
+                _pendingRenames[path] = change.PreviousPath;
+            }
+
+            return Task.CompletedTask;
+        }
+
+        // กำลังโหลดหน้าใหม่อยู่ หรือเปลี่ยนก่อนหน้าที่แสดงอยู่ถูกโหลด (มีอยู่ในหน้านี้แล้ว)
+        if (isLoading || change.ChangedAtUtc < _pageQueriedAtUtc)
+        {
+            return Task.CompletedTask;
+        }
+
+        switch (change.Kind)
+        {
+            case CatalogChangeKind.Added when _pendingRenames.ContainsKey(path):
+                _pendingRowRefresh.Add(path);
+                break;
+            case CatalogChangeKind.Added:
+                ShowCatalogUpdateNotice("มีเอกสารใหม่ถูกเพิ่มเข้ามา");
+                return Task.CompletedTask;
+            case CatalogChangeKind.Removed when _pendingRenames.ContainsValue(path):
+                return Task.CompletedTask;
+            default:
+                if (!IsOnCurrentPage(path))
+                {
+                    return Task.CompletedTask;
+                }
+
+                _pendingRowRefresh.Add(path);
+                break;
+        }
+
+        return RefreshChangedRowsAsync();
+    }
+
+    private async Task RefreshChangedRowsAsync()
+    {
+        if (_rowRefreshRunning)
+        {
+            return;
+        }
+
+        _rowRefreshRunning = true;
+        try
+        {
+            while (_pendingRowRefresh.Count > 0)
+            {
+                var paths = _pendingRowRefresh.ToList();
+                _pendingRowRefresh.Clear();
+
+                var rows = await DocumentCatalog.GetOiwiRowsAsync(paths, _loadedSearchPayload);
+                ApplyChangedRows(paths, rows);
+            }
+
+            await LoadAcknowledgedVersionsAsync(CancellationToken.None);
+            StateHasChanged();
+        }
+        catch (Exception ex)
+        {
+            Logger.LogDebug(ex, "Failed to refresh changed OI/WI rows.");
+        }
+        finally
+        {
+            _rowRefreshRunning = false;
+        }
+    }
+
+    private void ApplyChangedRows(IReadOnlyList<string> paths, IReadOnlyDictionary<string, OiwiRow> rows)
+    {
+        var items = pageData.Items.ToList();
+        var removedAny = false;
+
+        foreach (var path in paths)
+        {
+            var currentPath = _pendingRenames.Remove(path, out var previousPath) ? previousPath : path;
+            var index = items.FindIndex(row => string.Equals(row.FileName, currentPath, StringComparison.OrdinalIgnoreCase));
+            if (index < 0)
+            {
+                continue;
+            }
+
+            if (rows.TryGetValue(path, out var updated))
+            {
+                items[index] = updated;
+                _updatedRows.Add(updated.FileName);
+                continue;
+            }
+
+            // ถูกลบหรือไม่ตรงกับตัวกรองแล้ว
+            items.RemoveAt(index);
+            removedAny = true;
+            if (_selectedRowIndex >= items.Count)
+            {
+                _selectedRowIndex = items.Count - 1;
+            }
+        }
+
+        pageData = pageData with { Items = items };
+        if (removedAny)
+        {
+            ShowCatalogUpdateNotice("มีเอกสารถูกนำออกจากหน้านี้");
+        }
+    }
+
+    private bool IsOnCurrentPage(string normalizedPath)
+        => pageData.Items.Any(row => string.Equals(row.FileName, normalizedPath, StringComparison.OrdinalIgnoreCase));
+
+    private void ShowCatalogUpdateNotice(string message)
+    {
+        catalogUpdateNotice = $"{message} – กดโหลดรายการใหม่เพื่อดูข้อมูลล่าสุด";
+        StateHasChanged();
+    }
+
+    private void DismissCatalogUpdateNotice() => catalogUpdateNotice = null;
+
+    private Task ReloadForCatalogUpdatesAsync()
+    {
+        catalogUpdateNotice = null;
+        return TriggerReloadAsync(refreshFilters: true);
+    }
+
+    private string? GetRowClass(OiwiRow row, bool isSelected)
+    {
+        var updated = _updatedRows.Contains(row.FileName);
+        return (isSelected, updated) switch
+        {
+            (true, true) => "table-active oiwi-row--selected oiwi-row--updated",
+            (true, false) => "table-active oiwi-row--selected",
+            (false, true) => "oiwi-row--updated",
+            _ => null
+        };
+    }
+
+    private void MoveRowSelection(int delta)
+    {
+        var count = pageData.Items.Count;
+        if (count == 0 || isLoading)
+        {
+            return;
+        }
+
+        _selectedRowIndex = _selectedRowIndex < 0
+            ? (delta > 0 ? 0 : count - 1)
+            : Math.Clamp(_selectedRowIndex + delta, 0, count - 1);
+        _pendingRowScroll = true;
+        StateHasChanged();
+    }
+
+    // เปิดในแท็บเดิม (ลิงก์ในตารางเปิดแท็บใหม่ แต่คีย์ลัดใช้กับเครื่องสถานีงานที่เปิดแท็บเดียว)
+    private void OpenSelectedRow()
+    {
+        if (_selectedRowIndex < 0 || _selectedRowIndex >= pageData.Items.Count)
+        {
+            return;
+        }
+
+        var row = pageData.Items[_selectedRowIndex];
+        var url = BuildViewerUrl(row) ?? row.LinkUrl;
+        if (!string.IsNullOrEmpty(url))
+        {
+            Nav.NavigateTo(url);
+        }
+    }
+
+    private static string GetRowId(int index) => $"oiwi-row-{index}";
+
+    public async ValueTask DisposeAsync()
+    {
+        Preferences.Changed -= HandlePreferenceChanged;
+        CancelPending();
+
+        if (_shortcutsRegistered)
+        {
+            try
+            {
+                await JS.InvokeVoidAsync("oiwiShortcuts.unregister", ShortcutScopeId);
+            }
+            catch (JSException)
+            {
+            }
+            catch (JSDisconnectedException)
+            {
+            }
+        }
+
+        if (_scannerRegistered)
+        {
+            try
+            {
+                await JS.InvokeVoidAsync("oiwiScanner.unregister", ScannerScopeId);
+            }
+            catch (JSException)
+            {
+            }
+            catch (JSDisconnectedException)
+            {
+            }
+        }
+
+        if (_catalogEventsRegistered)
+        {
+            try
+            {
+                await JS.InvokeVoidAsync("oiwiCatalogEvents.unregister", CatalogEventsScopeId);
+            }
+            catch (JSException)
+            {
+            }
+            catch (JSDisconnectedException)
+            {
+            }
+        }
+
+        _selfRef?.Dispose();
+    }
 
     private static string DisplayOrDash(string? value)
         => string.IsNullOrWhiteSpace(value) || value == "-"
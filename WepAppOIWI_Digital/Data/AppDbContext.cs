@@ -14,6 +14,8 @@ public sealed class AppDbContext : DbContext
     }
 
     public DbSet<DocumentEntity> Documents => Set<DocumentEntity>();
+    public DbSet<PrintLogEntity> PrintLogs => Set<PrintLogEntity>();
+    public DbSet<AcknowledgementEntity> Acknowledgements => Set<AcknowledgementEntity>();
 
     protected override void OnModelCreating(ModelBuilder modelBuilder)
     {
@@ -76,6 +78,47 @@ public sealed class AppDbContext : DbContext
         doc.HasIndex(x => new { x.Line, x.Station, x.Model });
         doc.HasIndex(x => x.Machine);
         doc.HasIndex(x => x.UploadedBy);
+
+        // ประวัติการพิมพ์เอกสารจากหน้า viewer (ใช้ตรวจสอบสำเนาที่ไม่ได้ควบคุม)
+        var print = modelBuilder.Entity<PrintLogEntity>();
+        print.HasKey(x => x.Id);
+        print.Property(x => x.PrintedAtUtc)
+            .IsRequired()
+            .HasConversion(
+                v => v.UtcDateTime,
+                v => new DateTimeOffset(DateTime.SpecifyKind(v, DateTimeKind.Utc)));
+        print.Property(x => x.EmployeeNumber).IsRequired();
+        print.Property(x => x.NormalizedPath).IsRequired();
+        print.Property(x => x.DocumentCode).IsRequired(false);
+        print.Property(x => x.VersionId).IsRequired(false);
+        print.Property(x => x.PageRange).IsRequired();
+        print.Property(x => x.StampMode)
+            .HasConversion<int>()
+            .HasDefaultValue(StampMode.None);
+        print.Property(x => x.StampDate)
+            .IsRequired(false)
+            .HasConversion(stampDateConverter);
+
+        print.HasIndex(x => x.PrintedAtUtc);
+        print.HasIndex(x => x.NormalizedPath);
+        print.HasIndex(x => x.EmployeeNumber);
+
+        // การยืนยัน "อ่านและเข้าใจแล้ว" ต่อเวอร์ชันของเอกสาร (หนึ่งคนรับทราบเวอร์ชันหนึ่งได้ครั้งเดียว)
+        var ack = modelBuilder.Entity<AcknowledgementEntity>();
+        ack.HasKey(x => x.Id);
+        ack.Property(x => x.AcknowledgedAtUtc)
+            .IsRequired()
+            .HasConversion(
+                v => v.UtcDateTime,
+                v => new DateTimeOffset(DateTime.SpecifyKind(v, DateTimeKind.Utc)));
+        ack.Property(x => x.EmployeeNumber).IsRequired();
+        ack.Property(x => x.NormalizedPath).IsRequired();
+        ack.Property(x => x.DocumentCode).IsRequired(false);
+        ack.Property(x => x.VersionId).IsRequired();
+
+        ack.HasIndex(x => new { x.NormalizedPath, x.VersionId, x.EmployeeNumber }).IsUnique();
+        ack.HasIndex(x => x.EmployeeNumber);
+        ack.HasIndex(x => x.AcknowledgedAtUtc);
     }
 }
 
@@ -106,3 +149,29 @@ public sealed class DocumentEntity
     public StampMode StampMode { get; set; }
     public DateOnly? StampDate { get; set; }
 }
+
+public sealed class PrintLogEntity
+{
+    public long Id { get; set; }
+    public DateTimeOffset PrintedAtUtc { get; set; }
+    public string EmployeeNumber { get; set; } = string.Empty;
+    public string NormalizedPath { get; set; } = string.Empty;
+    public string? DocumentCode { get; set; }
+    public string? VersionId { get; set; }
+    public int Version { get; set; }
+    public string PageRange { get; set; } = string.Empty;
+    public int PageCount { get; set; }
+    public StampMode StampMode { get; set; }
+    public DateOnly? StampDate { get; set; }
+}
+
+public sealed class AcknowledgementEntity
+{
+    public long Id { get; set; }
+    public DateTimeOffset AcknowledgedAtUtc { get; set; }
+    public string EmployeeNumber { get; set; } = string.Empty;
+    public string NormalizedPath { get; set; } = string.Empty;
+    public string? DocumentCode { get; set; }
+    public string VersionId { get; set; } = string.Empty;
+    public int Version { get; set; }
+}
@@ -44,6 +44,42 @@ END;";
         logger.LogDebug("Ensuring indexes for catalog queries exist.");
         await ExecuteNonQueryAsync(connection, "CREATE INDEX IF NOT EXISTS IX_Documents_UpdatedAtUnixMs ON Documents(UpdatedAtUnixMs DESC);", cancellationToken).ConfigureAwait(false);
         await ExecuteNonQueryAsync(connection, "CREATE INDEX IF NOT EXISTS IX_Documents_RelativePath ON Documents(RelativePath);", cancellationToken).ConfigureAwait(false);
+
+        // ฐานข้อมูลเดิมที่สร้างก่อนมีบันทึกการพิมพ์ (EnsureCreated ไม่เพิ่มตารางใหม่ให้)
+        logger.LogDebug("Ensuring print log table exists.");
+        const string printLogSql = @"CREATE TABLE IF NOT EXISTS PrintLogs (
+    Id INTEGER NOT NULL CONSTRAINT PK_PrintLogs PRIMARY KEY AUTOINCREMENT,
+    PrintedAtUtc TEXT NOT NULL,
+    EmployeeNumber TEXT NOT NULL,
+    NormalizedPath TEXT NOT NULL,
+    DocumentCode TEXT NULL,
+    VersionId TEXT NULL,
+    Version INTEGER NOT NULL,
+    PageRange TEXT NOT NULL,
+    PageCount INTEGER NOT NULL,
+    StampMode INTEGER NOT NULL DEFAULT 0,
+    StampDate TEXT NULL
+);";
+        await ExecuteNonQueryAsync(connection, printLogSql, cancellationToken).ConfigureAwait(false);
+        await ExecuteNonQueryAsync(connection, "CREATE INDEX IF NOT EXISTS IX_PrintLogs_PrintedAtUtc ON PrintLogs(PrintedAtUtc);", cancellationToken).ConfigureAwait(false);
+        await ExecuteNonQueryAsync(connection, "CREATE INDEX IF NOT EXISTS IX_PrintLogs_NormalizedPath ON PrintLogs(NormalizedPath);", cancellationToken).ConfigureAwait(false);
+        await ExecuteNonQueryAsync(connection, "CREATE INDEX IF NOT EXISTS IX_PrintLogs_EmployeeNumber ON PrintLogs(EmployeeNumber);", cancellationToken).ConfigureAwait(false);
+
+        // ฐานข้อมูลเดิมที่สร้างก่อนมีการรับทราบเอกสาร
+        logger.LogDebug("Ensuring acknowledgement table exists.");
+        const string acknowledgementSql = @"CREATE TABLE IF NOT EXISTS Acknowledgements (
+    Id INTEGER NOT NULL CONSTRAINT PK_Acknowledgements PRIMARY KEY AUTOINCREMENT,
+    AcknowledgedAtUtc TEXT NOT NULL,
+    EmployeeNumber TEXT NOT NULL,
+    NormalizedPath TEXT NOT NULL,
+    DocumentCode TEXT NULL,
+    VersionId TEXT NOT NULL,
+    Version INTEGER NOT NULL
+);";
+        await ExecuteNonQueryAsync(connection, acknowledgementSql, cancellationToken).ConfigureAwait(false);
+        await ExecuteNonQueryAsync(connection, "CREATE UNIQUE INDEX IF NOT EXISTS IX_Acknowledgements_NormalizedPath_VersionId_EmployeeNumber ON Acknowledgements(NormalizedPath, VersionId, EmployeeNumber);", cancellationToken).ConfigureAwait(false);
+        await ExecuteNonQueryAsync(connection, "CREATE INDEX IF NOT EXISTS IX_Acknowledgements_EmployeeNumber ON Acknowledgements(EmployeeNumber);", cancellationToken).ConfigureAwait(false);
+        await ExecuteNonQueryAsync(connection, "CREATE INDEX IF NOT EXISTS IX_Acknowledgements_AcknowledgedAtUtc ON Acknowledgements(AcknowledgedAtUtc);", cancellationToken).ConfigureAwait(false);
     }
 
     private static async Task EnsureColumnAsync(DbConnection connection, ILogger logger, string table, string column, string definition, CancellationToken cancellationToken)
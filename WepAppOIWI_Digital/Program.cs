@@ -1,18 +1,22 @@
 using Microsoft.AspNetCore.Components;
 using Microsoft.AspNetCore.Hosting;
 using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Http.Features;
 using Microsoft.Data.Sqlite;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Hosting;
 using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
 using Microsoft.Net.Http.Headers;
 using Oiwi.Data;
 using System.IO;
 using System.Net.Http;
+using System.Text.Json;
 using System.Threading;
 using System.Threading.Tasks;
 using WepAppOIWI_Digital.Components;
 using WepAppOIWI_Digital.Data;
+using WepAppOIWI_Digital.Helpers;
 using WepAppOIWI_Digital.Services;
 
 var environmentName = Environment.GetEnvironmentVariable("ASPNETCORE_ENVIRONMENT");
@@ -29,9 +33,16 @@ var catalogConnectionString = ResolveCatalogConnectionString(builder);
 var oiwiV2ConnectionString = ResolveSqliteConnectionString(builder, "OiwiV2", Path.Combine("App_Data", "oiwi_v2.db"));
 
 builder.Services.AddScoped<WepAppOIWI_Digital.Services.SetupStateStore>();
+builder.Services.AddScoped<ClientPreferences>();
+builder.Services.AddScoped<PdfViewerInterop>();
 builder.Services.Configure<DocumentCatalogOptions>(builder.Configuration.GetSection("DocumentCatalog"));
 builder.Services.Configure<OiwiOptions>(builder.Configuration.GetSection("Oiwi"));
 builder.Services.Configure<OiwiIndexerOptions>(builder.Configuration.GetSection("OiwiIndexer"));
+builder.Services.Configure<PdfViewerOptions>(builder.Configuration.GetSection("PdfViewer"));
+builder.Services.Configure<OfflineCacheOptions>(builder.Configuration.GetSection("OfflineCache"));
+builder.Services.Configure<ScannerOptions>(builder.Configuration.GetSection("Scanner"));
+builder.Services.Configure<ChunkedUploadOptions>(builder.Configuration.GetSection("ChunkedUpload"));
+builder.Services.Configure<KioskOptions>(builder.Configuration.GetSection("Kiosk"));
 builder.Services.AddMemoryCache();
 builder.Services.AddDbContextFactory<AppDbContext>(options => options.UseSqlite(catalogConnectionString));
 builder.Services.AddDbContext<OiwiDbContext>(options => options.UseSqlite(oiwiV2ConnectionString));
@@ -40,6 +51,13 @@ builder.Services.AddSingleton<DocumentCatalogService>();
 builder.Services.AddSingleton<IPdfStampService, PdfStampService>();
 builder.Services.AddSingleton<DocumentUploadService>();
 builder.Services.AddSingleton<IVersionStore, FilesystemVersionStore>();
+builder.Services.AddSingleton<DocumentAnnotationStore>();
+builder.Services.AddSingleton<DocumentPrintService>();
+builder.Services.AddSingleton<DocumentAcknowledgementService>();
+builder.Services.AddSingleton<ChunkedUploadStore>();
+builder.Services.AddSingleton<ScanResolver>();
+builder.Services.AddSingleton<CatalogChangeNotifier>();
+builder.Services.AddSingleton<OiwiExportService>();
 builder.Services.AddSingleton<IOiwiIndexingService, OiwiIndexingService>();
 var indexerEnabled = builder.Configuration.GetValue<bool>("OiwiIndexer:Enabled", true);
 if (indexerEnabled)
@@ -107,6 +125,96 @@ app.MapGet("/documents/download/{token}", (string token, DocumentCatalogService
 app.MapGet("/documents/file/{token}", (HttpContext context, string token, DocumentCatalogService catalog, CancellationToken cancellationToken)
     => ServeDocumentAsync(context, token, catalog, cancellationToken, inline: true));
 
+// รายการเอกสารของสถานีงานให้ service worker เก็บไว้ดูตอน share/เครือข่ายล่ม (versionId ใช้ตรวจว่าสำเนาในเครื่องยังเป็นเวอร์ชันล่าสุด)
+app.MapGet("/documents/offline-manifest", async (HttpContext context, string? line, string? station, string? model, DocumentCatalogService catalog, IOptions<OfflineCacheOptions> options, CancellationToken cancellationToken) =>
+{
+    if (!options.Value.Enabled)
+    {
+        return Results.NotFound();
+    }
+
+    if (string.IsNullOrWhiteSpace(line) && string.IsNullOrWhiteSpace(station) && string.IsNullOrWhiteSpace(model))
+    {
+        return Results.BadRequest();
+    }
+
+    var documents = await catalog.GetStationDocumentsAsync(line, station, model, options.Value.MaxDocuments, cancellationToken).ConfigureAwait(false);
+
+    context.Response.Headers[HeaderNames.CacheControl] = "no-store";
+    return Results.Ok(documents.Select(document => new
+    {
+        token = DocumentCatalogService.EncodeDocumentToken(document.FileName),
+        displayName = document.DisplayName,
+        documentCode = document.DocumentCode,
+        activeVersionId = document.ActiveVersionId
+    }));
+});
+
+// ผลการสแกนบาร์โค้ด/QR จาก wwwroot/js/scanner.js (ใช้ทั้งเครื่องสแกนแบบคีย์บอร์ดและกล้อง)
+app.MapGet("/scan/resolve", async (HttpContext context, string? code, ScanResolver resolver, CancellationToken cancellationToken) =>
+{
+    if (!resolver.Enabled)
+    {
+        return Results.NotFound();
+    }
+
+    if (string.IsNullOrWhiteSpace(code))
+    {
+        return Results.BadRequest();
+    }
+
+    var result = await resolver.ResolveAsync(code, cancellationToken).ConfigureAwait(false);
+
+    context.Response.Headers[HeaderNames.CacheControl] = "no-store";
+    return Results.Ok(result);
+});
+
+// ไฟล์สำหรับพิมพ์: ผ่าน PdfStampService ตาม StampMode/StampDate ของเอกสารเสมอ และไม่ให้เบราว์เซอร์ cache
+app.MapGet("/documents/print/{token}", async (HttpContext context, string token, DocumentPrintService printer, CancellationToken cancellationToken) =>
+{
+    if (!DocumentCatalogService.TryDecodeDocumentToken(token, out var normalizedPath))
+    {
+        return Results.BadRequest();
+    }
+
+    var stamped = await printer.GetStampedPdfAsync(normalizedPath, cancellationToken).ConfigureAwait(false);
+    if (stamped is null)
+    {
+        return Results.NotFound();
+    }
+
+    context.Response.Headers[HeaderNames.CacheControl] = "no-store";
+    if (!string.IsNullOrEmpty(stamped.FileName))
+    {
+        var encodedFileName = Uri.EscapeDataString(stamped.FileName);
+        context.Response.Headers[HeaderNames.ContentDisposition] = $"inline; filename*=UTF-8''{encodedFileName}";
+    }
+
+    return Results.File(stamped.Content, "application/pdf");
+});
+
+app.MapGet("/documents/{token}/print-log", async (string token, int? take, DocumentPrintService printer, CancellationToken cancellationToken) =>
+{
+    if (!DocumentCatalogService.TryDecodeDocumentToken(token, out var normalizedPath))
+    {
+        return Results.BadRequest();
+    }
+
+    var entries = await printer.GetPrintLogAsync(normalizedPath, take.GetValueOrDefault(50), cancellationToken).ConfigureAwait(false);
+    return Results.Ok(entries);
+});
+
+app.MapGet("/documents/{token}/acknowledgements", async (string token, int? take, DocumentAcknowledgementService acknowledgements, CancellationToken cancellationToken) =>
+{
+    if (!DocumentCatalogService.TryDecodeDocumentToken(token, out var normalizedPath))
+    {
+        return Results.BadRequest();
+    }
+
+    var entries = await acknowledgements.GetAcknowledgementsAsync(normalizedPath, take.GetValueOrDefault(50), cancellationToken).ConfigureAwait(false);
+    return Results.Ok(entries);
+});
+
 app.MapGet("/documents/{token}/versions", async (string token, int? take, DocumentUploadService uploader, CancellationToken cancellationToken) =>
 {
     if (!DocumentCatalogService.TryDecodeDocumentToken(token, out var normalizedPath))
@@ -118,6 +226,20 @@ app.MapGet("/documents/{token}/versions", async (string token, int? take, Docume
     return Results.Ok(history);
 });
 
+// ตรวจก่อนอัปโหลดว่าไฟล์ที่เลือก (MD5 จากเบราว์เซอร์) ซ้ำกับเวอร์ชันใดของเอกสารนี้แล้วหรือไม่
+app.MapGet("/documents/{token}/versions/match", async (string token, string? md5, long? size, DocumentUploadService uploader, CancellationToken cancellationToken) =>
+{
+    if (!DocumentCatalogService.TryDecodeDocumentToken(token, out var normalizedPath)
+        || !MD5Helper.IsValid(md5)
+        || size.GetValueOrDefault() <= 0)
+    {
+        return Results.BadRequest();
+    }
+
+    var matches = await uploader.FindVersionsByHashAsync(normalizedPath, md5, size!.Value, cancellationToken).ConfigureAwait(false);
+    return Results.Ok(matches);
+});
+
 app.MapPost("/documents/{token}/versions/{versionId}/set-active", async (HttpContext httpContext, string token, string versionId, DocumentUploadService uploader, CancellationToken cancellationToken) =>
 {
     if (!DocumentCatalogService.TryDecodeDocumentToken(token, out var normalizedPath))
@@ -142,6 +264,137 @@ app.MapPost("/documents/{token}/versions/{versionId}/set-active", async (HttpCon
     });
 });
 
+// ไฟล์ของเวอร์ชันที่ระบุ ("current" = ไฟล์ที่ใช้งานอยู่ กรณีเอกสารยังไม่มี snapshot)
+app.MapGet("/documents/{token}/versions/{versionId}/file", async (HttpContext context, string token, string versionId, DocumentCatalogService catalog, DocumentUploadService uploader, CancellationToken cancellationToken) =>
+{
+    if (string.Equals(versionId, "current", StringComparison.OrdinalIgnoreCase))
+    {
+        return await ServeDocumentAsync(context, token, catalog, cancellationToken, inline: true);
+    }
+
+    if (!DocumentCatalogService.TryDecodeDocumentToken(token, out var normalizedPath)
+        || !VersionIdHelper.IsValid(versionId))
+    {
+        return Results.BadRequest();
+    }
+
+    var handle = await uploader.TryGetVersionFileAsync(normalizedPath, versionId, cancellationToken).ConfigureAwait(false);
+    if (handle is null)
+    {
+        return Results.NotFound();
+    }
+
+    if (!string.IsNullOrEmpty(handle.FileName))
+    {
+        var encodedFileName = Uri.EscapeDataString(handle.FileName);
+        context.Response.Headers[HeaderNames.ContentDisposition] = $"inline; filename*=UTF-8''{encodedFileName}";
+    }
+
+    var contentType = string.Equals(Path.GetExtension(handle.FilePath), ".pdf", StringComparison.OrdinalIgnoreCase)
+        ? "application/pdf"
+        : "application/octet-stream";
+    return PhysicalFileWithValidators(handle.FilePath, contentType, null);
+});
+
+app.MapGet("/documents/{token}/versions/{versionId}/annotations", async (string token, string versionId, DocumentAnnotationStore annotations, CancellationToken cancellationToken) =>
+{
+    if (!DocumentCatalogService.TryDecodeDocumentToken(token, out var normalizedPath)
+        || !VersionIdHelper.IsValid(versionId))
+    {
+        return Results.BadRequest();
+    }
+
+    var set = await annotations.GetAsync(normalizedPath, versionId, cancellationToken).ConfigureAwait(false);
+    return Results.Ok(set);
+});
+
+app.MapPut("/documents/{token}/versions/{versionId}/annotations", async (HttpContext httpContext, string token, string versionId, string? session, SaveAnnotationsRequest? request, DocumentAnnotationStore annotations, CancellationToken cancellationToken) =>
+{
+    if (!DocumentCatalogService.TryDecodeDocumentToken(token, out var normalizedPath)
+        || !VersionIdHelper.IsValid(versionId))
+    {
+        return Results.BadRequest();
+    }
+
+    // ผู้สร้าง markup มาจากตัวตนฝั่งเซิร์ฟเวอร์เท่านั้น: ผู้ใช้ที่ล็อกอิน หรือ session ที่ DocumentViewer ออกให้จากหน้า Setup
+    var actor = httpContext.User?.Identity?.Name;
+    if (string.IsNullOrWhiteSpace(actor))
+    {
+        actor = annotations.ReadAuthorSession(session);
+    }
+
+    var result = await annotations.SaveAsync(normalizedPath, versionId, request?.Added, request?.Removed, actor, cancellationToken).ConfigureAwait(false);
+
+    if (!result.Succeeded)
+    {
+        return Results.BadRequest(new { message = result.ErrorMessage ?? "ไม่สามารถบันทึกหมายเหตุบนเอกสารได้" });
+    }
+
+    return Results.Ok(result.Saved);
+});
+
+// อัปโหลดไฟล์เป็นช่วง (wwwroot/js/chunkedUpload.js): สร้าง -> PUT ทีละช่วงตาม offset -> หน้า Razor ใช้ uploadId ตอนบันทึก
+app.MapPost("/uploads", async (CreateUploadRequest? request, ChunkedUploadStore uploads, CancellationToken cancellationToken) =>
+{
+    var result = await uploads.CreateAsync(request, cancellationToken).ConfigureAwait(false);
+    return result.Succeeded
+        ? Results.Ok(result.Status)
+        : Results.BadRequest(new { message = result.ErrorMessage });
+});
+
+app.MapGet("/uploads/{uploadId}", async (string uploadId, ChunkedUploadStore uploads, CancellationToken cancellationToken) =>
+{
+    var status = await uploads.GetStatusAsync(uploadId, cancellationToken).ConfigureAwait(false);
+    return status is null ? Results.NotFound() : Results.Ok(status);
+});
+
+app.MapPut("/uploads/{uploadId}", async (HttpContext httpContext, string uploadId, long offset, ChunkedUploadStore uploads, CancellationToken cancellationToken) =>
+{
+    var result = await uploads.AppendChunkAsync(uploadId, offset, httpContext.Request.Body, cancellationToken).ConfigureAwait(false);
+    return result.Outcome switch
+    {
+        UploadChunkOutcome.Appended => Results.Ok(result.Status),
+        UploadChunkOutcome.NotFound => Results.NotFound(new { message = result.ErrorMessage }),
+        UploadChunkOutcome.OffsetMismatch => Results.Conflict(result.Status),
+        UploadChunkOutcome.ChecksumMismatch => Results.UnprocessableEntity(new { message = result.ErrorMessage, status = result.Status }),
+        _ => Results.BadRequest(new { message = result.ErrorMessage, status = result.Status })
+    };
+});
+
+app.MapDelete("/uploads/{uploadId}", (string uploadId, ChunkedUploadStore uploads) =>
+{
+    if (!ChunkedUploadStore.IsValidUploadId(uploadId))
+    {
+        return Results.BadRequest();
+    }
+
+    uploads.Delete(uploadId);
+    return Results.NoContent();
+});
+
+// แจ้งการเปลี่ยนแปลงรายการเอกสารแบบ Server-Sent Events ให้หน้า Home/Viewer ที่เปิดค้างไว้ (wwwroot/js/catalogEvents.js)
+app.MapGet("/events/catalog", (HttpContext context, CatalogChangeNotifier notifier, CancellationToken cancellationToken)
+    => StreamCatalogChangesAsync(context, notifier, cancellationToken));
+
+// ส่งออกรายการตามตัวกรอง/การเรียงของหน้า Home (search = ค่าเดียวกับ query "search" ของหน้า Home) ทุกแถวเป็น CSV/XLSX
+app.MapGet("/documents/export", (HttpContext context, string? format, string? search, string? sort, bool? desc, OiwiExportService exporter, CancellationToken cancellationToken)
+    => ExportOiwiListAsync(context, format, search, sort, desc ?? true, exporter, cancellationToken));
+
+// ดัชนีเอกสารสำหรับพิมพ์ (เลขเอกสาร/เวอร์ชัน/ตราประทับ) ตามตัวกรองเดียวกัน
+app.MapGet("/documents/export/index", async (HttpContext context, string? search, string? sort, bool? desc, OiwiExportService exporter, CancellationToken cancellationToken) =>
+{
+    context.Response.ContentType = "text/html; charset=utf-8";
+    context.Response.Headers[HeaderNames.CacheControl] = "no-store";
+
+    try
+    {
+        await exporter.WriteIndexHtmlAsync(context.Response.Body, DocumentCatalogService.ParseOiwiSearchQuery(search), sort, desc ?? true, cancellationToken);
+    }
+    catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+    {
+    }
+});
+
 app.MapRazorComponents<App>()
     .AddInteractiveServerRenderMode();
 
@@ -168,10 +421,108 @@ static async Task<IResult> ServeDocumentAsync(HttpContext? context, string token
             context.Response.Headers[HeaderNames.ContentDisposition] = $"inline; filename*=UTF-8''{encodedFileName}";
         }
 
-        return Results.File(handle.PhysicalPath, handle.ContentType, enableRangeProcessing: true);
+        return PhysicalFileWithValidators(handle.PhysicalPath, handle.ContentType, null);
+    }
+
+    return PhysicalFileWithValidators(handle.PhysicalPath, handle.ContentType, handle.FileName);
+}
+
+static async Task ExportOiwiListAsync(HttpContext context, string? format, string? search, string? sort, bool sortDesc, OiwiExportService exporter, CancellationToken cancellationToken)
+{
+    if (!OiwiExportService.TryParseFormat(format, out var exportFormat))
+    {
+        context.Response.StatusCode = StatusCodes.Status400BadRequest;
+        return;
+    }
+
+    var filters = DocumentCatalogService.ParseOiwiSearchQuery(search);
+    var fileName = OiwiExportService.BuildFileName(exportFormat, DateTimeOffset.Now);
+    context.Response.ContentType = exportFormat == OiwiExportFormat.Xlsx ? OiwiExportService.XlsxContentType : OiwiExportService.CsvContentType;
+    context.Response.Headers[HeaderNames.CacheControl] = "no-store";
+    context.Response.Headers[HeaderNames.ContentDisposition] = $"attachment; filename=\"{fileName}\"; filename*=UTF-8''{Uri.EscapeDataString(fileName)}";
+
+    try
+    {
+        if (exportFormat == OiwiExportFormat.Xlsx)
+        {
+            await exporter.WriteXlsxAsync(context.Response.Body, filters, sort, sortDesc, cancellationToken);
+        }
+        else
+        {
+            await exporter.WriteCsvAsync(context.Response.Body, filters, sort, sortDesc, cancellationToken);
+        }
+    }
+    catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+    {
+        // ผู้ใช้ยกเลิกการดาวน์โหลด
+    }
+}
+
+static async Task StreamCatalogChangesAsync(HttpContext context, CatalogChangeNotifier notifier, CancellationToken cancellationToken)
+{
+    // proxy/ไฟร์วอลล์บางตัวตัดการเชื่อมต่อที่เงียบนาน: ส่ง comment ไปเป็นระยะ
+    var heartbeatInterval = TimeSpan.FromSeconds(25);
+    var jsonOptions = new JsonSerializerOptions(JsonSerializerDefaults.Web);
+
+    context.Features.Get<IHttpResponseBodyFeature>()?.DisableBuffering();
+    context.Response.ContentType = "text/event-stream";
+    context.Response.Headers[HeaderNames.CacheControl] = "no-cache";
+    context.Response.Headers["X-Accel-Buffering"] = "no";
+
+    using var subscription = notifier.Subscribe();
+    var reader = subscription.Reader;
+
+    try
+    {
+        await context.Response.WriteAsync(": connected\n\n", cancellationToken);
+        await context.Response.Body.FlushAsync(cancellationToken);
+
+        Task<bool>? waitForChange = null;
+        while (!cancellationToken.IsCancellationRequested)
+        {
+            waitForChange ??= reader.WaitToReadAsync(cancellationToken).AsTask();
+            var completed = await Task.WhenAny(waitForChange, Task.Delay(heartbeatInterval, cancellationToken));
+            if (completed != waitForChange)
+            {
+                await context.Response.WriteAsync(": ping\n\n", cancellationToken);
+                await context.Response.Body.FlushAsync(cancellationToken);
+                continue;
+            }
+
+            if (!await waitForChange)
+            {
+                break;
+            }
+
+            waitForChange = null;
+            while (reader.TryRead(out var change))
+            {
+                var payload = JsonSerializer.Serialize(change, jsonOptions);
+                await context.Response.WriteAsync($"id: {change.Sequence}\nevent: catalog\ndata: {payload}\n\n", cancellationToken);
+            }
+
+            await context.Response.Body.FlushAsync(cancellationToken);
+        }
+    }
+    catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+    {
+        // ผู้ใช้ปิดหน้า/เปลี่ยนหน้า
+    }
+}
+
+// pdf.js โหลดไฟล์ใหญ่เป็นช่วง (Range) หลายครั้ง: ส่ง ETag/Last-Modified ไปด้วยเพื่อให้ If-Range ตรวจได้ว่าไฟล์ไม่ถูกเปลี่ยนระหว่างโหลด
+// (ถ้าเปลี่ยนจะได้ไฟล์ใหม่ทั้งไฟล์แทนการต่อช่วงของสองเวอร์ชันเข้าด้วยกัน)
+static IResult PhysicalFileWithValidators(string physicalPath, string contentType, string? downloadName)
+{
+    var info = new FileInfo(physicalPath);
+    if (!info.Exists)
+    {
+        return Results.NotFound();
     }
 
-    return Results.File(handle.PhysicalPath, handle.ContentType, handle.FileName, enableRangeProcessing: true);
+    var lastModified = new DateTimeOffset(info.LastWriteTimeUtc);
+    var entityTag = new EntityTagHeaderValue($"\"{info.Length:x}-{info.LastWriteTimeUtc.Ticks:x}\"");
+    return Results.File(physicalPath, contentType, downloadName, lastModified, entityTag, enableRangeProcessing: true);
 }
 
 static string ResolveCatalogConnectionString(WebApplicationBuilder builder)
@@ -0,0 +1,22 @@
+using System;
+
+namespace WepAppOIWI_Digital.Services;
+
+// VersionId ใช้รูปแบบเดียวกับ DocumentAcknowledgementService.GetVersionKey
+public sealed record AcknowledgementRequest(
+    string NormalizedPath,
+    string EmployeeNumber,
+    string? DocumentCode,
+    string VersionId,
+    int Version
+);
+
+public sealed record AcknowledgementEntry(
+    long Id,
+    DateTimeOffset AcknowledgedAtUtc,
+    string EmployeeNumber,
+    string NormalizedPath,
+    string? DocumentCode,
+    string VersionId,
+    int Version
+);
@@ -0,0 +1,39 @@
+using System;
+using System.Collections.Generic;
+
+namespace WepAppOIWI_Digital.Services;
+
+// Points เก็บเป็นพิกัดหน้า PDF (หน่วย point, ก่อนซูม/หมุน) เรียงเป็น x1, y1, x2, y2, ...
+public sealed record DocumentAnnotation(
+    string Id,
+    int Page,
+    string Type,
+    IReadOnlyList<double> Points,
+    string? Color = null,
+    double? StrokeWidth = null,
+    string? Text = null,
+    string? Author = null,
+    DateTimeOffset? CreatedAtUtc = null
+);
+
+public sealed record DocumentAnnotationSet(
+    string VersionId,
+    IReadOnlyList<DocumentAnnotation> Annotations,
+    DateTimeOffset? UpdatedAtUtc = null,
+    string? UpdatedBy = null
+);
+
+// ส่งเฉพาะรายการที่เปลี่ยน: เซิร์ฟเวอร์รวมตาม Id กับไฟล์ล่าสุด markup ของผู้อื่นที่บันทึกพร้อมกันจึงไม่หาย
+public sealed record SaveAnnotationsRequest(
+    IReadOnlyList<DocumentAnnotation>? Added,
+    IReadOnlyList<string>? Removed
+);
+
+public sealed record AnnotationSaveResult(bool Succeeded, DocumentAnnotationSet? Saved, string? ErrorMessage)
+{
+    public static AnnotationSaveResult Success(DocumentAnnotationSet saved)
+        => new(true, saved, null);
+
+    public static AnnotationSaveResult Failure(string? error)
+        => new(false, null, error);
+}
@@ -0,0 +1,129 @@
+using System;
+using System.Collections.Concurrent;
+using System.Text.Json.Serialization;
+using System.Threading;
+using System.Threading.Channels;
+using Microsoft.Extensions.Logging;
+
+namespace WepAppOIWI_Digital.Services;
+
+// กระจายการเปลี่ยนแปลงรายการเอกสารไปยังหน้า Home/Viewer ที่เปิดค้างไว้ผ่าน /events/catalog (wwwroot/js/catalogEvents.js)
+// ผู้ส่ง: DocumentUploadService (อัปโหลด/แก้ไข/ตั้งเวอร์ชัน ทันทีที่บันทึกเสร็จ) และ OiwiIndexingService (หลังฐานข้อมูลที่หน้า Home อ่านอัปเดตแล้ว)
+public sealed class CatalogChangeNotifier
+{
+    // client ที่อ่านไม่ทันทิ้งรายการเก่าที่สุด (ต่อกลับมาแล้วหน้าเว็บโหลดใหม่ทั้งหน้าอยู่แล้ว)
+    private const int SubscriberBufferSize = 256;
+
+    private readonly ConcurrentDictionary<long, Channel<CatalogChange>> _subscribers = new();
+    private readonly ILogger<CatalogChangeNotifier> _logger;
+    private long _sequence;
+    private long _subscriberCounter;
+
+    public CatalogChangeNotifier(ILogger<CatalogChangeNotifier> logger)
+    {
+        _logger = logger;
+    }
+
+    // ผู้ฟังภายใน process (เช่น OiwiIndexer สั่ง index ทันทีเมื่อมีการอัปโหลด)
+    public event Action<CatalogChange>? Published;
+
+    public CatalogChange Publish(
+        CatalogChangeKind kind,
+        string? normalizedPath,
+        string? previousPath = null,
+        string? documentCode = null,
+        string? activeVersionId = null,
+        bool fromIndex = false)
+    {
+        var change = new CatalogChange(
+            Interlocked.Increment(ref _sequence),
+            kind,
+            normalizedPath,
+            string.Equals(previousPath, normalizedPath, StringComparison.OrdinalIgnoreCase) ? null : previousPath,
+            documentCode,
+            activeVersionId,
+            fromIndex,
+            DateTimeOffset.UtcNow);
+
+        foreach (var channel in _subscribers.Values)
+        {
+            channel.Writer.TryWrite(change);
+        }
+
+        try
+        {
+            Published?.Invoke(change);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Catalog change listener failed for {Kind} {Path}.", kind, normalizedPath);
+        }
+
+        _logger.LogDebug("Published catalog change #{Sequence} {Kind} {Path} to {Subscribers} subscriber(s).",
+            change.Sequence, kind, normalizedPath, _subscribers.Count);
+        return change;
+    }
+
+    public Subscription Subscribe()
+    {
+        var id = Interlocked.Increment(ref _subscriberCounter);
+        var channel = Channel.CreateBounded<CatalogChange>(new BoundedChannelOptions(SubscriberBufferSize)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleReader = true
+        });
+
+        _subscribers[id] = channel;
+        return new Subscription(this, id, channel.Reader);
+    }
+
+    private void Unsubscribe(long id)
+    {
+        if (_subscribers.TryRemove(id, out var channel))
+        {
+            channel.Writer.TryComplete();
+        }
+    }
+
+    public sealed class Subscription : IDisposable
+    {
+        private readonly CatalogChangeNotifier _owner;
+        private readonly long _id;
+
+        internal Subscription(CatalogChangeNotifier owner, long id, ChannelReader<CatalogChange> reader)
+        {
+            _owner = owner;
+            _id = id;
+            Reader = reader;
+        }
+
+        public ChannelReader<CatalogChange> Reader { get; }
+
+        public void Dispose() => _owner.Unsubscribe(_id);
+    }
+}
+
+// ส่งเป็นชื่อ ("Activated", ...) ให้ wwwroot/js/catalogEvents.js และหน้า Razor เทียบได้ตรง ๆ
+[JsonConverter(typeof(JsonStringEnumConverter<CatalogChangeKind>))]
+public enum CatalogChangeKind
+{
+    Added,
+    Updated,
+    Activated,
+    Removed,
+    // เปลี่ยนหลายรายการเกินจะส่งทีละแถว หรือ client ขาดการเชื่อมต่อไปช่วงหนึ่ง: ให้หน้าเว็บโหลดรายการใหม่เอง
+    Refresh
+}
+
+// PreviousPath มีค่าเมื่อการแก้ไข/ตั้งเวอร์ชันทำให้ path ของเอกสารเปลี่ยน
+// FromIndex = true เมื่อตาราง Documents (ที่หน้า Home อ่าน) อัปเดตแล้ว
+public sealed record CatalogChange(
+    long Sequence,
+    CatalogChangeKind Kind,
+    string? NormalizedPath,
+    string? PreviousPath,
+    string? DocumentCode,
+    string? ActiveVersionId,
+    bool FromIndex,
+    DateTimeOffset ChangedAtUtc
+);
@@ -0,0 +1,14 @@
+using System;
+using System.Collections.Generic;
+
+namespace WepAppOIWI_Digital.Services;
+
+public sealed class ChunkedUploadOptions
+{
+    // ทางเดินสัมพัทธ์นับจาก content root
+    public string TempDirectory { get; set; } = "App_Data/uploads";
+    public int ChunkSizeBytes { get; set; } = 4 * 1024 * 1024;
+    public long MaxFileSizeBytes { get; set; } = 200L * 1024 * 1024;
+    public int ExpiryHours { get; set; } = 24;
+    public IReadOnlyList<string> AllowedExtensions { get; set; } = Array.Empty<string>();
+}
@@ -0,0 +1,311 @@
+using System;
+using System.Collections.Concurrent;
+using System.IO;
+using System.Linq;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using WepAppOIWI_Digital.Helpers;
+
+namespace WepAppOIWI_Digital.Services;
+
+// รับไฟล์ที่อัปโหลดเป็นช่วง ๆ ผ่าน HTTP (wwwroot/js/chunkedUpload.js) แทนการส่งผ่าน circuit ของ Blazor
+// <TempDirectory>/<uploadId>.part เก็บข้อมูลที่ได้รับแล้ว, <uploadId>.json เก็บชื่อ/ขนาดไฟล์
+// หน้าเพิ่ม/แก้ไขเอกสารเปิดไฟล์ที่ครบแล้วด้วย uploadId แล้วลบทิ้งหลังบันทึกเอกสารสำเร็จ
+public sealed class ChunkedUploadStore
+{
+    private const int MinChunkSize = 256 * 1024;
+    private const int MaxChunkSize = 16 * 1024 * 1024;
+    private const int MaxFileNameLength = 255;
+
+    private static readonly Regex UploadIdPattern = new("^[0-9a-f]{32}$", RegexOptions.Compiled);
+
+    private readonly ChunkedUploadOptions _options;
+    private readonly string _directory;
+    private readonly ILogger<ChunkedUploadStore> _logger;
+    private readonly ConcurrentDictionary<string, SemaphoreSlim> _locks = new(StringComparer.Ordinal);
+    private readonly JsonSerializerOptions _serializerOptions = new(JsonSerializerDefaults.Web);
+
+    public ChunkedUploadStore(IOptions<ChunkedUploadOptions> options, IHostEnvironment environment, ILogger<ChunkedUploadStore> logger)
+    {
+        _options = options.Value;
+        _directory = Path.GetFullPath(Path.Combine(environment.ContentRootPath, _options.TempDirectory ?? "App_Data/uploads"));
+        _logger = logger;
+    }
+
+    public int ChunkSize => Math.Clamp(_options.ChunkSizeBytes, MinChunkSize, MaxChunkSize);
+
+    public long MaxFileSize => Math.Max(1, _options.MaxFileSizeBytes);
+
+    public static bool IsValidUploadId(string? uploadId)
+        => !string.IsNullOrEmpty(uploadId) && UploadIdPattern.IsMatch(uploadId);
+
+    public async Task<CreateUploadResult> CreateAsync(CreateUploadRequest? request, CancellationToken ct = default)
+    {
+        var fileName = Path.GetFileName(request?.FileName?.Trim() ?? string.Empty);
+        if (string.IsNullOrEmpty(fileName) || fileName.Length > MaxFileNameLength)
+        {
+            return CreateUploadResult.Failure("ชื่อไฟล์ไม่ถูกต้อง");
+        }
+
+        if (request!.Size <= 0)
+        {
+            return CreateUploadResult.Failure("ไฟล์ว่างเปล่า");
+        }
+
+        if (request.Size > MaxFileSize)
+        {
+            return CreateUploadResult.Failure($"ไฟล์มีขนาดใหญ่เกิน {MaxFileSize / (1024 * 1024)} MB");
+        }
+
+        var allowed = _options.AllowedExtensions;
+        if (allowed.Count > 0 && !allowed.Contains(Path.GetExtension(fileName), StringComparer.OrdinalIgnoreCase))
+        {
+            return CreateUploadResult.Failure($"ไม่รองรับไฟล์ประเภท {Path.GetExtension(fileName)}");
+        }
+
+        if (!string.IsNullOrEmpty(request.Md5) && !MD5Helper.IsValid(request.Md5))
+        {
+            return CreateUploadResult.Failure("ค่า MD5 ของไฟล์ไม่ถูกต้อง");
+        }
+
+        try
+        {
+            Directory.CreateDirectory(_directory);
+            DeleteExpiredUploads();
+
+            var metadata = new UploadMetadata(
+                Guid.NewGuid().ToString("N"),
+                fileName,
+                string.IsNullOrWhiteSpace(request.ContentType) ? null : request.ContentType.Trim(),
+                request.Size,
+                DateTimeOffset.UtcNow,
+                string.IsNullOrEmpty(request.Md5) ? null : request.Md5.ToLowerInvariant());
+
+            await using (new FileStream(GetPartPath(metadata.UploadId), FileMode.CreateNew, FileAccess.Write, FileShare.None))
+            {
+            }
+
+            await using (var stream = new FileStream(GetMetadataPath(metadata.UploadId), FileMode.CreateNew, FileAccess.Write, FileShare.None, 4096, useAsync: true))
+            {
+                await JsonSerializer.SerializeAsync(stream, metadata, _serializerOptions, ct).ConfigureAwait(false);
+            }
+
+            _logger.LogDebug("Started chunked upload {UploadId} for {FileName} ({Size} bytes).", metadata.UploadId, fileName, request.Size);
+            return CreateUploadResult.Success(ToStatus(metadata, 0));
+        }
+        catch (OperationCanceledException)
+        {
+            throw;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to start chunked upload for {FileName}.", fileName);
+            return CreateUploadResult.Failure("ไม่สามารถเริ่มอัปโหลดไฟล์ได้");
+        }
+    }
+
+    public async Task<ChunkedUploadStatus?> GetStatusAsync(string uploadId, CancellationToken ct = default)
+    {
+        var metadata = await ReadMetadataAsync(uploadId, ct).ConfigureAwait(false);
+        return metadata is null ? null : ToStatus(metadata, GetReceivedBytes(uploadId));
+    }
+
+    // offset ต้องตรงกับจำนวนไบต์ที่ได้รับแล้ว ไม่ตรงให้ client ส่งต่อจาก ReceivedBytes ที่ตอบกลับไป
+    // ถ้าการเชื่อมต่อขาดกลางช่วง ข้อมูลที่เขียนไปแล้วยังใช้ได้ (เขียนต่อท้ายตามลำดับเสมอ)
+    public async Task<UploadChunkResult> AppendChunkAsync(string uploadId, long offset, Stream content, CancellationToken ct = default)
+    {
+        var metadata = await ReadMetadataAsync(uploadId, ct).ConfigureAwait(false);
+        if (metadata is null)
+        {
+            return UploadChunkResult.Failure(UploadChunkOutcome.NotFound, "ไม่พบการอัปโหลดนี้ (อาจหมดอายุแล้ว)");
+        }
+
+        var uploadLock = _locks.GetOrAdd(uploadId, static _ => new SemaphoreSlim(1, 1));
+        await uploadLock.WaitAsync(ct).ConfigureAwait(false);
+        try
+        {
+            var received = GetReceivedBytes(uploadId);
+            if (offset != received)
+            {
+                return UploadChunkResult.Failure(UploadChunkOutcome.OffsetMismatch, null, ToStatus(metadata, received));
+            }
+
+            var limit = Math.Min(ChunkSize, metadata.Size - received);
+            await using var target = new FileStream(GetPartPath(uploadId), FileMode.Append, FileAccess.Write, FileShare.Read, 81920, useAsync: true);
+            var buffer = new byte[81920];
+            long written = 0;
+            int read;
+            while ((read = await content.ReadAsync(buffer, ct).ConfigureAwait(false)) > 0)
+            {
+                if (written + read > limit)
+                {
+                    // ส่งเกินขนาดช่วงหรือเกินขนาดไฟล์ที่แจ้งไว้: ตัดส่วนที่เขียนในรอบนี้ทิ้ง
+                    target.SetLength(received);
+                    return UploadChunkResult.Failure(UploadChunkOutcome.Invalid, "ข้อมูลที่ส่งมาเกินขนาดไฟล์ที่แจ้งไว้", ToStatus(metadata, received));
+                }
+
+                await target.WriteAsync(buffer.AsMemory(0, read), ct).ConfigureAwait(false);
+                written += read;
+            }
+
+            await target.FlushAsync(ct).ConfigureAwait(false);
+
+            if (received + written == metadata.Size && metadata.Md5 is not null)
+            {
+                await target.DisposeAsync().ConfigureAwait(false);
+                if (!await VerifyChecksumAsync(metadata, ct).ConfigureAwait(false))
+                {
+                    // ข้อมูลเพี้ยนระหว่างทาง: ทิ้งทั้งไฟล์ให้ client ส่งใหม่ตั้งแต่ต้น
+                    await using (new FileStream(GetPartPath(uploadId), FileMode.Truncate, FileAccess.Write, FileShare.None))
+                    {
+                    }
+
+                    return UploadChunkResult.Failure(UploadChunkOutcome.ChecksumMismatch, "ไฟล์ที่ได้รับไม่ตรงกับต้นฉบับ (MD5 ไม่ตรงกัน)", ToStatus(metadata, 0));
+                }
+            }
+
+            return UploadChunkResult.Success(ToStatus(metadata, received + written));
+        }
+        catch (IOException ex)
+        {
+            _logger.LogWarning(ex, "Chunk for upload {UploadId} was interrupted at offset {Offset}.", uploadId, offset);
+            return UploadChunkResult.Failure(UploadChunkOutcome.Invalid, "การส่งข้อมูลขาดหายระหว่างทาง", ToStatus(metadata, GetReceivedBytes(uploadId)));
+        }
+        finally
+        {
+            uploadLock.Release();
+        }
+    }
+
+    // คืน null เมื่อไม่พบหรือยังได้รับไม่ครบ
+    public async Task<CompletedUpload?> GetCompletedAsync(string? uploadId, CancellationToken ct = default)
+    {
+        if (!IsValidUploadId(uploadId))
+        {
+            return null;
+        }
+
+        var metadata = await ReadMetadataAsync(uploadId!, ct).ConfigureAwait(false);
+        if (metadata is null || GetReceivedBytes(uploadId!) != metadata.Size)
+        {
+            return null;
+        }
+
+        return new CompletedUpload(metadata.UploadId, metadata.FileName, metadata.ContentType, metadata.Size, metadata.Md5);
+    }
+
+    public Stream OpenRead(CompletedUpload upload)
+        => new FileStream(GetPartPath(upload.UploadId), FileMode.Open, FileAccess.Read, FileShare.Read, 81920, useAsync: true);
+
+    public void Delete(string? uploadId)
+    {
+        if (!IsValidUploadId(uploadId))
+        {
+            return;
+        }
+
+        TryDeleteFile(GetPartPath(uploadId!));
+        TryDeleteFile(GetMetadataPath(uploadId!));
+        _locks.TryRemove(uploadId!, out _);
+    }
+
+    private async Task<bool> VerifyChecksumAsync(UploadMetadata metadata, CancellationToken ct)
+    {
+        await using var stream = new FileStream(GetPartPath(metadata.UploadId), FileMode.Open, FileAccess.Read, FileShare.Read, 81920, useAsync: true);
+        var actual = await MD5Helper.GenerateAsync(stream, ct).ConfigureAwait(false);
+        if (MD5Helper.AreEqual(actual, metadata.Md5))
+        {
+            return true;
+        }
+
+        _logger.LogWarning("Upload {UploadId} ({FileName}) failed MD5 verification: expected {Expected}, received {Actual}.",
+            metadata.UploadId, metadata.FileName, metadata.Md5, actual);
+        return false;
+    }
+
+    private async Task<UploadMetadata?> ReadMetadataAsync(string uploadId, CancellationToken ct)
+    {
+        if (!IsValidUploadId(uploadId))
+        {
+            return null;
+        }
+
+        var path = GetMetadataPath(uploadId);
+        if (!File.Exists(path))
+        {
+            return null;
+        }
+
+        try
+        {
+            await using var stream = new FileStream(path, FileMode.Open, FileAccess.Read, FileShare.Read, 4096, useAsync: true);
+            return await JsonSerializer.DeserializeAsync<UploadMetadata>(stream, _serializerOptions, ct).ConfigureAwait(false);
+        }
+        catch (OperationCanceledException)
+        {
+            throw;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to read metadata for upload {UploadId}.", uploadId);
+            return null;
+        }
+    }
+
+    // อัปโหลดที่ค้างไว้เกินกำหนด (ปิดหน้าไปแล้วไม่กลับมาต่อ) ลบทิ้งตอนมีการเริ่มอัปโหลดใหม่
+    private void DeleteExpiredUploads()
+    {
+        var cutoff = DateTime.UtcNow.AddHours(-Math.Max(1, _options.ExpiryHours));
+        foreach (var path in Directory.EnumerateFiles(_directory, "*.json"))
+        {
+            var uploadId = Path.GetFileNameWithoutExtension(path);
+            if (!IsValidUploadId(uploadId))
+            {
+                continue;
+            }
+
+            var partPath = GetPartPath(uploadId);
+            var lastActivity = File.Exists(partPath) ? File.GetLastWriteTimeUtc(partPath) : File.GetLastWriteTimeUtc(path);
+            if (lastActivity < cutoff)
+            {
+                _logger.LogInformation("Removing expired chunked upload {UploadId}.", uploadId);
+                Delete(uploadId);
+            }
+        }
+    }
+
+    private long GetReceivedBytes(string uploadId)
+    {
+        var info = new FileInfo(GetPartPath(uploadId));
+        return info.Exists ? info.Length : 0;
+    }
+
+    private string GetPartPath(string uploadId) => Path.Combine(_directory, uploadId + ".part");
+
+    private string GetMetadataPath(string uploadId) => Path.Combine(_directory, uploadId + ".json");
+
+    private ChunkedUploadStatus ToStatus(UploadMetadata metadata, long received)
+        => new(metadata.UploadId, metadata.FileName, metadata.Size, received, ChunkSize, received == metadata.Size);
+
+    private void TryDeleteFile(string path)
+    {
+        try
+        {
+            if (File.Exists(path))
+            {
+                File.Delete(path);
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogDebug(ex, "Unable to delete upload file {Path}.", path);
+        }
+    }
+
+    private sealed record UploadMetadata(string UploadId, string FileName, string? ContentType, long Size, DateTimeOffset CreatedAtUtc, string? Md5 = null);
+}
@@ -0,0 +1,44 @@
+namespace WepAppOIWI_Digital.Services;
+
+// Md5 คำนวณในเบราว์เซอร์ (wwwroot/js/md5Worker.js) server ตรวจกับไฟล์ที่ได้รับครบแล้ว
+public sealed record CreateUploadRequest(string? FileName, long Size, string? ContentType, string? Md5 = null);
+
+// ReceivedBytes คือจำนวนไบต์ที่ server เขียนลงไฟล์แล้วจริง ใช้เป็นจุดเริ่มส่งต่อหลังเน็ตหลุด
+public sealed record ChunkedUploadStatus(
+    string UploadId,
+    string FileName,
+    long Size,
+    long ReceivedBytes,
+    int ChunkSize,
+    bool Completed
+);
+
+// Md5 = null เมื่อเบราว์เซอร์ไม่ได้ส่งค่ามา (ไม่ได้ตรวจความถูกต้องหลังส่ง)
+public sealed record CompletedUpload(string UploadId, string FileName, string? ContentType, long Size, string? Md5);
+
+public enum UploadChunkOutcome
+{
+    Appended,
+    NotFound,
+    OffsetMismatch,
+    Invalid,
+    ChecksumMismatch
+}
+
+public sealed record UploadChunkResult(UploadChunkOutcome Outcome, ChunkedUploadStatus? Status, string? ErrorMessage)
+{
+    public static UploadChunkResult Success(ChunkedUploadStatus status)
+        => new(UploadChunkOutcome.Appended, status, null);
+
+    public static UploadChunkResult Failure(UploadChunkOutcome outcome, string? error, ChunkedUploadStatus? status = null)
+        => new(outcome, status, error);
+}
+
+public sealed record CreateUploadResult(bool Succeeded, ChunkedUploadStatus? Status, string? ErrorMessage)
+{
+    public static CreateUploadResult Success(ChunkedUploadStatus status)
+        => new(true, status, null);
+
+    public static CreateUploadResult Failure(string? error)
+        => new(false, null, error);
+}
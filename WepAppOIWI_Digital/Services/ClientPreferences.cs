@@ -0,0 +1,120 @@
+using System;
+using System.Text.Json;
+using System.Threading.Tasks;
+using Microsoft.Extensions.Logging;
+using Microsoft.JSInterop;
+
+namespace WepAppOIWI_Digital.Services;
+
+// ชื่อ key ที่ตรงกับ SANITIZERS ใน wwwroot/js/preferences.js
+public static class PreferenceKeys
+{
+    public const string PageSize = "pageSize";
+    public const string TextZoom = "textZoom";
+    public const string SortColumn = "sortColumn";
+    public const string SortDescending = "sortDescending";
+    public const string Filters = "filters";
+    public const string ShellCollapsed = "shellCollapsed";
+    public const string Station = "station";
+}
+
+// ทางเดียวที่ฝั่ง .NET ใช้อ่าน/เขียนค่าที่ผู้ใช้ตั้งไว้ในเบราว์เซอร์ (oiwiPreferences) scoped ต่อ circuit
+// Changed ถูกเรียกทั้งเมื่อคอมโพเนนต์อื่นในแท็บนี้เขียนค่า และเมื่อแท็บอื่นเปลี่ยนค่า (fromOtherTab = true)
+public sealed class ClientPreferences : IAsyncDisposable
+{
+    private readonly IJSRuntime _jsRuntime;
+    private readonly ILogger<ClientPreferences> _logger;
+    private DotNetObjectReference<ClientPreferences>? _selfRef;
+    private int? _subscriptionId;
+
+    public ClientPreferences(IJSRuntime jsRuntime, ILogger<ClientPreferences> logger)
+    {
+        _jsRuntime = jsRuntime;
+        _logger = logger;
+    }
+
+    public event Action<PreferenceChange>? Changed;
+
+    public async Task<T?> GetAsync<T>(string key)
+    {
+        try
+        {
+            await EnsureSubscribedAsync().ConfigureAwait(false);
+            return await _jsRuntime.InvokeAsync<T?>("oiwiPreferences.get", key).ConfigureAwait(false);
+        }
+        catch (Exception ex) when (ex is JSException or JsonException)
+        {
+            _logger.LogDebug(ex, "Unable to read preference {Key}.", key);
+            return default;
+        }
+    }
+
+    public async Task<bool> SetAsync<T>(string key, T? value)
+    {
+        try
+        {
+            await EnsureSubscribedAsync().ConfigureAwait(false);
+            return await _jsRuntime.InvokeAsync<bool>("oiwiPreferences.set", key, value).ConfigureAwait(false);
+        }
+        catch (JSException ex)
+        {
+            _logger.LogDebug(ex, "Unable to persist preference {Key}.", key);
+            return false;
+        }
+    }
+
+    [JSInvokable]
+    public Task OnPreferenceChanged(string key, JsonElement value, bool fromOtherTab)
+    {
+        Changed?.Invoke(new PreferenceChange(key, value, fromOtherTab));
+        return Task.CompletedTask;
+    }
+
+    // ลงทะเบียนครั้งแรกที่มีการเรียกใช้ (ตอน prerender ยังเรียก JS ไม่ได้ InvalidOperationException จะส่งต่อให้ผู้เรียก)
+    private async Task EnsureSubscribedAsync()
+    {
+        if (_subscriptionId is not null)
+        {
+            return;
+        }
+
+        _selfRef ??= DotNetObjectReference.Create(this);
+        _subscriptionId = await _jsRuntime.InvokeAsync<int>("oiwiPreferences.subscribe", _selfRef, null).ConfigureAwait(false);
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_subscriptionId is int id)
+        {
+            try
+            {
+                await _jsRuntime.InvokeVoidAsync("oiwiPreferences.unsubscribe", id).ConfigureAwait(false);
+            }
+            catch (JSDisconnectedException)
+            {
+            }
+            catch (JSException)
+            {
+            }
+        }
+
+        _selfRef?.Dispose();
+    }
+}
+
+public sealed record PreferenceChange(string Key, JsonElement Value, bool FromOtherTab)
+{
+    public T? GetValue<T>()
+    {
+        try
+        {
+            return Value.ValueKind is JsonValueKind.Null or JsonValueKind.Undefined
+                ? default
+                : Value.Deserialize<T>(new JsonSerializerOptions(JsonSerializerDefaults.Web));
+        }
+        catch (JsonException)
+        {
+            return default;
+        }
+    }
+}
@@ -0,0 +1,178 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using WepAppOIWI_Digital.Data;
+
+namespace WepAppOIWI_Digital.Services;
+
+// บันทึกว่าพนักงานอ่านและเข้าใจเอกสารเวอร์ชันที่ใช้งานอยู่แล้ว เพื่อให้รู้ว่าใครที่สถานียังไม่ได้อ่านเวอร์ชันใหม่
+public sealed class DocumentAcknowledgementService
+{
+    private const int MaxEmployeeNumberLength = 64;
+    private const int MaxAcknowledgementTake = 500;
+
+    private readonly IDbContextFactory<AppDbContext> _dbContextFactory;
+    private readonly ILogger<DocumentAcknowledgementService> _logger;
+
+    public DocumentAcknowledgementService(
+        IDbContextFactory<AppDbContext> dbContextFactory,
+        ILogger<DocumentAcknowledgementService> logger)
+    {
+        _dbContextFactory = dbContextFactory;
+        _logger = logger;
+    }
+
+    // เอกสารเก่าที่ยังไม่มี ActiveVersionId ใช้เลขเวอร์ชันแทน (รูปแบบเดียวกับ markup และประวัติการพิมพ์)
+    public static string GetVersionKey(string? activeVersionId, int version)
+        => !string.IsNullOrWhiteSpace(activeVersionId)
+            ? activeVersionId
+            : $"v{Math.Max(1, version)}";
+
+    // กดซ้ำได้: ถ้ารับทราบเวอร์ชันนี้ไว้แล้วจะคืนรายการเดิม, คืน null เมื่อข้อมูลไม่ครบหรือบันทึกไม่สำเร็จ
+    public async Task<AcknowledgementEntry?> AcknowledgeAsync(AcknowledgementRequest request, CancellationToken ct = default)
+    {
+        var employeeNumber = request.EmployeeNumber?.Trim();
+        if (string.IsNullOrEmpty(employeeNumber) || employeeNumber.Length > MaxEmployeeNumberLength
+            || string.IsNullOrWhiteSpace(request.NormalizedPath) || string.IsNullOrWhiteSpace(request.VersionId))
+        {
+            return null;
+        }
+
+        try
+        {
+            await using var dbContext = await _dbContextFactory.CreateDbContextAsync(ct).ConfigureAwait(false);
+            var existing = await FindAsync(dbContext, request.NormalizedPath, request.VersionId, employeeNumber, ct).ConfigureAwait(false);
+            if (existing is not null)
+            {
+                return ToEntry(existing);
+            }
+
+            var entity = new AcknowledgementEntity
+            {
+                AcknowledgedAtUtc = DateTimeOffset.UtcNow,
+                EmployeeNumber = employeeNumber,
+                NormalizedPath = request.NormalizedPath,
+                DocumentCode = string.IsNullOrWhiteSpace(request.DocumentCode) ? null : request.DocumentCode.Trim(),
+                VersionId = request.VersionId,
+                Version = request.Version
+            };
+            dbContext.Acknowledgements.Add(entity);
+
+            try
+            {
+                await dbContext.SaveChangesAsync(ct).ConfigureAwait(false);
+            }
+            catch (DbUpdateException) when (!ct.IsCancellationRequested)
+            {
+                // กดพร้อมกันจากสองแท็บ: unique index กันไว้แล้ว ใช้รายการที่บันทึกก่อน
+                dbContext.ChangeTracker.Clear();
+                existing = await FindAsync(dbContext, request.NormalizedPath, request.VersionId, employeeNumber, ct).ConfigureAwait(false);
+                if (existing is null)
+                {
+                    throw;
+                }
+
+                return ToEntry(existing);
+            }
+
+            _logger.LogInformation(
+                "Document {Path} ({DocumentCode} {VersionId}) acknowledged by {EmployeeNumber}.",
+                request.NormalizedPath,
+                request.DocumentCode,
+                request.VersionId,
+                employeeNumber);
+            return ToEntry(entity);
+        }
+        catch (OperationCanceledException)
+        {
+            throw;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to record acknowledgement for {Path}.", request.NormalizedPath);
+            return null;
+        }
+    }
+
+    public async Task<AcknowledgementEntry?> GetAcknowledgementAsync(string normalizedPath, string versionId, string? employeeNumber, CancellationToken ct = default)
+    {
+        var trimmed = employeeNumber?.Trim();
+        if (string.IsNullOrEmpty(trimmed) || string.IsNullOrWhiteSpace(normalizedPath) || string.IsNullOrWhiteSpace(versionId))
+        {
+            return null;
+        }
+
+        await using var dbContext = await _dbContextFactory.CreateDbContextAsync(ct).ConfigureAwait(false);
+        var entity = await FindAsync(dbContext, normalizedPath, versionId, trimmed, ct).ConfigureAwait(false);
+        return entity is null ? null : ToEntry(entity);
+    }
+
+    // ใช้กับรายการเอกสารหน้า Home: คืนคู่ (NormalizedPath, VersionId) ที่พนักงานคนนี้รับทราบแล้ว เฉพาะเอกสารที่ขอมา
+    public async Task<IReadOnlySet<(string NormalizedPath, string VersionId)>> GetAcknowledgedVersionsAsync(
+        string? employeeNumber,
+        IReadOnlyCollection<string> normalizedPaths,
+        CancellationToken ct = default)
+    {
+        var trimmed = employeeNumber?.Trim();
+        if (string.IsNullOrEmpty(trimmed) || normalizedPaths.Count == 0)
+        {
+            return new HashSet<(string, string)>();
+        }
+
+        var paths = normalizedPaths.Distinct(StringComparer.Ordinal).ToList();
+
+        await using var dbContext = await _dbContextFactory.CreateDbContextAsync(ct).ConfigureAwait(false);
+        var acknowledged = await dbContext.Acknowledgements
+            .AsNoTracking()
+            .Where(entry => entry.EmployeeNumber == trimmed && paths.Contains(entry.NormalizedPath))
+            .Select(entry => new { entry.NormalizedPath, entry.VersionId })
+            .ToListAsync(ct)
+            .ConfigureAwait(false);
+
+        return acknowledged
+            .Select(entry => (entry.NormalizedPath, entry.VersionId))
+            .ToHashSet();
+    }
+
+    public async Task<IReadOnlyList<AcknowledgementEntry>> GetAcknowledgementsAsync(string? normalizedPath, int take = 50, CancellationToken ct = default)
+    {
+        var limit = Math.Clamp(take, 1, MaxAcknowledgementTake);
+
+        await using var dbContext = await _dbContextFactory.CreateDbContextAsync(ct).ConfigureAwait(false);
+        var query = dbContext.Acknowledgements.AsNoTracking();
+        if (!string.IsNullOrWhiteSpace(normalizedPath))
+        {
+            query = query.Where(entry => entry.NormalizedPath == normalizedPath);
+        }
+
+        var entities = await query
+            .OrderByDescending(entry => entry.AcknowledgedAtUtc)
+            .ThenByDescending(entry => entry.Id)
+            .Take(limit)
+            .ToListAsync(ct)
+            .ConfigureAwait(false);
+
+        return entities.Select(ToEntry).ToList();
+    }
+
+    private static Task<AcknowledgementEntity?> FindAsync(AppDbContext dbContext, string normalizedPath, string versionId, string employeeNumber, CancellationToken ct)
+        => dbContext.Acknowledgements
+            .AsNoTracking()
+            .FirstOrDefaultAsync(entry => entry.NormalizedPath == normalizedPath
+                && entry.VersionId == versionId
+                && entry.EmployeeNumber == employeeNumber, ct);
+
+    private static AcknowledgementEntry ToEntry(AcknowledgementEntity entity)
+        => new(
+            entity.Id,
+            entity.AcknowledgedAtUtc,
+            entity.EmployeeNumber,
+            entity.NormalizedPath,
+            entity.DocumentCode,
+            entity.VersionId,
+            entity.Version);
+}
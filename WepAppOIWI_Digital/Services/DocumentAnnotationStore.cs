@@ -0,0 +1,344 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+using System.Security.Cryptography;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.DataProtection;
+using Microsoft.Extensions.Logging;
+
+namespace WepAppOIWI_Digital.Services;
+
+// เก็บ markup ของผู้ใช้บน PDF แยกตามเวอร์ชันเอกสาร: <root>/<document-code>/annotations/<versionId>.json
+public sealed class DocumentAnnotationStore
+{
+    private const int MaxAnnotationsPerVersion = 2000;
+    private const int MaxPointValues = 8000;
+    private const int MaxTextLength = 1000;
+    private const int MaxIdLength = 64;
+    private const int MaxAuthorLength = 64;
+    private const string AuthorSessionPurpose = "WepAppOIWI_Digital.Annotations.Author";
+    private static readonly TimeSpan AuthorSessionLifetime = TimeSpan.FromHours(12);
+
+    private static readonly HashSet<string> AllowedTypes = new(StringComparer.Ordinal)
+    {
+        "pen",
+        "rect",
+        "arrow",
+        "highlight",
+        "note"
+    };
+
+    private readonly DocumentCatalogService _catalogService;
+    private readonly ILogger<DocumentAnnotationStore> _logger;
+    private readonly ITimeLimitedDataProtector _authorProtector;
+    private readonly SemaphoreSlim _writeLock = new(1, 1);
+    private readonly JsonSerializerOptions _serializerOptions = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull,
+        WriteIndented = true
+    };
+
+    public DocumentAnnotationStore(
+        DocumentCatalogService catalogService,
+        IDataProtectionProvider dataProtectionProvider,
+        ILogger<DocumentAnnotationStore> logger)
+    {
+        _catalogService = catalogService;
+        _authorProtector = dataProtectionProvider.CreateProtector(AuthorSessionPurpose).ToTimeLimitedDataProtector();
+        _logger = logger;
+    }
+
+    // ยังไม่มีระบบล็อกอิน: viewer ขอ token ที่เข้ารหัสรหัสพนักงานจาก SetupStateStore ฝั่งเซิร์ฟเวอร์ไว้แนบกับคำขอบันทึก
+    // ผู้ใช้จึงอ้างเป็นเจ้าของ markup ของคนอื่นด้วยการแก้ข้อมูลในคำขอไม่ได้
+    public string? CreateAuthorSession(string? employeeNumber)
+    {
+        var author = employeeNumber?.Trim();
+        return string.IsNullOrEmpty(author) || author.Length > MaxAuthorLength
+            ? null
+            : _authorProtector.Protect(author, AuthorSessionLifetime);
+    }
+
+    public string? ReadAuthorSession(string? session)
+    {
+        if (string.IsNullOrWhiteSpace(session))
+        {
+            return null;
+        }
+
+        try
+        {
+            return _authorProtector.Unprotect(session);
+        }
+        catch (CryptographicException ex)
+        {
+            _logger.LogDebug(ex, "Ignoring an invalid or expired annotation author session.");
+            return null;
+        }
+    }
+
+    public async Task<DocumentAnnotationSet> GetAsync(string normalizedPath, string versionId, CancellationToken ct = default)
+    {
+        var empty = new DocumentAnnotationSet(versionId, Array.Empty<DocumentAnnotation>());
+        if (!VersionIdHelper.IsValid(versionId))
+        {
+            return empty;
+        }
+
+        try
+        {
+            var directory = await GetAnnotationDirectoryAsync(normalizedPath, ensureExists: false, ct).ConfigureAwait(false);
+            return string.IsNullOrEmpty(directory)
+                ? empty
+                : await ReadSetAsync(Path.Combine(directory, versionId + ".json"), versionId, ct).ConfigureAwait(false);
+        }
+        catch (OperationCanceledException)
+        {
+            throw;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to read annotations for {Path} version {VersionId}.", normalizedPath, versionId);
+            return empty;
+        }
+    }
+
+    // รวมการเปลี่ยนแปลงเข้ากับไฟล์ล่าสุดภายใต้ _writeLock: เพิ่ม/แทนที่ตาม Id และลบได้เฉพาะ markup ของ actor เอง
+    public async Task<AnnotationSaveResult> SaveAsync(
+        string normalizedPath,
+        string versionId,
+        IReadOnlyList<DocumentAnnotation>? added,
+        IReadOnlyList<string>? removed,
+        string? actor,
+        CancellationToken ct = default)
+    {
+        if (!VersionIdHelper.IsValid(versionId))
+        {
+            return AnnotationSaveResult.Failure("รหัสเวอร์ชันไม่ถูกต้อง");
+        }
+
+        var additions = added ?? Array.Empty<DocumentAnnotation>();
+        var removals = removed ?? Array.Empty<string>();
+        if (additions.Count > MaxAnnotationsPerVersion || removals.Count > MaxAnnotationsPerVersion)
+        {
+            return AnnotationSaveResult.Failure($"บันทึกได้ไม่เกิน {MaxAnnotationsPerVersion} รายการต่อเวอร์ชัน");
+        }
+
+        actor = string.IsNullOrWhiteSpace(actor) ? null : actor.Trim();
+        var sanitized = new List<DocumentAnnotation>(additions.Count);
+        foreach (var annotation in additions)
+        {
+            var error = Validate(annotation);
+            if (error is not null)
+            {
+                return AnnotationSaveResult.Failure(error);
+            }
+
+            sanitized.Add(annotation with
+            {
+                Id = string.IsNullOrWhiteSpace(annotation.Id) || annotation.Id.Length > MaxIdLength
+                    ? Guid.NewGuid().ToString("N")
+                    : annotation.Id,
+                Author = actor,
+                CreatedAtUtc = annotation.CreatedAtUtc ?? DateTimeOffset.UtcNow
+            });
+        }
+
+        string? tempPath = null;
+        await _writeLock.WaitAsync(ct).ConfigureAwait(false);
+        try
+        {
+            var directory = await GetAnnotationDirectoryAsync(normalizedPath, ensureExists: true, ct).ConfigureAwait(false);
+            if (string.IsNullOrEmpty(directory))
+            {
+                return AnnotationSaveResult.Failure("ไม่พบตำแหน่งจัดเก็บของเอกสาร");
+            }
+
+            var filePath = Path.Combine(directory, versionId + ".json");
+            var current = await ReadSetAsync(filePath, versionId, ct).ConfigureAwait(false);
+            var merged = current.Annotations.ToList();
+
+            var removedIds = new HashSet<string>(removals.Where(id => !string.IsNullOrEmpty(id)), StringComparer.Ordinal);
+            merged.RemoveAll(annotation => removedIds.Contains(annotation.Id) && IsOwnedBy(annotation, actor));
+
+            foreach (var annotation in sanitized)
+            {
+                var index = merged.FindIndex(existing => string.Equals(existing.Id, annotation.Id, StringComparison.Ordinal));
+                if (index < 0)
+                {
+                    merged.Add(annotation);
+                }
+                else if (IsOwnedBy(merged[index], actor))
+                {
+                    merged[index] = annotation with { CreatedAtUtc = merged[index].CreatedAtUtc ?? annotation.CreatedAtUtc };
+                }
+            }
+
+            if (merged.Count > MaxAnnotationsPerVersion)
+            {
+                return AnnotationSaveResult.Failure($"บันทึกได้ไม่เกิน {MaxAnnotationsPerVersion} รายการต่อเวอร์ชัน");
+            }
+
+            var set = new DocumentAnnotationSet(versionId, merged, DateTimeOffset.UtcNow, actor);
+
+            // เขียนไฟล์ชั่วคราวก่อนแล้วค่อยแทนที่ ไฟล์เดิมจะไม่เสียถ้าเขียนไม่สำเร็จกลางทาง
+            tempPath = $"{filePath}.tmp-{Guid.NewGuid():N}";
+            await using (var stream = new FileStream(tempPath, FileMode.CreateNew, FileAccess.Write, FileShare.None, 4096, useAsync: true))
+            {
+                await JsonSerializer.SerializeAsync(stream, set, _serializerOptions, ct).ConfigureAwait(false);
+            }
+
+            File.Move(tempPath, filePath, overwrite: true);
+            tempPath = null;
+            return AnnotationSaveResult.Success(set);
+        }
+        catch (OperationCanceledException)
+        {
+            throw;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save annotations for {Path} version {VersionId}.", normalizedPath, versionId);
+            return AnnotationSaveResult.Failure("ไม่สามารถบันทึกหมายเหตุบนเอกสารได้");
+        }
+        finally
+        {
+            _writeLock.Release();
+
+            if (tempPath is not null)
+            {
+                TryDeleteFile(tempPath);
+            }
+        }
+    }
+
+    // markup ที่ไม่มีผู้สร้าง (ไม่ได้ระบุรหัสพนักงาน) แก้ได้เฉพาะผู้ใช้ที่ไม่ระบุตัวตนเช่นกัน
+    private static bool IsOwnedBy(DocumentAnnotation annotation, string? actor)
+        => string.Equals(
+            string.IsNullOrWhiteSpace(annotation.Author) ? null : annotation.Author.Trim(),
+            actor,
+            StringComparison.OrdinalIgnoreCase);
+
+    private async Task<DocumentAnnotationSet> ReadSetAsync(string filePath, string versionId, CancellationToken ct)
+    {
+        if (!File.Exists(filePath))
+        {
+            return new DocumentAnnotationSet(versionId, Array.Empty<DocumentAnnotation>());
+        }
+
+        await using var stream = new FileStream(filePath, FileMode.Open, FileAccess.Read, FileShare.Read, 4096, useAsync: true);
+        var stored = await JsonSerializer.DeserializeAsync<DocumentAnnotationSet>(stream, _serializerOptions, ct).ConfigureAwait(false);
+        return stored is null
+            ? new DocumentAnnotationSet(versionId, Array.Empty<DocumentAnnotation>())
+            : stored with { VersionId = versionId, Annotations = stored.Annotations ?? Array.Empty<DocumentAnnotation>() };
+    }
+
+    private static string? Validate(DocumentAnnotation? annotation)
+    {
+        if (annotation is null)
+        {
+            return "ข้อมูลหมายเหตุไม่ถูกต้อง";
+        }
+
+        if (string.IsNullOrEmpty(annotation.Type) || !AllowedTypes.Contains(annotation.Type))
+        {
+            return $"ไม่รองรับเครื่องมือ '{annotation.Type}'";
+        }
+
+        if (annotation.Page < 1)
+        {
+            return "หมายเลขหน้าไม่ถูกต้อง";
+        }
+
+        var points = annotation.Points;
+        if (points is null || points.Count < 2 || points.Count % 2 != 0 || points.Count > MaxPointValues)
+        {
+            return "พิกัดของหมายเหตุไม่ถูกต้อง";
+        }
+
+        if (points.Any(value => !double.IsFinite(value)))
+        {
+            return "พิกัดของหมายเหตุไม่ถูกต้อง";
+        }
+
+        var expectedPoints = annotation.Type switch
+        {
+            "note" => 2,
+            "pen" => (int?)null,
+            _ => 4
+        };
+
+        if (expectedPoints.HasValue && points.Count != expectedPoints.Value)
+        {
+            return "พิกัดของหมายเหตุไม่ถูกต้อง";
+        }
+
+        if (annotation.Text is { Length: > MaxTextLength })
+        {
+            return $"ข้อความโน้ตยาวได้ไม่เกิน {MaxTextLength} ตัวอักษร";
+        }
+
+        if (annotation.StrokeWidth is { } width && (!double.IsFinite(width) || width <= 0 || width > 50))
+        {
+            return "ความหนาเส้นไม่ถูกต้อง";
+        }
+
+        return null;
+    }
+
+    private async Task<string?> GetAnnotationDirectoryAsync(string normalizedPath, bool ensureExists, CancellationToken ct)
+    {
+        var context = await _catalogService.EnsureCatalogContextAsync(ct).ConfigureAwait(false);
+        if (string.IsNullOrWhiteSpace(context.ActiveRootPath))
+        {
+            _logger.LogWarning("Catalog root is not configured. Cannot store annotations for {Path}.", normalizedPath);
+            return null;
+        }
+
+        var documentCode = ExtractDocumentCode(normalizedPath);
+        if (string.IsNullOrWhiteSpace(documentCode))
+        {
+            _logger.LogWarning("Cannot determine document code from {Path} while resolving annotation directory.", normalizedPath);
+            return null;
+        }
+
+        var directory = Path.Combine(_catalogService.GetDocumentRootDirectory(documentCode), "annotations");
+        if (ensureExists)
+        {
+            Directory.CreateDirectory(directory);
+        }
+
+        return directory;
+    }
+
+    private static string? ExtractDocumentCode(string normalizedPath)
+    {
+        if (string.IsNullOrWhiteSpace(normalizedPath))
+        {
+            return null;
+        }
+
+        var sanitized = normalizedPath.Replace(Path.DirectorySeparatorChar, Path.AltDirectorySeparatorChar);
+        var segments = sanitized.Split('/', StringSplitOptions.RemoveEmptyEntries);
+        return segments.Length > 0 ? segments[0] : null;
+    }
+
+    private static void TryDeleteFile(string path)
+    {
+        try
+        {
+            if (File.Exists(path))
+            {
+                File.Delete(path);
+            }
+        }
+        catch
+        {
+            // best-effort cleanup
+        }
+    }
+}
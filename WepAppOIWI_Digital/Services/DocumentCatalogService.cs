@@ -4,6 +4,8 @@ using System.Collections.Generic;
 using System.Globalization;
 using System.IO;
 using System.Linq;
+using System.Linq.Expressions;
+using System.Runtime.CompilerServices;
 using System.Text;
 using System.Text.Json;
 using System.Threading;
@@ -106,6 +108,24 @@ public sealed class DocumentCatalogService : IDisposable
     {
         AbsoluteExpirationRelativeToNow = TimeSpan.FromSeconds(30)
     };
+    private static readonly Expression<Func<DocumentEntity, OiwiRow>> OiwiRowProjection = static entity => new OiwiRow(
+        entity.NormalizedPath,
+        entity.DisplayName,
+        entity.Line ?? "-",
+        entity.Station ?? "-",
+        entity.Model ?? "-",
+        entity.Machine ?? "-",
+        entity.UpdatedAt,
+        entity.UploadedBy ?? "-",
+        entity.Comment ?? "-",
+        entity.DocumentType ?? "-",
+        entity.SequenceNumber,
+        entity.ActiveVersionId,
+        entity.DocumentCode,
+        entity.Version,
+        entity.StampMode,
+        entity.StampDate,
+        entity.LinkUrl);
     private static readonly MemoryCacheEntryOptions PageCacheOptions = new()
     {
         AbsoluteExpirationRelativeToNow = TimeSpan.FromSeconds(30)
@@ -187,6 +207,32 @@ public sealed class DocumentCatalogService : IDisposable
         return records;
     }
 
+    // เอกสารของสถานีงาน (Line/Station/Model) สำหรับ cache ออฟไลน์ เว้นว่างได้ทีละช่องแต่ต้องระบุอย่างน้อยหนึ่งช่อง
+    public async Task<IReadOnlyList<DocumentRecord>> GetStationDocumentsAsync(
+        string? line,
+        string? station,
+        string? model,
+        int take,
+        CancellationToken cancellationToken = default)
+    {
+        if (string.IsNullOrWhiteSpace(line) && string.IsNullOrWhiteSpace(station) && string.IsNullOrWhiteSpace(model))
+        {
+            return Array.Empty<DocumentRecord>();
+        }
+
+        var documents = await GetDocumentsAsync(cancellationToken).ConfigureAwait(false);
+        return documents
+            .Where(document => MatchesStationField(document.Line, line)
+                && MatchesStationField(document.Station, station)
+                && MatchesStationField(document.Model, model))
+            .Take(Math.Max(1, take))
+            .ToList();
+    }
+
+    private static bool MatchesStationField(string? value, string? filter)
+        => string.IsNullOrWhiteSpace(filter)
+            || string.Equals(value?.Trim(), filter.Trim(), StringComparison.OrdinalIgnoreCase);
+
     public async Task<PagedResult<OiwiRow>> GetOiwiPageAsync(
         int page,
         int pageSize,
@@ -222,24 +268,7 @@ public sealed class DocumentCatalogService : IDisposable
         var items = await query
             .Skip(skip)
             .Take(sanitizedPageSize)
-            .Select(static entity => new OiwiRow(
-                entity.NormalizedPath,
-                entity.DisplayName,
-                entity.Line ?? "-",
-                entity.Station ?? "-",
-                entity.Model ?? "-",
-                entity.Machine ?? "-",
-                entity.UpdatedAt,
-                entity.UploadedBy ?? "-",
-                entity.Comment ?? "-",
-                entity.DocumentType ?? "-",
-                entity.SequenceNumber,
-                entity.ActiveVersionId,
-                entity.DocumentCode,
-                entity.Version,
-                entity.StampMode,
-                entity.StampDate,
-                entity.LinkUrl))
+            .Select(OiwiRowProjection)
             .ToListAsync(cancellationToken)
             .ConfigureAwait(false);
 
@@ -250,6 +279,55 @@ public sealed class DocumentCatalogService : IDisposable
         return result;
     }
 
+    // ทุกแถวที่ตรงกับตัวกรอง/การเรียงของหน้า Home โดยไม่แบ่งหน้า (ไฟล์ส่งออก) อ่านจากฐานข้อมูลทีละแถวแทนการโหลดทั้งหมดเข้าหน่วยความจำ
+    public async IAsyncEnumerable<OiwiRow> StreamOiwiRowsAsync(
+        OiwiSearchFilters filters,
+        string? sortColumn,
+        bool sortDesc,
+        [EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        await using var dbContext = await _dbContextFactory.CreateDbContextAsync(cancellationToken).ConfigureAwait(false);
+        var query = dbContext.Documents.AsNoTracking();
+        query = ApplyFilters(query, filters);
+        query = ApplySort(query, sortColumn, sortDesc, IsSqliteProvider(dbContext));
+
+        await foreach (var row in query
+            .Select(OiwiRowProjection)
+            .AsAsyncEnumerable()
+            .WithCancellation(cancellationToken)
+            .ConfigureAwait(false))
+        {
+            yield return row;
+        }
+    }
+
+    // แถวล่าสุดของเอกสารที่ระบุ (หน้า Home อัปเดตเฉพาะแถวที่เปลี่ยน) เอกสารที่ถูกลบหรือไม่ตรงกับคำค้นแล้วจะไม่อยู่ในผลลัพธ์
+    public async Task<IReadOnlyDictionary<string, OiwiRow>> GetOiwiRowsAsync(
+        IReadOnlyCollection<string> normalizedPaths,
+        string? search,
+        CancellationToken cancellationToken = default)
+    {
+        if (normalizedPaths is null || normalizedPaths.Count == 0)
+        {
+            return new Dictionary<string, OiwiRow>(StringComparer.OrdinalIgnoreCase);
+        }
+
+        var paths = normalizedPaths.Distinct(StringComparer.OrdinalIgnoreCase).ToList();
+        var filters = ParseOiwiSearchQuery(search);
+
+        await using var dbContext = await _dbContextFactory.CreateDbContextAsync(cancellationToken).ConfigureAwait(false);
+        var query = dbContext.Documents.AsNoTracking()
+            .Where(entity => paths.Contains(entity.NormalizedPath));
+        query = ApplyFilters(query, filters);
+
+        var rows = await query
+            .Select(OiwiRowProjection)
+            .ToListAsync(cancellationToken)
+            .ConfigureAwait(false);
+
+        return rows.ToDictionary(static row => row.FileName, StringComparer.OrdinalIgnoreCase);
+    }
+
     private static int SanitizePageSize(int value)
     {
         if (Array.IndexOf(AllowedPageSizes, value) >= 0)
@@ -0,0 +1,41 @@
+using System;
+using System.Collections.Generic;
+using Microsoft.AspNetCore.StaticFiles;
+
+namespace WepAppOIWI_Digital.Services;
+
+// ประเภทไฟล์ที่แสดงตัวอย่างในหน้าเว็บได้: PDF ใช้ pdf.js ส่วนที่เหลือใช้ตัวแสดงผลใน wwwroot/js/documentRenderers.js
+internal static class DocumentPreviewTypes
+{
+    public const string Pdf = "application/pdf";
+
+    // ต้องตรงกับ contentTypes ที่ลงทะเบียนไว้ใน documentRenderers.js
+    private static readonly HashSet<string> RendererContentTypes = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "image/png",
+        "image/jpeg",
+        "image/gif",
+        "image/webp",
+        "image/bmp",
+        "text/plain",
+        "text/csv",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    };
+
+    private static readonly FileExtensionContentTypeProvider ContentTypeProvider = new();
+
+    public static bool IsPdf(string? contentType)
+        => string.Equals(Normalize(contentType), Pdf, StringComparison.OrdinalIgnoreCase);
+
+    public static bool CanPreview(string? contentType)
+        => IsPdf(contentType) || RendererContentTypes.Contains(Normalize(contentType));
+
+    // สำเนาออฟไลน์ที่เก็บไว้ก่อนมี header Content-Type ให้เดาจากนามสกุลไฟล์แทน
+    public static string? FromFileName(string? fileName)
+        => !string.IsNullOrWhiteSpace(fileName) && ContentTypeProvider.TryGetContentType(fileName, out var contentType)
+            ? contentType
+            : null;
+
+    private static string Normalize(string? contentType)
+        => (contentType ?? string.Empty).Split(';')[0].Trim();
+}
@@ -0,0 +1,214 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using WepAppOIWI_Digital.Data;
+
+namespace WepAppOIWI_Digital.Services;
+
+// พิมพ์เอกสารจาก viewer: ส่งไฟล์ที่ประทับตราแล้ว และบันทึกผู้พิมพ์/หน้าที่พิมพ์ไว้ให้ QA ตรวจสอบ
+public sealed class DocumentPrintService
+{
+    private const int MaxPageNumber = 10000;
+    private const int MaxEmployeeNumberLength = 64;
+    private const int MaxPrintLogTake = 500;
+
+    private readonly DocumentCatalogService _catalogService;
+    private readonly IPdfStampService _stampService;
+    private readonly IDbContextFactory<AppDbContext> _dbContextFactory;
+    private readonly ILogger<DocumentPrintService> _logger;
+
+    public DocumentPrintService(
+        DocumentCatalogService catalogService,
+        IPdfStampService stampService,
+        IDbContextFactory<AppDbContext> dbContextFactory,
+        ILogger<DocumentPrintService> logger)
+    {
+        _catalogService = catalogService;
+        _stampService = stampService;
+        _dbContextFactory = dbContextFactory;
+        _logger = logger;
+    }
+
+    // คืน null เมื่อไม่พบเอกสารหรือไม่ใช่ PDF (พิมพ์ได้เฉพาะ PDF ที่ผ่าน PdfStampService)
+    public async Task<StampedPdf?> GetStampedPdfAsync(string normalizedPath, CancellationToken ct = default)
+    {
+        var record = await _catalogService.TryGetDocumentAsync(normalizedPath, ct).ConfigureAwait(false);
+        var handle = await _catalogService.TryGetDocumentFileAsync(normalizedPath, ct).ConfigureAwait(false);
+        if (record is null || handle is null
+            || !string.Equals(handle.ContentType, "application/pdf", StringComparison.OrdinalIgnoreCase))
+        {
+            return null;
+        }
+
+        var content = await File.ReadAllBytesAsync(handle.PhysicalPath, ct).ConfigureAwait(false);
+        var stamped = await _stampService.ApplyStampAsync(content, record.StampMode, record.StampDate, ct).ConfigureAwait(false);
+        return new StampedPdf(stamped, handle.FileName);
+    }
+
+    public async Task<bool> LogPrintAsync(PrintLogRequest request, CancellationToken ct = default)
+    {
+        var employeeNumber = request.EmployeeNumber?.Trim();
+        if (string.IsNullOrEmpty(employeeNumber) || employeeNumber.Length > MaxEmployeeNumberLength
+            || string.IsNullOrWhiteSpace(request.NormalizedPath) || request.Pages.Count == 0)
+        {
+            return false;
+        }
+
+        try
+        {
+            await using var dbContext = await _dbContextFactory.CreateDbContextAsync(ct).ConfigureAwait(false);
+            dbContext.PrintLogs.Add(new PrintLogEntity
+            {
+                PrintedAtUtc = DateTimeOffset.UtcNow,
+                EmployeeNumber = employeeNumber,
+                NormalizedPath = request.NormalizedPath,
+                DocumentCode = string.IsNullOrWhiteSpace(request.DocumentCode) ? null : request.DocumentCode.Trim(),
+                VersionId = string.IsNullOrWhiteSpace(request.VersionId) ? null : request.VersionId,
+                Version = request.Version,
+                PageRange = FormatPageRange(request.Pages),
+                PageCount = request.Pages.Count,
+                StampMode = request.StampMode,
+                StampDate = request.StampDate
+            });
+            await dbContext.SaveChangesAsync(ct).ConfigureAwait(false);
+
+            _logger.LogInformation(
+                "Document {Path} ({DocumentCode} {VersionId}) printed by {EmployeeNumber}, pages {PageRange}.",
+                request.NormalizedPath,
+                request.DocumentCode,
+                request.VersionId,
+                employeeNumber,
+                FormatPageRange(request.Pages));
+            return true;
+        }
+        catch (OperationCanceledException)
+        {
+            throw;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to record print log for {Path}.", request.NormalizedPath);
+            return false;
+        }
+    }
+
+    public async Task<IReadOnlyList<PrintLogEntry>> GetPrintLogAsync(string? normalizedPath, int take = 50, CancellationToken ct = default)
+    {
+        var limit = Math.Clamp(take, 1, MaxPrintLogTake);
+
+        await using var dbContext = await _dbContextFactory.CreateDbContextAsync(ct).ConfigureAwait(false);
+        var query = dbContext.PrintLogs.AsNoTracking();
+        if (!string.IsNullOrWhiteSpace(normalizedPath))
+        {
+            query = query.Where(entry => entry.NormalizedPath == normalizedPath);
+        }
+
+        var entities = await query
+            .OrderByDescending(entry => entry.PrintedAtUtc)
+            .ThenByDescending(entry => entry.Id)
+            .Take(limit)
+            .ToListAsync(ct)
+            .ConfigureAwait(false);
+
+        return entities
+            .Select(entry => new PrintLogEntry(
+                entry.Id,
+                entry.PrintedAtUtc,
+                entry.EmployeeNumber,
+                entry.NormalizedPath,
+                entry.DocumentCode,
+                entry.VersionId,
+                entry.Version,
+                entry.PageRange,
+                entry.PageCount,
+                entry.StampMode,
+                entry.StampDate))
+            .ToList();
+    }
+
+    // รูปแบบช่วงหน้าแบบเครื่องพิมพ์ทั่วไป เช่น "1-3, 5, 8-10" (ไม่ตรวจจำนวนหน้าของไฟล์ที่นี่ ฝั่ง pdfViewer จะตัดหน้าที่เกินออกเอง)
+    public static bool TryParsePageRange(string? input, out IReadOnlyList<int> pages, out string? error)
+    {
+        pages = Array.Empty<int>();
+        error = null;
+
+        if (string.IsNullOrWhiteSpace(input))
+        {
+            error = "กรุณาระบุหน้าที่ต้องการพิมพ์";
+            return false;
+        }
+
+        var result = new SortedSet<int>();
+        foreach (var rawPart in input.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))
+        {
+            var bounds = rawPart.Split('-', StringSplitOptions.TrimEntries);
+            if (bounds.Length > 2
+                || !int.TryParse(bounds[0], NumberStyles.None, CultureInfo.InvariantCulture, out var start)
+                || start < 1
+                || start > MaxPageNumber)
+            {
+                error = $"ช่วงหน้า '{rawPart}' ไม่ถูกต้อง";
+                return false;
+            }
+
+            var end = start;
+            if (bounds.Length == 2
+                && (!int.TryParse(bounds[1], NumberStyles.None, CultureInfo.InvariantCulture, out end) || end < start || end > MaxPageNumber))
+            {
+                error = $"ช่วงหน้า '{rawPart}' ไม่ถูกต้อง";
+                return false;
+            }
+
+            for (var page = start; page <= end; page++)
+            {
+                result.Add(page);
+            }
+        }
+
+        if (result.Count == 0)
+        {
+            error = "กรุณาระบุหน้าที่ต้องการพิมพ์";
+            return false;
+        }
+
+        pages = result.ToList();
+        return true;
+    }
+
+    public static string FormatPageRange(IEnumerable<int> pages)
+    {
+        var parts = new List<string>();
+        int? rangeStart = null;
+        var previous = 0;
+
+        foreach (var page in pages.Distinct().OrderBy(page => page))
+        {
+            if (rangeStart is not null && page == previous + 1)
+            {
+                previous = page;
+                continue;
+            }
+
+            if (rangeStart is int start)
+            {
+                parts.Add(start == previous ? $"{start}" : $"{start}-{previous}");
+            }
+
+            rangeStart = page;
+            previous = page;
+        }
+
+        if (rangeStart is int last)
+        {
+            parts.Add(last == previous ? $"{last}" : $"{last}-{previous}");
+        }
+
+        return string.Join(",", parts);
+    }
+}
@@ -10,6 +10,7 @@ using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Options;
 using WepAppOIWI_Digital.Data;
+using WepAppOIWI_Digital.Helpers;
 using WepAppOIWI_Digital.Services;
 using WepAppOIWI_Digital.Stamps;
 
@@ -22,6 +23,7 @@ public sealed class DocumentUploadService
     private readonly ILogger<DocumentUploadService> _logger;
     private readonly IDbContextFactory<AppDbContext> _dbContextFactory;
     private readonly IVersionStore _versionStore; // จัดการ snapshot/version history
+    private readonly CatalogChangeNotifier _changeNotifier; // แจ้งหน้าที่เปิดค้างไว้ + ปลุก OiwiIndexer
     private readonly SemaphoreSlim _uploadLock = new(1, 1);
     private readonly JsonSerializerOptions _serializerOptions = new()
     {
@@ -36,13 +38,15 @@ public sealed class DocumentUploadService
         IOptions<DocumentCatalogOptions> options,
         ILogger<DocumentUploadService> logger,
         IDbContextFactory<AppDbContext> dbContextFactory,
-        IVersionStore versionStore)
+        IVersionStore versionStore,
+        CatalogChangeNotifier changeNotifier)
     {
         _catalogService = catalogService;
         _options = options.Value;
         _logger = logger;
         _dbContextFactory = dbContextFactory;
         _versionStore = versionStore;
+        _changeNotifier = changeNotifier;
     }
 
     // ประวัติย้อนหลังของไฟล์ พร้อม flag เวอร์ชันที่ใช้งานปัจจุบัน
@@ -63,6 +67,79 @@ public sealed class DocumentUploadService
         return descriptors;
     }
 
+    // ไฟล์ snapshot ของเวอร์ชันที่ระบุ (ใช้เปิดดู/เปรียบเทียบเวอร์ชันเก่าโดยไม่ต้องตั้งให้ใช้งาน)
+    public async Task<VersionSnapshotHandle?> TryGetVersionFileAsync(string normalizedPath, string versionId, CancellationToken ct = default)
+    {
+        if (string.IsNullOrWhiteSpace(normalizedPath) || string.IsNullOrWhiteSpace(versionId))
+        {
+            return null;
+        }
+
+        return await _versionStore.TryGetAsync(normalizedPath, versionId, ct).ConfigureAwait(false);
+    }
+
+    // เวอร์ชัน (รวมไฟล์ที่ใช้งานอยู่) ที่เนื้อไฟล์ตรงกับ MD5 ที่เบราว์เซอร์คำนวณไว้ก่อนอัปโหลด
+    // อ่านเฉพาะไฟล์ที่ขนาดเท่ากันเท่านั้น ไฟล์ขนาดต่างกันไม่มีทางซ้ำ
+    public async Task<IReadOnlyList<VersionHashMatch>> FindVersionsByHashAsync(string normalizedPath, string? md5, long size, CancellationToken ct = default)
+    {
+        if (string.IsNullOrWhiteSpace(normalizedPath) || !MD5Helper.IsValid(md5) || size <= 0)
+        {
+            return Array.Empty<VersionHashMatch>();
+        }
+
+        var matches = new List<VersionHashMatch>();
+        var descriptors = await LoadHistoryDescriptorsAsync(normalizedPath, ct).ConfigureAwait(false);
+
+        foreach (var descriptor in descriptors)
+        {
+            if (descriptor.SizeBytes is long knownSize && knownSize != size)
+            {
+                continue;
+            }
+
+            var filePath = string.Equals(descriptor.VersionId, "current", StringComparison.OrdinalIgnoreCase)
+                ? await ResolveActiveFilePathAsync(normalizedPath, ct).ConfigureAwait(false)
+                : (await _versionStore.TryGetAsync(normalizedPath, descriptor.VersionId, ct).ConfigureAwait(false))?.FilePath;
+
+            if (await FileMatchesHashAsync(filePath, md5!, size, ct).ConfigureAwait(false))
+            {
+                matches.Add(new VersionHashMatch(descriptor.VersionId, descriptor.TimestampUtc, descriptor.Actor, descriptor.IsActive));
+            }
+        }
+
+        return matches;
+    }
+
+    private async Task<string?> ResolveActiveFilePathAsync(string normalizedPath, CancellationToken ct)
+    {
+        var record = await _catalogService.TryGetDocumentAsync(normalizedPath, ct).ConfigureAwait(false);
+        var relativePath = string.IsNullOrWhiteSpace(record?.FileName) ? normalizedPath : record!.FileName;
+        return _catalogService.ResolveDocumentPhysicalPath(relativePath);
+    }
+
+    private async Task<bool> FileMatchesHashAsync(string? filePath, string md5, long size, CancellationToken ct)
+    {
+        try
+        {
+            if (string.IsNullOrEmpty(filePath) || !File.Exists(filePath) || new FileInfo(filePath).Length != size)
+            {
+                return false;
+            }
+
+            await using var stream = new FileStream(filePath, FileMode.Open, FileAccess.Read, FileShare.Read, 81920, useAsync: true);
+            return MD5Helper.AreEqual(await MD5Helper.GenerateAsync(stream, ct).ConfigureAwait(false), md5);
+        }
+        catch (OperationCanceledException)
+        {
+            throw;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogDebug(ex, "Failed to hash {FilePath} for duplicate detection.", filePath);
+            return false;
+        }
+    }
+
     public async Task<PagedResult<HistoryItem>> GetHistoryPageAsync(
         string normalizedPath,
         int page,
@@ -253,7 +330,12 @@ public sealed class DocumentUploadService
 
         var ok = await _versionStore.RestoreAsync(normalizedPath, versionId, physical, actor, comment, ct).ConfigureAwait(false);
 
-        if (ok) _catalogService.InvalidateCache();
+        if (ok)
+        {
+            _catalogService.InvalidateCache();
+            _changeNotifier.Publish(CatalogChangeKind.Updated, normalizedPath);
+        }
+
         return ok;
     }
 
@@ -506,6 +588,7 @@ public sealed class DocumentUploadService
 
             _catalogService.InvalidateCache();
             _logger.LogInformation("Set active version {Version} for {Path}", versionId, newRelativePath);
+            _changeNotifier.Publish(CatalogChangeKind.Activated, newRelativePath, normalizedPath, manifestUpdateResult.DocumentCode ?? documentCode, versionId);
 
             return VersionActivationResult.Success(versionId, request.UploadedAt, manifestUpdateResult.DocumentCode ?? documentCode, newRelativePath);
         }
@@ -808,6 +891,7 @@ public sealed class DocumentUploadService
             _catalogService.InvalidateCache();
 
             _logger.LogInformation("Uploaded document {Code} to {Path}", documentCode ?? "(no-code)", destinationPath);
+            _changeNotifier.Publish(CatalogChangeKind.Added, relativeFileName, documentCode: manifestUpdateResult.DocumentCode);
 
             return DocumentUploadResult.Success(
                 normalizedPath: relativeFileName,
@@ -1230,6 +1314,7 @@ public sealed class DocumentUploadService
                 TryDeleteFile(backupPath);
             }
 
+            var previousPath = normalizedPath;
             if (pathChanged || fileReplaced)
             {
                 normalizedPath = newRelativePath;
@@ -1238,6 +1323,7 @@ public sealed class DocumentUploadService
             _catalogService.InvalidateCache();
 
             _logger.LogInformation("Updated document {Code} -> {Path}", documentCode ?? "(no-code)", finalFullPath);
+            _changeNotifier.Publish(CatalogChangeKind.Updated, normalizedPath, previousPath, manifestUpdateResult.DocumentCode);
 
             return DocumentUpdateResult.Success(normalizedPath, manifestUpdateResult.DocumentType, manifestUpdateResult.SequenceNumber, manifestUpdateResult.DocumentCode);
         }
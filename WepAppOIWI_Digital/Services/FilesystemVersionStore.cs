@@ -92,7 +92,7 @@ public sealed class FilesystemVersionStore : IVersionStore
 
     public async Task<VersionSnapshotHandle?> TryGetAsync(string normalizedPath, string versionId, CancellationToken ct = default)
     {
-        if (string.IsNullOrWhiteSpace(versionId))
+        if (!VersionIdHelper.IsValid(versionId))
         {
             return null;
         }
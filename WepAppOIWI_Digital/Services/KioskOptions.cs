@@ -0,0 +1,13 @@
+namespace WepAppOIWI_Digital.Services;
+
+// หน้า /kiosk: เปิดเอกสารของ Work Order/สถานีที่ล็อกไว้ที่หน้า Setup วนแสดงเต็มจอ
+public sealed class KioskOptions
+{
+    // เวลาที่แสดงแต่ละหน้าก่อนเลื่อนไปหน้าถัดไป (เอกสารหลายหน้าแสดงทีละหน้าจนครบแล้วจึงไปเอกสารถัดไป)
+    public int PageSeconds { get; set; } = 20;
+
+    // ผู้ใช้แตะ/เลื่อน/กดปุ่มแล้วหยุดวนไว้ก่อน ไม่มีการใช้งานเกินเวลานี้จึงกลับไปวนตาม playlist
+    public int IdleTimeoutSeconds { get; set; } = 90;
+
+    public int MaxDocuments { get; set; } = 50;
+}
@@ -12,5 +12,19 @@ namespace WepAppOIWI_Digital.Helpers
             var hashBytes = md5.ComputeHash(bytes);
             return string.Concat(hashBytes.Select(b => b.ToString("X2")));
         }
+
+        // MD5 ของไฟล์ทั้งไฟล์ (ใช้ตรวจไฟล์ที่อัปโหลดกับค่าที่เบราว์เซอร์คำนวณมา และหาเวอร์ชันที่ซ้ำ)
+        public static async Task<string> GenerateAsync(Stream stream, CancellationToken cancellationToken = default)
+        {
+            var hashBytes = await MD5.HashDataAsync(stream, cancellationToken).ConfigureAwait(false);
+            return Convert.ToHexString(hashBytes);
+        }
+
+        public static bool IsValid(string? hash)
+            => hash is { Length: 32 } && hash.All(Uri.IsHexDigit);
+
+        // เบราว์เซอร์ส่งมาเป็นตัวพิมพ์เล็ก ฝั่งนี้สร้างเป็นตัวพิมพ์ใหญ่
+        public static bool AreEqual(string? left, string? right)
+            => IsValid(left) && IsValid(right) && string.Equals(left, right, StringComparison.OrdinalIgnoreCase);
     }
 }
\ No newline at end of file
@@ -0,0 +1,8 @@
+namespace WepAppOIWI_Digital.Services;
+
+public sealed class OfflineCacheOptions
+{
+    public bool Enabled { get; set; } = true;
+    public int MaxDocuments { get; set; } = 200;
+    public int RefreshMinutes { get; set; } = 15;
+}
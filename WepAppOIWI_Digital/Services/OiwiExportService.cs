@@ -0,0 +1,376 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.IO;
+using System.IO.Compression;
+using System.Linq;
+using System.Net;
+using System.Text;
+using System.Threading;
+using System.Threading.Tasks;
+using System.Xml;
+using Microsoft.Extensions.Logging;
+using WepAppOIWI_Digital.Stamps;
+
+namespace WepAppOIWI_Digital.Services;
+
+// ส่งออกรายการ OI/WI ตามตัวกรอง/การเรียงของหน้า Home (ทุกแถว ไม่ใช่เฉพาะหน้าที่เปิดอยู่) เป็น CSV/XLSX และหน้าดัชนีสำหรับพิมพ์
+public sealed class OiwiExportService
+{
+    public const string CsvContentType = "text/csv; charset=utf-8";
+    public const string XlsxContentType = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+    private const string SpreadsheetNamespace = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+    private const string XmlDeclaration = "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>\n";
+
+    // Excel เปิด CSV เป็นภาษาไทยได้ถูกต้องเมื่อไฟล์ขึ้นต้นด้วย BOM
+    private static readonly Encoding CsvEncoding = new UTF8Encoding(encoderShouldEmitUTF8Identifier: true);
+    private static readonly Encoding XmlEncoding = new UTF8Encoding(encoderShouldEmitUTF8Identifier: false);
+
+    private static readonly ExportColumn[] Columns =
+    {
+        new("เลขเอกสาร", row => DisplayOrDash(row.DocumentCode), 18),
+        new("OI/WI Name", row => row.DisplayName, 48),
+        new("Version", row => row.Version.ToString(CultureInfo.InvariantCulture), 10, IsNumber: true),
+        new("Document type", row => row.DocumentType, 14),
+        new("Line", row => row.Line, 12),
+        new("Station", row => row.Station, 16),
+        new("Model", row => row.Model, 16),
+        new("Machine name", row => row.Machine, 18),
+        new("Time", row => FormatTimestamp(row.UpdatedAt), 20),
+        new("Name", row => row.UploadedBy, 16),
+        new("Stamp info", row => StampDisplay.GetDisplayText(row.StampMode, row.StampDate), 40),
+        new("Comment", row => row.Comment, 40),
+        new("Path", row => row.FileName, 48)
+    };
+
+    private readonly DocumentCatalogService _catalogService;
+    private readonly ILogger<OiwiExportService> _logger;
+
+    public OiwiExportService(DocumentCatalogService catalogService, ILogger<OiwiExportService> logger)
+    {
+        _catalogService = catalogService;
+        _logger = logger;
+    }
+
+    public static bool TryParseFormat(string? value, out OiwiExportFormat format)
+    {
+        format = OiwiExportFormat.Csv;
+        if (string.IsNullOrWhiteSpace(value) || string.Equals(value, "csv", StringComparison.OrdinalIgnoreCase))
+        {
+            return true;
+        }
+
+        if (string.Equals(value, "xlsx", StringComparison.OrdinalIgnoreCase))
+        {
+            format = OiwiExportFormat.Xlsx;
+            return true;
+        }
+
+        return false;
+    }
+
+    public static string BuildFileName(OiwiExportFormat format, DateTimeOffset exportedAt)
+        => $"oiwi-list-{exportedAt.ToLocalTime():yyyyMMdd-HHmm}.{(format == OiwiExportFormat.Xlsx ? "xlsx" : "csv")}";
+
+    public async Task<int> WriteCsvAsync(Stream output, OiwiSearchFilters filters, string? sortColumn, bool sortDesc, CancellationToken ct = default)
+    {
+        var count = 0;
+        await using var writer = new StreamWriter(output, CsvEncoding, bufferSize: 16 * 1024, leaveOpen: true) { NewLine = "\r\n" };
+        await writer.WriteLineAsync(string.Join(',', new[] { "No." }.Concat(Columns.Select(column => column.Header)).Select(EscapeCsv))).ConfigureAwait(false);
+
+        await foreach (var row in _catalogService.StreamOiwiRowsAsync(filters, sortColumn, sortDesc, ct).ConfigureAwait(false))
+        {
+            count++;
+            var values = new[] { count.ToString(CultureInfo.InvariantCulture) }
+                .Concat(Columns.Select(column => column.IsNumber ? column.Value(row) : EscapeCsv(GuardFormula(column.Value(row)))));
+            await writer.WriteLineAsync(string.Join(',', values)).ConfigureAwait(false);
+        }
+
+        await writer.FlushAsync().ConfigureAwait(false);
+        _logger.LogInformation("Exported {Count} OI/WI row(s) as CSV.", count);
+        return count;
+    }
+
+    // ZipArchive เขียน central directory แบบ synchronous ตอนปิด (Kestrel ไม่อนุญาตบน response) จึงประกอบไฟล์ใน temp file ก่อนแล้วค่อยส่ง
+    public async Task<int> WriteXlsxAsync(Stream output, OiwiSearchFilters filters, string? sortColumn, bool sortDesc, CancellationToken ct = default)
+    {
+        var count = 0;
+        var tempPath = Path.Combine(Path.GetTempPath(), $"oiwi-export-{Guid.NewGuid():N}.xlsx");
+        await using var buffer = new FileStream(tempPath, FileMode.CreateNew, FileAccess.ReadWrite, FileShare.None, 81920,
+            FileOptions.Asynchronous | FileOptions.DeleteOnClose);
+
+        using (var archive = new ZipArchive(buffer, ZipArchiveMode.Create, leaveOpen: true))
+        {
+            WriteStaticEntry(archive, "[Content_Types].xml",
+                "<Types xmlns=\"http://schemas.openxmlformats.org/package/2006/content-types\">"
+                + "<Default Extension=\"rels\" ContentType=\"application/vnd.openxmlformats-package.relationships+xml\"/>"
+                + "<Default Extension=\"xml\" ContentType=\"application/xml\"/>"
+                + "<Override PartName=\"/xl/workbook.xml\" ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml\"/>"
+                + "<Override PartName=\"/xl/worksheets/sheet1.xml\" ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml\"/>"
+                + "<Override PartName=\"/xl/styles.xml\" ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml\"/>"
+                + "</Types>");
+            WriteStaticEntry(archive, "_rels/.rels",
+                "<Relationships xmlns=\"http://schemas.openxmlformats.org/package/2006/relationships\">"
+                + "<Relationship Id=\"rId1\" Type=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument\" Target=\"xl/workbook.xml\"/>"
+                + "</Relationships>");
+            WriteStaticEntry(archive, "xl/workbook.xml",
+                $"<workbook xmlns=\"{SpreadsheetNamespace}\" xmlns:r=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships\">"
+                + "<sheets><sheet name=\"OIWI\" sheetId=\"1\" r:id=\"rId1\"/></sheets>"
+                + "</workbook>");
+            WriteStaticEntry(archive, "xl/_rels/workbook.xml.rels",
+                "<Relationships xmlns=\"http://schemas.openxmlformats.org/package/2006/relationships\">"
+                + "<Relationship Id=\"rId1\" Type=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet\" Target=\"worksheets/sheet1.xml\"/>"
+                + "<Relationship Id=\"rId2\" Type=\"http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles\" Target=\"styles.xml\"/>"
+                + "</Relationships>");
+            // style 1 = หัวตารางตัวหนา
+            WriteStaticEntry(archive, "xl/styles.xml",
+                $"<styleSheet xmlns=\"{SpreadsheetNamespace}\">"
+                + "<fonts count=\"2\"><font><sz val=\"11\"/><name val=\"Tahoma\"/></font><font><b/><sz val=\"11\"/><name val=\"Tahoma\"/></font></fonts>"
+                + "<fills count=\"2\"><fill><patternFill patternType=\"none\"/></fill><fill><patternFill patternType=\"gray125\"/></fill></fills>"
+                + "<borders count=\"1\"><border><left/><right/><top/><bottom/><diagonal/></border></borders>"
+                + "<cellStyleXfs count=\"1\"><xf numFmtId=\"0\" fontId=\"0\" fillId=\"0\" borderId=\"0\"/></cellStyleXfs>"
+                + "<cellXfs count=\"2\"><xf numFmtId=\"0\" fontId=\"0\" fillId=\"0\" borderId=\"0\" xfId=\"0\"/>"
+                + "<xf numFmtId=\"0\" fontId=\"1\" fillId=\"0\" borderId=\"0\" xfId=\"0\" applyFont=\"1\"/></cellXfs>"
+                + "<cellStyles count=\"1\"><cellStyle name=\"Normal\" xfId=\"0\" builtinId=\"0\"/></cellStyles>"
+                + "</styleSheet>");
+
+            var sheetEntry = archive.CreateEntry("xl/worksheets/sheet1.xml", CompressionLevel.Fastest);
+            await using (var sheetStream = sheetEntry.Open())
+            await using (var xml = XmlWriter.Create(sheetStream, new XmlWriterSettings { Async = true, Encoding = XmlEncoding }))
+            {
+                await xml.WriteStartDocumentAsync(standalone: true).ConfigureAwait(false);
+                xml.WriteStartElement("worksheet", SpreadsheetNamespace);
+
+                // ตรึงแถวหัวตารางไว้ตอนเลื่อน
+                xml.WriteStartElement("sheetViews");
+                xml.WriteStartElement("sheetView");
+                xml.WriteAttributeString("workbookViewId", "0");
+                xml.WriteStartElement("pane");
+                xml.WriteAttributeString("ySplit", "1");
+                xml.WriteAttributeString("topLeftCell", "A2");
+                xml.WriteAttributeString("activePane", "bottomLeft");
+                xml.WriteAttributeString("state", "frozen");
+                xml.WriteEndElement();
+                xml.WriteEndElement();
+                xml.WriteEndElement();
+
+                xml.WriteStartElement("cols");
+                WriteColumnWidth(xml, 1, 8);
+                for (var index = 0; index < Columns.Length; index++)
+                {
+                    WriteColumnWidth(xml, index + 2, Columns[index].Width);
+                }
+                xml.WriteEndElement();
+
+                xml.WriteStartElement("sheetData");
+                xml.WriteStartElement("row");
+                WriteTextCell(xml, "No.", style: 1);
+                foreach (var column in Columns)
+                {
+                    WriteTextCell(xml, column.Header, style: 1);
+                }
+                xml.WriteEndElement();
+
+                await foreach (var row in _catalogService.StreamOiwiRowsAsync(filters, sortColumn, sortDesc, ct).ConfigureAwait(false))
+                {
+                    count++;
+                    xml.WriteStartElement("row");
+                    WriteNumberCell(xml, count.ToString(CultureInfo.InvariantCulture));
+                    foreach (var column in Columns)
+                    {
+                        if (column.IsNumber)
+                        {
+                            WriteNumberCell(xml, column.Value(row));
+                        }
+                        else
+                        {
+                            WriteTextCell(xml, column.Value(row));
+                        }
+                    }
+                    xml.WriteEndElement();
+
+                    if (count % 500 == 0)
+                    {
+                        await xml.FlushAsync().ConfigureAwait(false);
+                    }
+                }
+
+                xml.WriteEndElement();
+                xml.WriteEndElement();
+                await xml.WriteEndDocumentAsync().ConfigureAwait(false);
+                await xml.FlushAsync().ConfigureAwait(false);
+            }
+        }
+
+        buffer.Position = 0;
+        await buffer.CopyToAsync(output, ct).ConfigureAwait(false);
+        _logger.LogInformation("Exported {Count} OI/WI row(s) as XLSX ({Bytes} bytes).", count, buffer.Length);
+        return count;
+    }
+
+    // หน้า HTML สำหรับพิมพ์ (เลขเอกสาร/เวอร์ชัน/ตราประทับ) ให้ผู้ตรวจ audit เซ็นกำกับได้
+    public async Task<int> WriteIndexHtmlAsync(Stream output, OiwiSearchFilters filters, string? sortColumn, bool sortDesc, CancellationToken ct = default)
+    {
+        var count = 0;
+        var generatedAt = DateTimeOffset.Now;
+        await using var writer = new StreamWriter(output, XmlEncoding, bufferSize: 16 * 1024, leaveOpen: true);
+
+        await writer.WriteAsync($$"""
+            <!DOCTYPE html>
+            <html lang="th">
+            <head>
+            <meta charset="utf-8" />
+            <title>ดัชนีเอกสาร OI/WI</title>
+            <style>
+                @page { size: A4 landscape; margin: 12mm; }
+                body { font-family: "IBM Plex Sans Thai", Tahoma, sans-serif; font-size: 12px; color: #212529; margin: 16px; }
+                h1 { font-size: 18px; margin: 0 0 4px; }
+                .meta { margin: 0 0 12px; color: #495057; }
+                table { width: 100%; border-collapse: collapse; }
+                th, td { border: 1px solid #adb5bd; padding: 4px 6px; text-align: left; vertical-align: top; }
+                th { background: #e9ecef; }
+                thead { display: table-header-group; }
+                tr { page-break-inside: avoid; }
+                .num { text-align: right; white-space: nowrap; }
+                .toolbar { margin-bottom: 12px; }
+                @media print { .toolbar { display: none; } body { margin: 0; } }
+            </style>
+            </head>
+            <body>
+            <div class="toolbar"><button type="button" onclick="window.print()">🖨️ พิมพ์</button></div>
+            <h1>ดัชนีเอกสาร OI/WI</h1>
+            <p class="meta">ตัวกรอง: {{Encode(DescribeFilters(filters))}} · พิมพ์เมื่อ {{Encode(generatedAt.ToString("yyyy-MM-dd HH:mm", CultureInfo.InvariantCulture))}}</p>
+            <table>
+            <thead><tr><th class="num">No.</th><th>เลขเอกสาร</th><th>OI/WI Name</th><th class="num">Version</th><th>Line</th><th>Station</th><th>Model</th><th>Time</th><th>Stamp info</th></tr></thead>
+            <tbody>
+
+            """).ConfigureAwait(false);
+
+        await foreach (var row in _catalogService.StreamOiwiRowsAsync(filters, sortColumn, sortDesc, ct).ConfigureAwait(false))
+        {
+            count++;
+            await writer.WriteAsync(
+                $"<tr><td class=\"num\">{count}</td><td>{Encode(DisplayOrDash(row.DocumentCode))}</td><td>{Encode(row.DisplayName)}</td>"
+                + $"<td class=\"num\">{row.Version.ToString(CultureInfo.InvariantCulture)}</td><td>{Encode(row.Line)}</td><td>{Encode(row.Station)}</td>"
+                + $"<td>{Encode(row.Model)}</td><td>{Encode(FormatTimestamp(row.UpdatedAt))}</td>"
+                + $"<td>{Encode(StampDisplay.GetDisplayText(row.StampMode, row.StampDate))}</td></tr>\n").ConfigureAwait(false);
+        }
+
+        if (count == 0)
+        {
+            await writer.WriteAsync("<tr><td colspan=\"9\">ไม่พบเอกสารที่ตรงกับคำค้นหา</td></tr>\n").ConfigureAwait(false);
+        }
+
+        await writer.WriteAsync($"</tbody>\n</table>\n<p class=\"meta\">รวม {count.ToString("N0", CultureInfo.InvariantCulture)} รายการ</p>\n</body>\n</html>\n").ConfigureAwait(false);
+        await writer.FlushAsync().ConfigureAwait(false);
+        return count;
+    }
+
+    private static void WriteStaticEntry(ZipArchive archive, string name, string content)
+    {
+        var entry = archive.CreateEntry(name, CompressionLevel.Fastest);
+        using var stream = entry.Open();
+        var bytes = XmlEncoding.GetBytes(XmlDeclaration + content);
+        stream.Write(bytes, 0, bytes.Length);
+    }
+
+    private static void WriteColumnWidth(XmlWriter xml, int index, int width)
+    {
+        xml.WriteStartElement("col");
+        xml.WriteAttributeString("min", index.ToString(CultureInfo.InvariantCulture));
+        xml.WriteAttributeString("max", index.ToString(CultureInfo.InvariantCulture));
+        xml.WriteAttributeString("width", width.ToString(CultureInfo.InvariantCulture));
+        xml.WriteAttributeString("customWidth", "1");
+        xml.WriteEndElement();
+    }
+
+    // inline string ไม่ต้องสร้าง sharedStrings.xml จึงเขียนต่อทีละแถวได้
+    private static void WriteTextCell(XmlWriter xml, string? value, int style = 0)
+    {
+        xml.WriteStartElement("c");
+        xml.WriteAttributeString("t", "inlineStr");
+        if (style > 0)
+        {
+            xml.WriteAttributeString("s", style.ToString(CultureInfo.InvariantCulture));
+        }
+
+        xml.WriteStartElement("is");
+        xml.WriteStartElement("t");
+        xml.WriteAttributeString("xml", "space", null, "preserve");
+        xml.WriteString(RemoveInvalidXmlChars(value ?? string.Empty));
+        xml.WriteEndElement();
+        xml.WriteEndElement();
+        xml.WriteEndElement();
+    }
+
+    private static void WriteNumberCell(XmlWriter xml, string value)
+    {
+        xml.WriteStartElement("c");
+        xml.WriteElementString("v", value);
+        xml.WriteEndElement();
+    }
+
+    private static string RemoveInvalidXmlChars(string value)
+    {
+        if (value.All(XmlConvert.IsXmlChar))
+        {
+            return value;
+        }
+
+        return new string(value.Where(XmlConvert.IsXmlChar).ToArray());
+    }
+
+    private static string EscapeCsv(string? value)
+    {
+        value ??= string.Empty;
+        return value.IndexOfAny(new[] { ',', '"', '\r', '\n' }) >= 0
+            ? $"\"{value.Replace("\"", "\"\"")}\""
+            : value;
+    }
+
+    // กัน Excel ตีความชื่อ/Comment ที่ขึ้นต้นด้วย = + - @ เป็นสูตร (ค่าว่างที่แสดงเป็น "-" ไม่ต้องแก้)
+    private static string GuardFormula(string value)
+        => value.Length > 1 && value[0] is '=' or '+' or '-' or '@' or '\t' or '\r'
+            ? "'" + value
+            : value;
+
+    private static string DescribeFilters(OiwiSearchFilters filters)
+    {
+        var parts = new List<string>();
+
+        void Add(string label, string? value)
+        {
+            if (!string.IsNullOrWhiteSpace(value))
+            {
+                parts.Add($"{label} {value.Trim()}");
+            }
+        }
+
+        Add("คำค้น", filters.Keyword);
+        Add("Type", filters.DocumentType);
+        Add("Line", filters.Line);
+        Add("Station", filters.Station);
+        Add("Model", filters.Model);
+        Add("ผู้บันทึก", filters.Uploader);
+
+        return parts.Count == 0 ? "ทั้งหมด" : string.Join(", ", parts);
+    }
+
+    private static string Encode(string? value) => WebUtility.HtmlEncode(value ?? string.Empty);
+
+    private static string DisplayOrDash(string? value) => string.IsNullOrWhiteSpace(value) ? "-" : value;
+
+    private static string FormatTimestamp(DateTimeOffset? timestamp)
+        => timestamp.HasValue
+            ? timestamp.Value.ToLocalTime().ToString("yyyy-MM-dd HH:mm:ss", CultureInfo.InvariantCulture)
+            : "-";
+
+    private sealed record ExportColumn(string Header, Func<OiwiRow, string> Value, int Width, bool IsNumber = false);
+}
+
+public enum OiwiExportFormat
+{
+    Csv,
+    Xlsx
+}
@@ -9,21 +9,58 @@ namespace WepAppOIWI_Digital.Services;
 
 public sealed class OiwiIndexer : BackgroundService
 {
+    // รอให้การอัปโหลดหลายไฟล์ติดกันเสร็จก่อน แล้วค่อย index รอบเดียว
+    private static readonly TimeSpan WakeDebounce = TimeSpan.FromSeconds(2);
+
     private readonly IOiwiIndexingService _indexingService;
     private readonly ILogger<OiwiIndexer> _logger;
     private readonly IOptionsMonitor<OiwiOptions> _options;
     private readonly IOptionsMonitor<OiwiIndexerOptions> _indexerOptions;
+    private readonly CatalogChangeNotifier _changeNotifier;
+    private readonly SemaphoreSlim _wakeSignal = new(0, 1);
 
     public OiwiIndexer(
         IOiwiIndexingService indexingService,
         ILogger<OiwiIndexer> logger,
         IOptionsMonitor<OiwiOptions> options,
-        IOptionsMonitor<OiwiIndexerOptions> indexerOptions)
+        IOptionsMonitor<OiwiIndexerOptions> indexerOptions,
+        CatalogChangeNotifier changeNotifier)
     {
         _indexingService = indexingService;
         _logger = logger;
         _options = options;
         _indexerOptions = indexerOptions;
+        _changeNotifier = changeNotifier;
+    }
+
+    public override Task StartAsync(CancellationToken cancellationToken)
+    {
+        _changeNotifier.Published += OnCatalogChanged;
+        return base.StartAsync(cancellationToken);
+    }
+
+    public override async Task StopAsync(CancellationToken cancellationToken)
+    {
+        _changeNotifier.Published -= OnCatalogChanged;
+        await base.StopAsync(cancellationToken).ConfigureAwait(false);
+    }
+
+    // อัปโหลด/แก้ไข/ตั้งเวอร์ชันผ่านเว็บ: index ทันทีแทนการรอรอบถัดไป หน้า Home จะได้เห็นแถวใหม่เร็วขึ้น
+    private void OnCatalogChanged(CatalogChange change)
+    {
+        if (change.FromIndex)
+        {
+            return;
+        }
+
+        try
+        {
+            _wakeSignal.Release();
+        }
+        catch (SemaphoreFullException)
+        {
+            // มีสัญญาณค้างอยู่แล้ว
+        }
     }
 
     protected override async Task ExecuteAsync(CancellationToken stoppingToken)
@@ -59,7 +96,12 @@ public sealed class OiwiIndexer : BackgroundService
 
             try
             {
-                await Task.Delay(TimeSpan.FromSeconds(intervalSeconds), stoppingToken).ConfigureAwait(false);
+                if (await _wakeSignal.WaitAsync(TimeSpan.FromSeconds(intervalSeconds), stoppingToken).ConfigureAwait(false))
+                {
+                    await Task.Delay(WakeDebounce, stoppingToken).ConfigureAwait(false);
+                    _wakeSignal.Wait(0);
+                    _logger.LogDebug("OI/WI indexer woken by a catalog change.");
+                }
             }
             catch (OperationCanceledException)
             {
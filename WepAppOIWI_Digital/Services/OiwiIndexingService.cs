@@ -30,18 +30,24 @@ public sealed class OiwiIndexingService : IOiwiIndexingService
     private readonly IDbContextFactory<AppDbContext> _dbContextFactory;
     private readonly ILogger<OiwiIndexingService> _logger;
     private readonly IOptionsMonitor<OiwiOptions> _options;
+    private readonly CatalogChangeNotifier _changeNotifier;
     private readonly SemaphoreSlim _mutex = new(1, 1);
 
+    // เปลี่ยนมากกว่านี้ในรอบเดียว (เช่น index ครั้งแรก/ย้ายโฟลเดอร์) แจ้งเป็น Refresh ครั้งเดียวแทนทีละแถว
+    private const int MaxRowChangesPerRun = 200;
+
     public OiwiIndexingService(
         DocumentCatalogService catalog,
         IDbContextFactory<AppDbContext> dbContextFactory,
         ILogger<OiwiIndexingService> logger,
-        IOptionsMonitor<OiwiOptions> options)
+        IOptionsMonitor<OiwiOptions> options,
+        CatalogChangeNotifier changeNotifier)
     {
         _catalog = catalog;
         _dbContextFactory = dbContextFactory;
         _logger = logger;
         _options = options;
+        _changeNotifier = changeNotifier;
     }
 
     public async Task<OiwiIndexingResult> RefreshIndexAsync(CancellationToken cancellationToken = default)
@@ -144,6 +150,7 @@ public sealed class OiwiIndexingService : IOiwiIndexingService
             var pendingSaves = 0;
             var added = 0;
             var updated = 0;
+            var changes = new List<(CatalogChangeKind Kind, DocumentEntity Entity)>();
 
             foreach (var result in scanResults.OrderBy(static r => r.NormalizedPath, StringComparer.OrdinalIgnoreCase))
             {
@@ -180,6 +187,7 @@ public sealed class OiwiIndexingService : IOiwiIndexingService
                         updated++;
                     }
 
+                    changes.Add((isNew ? CatalogChangeKind.Added : CatalogChangeKind.Updated, entity));
                     pendingSaves++;
                 }
 
@@ -206,11 +214,13 @@ public sealed class OiwiIndexingService : IOiwiIndexingService
                 dbContext.Documents.RemoveRange(removals);
                 removed = removals.Count;
                 await dbContext.SaveChangesAsync(cancellationToken).ConfigureAwait(false);
+                changes.AddRange(removals.Select(static entity => (CatalogChangeKind.Removed, entity)));
             }
 
             if (added > 0 || updated > 0 || removed > 0)
             {
                 _catalog.InvalidateCache();
+                PublishChanges(changes);
             }
 
             var resultSummary = new OiwiIndexingResult(processed.Count, added, updated, removed);
@@ -238,6 +248,26 @@ public sealed class OiwiIndexingService : IOiwiIndexingService
         }
     }
 
+    // แจ้งหลังบันทึกลงตาราง Documents แล้ว หน้า Home จึงอ่านแถวใหม่ได้ทันที
+    private void PublishChanges(IReadOnlyList<(CatalogChangeKind Kind, DocumentEntity Entity)> changes)
+    {
+        if (changes.Count > MaxRowChangesPerRun)
+        {
+            _changeNotifier.Publish(CatalogChangeKind.Refresh, null, fromIndex: true);
+            return;
+        }
+
+        foreach (var (kind, entity) in changes)
+        {
+            _changeNotifier.Publish(
+                kind,
+                entity.NormalizedPath,
+                documentCode: entity.DocumentCode,
+                activeVersionId: entity.ActiveVersionId,
+                fromIndex: true);
+        }
+    }
+
     private static string NormalizePath(string path)
         => path.Replace(Path.DirectorySeparatorChar, Path.AltDirectorySeparatorChar).Trim();
 
@@ -0,0 +1,264 @@
+using System;
+using System.Collections.Generic;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Components;
+using Microsoft.JSInterop;
+
+namespace WepAppOIWI_Digital.Services;
+
+// ตัวห่อ wwwroot/js/pdfViewerInterop.js (ES module) ที่ import ครั้งเดียวต่อ circuit เหมือน ExampleJsInterop ของ WorkOrder.Module (import ไม่สำเร็จจะลองใหม่ในการเรียกครั้งถัดไป)
+// เมื่อฝั่ง JS ทำงานไม่สำเร็จจะโยน PdfViewerException พร้อมรหัสสาเหตุ แทนการคืนค่า 0/null เงียบ ๆ
+public sealed class PdfViewerInterop : IAsyncDisposable
+{
+    private const string ModulePath = "./js/pdfViewerInterop.js";
+
+    private readonly IJSRuntime _jsRuntime;
+    private readonly object _moduleLock = new();
+    private Task<IJSObjectReference>? _moduleTask;
+
+    public PdfViewerInterop(IJSRuntime jsRuntime)
+    {
+        _jsRuntime = jsRuntime;
+    }
+
+    // รอจน pdf.js โหลดเสร็จ (โยน LibLoadFailed เมื่อโหลดไม่ได้จากทุกแหล่ง)
+    public Task ReadyAsync() => CallAsync<bool>("ready");
+
+    // คืน false เมื่อถูกแทนที่ด้วยการ render/dispose รอบใหม่ของ container เดียวกันก่อนเสร็จ
+    public Task<bool> RenderAsync(string source, string containerId, object? options = null, CancellationToken cancellationToken = default)
+        => CallAsync<bool>("render", cancellationToken, source, containerId, options);
+
+    // ตอบคำขอรหัสผ่านที่ได้รับทาง OnPdfPasswordRequiredFromJsAsync (รหัสผิด pdf.js จะถามซ้ำพร้อม incorrect = true)
+    public Task<bool> SubmitPasswordAsync(string containerId, string password)
+        => CallAsync<bool>("submitPassword", containerId, password);
+
+    // ยกเลิกแล้ว RenderAsync จะจบด้วย PasswordRequired
+    public Task<bool> CancelPasswordAsync(string containerId) => CallAsync<bool>("cancelPassword", containerId);
+
+    public Task DisposeViewAsync(string containerId) => CallAsync<object>("dispose", containerId);
+
+    public Task InitializeFullScreenAsync(object dotNetRef, string hostId, string viewerId)
+        => CallAsync<object>("initializeFullScreen", dotNetRef, hostId, viewerId);
+
+    public Task DisposeFullScreenAsync(string hostId) => CallAsync<object>("disposeFullScreen", hostId);
+
+    // คืน false เมื่อเบราว์เซอร์ไม่ให้เต็มจอจริง (ใช้ overlay แทน)
+    public Task<bool> RequestFullScreenAsync(string hostId) => CallAsync<bool>("requestFullScreen", hostId);
+
+    public Task ExitFullScreenAsync(string hostId) => CallAsync<object>("exitFullScreen", hostId);
+
+    public Task FocusFullScreenHostAsync(string hostId) => CallAsync<object>("focusFullScreenHost", hostId);
+
+    public Task ZoomInAsync(string containerId) => CallAsync<object>("zoomIn", containerId);
+
+    public Task ZoomOutAsync(string containerId) => CallAsync<object>("zoomOut", containerId);
+
+    public Task FitWidthAsync(string containerId) => CallAsync<object>("fitWidth", containerId);
+
+    public Task FitPageAsync(string containerId) => CallAsync<object>("fitPage", containerId);
+
+    public Task ActualSizeAsync(string containerId) => CallAsync<object>("actualSize", containerId);
+
+    public Task RotateAsync(string containerId, int degrees) => CallAsync<object>("rotate", containerId, degrees);
+
+    public Task<bool> SetPresentationModeAsync(string containerId, bool enabled, int pageNumber)
+        => CallAsync<bool>("setPresentationMode", containerId, enabled, pageNumber);
+
+    public Task<int> LoadAnnotationsAsync(string containerId, string url, object? options = null)
+        => CallAsync<int>("loadAnnotations", containerId, url, options);
+
+    public Task<string?> SetAnnotationToolAsync(string containerId, string? tool, string? color)
+        => CallAsync<string?>("setAnnotationTool", containerId, tool, color);
+
+    public Task UndoAnnotationAsync(string containerId) => CallAsync<object>("undoAnnotation", containerId);
+
+    // true เมื่อไม่มี markup ค้างบันทึก
+    public Task<bool> SaveAnnotationsAsync(string containerId) => CallAsync<bool>("saveAnnotations", containerId);
+
+    public Task<bool> LinkViewsAsync(string leftId, string rightId) => CallAsync<bool>("linkViews", leftId, rightId);
+
+    public Task<T?> DiffViewsAsync<T>(string leftId, string rightId, string hostId, CancellationToken cancellationToken = default)
+        => CallAsync<T?>("diffViews", cancellationToken, leftId, rightId, hostId);
+
+    public Task DisposeDiffAsync(string hostId) => CallAsync<object>("disposeDiff", hostId);
+
+    public Task<T?> PreparePrintAsync<T>(string source, object? options, CancellationToken cancellationToken = default)
+        => CallAsync<T?>("preparePrint", cancellationToken, source, options);
+
+    public Task<bool> StartPrintAsync() => CallAsync<bool>("startPrint");
+
+    public Task CancelPrintAsync() => CallAsync<object>("cancelPrint");
+
+    public Task GoToPageAsync(string containerId, int pageNumber, bool smooth)
+        => CallAsync<object>("goToPage", containerId, pageNumber, smooth);
+
+    public Task SearchAsync(string containerId, string query, object? options = null)
+        => CallAsync<object>("search", containerId, query, options);
+
+    public Task FindNextAsync(string containerId) => CallAsync<object>("findNext", containerId);
+
+    public Task FindPreviousAsync(string containerId) => CallAsync<object>("findPrevious", containerId);
+
+    public Task ClearSearchAsync(string containerId) => CallAsync<object>("clearSearch", containerId);
+
+    public Task<bool> HasOpenParametersAsync() => CallAsync<bool>("hasOpenParameters");
+
+    public Task<bool> CopyPageLinkAsync(string containerId) => CallAsync<bool>("copyPageLink", containerId);
+
+    public Task<T?> RenderSidebarAsync<T>(string containerId, string thumbnailsHostId, string outlineHostId)
+        => CallAsync<T?>("renderSidebar", containerId, thumbnailsHostId, outlineHostId);
+
+    public Task SetActiveThumbnailAsync(string containerId, int pageNumber)
+        => CallAsync<object>("setActiveThumbnail", containerId, pageNumber);
+
+    // โยน NoDocument เมื่อ container ยังไม่มีไฟล์ PDF เปิดอยู่
+    public Task<int> GetPageCountAsync(string containerId) => CallAsync<int>("getPageCount", containerId);
+
+    public Task<int> GetCurrentPageIndexAsync(string containerId) => CallAsync<int>("getCurrentPageIndex", containerId);
+
+    public Task<int> GetVisiblePageIndexInContainerAsync(ElementReference scrollContainer, string pageSelector)
+        => CallAsync<int>("getVisiblePageIndexInContainer", scrollContainer, pageSelector);
+
+    public Task ScrollToPageInContainerAsync(ElementReference scrollContainer, string pageSelector, int pageNumber, bool smooth)
+        => CallAsync<object>("scrollToPageInContainer", scrollContainer, pageSelector, pageNumber, smooth);
+
+    public async ValueTask DisposeAsync()
+    {
+        Task<IJSObjectReference>? moduleTask;
+        lock (_moduleLock)
+        {
+            moduleTask = _moduleTask;
+        }
+
+        if (moduleTask is null)
+        {
+            return;
+        }
+
+        try
+        {
+            var module = await moduleTask.ConfigureAwait(false);
+            await module.DisposeAsync().ConfigureAwait(false);
+        }
+        catch (Exception ex) when (ex is JSException or JSDisconnectedException or TaskCanceledException)
+        {
+            // circuit ปิดไปแล้ว ไม่มีอะไรต้องคืน
+        }
+    }
+
+    private Task<T?> CallAsync<T>(string identifier, params object?[] args)
+        => CallAsync<T>(identifier, CancellationToken.None, args);
+
+    private async Task<T?> CallAsync<T>(string identifier, CancellationToken cancellationToken, params object?[] args)
+    {
+        IJSObjectReference module;
+        var moduleTask = GetModuleAsync();
+        try
+        {
+            module = await moduleTask.ConfigureAwait(false);
+        }
+        catch (Exception ex) when (ex is JSException or TaskCanceledException)
+        {
+            ResetModule(moduleTask);
+            throw new PdfViewerException(PdfViewerErrorCode.ViewerUnavailable, $"Unable to import {ModulePath}: {ex.Message}", ex);
+        }
+
+        var result = await module.InvokeAsync<PdfViewerCallResult<T>?>(identifier, cancellationToken, args).ConfigureAwait(false);
+        if (result is null)
+        {
+            throw new PdfViewerException(PdfViewerErrorCode.Unknown, $"pdfViewerInterop.{identifier} returned no result.");
+        }
+
+        if (!result.Ok)
+        {
+            throw new PdfViewerException(PdfViewerException.ParseCode(result.Code), result.Message ?? $"pdfViewerInterop.{identifier} failed.");
+        }
+
+        return result.Value;
+    }
+
+    private Task<IJSObjectReference> GetModuleAsync()
+    {
+        lock (_moduleLock)
+        {
+            return _moduleTask ??= _jsRuntime.InvokeAsync<IJSObjectReference>("import", ModulePath).AsTask();
+        }
+    }
+
+    // ไม่เก็บ import ที่ล้มเหลว (เครือข่ายสะดุด/service worker กำลังอัปเดต) ให้การเรียกครั้งถัดไป import ใหม่ เหมือน viewerPromise ฝั่ง JS
+    private void ResetModule(Task<IJSObjectReference> failedTask)
+    {
+        lock (_moduleLock)
+        {
+            if (ReferenceEquals(_moduleTask, failedTask))
+            {
+                _moduleTask = null;
+            }
+        }
+    }
+
+    private sealed record PdfViewerCallResult<T>(bool Ok, T? Value, string? Code, string? Message);
+}
+
+// ต้องตรงกับ ErrorCodes ใน wwwroot/js/pdfViewerInterop.js
+public enum PdfViewerErrorCode
+{
+    Unknown,
+    ViewerUnavailable,
+    LibLoadFailed,
+    ContainerNotFound,
+    NoDocument,
+    DocNotFound,
+    PasswordRequired,
+    CorruptPdf,
+    NetworkError,
+    UnsupportedFormat
+}
+
+// สืบทอด JSException เพื่อให้ catch (JSException) เดิมของแต่ละหน้ายังรับได้ หน้าไหนต้องแยกสาเหตุค่อย catch ตัวนี้ก่อน
+public sealed class PdfViewerException : JSException
+{
+    private static readonly Dictionary<string, PdfViewerErrorCode> Codes = new(StringComparer.Ordinal)
+    {
+        ["VIEWER_UNAVAILABLE"] = PdfViewerErrorCode.ViewerUnavailable,
+        ["LIB_LOAD_FAILED"] = PdfViewerErrorCode.LibLoadFailed,
+        ["CONTAINER_NOT_FOUND"] = PdfViewerErrorCode.ContainerNotFound,
+        ["NO_DOCUMENT"] = PdfViewerErrorCode.NoDocument,
+        ["DOC_NOT_FOUND"] = PdfViewerErrorCode.DocNotFound,
+        ["PASSWORD_REQUIRED"] = PdfViewerErrorCode.PasswordRequired,
+        ["CORRUPT_PDF"] = PdfViewerErrorCode.CorruptPdf,
+        ["NETWORK_ERROR"] = PdfViewerErrorCode.NetworkError,
+        ["UNSUPPORTED_FORMAT"] = PdfViewerErrorCode.UnsupportedFormat
+    };
+
+    public PdfViewerException(PdfViewerErrorCode code, string message, Exception? innerException = null)
+        : base($"{code}: {message}", innerException!)
+    {
+        Code = code;
+    }
+
+    public PdfViewerErrorCode Code { get; }
+
+    public string UserMessage => GetUserMessage(Code);
+
+    // ลองใหม่แล้วมีโอกาสสำเร็จ (ไฟล์เสีย/ติดรหัสผ่าน/ไม่มีไฟล์ ลองกี่ครั้งก็ได้ผลเดิม)
+    public bool IsTransient => Code is PdfViewerErrorCode.NetworkError or PdfViewerErrorCode.Unknown;
+
+    public static PdfViewerErrorCode ParseCode(string? code)
+        => code is not null && Codes.TryGetValue(code, out var value) ? value : PdfViewerErrorCode.Unknown;
+
+    public static string GetUserMessage(PdfViewerErrorCode code) => code switch
+    {
+        PdfViewerErrorCode.ViewerUnavailable => "ไม่สามารถเริ่มตัวแสดงผล PDF ได้ กรุณารีเฟรชหน้าหรือดาวน์โหลดไฟล์แทน",
+        PdfViewerErrorCode.LibLoadFailed => "ไม่สามารถโหลดตัวแสดงผล PDF ได้ (ไม่พบไลบรารี pdf.js ทั้งในเครื่องและบน CDN) กรุณาแจ้งผู้ดูแลระบบหรือดาวน์โหลดไฟล์แทน",
+        PdfViewerErrorCode.ContainerNotFound => "ไม่พบตำแหน่งสำหรับแสดงไฟล์ PDF กรุณารีเฟรชหน้า",
+        PdfViewerErrorCode.NoDocument => "ยังไม่ได้เปิดไฟล์ PDF",
+        PdfViewerErrorCode.DocNotFound => "ไม่พบไฟล์ PDF บนเซิร์ฟเวอร์ (อาจถูกย้ายหรือลบไปแล้ว)",
+        PdfViewerErrorCode.PasswordRequired => "ไฟล์ PDF นี้ถูกตั้งรหัสผ่านไว้ จึงแสดงตัวอย่างไม่ได้ กรุณาดาวน์โหลดไฟล์แทน",
+        PdfViewerErrorCode.CorruptPdf => "ไฟล์ PDF เสียหายหรือไม่ใช่ไฟล์ PDF ที่ถูกต้อง กรุณาแจ้งผู้อัปโหลดเอกสาร",
+        PdfViewerErrorCode.NetworkError => "โหลดไฟล์ PDF ไม่สำเร็จเนื่องจากปัญหาการเชื่อมต่อ กรุณาลองอีกครั้ง",
+        PdfViewerErrorCode.UnsupportedFormat => "แสดงตัวอย่างไฟล์นี้ไม่ได้ (ไฟล์อาจเสียหายหรือเบราว์เซอร์ไม่รองรับ) กรุณาดาวน์โหลดไฟล์แทน",
+        _ => "ไม่สามารถโหลดตัวอย่างไฟล์ PDF ได้ กรุณาลองอีกครั้งหรือดาวน์โหลดไฟล์แทน"
+    };
+}
@@ -0,0 +1,18 @@
+using System;
+using System.Collections.Generic;
+
+namespace WepAppOIWI_Digital.Services;
+
+public sealed class PdfViewerOptions
+{
+    public int LoadTimeoutSeconds { get; set; } = 15;
+    public int PresentationAutoAdvanceSeconds { get; set; }
+    public IReadOnlyList<PdfJsSource> Sources { get; set; } = Array.Empty<PdfJsSource>();
+}
+
+public sealed class PdfJsSource
+{
+    public string Name { get; set; } = string.Empty;
+    public string LibraryUrl { get; set; } = string.Empty;
+    public string WorkerUrl { get; set; } = string.Empty;
+}
@@ -0,0 +1,33 @@
+using System;
+using System.Collections.Generic;
+using WepAppOIWI_Digital.Stamps;
+
+namespace WepAppOIWI_Digital.Services;
+
+public sealed record StampedPdf(byte[] Content, string FileName);
+
+// Pages คือหน้าที่พิมพ์ออกไปจริง (หลังตัดหน้าที่เกินจำนวนหน้าของไฟล์แล้ว)
+public sealed record PrintLogRequest(
+    string NormalizedPath,
+    string EmployeeNumber,
+    string? DocumentCode,
+    string? VersionId,
+    int Version,
+    IReadOnlyList<int> Pages,
+    StampMode StampMode,
+    DateOnly? StampDate
+);
+
+public sealed record PrintLogEntry(
+    long Id,
+    DateTimeOffset PrintedAtUtc,
+    string EmployeeNumber,
+    string NormalizedPath,
+    string? DocumentCode,
+    string? VersionId,
+    int Version,
+    string PageRange,
+    int PageCount,
+    StampMode StampMode,
+    DateOnly? StampDate
+);
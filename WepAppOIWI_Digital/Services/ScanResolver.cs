@@ -0,0 +1,187 @@
+using System;
+using System.Linq;
+using System.Text.Json.Serialization;
+using System.Text.RegularExpressions;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.WebUtilities;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+
+namespace WepAppOIWI_Digital.Services;
+
+// แปลงข้อความที่สแกนได้ (เครื่องสแกนแบบคีย์บอร์ดหรือกล้อง) เป็นสิ่งที่ต้องเปิด: เอกสาร, Work Order หรือป้ายสถานี
+public sealed class ScanResolver
+{
+    private const int MaxCodeLength = 2048;
+    private const string ViewerSegment = "/documents/viewer/";
+
+    private readonly DocumentCatalogService _catalogService;
+    private readonly ScannerOptions _options;
+    private readonly Regex? _workOrderPattern;
+
+    public ScanResolver(DocumentCatalogService catalogService, IOptions<ScannerOptions> options, ILogger<ScanResolver> logger)
+    {
+        _catalogService = catalogService;
+        _options = options.Value;
+
+        if (!string.IsNullOrWhiteSpace(_options.WorkOrderPattern))
+        {
+            try
+            {
+                _workOrderPattern = new Regex(_options.WorkOrderPattern, RegexOptions.IgnoreCase | RegexOptions.CultureInvariant, TimeSpan.FromMilliseconds(100));
+            }
+            catch (ArgumentException ex)
+            {
+                logger.LogWarning(ex, "Invalid Scanner:WorkOrderPattern '{Pattern}'.", _options.WorkOrderPattern);
+            }
+        }
+    }
+
+    public bool Enabled => _options.Enabled;
+
+    // ลำดับการตรวจ: ลิงก์ viewer → token ของเอกสาร → รหัสเอกสาร → ป้ายสถานี → Work Order
+    public async Task<ScanResult> ResolveAsync(string? code, CancellationToken cancellationToken = default)
+    {
+        var text = code?.Trim() ?? string.Empty;
+        if (text.Length == 0 || text.Length > MaxCodeLength)
+        {
+            return ScanResult.Unknown(text);
+        }
+
+        var document = await TryResolveDocumentAsync(text, cancellationToken).ConfigureAwait(false);
+        if (document is not null)
+        {
+            return document;
+        }
+
+        if (TryStripPrefix(text, _options.StationPrefix, out var stationLabel))
+        {
+            return ResolveStation(text, stationLabel);
+        }
+
+        if (TryStripPrefix(text, _options.WorkOrderPrefix, out var workOrder) && workOrder.Length > 0)
+        {
+            return ScanResult.ForWorkOrder(text, workOrder);
+        }
+
+        if (_workOrderPattern is not null && IsWorkOrderNumber(text))
+        {
+            return ScanResult.ForWorkOrder(text, text);
+        }
+
+        return ScanResult.Unknown(text);
+    }
+
+    private async Task<ScanResult?> TryResolveDocumentAsync(string text, CancellationToken cancellationToken)
+    {
+        var token = ExtractViewerToken(text) ?? text;
+        if (DocumentCatalogService.TryDecodeDocumentToken(token, out var normalizedPath))
+        {
+            var record = await _catalogService.TryGetDocumentAsync(normalizedPath, cancellationToken).ConfigureAwait(false);
+            if (record is not null)
+            {
+                return ScanResult.ForDocument(text, DocumentCatalogService.EncodeDocumentToken(record.FileName));
+            }
+        }
+
+        // ป้ายเก่าบางใบพิมพ์แค่รหัสเอกสาร (DocumentCode) ไม่ได้พิมพ์ลิงก์
+        var documents = await _catalogService.GetDocumentsAsync(cancellationToken).ConfigureAwait(false);
+        var byCode = documents.FirstOrDefault(d =>
+            !string.IsNullOrWhiteSpace(d.DocumentCode)
+            && string.Equals(d.DocumentCode.Trim(), text, StringComparison.OrdinalIgnoreCase));
+
+        return byCode is null
+            ? null
+            : ScanResult.ForDocument(text, DocumentCatalogService.EncodeDocumentToken(byCode.FileName));
+    }
+
+    private ScanResult ResolveStation(string text, string label)
+    {
+        var separator = string.IsNullOrEmpty(_options.StationSeparator) ? "/" : _options.StationSeparator;
+        var parts = label.Split(separator, 2, StringSplitOptions.TrimEntries);
+        var line = parts.Length > 0 ? parts[0] : string.Empty;
+        var station = parts.Length > 1 ? parts[1] : string.Empty;
+
+        if (line.Length == 0 && station.Length == 0)
+        {
+            return ScanResult.Unknown(text);
+        }
+
+        var search = DocumentCatalogService.BuildOiwiSearchQuery(
+            new OiwiSearchFilters(null, null, NullIfEmpty(line), NullIfEmpty(station), null, null));
+        var url = QueryHelpers.AddQueryString("/", "search", search);
+
+        return new ScanResult(ScanResultKind.Station, text, url, null, null, NullIfEmpty(line), NullIfEmpty(station));
+    }
+
+    private bool IsWorkOrderNumber(string text)
+    {
+        try
+        {
+            return _workOrderPattern!.IsMatch(text);
+        }
+        catch (RegexMatchTimeoutException)
+        {
+            return false;
+        }
+    }
+
+    private static string? ExtractViewerToken(string text)
+    {
+        var index = text.IndexOf(ViewerSegment, StringComparison.OrdinalIgnoreCase);
+        if (index < 0)
+        {
+            return null;
+        }
+
+        var token = text[(index + ViewerSegment.Length)..];
+        var end = token.IndexOfAny(new[] { '/', '?', '#' });
+        return Uri.UnescapeDataString(end >= 0 ? token[..end] : token);
+    }
+
+    private static bool TryStripPrefix(string text, string? prefix, out string value)
+    {
+        if (!string.IsNullOrEmpty(prefix) && text.StartsWith(prefix, StringComparison.OrdinalIgnoreCase))
+        {
+            value = text[prefix.Length..].Trim();
+            return true;
+        }
+
+        value = string.Empty;
+        return false;
+    }
+
+    private static string? NullIfEmpty(string? value)
+        => string.IsNullOrWhiteSpace(value) ? null : value;
+}
+
+// ส่งเป็นชื่อ ("Document", "WorkOrder", ...) ให้ wwwroot/js/scanner.js เทียบได้ตรง ๆ
+[JsonConverter(typeof(JsonStringEnumConverter<ScanResultKind>))]
+public enum ScanResultKind
+{
+    Unknown,
+    Document,
+    WorkOrder,
+    Station
+}
+
+// Url คือหน้าที่ควรเปิดเมื่อไม่มีหน้าไหนรับผลการสแกนไปจัดการเอง (Work Order ไปเลือกต่อที่หน้า Setup ผ่าน ?mo=)
+public sealed record ScanResult(
+    ScanResultKind Kind,
+    string Code,
+    string? Url,
+    string? Token,
+    string? WorkOrder,
+    string? Line,
+    string? Station)
+{
+    public static ScanResult Unknown(string code)
+        => new(ScanResultKind.Unknown, code, null, null, null, null, null);
+
+    public static ScanResult ForDocument(string code, string token)
+        => new(ScanResultKind.Document, code, $"/documents/viewer/{token}", token, null, null, null);
+
+    public static ScanResult ForWorkOrder(string code, string workOrder)
+        => new(ScanResultKind.WorkOrder, code, QueryHelpers.AddQueryString("/setup", "mo", workOrder), null, workOrder, null, null);
+}
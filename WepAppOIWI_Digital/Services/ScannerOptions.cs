@@ -0,0 +1,15 @@
+namespace WepAppOIWI_Digital.Services;
+
+// รูปแบบข้อความบนบาร์โค้ด/QR ของหน้างาน (ป้าย Work Order และป้ายสถานี)
+public sealed class ScannerOptions
+{
+    public bool Enabled { get; set; } = true;
+
+    // ป้าย Work Order เช่น "MO:2409001234" (ไม่มี prefix ก็ได้ถ้าตรงกับ WorkOrderPattern)
+    public string WorkOrderPrefix { get; set; } = "MO:";
+    public string WorkOrderPattern { get; set; } = "^[0-9A-Z]{2,6}-?[0-9]{6,12}$";
+
+    // ป้ายสถานี เช่น "ST:SMT-01/AOI"
+    public string StationPrefix { get; set; } = "ST:";
+    public string StationSeparator { get; set; } = "/";
+}
@@ -55,4 +55,20 @@ public sealed class SetupStateStore
     public List<WorkOrderEntry> MoResults { get; } = new();
     public List<StationInfo> StationList { get; } = new();
     public PendingMoConfig Pending { get; } = new();
+
+    // Work Order ที่ล็อกไว้ในรูปที่บันทึกลงเบราว์เซอร์ (PreferenceKeys.Station) ให้หน้า /kiosk ของแท็บอื่น/หลังโหลดหน้าใหม่ใช้ต่อได้
+    public StationSetup? GetLockedSetup()
+        => IsWorkOrderSelectionLocked && !string.IsNullOrWhiteSpace(WorkOrder)
+            ? new StationSetup(WorkOrder, Model, Line, Section, Group, Station, LastUpdatedAt)
+            : null;
 }
+
+public sealed record StationSetup(
+    string WorkOrder,
+    string Model,
+    string Line,
+    string Section,
+    string Group,
+    string Station,
+    DateTimeOffset? LockedAt
+);
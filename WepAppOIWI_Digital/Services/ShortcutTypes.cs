@@ -0,0 +1,5 @@
+namespace WepAppOIWI_Digital.Services;
+
+// คีย์ลัดหนึ่งรายการที่ส่งให้ oiwiShortcuts.register (wwwroot/js/shortcuts.js)
+// Keys เช่น "j", "+|=" (หลายปุ่มให้ผลเดียวกัน) หรือ "g #" (g ตามด้วยตัวเลข ค่าตัวเลขส่งกลับมาที่ OnShortcutAsync)
+public sealed record ShortcutBinding(string Id, string Keys, string Description);
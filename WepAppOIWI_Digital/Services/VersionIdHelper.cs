@@ -0,0 +1,22 @@
+using System;
+using System.IO;
+using System.Linq;
+
+namespace WepAppOIWI_Digital.Services;
+
+// รหัสเวอร์ชันจาก route ใช้ประกอบชื่อไฟล์ (snapshot, markup) จึงต้องไม่มีตัวคั่น path, wildcard หรือ ".."
+// ชื่อผู้ทำรายการใน snapshot เป็นภาษาไทยได้ (DocumentCatalogService.Slugify) จึงไม่จำกัดเฉพาะ ASCII
+public static class VersionIdHelper
+{
+    private const int MaxLength = 128;
+    private static readonly char[] DisallowedChars = Path.GetInvalidFileNameChars()
+        .Concat(new[] { '/', '\\', '*', '?', ':' })
+        .Distinct()
+        .ToArray();
+
+    public static bool IsValid(string? versionId)
+        => !string.IsNullOrWhiteSpace(versionId)
+            && versionId.Length <= MaxLength
+            && versionId.IndexOfAny(DisallowedChars) < 0
+            && !versionId.Contains("..", StringComparison.Ordinal);
+}
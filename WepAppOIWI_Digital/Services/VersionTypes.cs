@@ -18,6 +18,14 @@ public sealed record VersionSnapshotHandle(
     string FileName
 );
 
+// เวอร์ชันที่ไฟล์เหมือนกับไฟล์ที่กำลังจะอัปโหลดทุกไบต์ (ดู DocumentUploadService.FindVersionsByHashAsync)
+public sealed record VersionHashMatch(
+    string VersionId,
+    DateTimeOffset TimestampUtc,
+    string? Actor,
+    bool IsActive
+);
+
 public sealed record HistoryItem(
     string VersionId,
     string VersionLabel,
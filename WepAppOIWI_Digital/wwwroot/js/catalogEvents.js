@@ -0,0 +1,129 @@
+// wwwroot/js/catalogEvents.js
+// รับการเปลี่ยนแปลงรายการเอกสารจาก /events/catalog (Server-Sent Events) แล้วส่งต่อให้หน้าที่ลงทะเบียนไว้ (Home, Viewer)
+// ใช้การเชื่อมต่อเดียวร่วมกันทุกหน้า หลุดแล้วต่อใหม่เองแบบรอนานขึ้นเรื่อย ๆ และแจ้ง Refresh เมื่อต่อกลับมาได้ (อาจพลาดการเปลี่ยนแปลงช่วงที่หลุด)
+(function () {
+    const EVENTS_URL = "events/catalog";
+    const INITIAL_RETRY_MS = 1000;
+    const MAX_RETRY_MS = 30000;
+
+    const handlers = new Map(); // scopeId -> { ref }
+    let source = null;
+    let retryTimer = 0;
+    let retryDelay = INITIAL_RETRY_MS;
+    let missedChanges = false;
+    let lastSequence = 0;
+
+    function register(scopeId, dotNetRef) {
+        if (!scopeId || !dotNetRef) {
+            return;
+        }
+
+        handlers.set(scopeId, { ref: dotNetRef });
+        connect();
+    }
+
+    function unregister(scopeId) {
+        handlers.delete(scopeId);
+        if (handlers.size === 0) {
+            disconnect();
+        }
+    }
+
+    function connect() {
+        if (source || retryTimer || handlers.size === 0 || typeof EventSource === "undefined") {
+            return;
+        }
+
+        source = new EventSource(EVENTS_URL);
+        source.addEventListener("open", handleOpen);
+        source.addEventListener("catalog", handleChange);
+        source.addEventListener("error", handleError);
+    }
+
+    function disconnect() {
+        if (retryTimer) {
+            clearTimeout(retryTimer);
+            retryTimer = 0;
+        }
+
+        if (source) {
+            source.close();
+            source = null;
+        }
+
+        retryDelay = INITIAL_RETRY_MS;
+        missedChanges = false;
+        lastSequence = 0;
+    }
+
+    function handleOpen() {
+        retryDelay = INITIAL_RETRY_MS;
+        if (missedChanges) {
+            missedChanges = false;
+            dispatch({ kind: "Refresh", fromIndex: true });
+        }
+    }
+
+    function handleChange(event) {
+        let change;
+        try {
+            change = JSON.parse(event.data);
+        } catch (error) {
+            console.warn("catalogEvents: invalid payload", error);
+            return;
+        }
+
+        // เลขลำดับข้าม = server ทิ้งรายการเพราะหน้านี้อ่านไม่ทัน
+        const sequence = Number(change.sequence) || 0;
+        const skipped = lastSequence > 0 && sequence > lastSequence + 1;
+        lastSequence = sequence;
+
+        dispatch(skipped ? { kind: "Refresh", fromIndex: true } : change);
+    }
+
+    // EventSource ต่อใหม่เองด้วยช่วงเวลาคงที่ (และเลิกเมื่อ server ตอบผิดพลาด): ปิดแล้วจัดการ backoff เอง
+    function handleError() {
+        if (source) {
+            source.close();
+            source = null;
+        }
+
+        missedChanges = true;
+        if (handlers.size === 0 || retryTimer) {
+            return;
+        }
+
+        const delay = retryDelay + Math.floor(Math.random() * retryDelay * 0.3);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS);
+        retryTimer = setTimeout(() => {
+            retryTimer = 0;
+            connect();
+        }, delay);
+    }
+
+    async function dispatch(change) {
+        for (const handler of Array.from(handlers.values())) {
+            try {
+                await handler.ref.invokeMethodAsync("OnCatalogChangedAsync", change);
+            } catch (error) {
+                console.warn("catalogEvents: handler failed", error);
+            }
+        }
+    }
+
+    // เครื่องที่หลับ/แท็บที่ถูกพักอาจยังรอ backoff อยู่: กลับมาแล้วต่อทันที
+    document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState !== "visible" || !retryTimer) {
+            return;
+        }
+
+        clearTimeout(retryTimer);
+        retryTimer = 0;
+        connect();
+    });
+
+    window.oiwiCatalogEvents = {
+        register,
+        unregister
+    };
+})();
@@ -0,0 +1,729 @@
+// wwwroot/js/chunkedUpload.js
+// โซนลากวางไฟล์สำหรับหน้าเพิ่ม/แก้ไขเอกสาร: อัปโหลดเป็นช่วงผ่าน HTTP (/uploads) แทนการส่งผ่าน circuit ของ Blazor
+// เน็ตหลุดจะรอแล้วถาม server ว่าได้รับถึงไบต์ไหนแล้วส่งต่อจากตรงนั้น, ปิดหน้าแล้วลากไฟล์เดิมมาใหม่ก็ส่งต่อได้ (จำ uploadId ไว้ใน localStorage)
+// ก่อนส่งคำนวณ MD5 ใน Web Worker (md5Worker.js) เพื่อเตือนไฟล์ที่ซ้ำกับเวอร์ชันเดิม และให้ server ตรวจว่าได้รับไฟล์ครบถูกต้อง
+(function () {
+    const UPLOAD_ENDPOINT = "uploads";
+    const HASH_WORKER_URL = "js/md5Worker.js";
+    const RESUME_STORAGE_PREFIX = "oiwi.upload.";
+    const PROGRESS_NOTIFY_INTERVAL_MS = 250;
+    const RETRY_BASE_DELAY_MS = 1000;
+    const RETRY_MAX_DELAY_MS = 30000;
+    const MAX_CONSECUTIVE_FAILURES = 8;
+
+    // ต้องตรงกับ UploadFileStatus ใน Components/Shared/ChunkedFileDrop.razor
+    const STATUS = Object.freeze({
+        queued: "queued",
+        hashing: "hashing",
+        duplicate: "duplicate",
+        uploading: "uploading",
+        waiting: "waiting",
+        uploaded: "uploaded",
+        failed: "failed",
+        rejected: "rejected"
+    });
+
+    const zones = new Map(); // zoneId -> { zone, input, dotNetRef, options, entries, queue, active, listeners }
+    let zoneCounter = 0;
+    let entryCounter = 0;
+    let hashWorker = null;
+    let hashJobCounter = 0;
+    const hashJobs = new Map(); // jobId -> { resolve, reject, onProgress }
+
+    function resumeKey(file) {
+        return `${RESUME_STORAGE_PREFIX}${file.name}|${file.size}|${file.lastModified}`;
+    }
+
+    function readResumeId(file) {
+        try {
+            return window.localStorage.getItem(resumeKey(file));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function writeResumeId(file, uploadId) {
+        try {
+            if (uploadId) {
+                window.localStorage.setItem(resumeKey(file), uploadId);
+            } else {
+                window.localStorage.removeItem(resumeKey(file));
+            }
+        } catch (error) {
+            // private mode หรือ storage เต็ม: ยังอัปโหลดได้แต่ส่งต่อหลังปิดหน้าไม่ได้
+        }
+    }
+
+    function extensionOf(name) {
+        const index = String(name || "").lastIndexOf(".");
+        return index >= 0 ? name.slice(index).toLowerCase() : "";
+    }
+
+    function formatMegabytes(bytes) {
+        return `${Math.floor(bytes / (1024 * 1024))} MB`;
+    }
+
+    function validateFile(state, file) {
+        const accept = state.options.accept;
+        if (accept.length > 0 && !accept.includes(extensionOf(file.name))) {
+            return `ไม่รองรับไฟล์ประเภทนี้ (รองรับ: ${accept.join(", ")})`;
+        }
+        if (file.size <= 0) {
+            return "ไฟล์ว่างเปล่า";
+        }
+        if (state.options.maxFileSize > 0 && file.size > state.options.maxFileSize) {
+            return `ไฟล์มีขนาดใหญ่เกิน ${formatMegabytes(state.options.maxFileSize)}`;
+        }
+        return null;
+    }
+
+    function describe(entry) {
+        return {
+            key: entry.key,
+            name: entry.file.name,
+            size: entry.file.size,
+            contentType: entry.file.type || null,
+            status: entry.status,
+            receivedBytes: entry.received,
+            hashedBytes: entry.hashed,
+            md5: entry.md5,
+            uploadId: entry.status === STATUS.uploaded ? entry.uploadId : null,
+            message: entry.message || null
+        };
+    }
+
+    function notify(state, entry, force) {
+        const now = Date.now();
+        if (!force && now - entry.lastNotifiedAt < PROGRESS_NOTIFY_INTERVAL_MS) {
+            return;
+        }
+
+        entry.lastNotifiedAt = now;
+        if (!state.dotNetRef) {
+            return;
+        }
+
+        state.dotNetRef.invokeMethodAsync("OnUploadChangedAsync", describe(entry))
+            .catch(error => console.warn("chunkedUpload: .NET callback failed", error));
+    }
+
+    function setStatus(state, entry, status, message) {
+        entry.status = status;
+        entry.message = message || null;
+        notify(state, entry, true);
+    }
+
+    function delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            signal.addEventListener("abort", () => {
+                clearTimeout(timer);
+                reject(signal.reason || new DOMException("Aborted", "AbortError"));
+            }, { once: true });
+        });
+    }
+
+    // ออฟไลน์อยู่: รอ event online (หรือหมดเวลา backoff ก่อนก็ลองใหม่เลย เผื่อ navigator.onLine ไม่ตรงความจริง)
+    function waitForNetwork(ms, signal) {
+        if (navigator.onLine !== false) {
+            return delay(ms, signal);
+        }
+
+        return new Promise((resolve, reject) => {
+            const done = () => {
+                clearTimeout(timer);
+                window.removeEventListener("online", done);
+                resolve();
+            };
+            const timer = setTimeout(done, RETRY_MAX_DELAY_MS);
+            window.addEventListener("online", done);
+            signal.addEventListener("abort", () => {
+                clearTimeout(timer);
+                window.removeEventListener("online", done);
+                reject(signal.reason || new DOMException("Aborted", "AbortError"));
+            }, { once: true });
+        });
+    }
+
+    function uploadUrl(uploadId) {
+        return new URL(uploadId ? `${UPLOAD_ENDPOINT}/${encodeURIComponent(uploadId)}` : UPLOAD_ENDPOINT, document.baseURI).href;
+    }
+
+    // ข้อผิดพลาดที่ลองใหม่แล้วไม่มีทางสำเร็จ (เช่น ไฟล์ใหญ่เกิน) ไม่ต้องรอเครือข่าย
+    function permanentError(message) {
+        const error = new Error(message);
+        error.permanent = true;
+        return error;
+    }
+
+    function checksumError(message) {
+        const error = new Error(message);
+        error.checksum = true;
+        return error;
+    }
+
+    // worker ตัวเดียวทั้งหน้า คำนวณทีละไฟล์ตามลำดับที่ส่งเข้าไป
+    function getHashWorker() {
+        if (hashWorker) {
+            return hashWorker;
+        }
+        if (typeof Worker !== "function") {
+            return null;
+        }
+
+        try {
+            hashWorker = new Worker(new URL(HASH_WORKER_URL, document.baseURI).href);
+        } catch (error) {
+            console.warn("chunkedUpload: unable to start MD5 worker", error);
+            return null;
+        }
+
+        hashWorker.onmessage = event => {
+            const message = event.data || {};
+            const job = hashJobs.get(message.id);
+            if (!job) {
+                return;
+            }
+
+            if (message.type === "progress") {
+                job.onProgress(message.loaded);
+                return;
+            }
+
+            hashJobs.delete(message.id);
+            if (message.type === "done") {
+                job.resolve(message.hash);
+            } else {
+                job.reject(new Error(message.message || "MD5 failed"));
+            }
+        };
+
+        // โหลดไฟล์ worker ไม่ขึ้น: ยกเลิกงานที่ค้างทั้งหมด ครั้งหน้าค่อยลองสร้างใหม่
+        hashWorker.onerror = event => {
+            event.preventDefault();
+            const failed = Array.from(hashJobs.values());
+            hashJobs.clear();
+            hashWorker.terminate();
+            hashWorker = null;
+            failed.forEach(job => job.reject(new Error(event.message || "MD5 worker failed")));
+        };
+
+        return hashWorker;
+    }
+
+    function hashFile(file, onProgress, signal) {
+        const worker = getHashWorker();
+        if (!worker) {
+            return Promise.reject(new Error("Web Worker is unavailable."));
+        }
+
+        const id = ++hashJobCounter;
+        return new Promise((resolve, reject) => {
+            hashJobs.set(id, { resolve, reject, onProgress });
+            signal.addEventListener("abort", () => {
+                if (hashJobs.delete(id)) {
+                    worker.postMessage({ type: "cancel", id });
+                    reject(signal.reason || new DOMException("Aborted", "AbortError"));
+                }
+            }, { once: true });
+            worker.postMessage({ type: "hash", id, file });
+        });
+    }
+
+    function formatTimestamp(value) {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime())
+            ? ""
+            : date.toLocaleString("th-TH", { dateStyle: "medium", timeStyle: "short" });
+    }
+
+    // null = ตรวจไม่ได้ (เช่น เน็ตหลุด) ให้อัปโหลดต่อได้เลย การเตือนไฟล์ซ้ำไม่ควรกั้นการทำงาน
+    async function findDuplicates(state, entry, signal) {
+        try {
+            const url = new URL(state.options.duplicateCheckUrl, document.baseURI);
+            url.searchParams.set("md5", entry.md5);
+            url.searchParams.set("size", String(entry.file.size));
+            const response = await fetch(url.href, { credentials: "same-origin", signal });
+            if (!response.ok) {
+                throw new Error(`status ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            if (!signal.aborted) {
+                console.warn("chunkedUpload: duplicate check failed", error);
+            }
+            return null;
+        }
+    }
+
+    function describeDuplicate(matches) {
+        const active = matches.find(match => match.isActive);
+        if (active) {
+            return "ไฟล์นี้เหมือนกับเวอร์ชันที่ใช้งานอยู่ทุกประการ ถ้าอัปโหลดจะได้เวอร์ชันใหม่ที่เนื้อหาเดิม";
+        }
+
+        const when = formatTimestamp(matches[0].timestampUtc);
+        return `ไฟล์นี้เหมือนกับเวอร์ชันเก่า${when ? ` เมื่อ ${when}` : ""} (${matches[0].versionId}) ทุกประการ`;
+    }
+
+    // MD5 ใช้ตรวจไฟล์ซ้ำและให้ server ตรวจหลังรับครบ ถ้าคำนวณไม่ได้ก็ยังอัปโหลดได้ (แค่ไม่ได้ตรวจ)
+    async function prepareEntry(state, entry, signal) {
+        if (!entry.hashDone) {
+            setStatus(state, entry, STATUS.hashing);
+            try {
+                entry.md5 = await hashFile(entry.file, loaded => {
+                    entry.hashed = loaded;
+                    notify(state, entry, false);
+                }, signal);
+            } catch (error) {
+                if (signal.aborted) {
+                    return false;
+                }
+                console.warn("chunkedUpload: MD5 unavailable, uploading without verification", error);
+                entry.md5 = null;
+            }
+            entry.hashed = entry.file.size;
+            entry.hashDone = true;
+        }
+
+        if (state.options.duplicateCheckUrl && entry.md5 && !entry.duplicateConfirmed) {
+            const matches = await findDuplicates(state, entry, signal);
+            if (signal.aborted) {
+                return false;
+            }
+            if (Array.isArray(matches) && matches.length > 0) {
+                setStatus(state, entry, STATUS.duplicate, describeDuplicate(matches));
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    async function readError(response, fallback) {
+        try {
+            const body = await response.json();
+            return body && body.message ? body.message : fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    async function fetchStatus(uploadId, signal) {
+        const response = await fetch(uploadUrl(uploadId), { credentials: "same-origin", signal });
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`status ${response.status}`);
+        }
+        return response.json();
+    }
+
+    async function createUpload(entry, signal) {
+        const response = await fetch(uploadUrl(null), {
+            method: "POST",
+            credentials: "same-origin",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ fileName: entry.file.name, size: entry.file.size, contentType: entry.file.type || null, md5: entry.md5 }),
+            signal
+        });
+        if (response.status === 400) {
+            throw permanentError(await readError(response, "ไม่สามารถเริ่มอัปโหลดไฟล์ได้"));
+        }
+        if (!response.ok) {
+            throw new Error(`status ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // ใช้ uploadId เดิมถ้า server ยังเก็บไว้ ไม่อย่างนั้นเริ่มใหม่
+    async function resolveUpload(entry, signal) {
+        const previousId = entry.uploadId || readResumeId(entry.file);
+        if (previousId) {
+            const status = await fetchStatus(previousId, signal);
+            if (status && status.size === entry.file.size) {
+                return status;
+            }
+        }
+
+        const created = await createUpload(entry, signal);
+        writeResumeId(entry.file, created.uploadId);
+        return created;
+    }
+
+    async function sendChunk(entry, status, signal) {
+        const start = status.receivedBytes;
+        const end = Math.min(start + status.chunkSize, entry.file.size);
+        const response = await fetch(`${uploadUrl(status.uploadId)}?offset=${start}`, {
+            method: "PUT",
+            credentials: "same-origin",
+            headers: { "Content-Type": "application/octet-stream" },
+            body: entry.file.slice(start, end),
+            signal
+        });
+
+        if (response.ok || response.status === 409) {
+            // 409: server ได้รับไปไม่เท่าที่เราคิด (เช่น ช่วงก่อนหน้าขาดกลางทาง) ส่งต่อจากที่ server บอก
+            return response.json();
+        }
+        if (response.status === 404) {
+            return null;
+        }
+        if (response.status === 400) {
+            throw permanentError(await readError(response, "server ไม่รับข้อมูลไฟล์"));
+        }
+        if (response.status === 422) {
+            // ได้รับครบแต่ MD5 ไม่ตรง server ล้างข้อมูลที่รับไว้แล้ว
+            throw checksumError(await readError(response, "ไฟล์ที่ได้รับไม่ตรงกับต้นฉบับ"));
+        }
+        throw new Error(`status ${response.status}`);
+    }
+
+    async function uploadEntry(state, entry) {
+        const controller = new AbortController();
+        entry.controller = controller;
+        const signal = controller.signal;
+        let failures = 0;
+        let status = null;
+
+        if (!await prepareEntry(state, entry, signal)) {
+            return;
+        }
+
+        setStatus(state, entry, STATUS.uploading);
+        while (!signal.aborted) {
+            try {
+                if (!status) {
+                    status = await resolveUpload(entry, signal);
+                    entry.uploadId = status.uploadId;
+                }
+
+                entry.received = status.receivedBytes;
+                if (status.completed) {
+                    setStatus(state, entry, STATUS.uploaded);
+                    return;
+                }
+
+                const next = await sendChunk(entry, status, signal);
+                if (!next) {
+                    // upload หมดอายุหรือถูกลบที่ server: เริ่มใหม่ตั้งแต่ต้น
+                    writeResumeId(entry.file, null);
+                    entry.uploadId = null;
+                    status = null;
+                    continue;
+                }
+
+                status = next;
+                failures = 0;
+                if (entry.status !== STATUS.uploading) {
+                    setStatus(state, entry, STATUS.uploading);
+                }
+                entry.received = status.receivedBytes;
+                notify(state, entry, false);
+            } catch (error) {
+                if (signal.aborted) {
+                    return;
+                }
+                if (error && error.permanent) {
+                    setStatus(state, entry, STATUS.failed, error.message);
+                    return;
+                }
+                if (error && error.checksum) {
+                    // ส่งใหม่ทั้งไฟล์หนึ่งครั้ง ถ้ายังไม่ตรงอีกแสดงว่าไฟล์ต้นฉบับถูกแก้ระหว่างอัปโหลด ให้ผู้ใช้กดลองใหม่ (คำนวณ MD5 ใหม่)
+                    entry.checksumFailures += 1;
+                    if (entry.checksumFailures > 1) {
+                        discardUpload(entry);
+                        entry.hashDone = false;
+                        entry.checksumFailures = 0;
+                        setStatus(state, entry, STATUS.failed, `${error.message} ไฟล์อาจถูกแก้ไขระหว่างอัปโหลด กรุณากดลองใหม่`);
+                        return;
+                    }
+
+                    setStatus(state, entry, STATUS.uploading, "ข้อมูลเสียหายระหว่างส่ง กำลังส่งใหม่ทั้งไฟล์...");
+                    status = null;
+                    continue;
+                }
+
+                failures += 1;
+                if (failures > MAX_CONSECUTIVE_FAILURES) {
+                    setStatus(state, entry, STATUS.failed, "อัปโหลดไม่สำเร็จหลายครั้ง กรุณาตรวจสอบเครือข่ายแล้วกดลองใหม่");
+                    return;
+                }
+
+                console.warn("chunkedUpload: chunk failed, will resume", { name: entry.file.name, failures, error });
+                setStatus(state, entry, STATUS.waiting, navigator.onLine === false
+                    ? "ไม่มีการเชื่อมต่อเครือข่าย รอเชื่อมต่อใหม่แล้วจะส่งต่อจากจุดเดิม"
+                    : "การเชื่อมต่อขัดข้อง กำลังลองส่งต่อจากจุดเดิม...");
+                try {
+                    await waitForNetwork(Math.min(RETRY_BASE_DELAY_MS * 2 ** (failures - 1), RETRY_MAX_DELAY_MS), signal);
+                } catch (abortError) {
+                    return;
+                }
+
+                // ถาม server ใหม่ทุกครั้งหลังขัดข้อง เพราะช่วงล่าสุดอาจไปถึงแล้วบางส่วน
+                status = null;
+            }
+        }
+    }
+
+    // อัปโหลดทีละไฟล์ตามลำดับ (เครื่องลูกข่ายในไลน์ผลิตเน็ตไม่แรง ส่งพร้อมกันหลายไฟล์ไม่ได้เร็วขึ้น)
+    async function pump(state) {
+        if (state.active) {
+            return;
+        }
+
+        state.active = true;
+        try {
+            while (state.queue.length > 0 && !state.disposed) {
+                const entry = state.queue.shift();
+                if (entry.status !== STATUS.queued) {
+                    continue;
+                }
+                await uploadEntry(state, entry);
+            }
+        } finally {
+            state.active = false;
+        }
+    }
+
+    function discardUpload(entry) {
+        writeResumeId(entry.file, null);
+        if (entry.uploadId) {
+            fetch(uploadUrl(entry.uploadId), { method: "DELETE", credentials: "same-origin", keepalive: true })
+                .catch(() => { });
+            entry.uploadId = null;
+        }
+    }
+
+    function discardEntry(entry, deleteOnServer) {
+        if (entry.controller) {
+            entry.controller.abort();
+        }
+        if (deleteOnServer) {
+            discardUpload(entry);
+        } else {
+            writeResumeId(entry.file, null);
+        }
+    }
+
+    function addFiles(state, fileList) {
+        const files = Array.from(fileList || []);
+        if (files.length === 0) {
+            return;
+        }
+
+        if (!state.options.multiple) {
+            state.entries.forEach(entry => discardEntry(entry, entry.status !== STATUS.uploaded));
+            state.entries.clear();
+            state.queue.length = 0;
+            files.length = 1;
+        }
+
+        files.forEach(file => {
+            const entry = {
+                key: `f${++entryCounter}`,
+                file,
+                status: STATUS.queued,
+                received: 0,
+                hashed: 0,
+                md5: null,
+                hashDone: false,
+                duplicateConfirmed: false,
+                checksumFailures: 0,
+                uploadId: null,
+                message: null,
+                controller: null,
+                lastNotifiedAt: 0
+            };
+            state.entries.set(entry.key, entry);
+
+            const error = validateFile(state, file);
+            if (error) {
+                setStatus(state, entry, STATUS.rejected, error);
+                return;
+            }
+
+            notify(state, entry, true);
+            state.queue.push(entry);
+        });
+
+        pump(state);
+    }
+
+    function attach(zone, input, dotNetRef, options) {
+        if (!zone || !input) {
+            return null;
+        }
+
+        const zoneId = `upload-zone-${++zoneCounter}`;
+        const state = {
+            zone,
+            input,
+            dotNetRef,
+            options: {
+                multiple: !!(options && options.multiple),
+                accept: (options && Array.isArray(options.accept) ? options.accept : []).map(value => String(value).toLowerCase()),
+                maxFileSize: options && options.maxFileSize > 0 ? options.maxFileSize : 0,
+                // เช่น documents/{token}/versions/match ของหน้าแก้ไขเอกสาร (ไม่ระบุ = ไม่ตรวจไฟล์ซ้ำ)
+                duplicateCheckUrl: options && options.duplicateCheckUrl ? String(options.duplicateCheckUrl) : null
+            },
+            entries: new Map(),
+            queue: [],
+            active: false,
+            disposed: false,
+            dragDepth: 0,
+            listeners: []
+        };
+
+        const listen = (target, type, handler) => {
+            target.addEventListener(type, handler);
+            state.listeners.push(() => target.removeEventListener(type, handler));
+        };
+
+        const setActive = active => zone.classList.toggle("upload-dropzone--active", active);
+
+        listen(zone, "dragenter", event => {
+            event.preventDefault();
+            state.dragDepth += 1;
+            setActive(true);
+        });
+        listen(zone, "dragover", event => {
+            event.preventDefault();
+            if (event.dataTransfer) {
+                event.dataTransfer.dropEffect = "copy";
+            }
+        });
+        listen(zone, "dragleave", () => {
+            state.dragDepth = Math.max(0, state.dragDepth - 1);
+            if (state.dragDepth === 0) {
+                setActive(false);
+            }
+        });
+        listen(zone, "drop", event => {
+            event.preventDefault();
+            state.dragDepth = 0;
+            setActive(false);
+            addFiles(state, event.dataTransfer ? event.dataTransfer.files : null);
+        });
+        listen(zone, "click", event => {
+            if (event.target === input || event.target.closest("button, a, input")) {
+                return;
+            }
+            input.click();
+        });
+        listen(zone, "keydown", event => {
+            if (event.target === zone && (event.key === "Enter" || event.key === " ")) {
+                event.preventDefault();
+                input.click();
+            }
+        });
+        listen(input, "change", () => {
+            addFiles(state, input.files);
+            input.value = "";
+        });
+
+        zones.set(zoneId, state);
+        return zoneId;
+    }
+
+    function remove(zoneId, key) {
+        const state = zones.get(zoneId);
+        const entry = state ? state.entries.get(key) : null;
+        if (!entry) {
+            return;
+        }
+
+        state.entries.delete(key);
+        const queued = state.queue.indexOf(entry);
+        if (queued >= 0) {
+            state.queue.splice(queued, 1);
+        }
+        discardEntry(entry, true);
+    }
+
+    function retry(zoneId, key) {
+        const state = zones.get(zoneId);
+        const entry = state ? state.entries.get(key) : null;
+        if (!entry || entry.status !== STATUS.failed) {
+            return;
+        }
+
+        setStatus(state, entry, STATUS.queued);
+        state.queue.push(entry);
+        pump(state);
+    }
+
+    // ผู้ใช้ยืนยันจะอัปโหลดไฟล์ที่ซ้ำกับเวอร์ชันเดิม
+    function confirm(zoneId, key) {
+        const state = zones.get(zoneId);
+        const entry = state ? state.entries.get(key) : null;
+        if (!entry || entry.status !== STATUS.duplicate) {
+            return;
+        }
+
+        entry.duplicateConfirmed = true;
+        setStatus(state, entry, STATUS.queued);
+        state.queue.push(entry);
+        pump(state);
+    }
+
+    // หลังบันทึกเอกสารสำเร็จ: server ลบไฟล์ที่ใช้แล้วเอง ฝั่งนี้ล้างรายการและ uploadId ที่จำไว้
+    function clear(zoneId, keys) {
+        const state = zones.get(zoneId);
+        if (!state) {
+            return;
+        }
+
+        const targets = Array.isArray(keys) ? keys : Array.from(state.entries.keys());
+        targets.forEach(key => {
+            const entry = state.entries.get(key);
+            if (entry) {
+                state.entries.delete(key);
+                discardEntry(entry, false);
+            }
+        });
+    }
+
+    // วาดหน้าแรกของ PDF ผ่าน pdfViewer ลงใน host ที่ Razor เตรียมไว้ คืนจำนวนหน้า (null เมื่อไม่ใช่ PDF หรือวาดไม่ได้)
+    async function renderPreview(zoneId, key, host) {
+        const state = zones.get(zoneId);
+        const entry = state ? state.entries.get(key) : null;
+        if (!entry || !host || extensionOf(entry.file.name) !== ".pdf" || !window.pdfViewer) {
+            return null;
+        }
+
+        const result = await window.pdfViewer.renderFilePreview(entry.file, host, null);
+        return result && result.success ? result.pageCount : null;
+    }
+
+    // ออกจากหน้า: หยุดส่งแต่เก็บไฟล์ที่ค้างไว้ที่ server ให้กลับมาส่งต่อได้ (หมดอายุตาม ChunkedUpload:ExpiryHours)
+    function detach(zoneId) {
+        const state = zones.get(zoneId);
+        if (!state) {
+            return;
+        }
+
+        zones.delete(zoneId);
+        state.disposed = true;
+        state.dotNetRef = null;
+        state.listeners.forEach(unlisten => unlisten());
+        state.entries.forEach(entry => {
+            if (entry.controller) {
+                entry.controller.abort();
+            }
+        });
+        state.entries.clear();
+        state.queue.length = 0;
+    }
+
+    window.oiwiUpload = {
+        attach,
+        remove,
+        retry,
+        confirm,
+        clear,
+        renderPreview,
+        detach
+    };
+})();
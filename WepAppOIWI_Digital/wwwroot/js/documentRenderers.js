@@ -0,0 +1,976 @@
+// wwwroot/js/documentRenderers.js
+// ทะเบียนตัวแสดงตัวอย่างไฟล์ที่ไม่ใช่ PDF แยกตาม ContentType (pdfViewer.render ส่งต่อมาเมื่อ options.contentType ไม่ใช่ PDF)
+// view ทุกตัวมีคำสั่ง zoomIn/zoomOut/fitWidth/fitPage/actualSize/setScale/rotate ชุดเดียวกับ pdfViewer จึงใช้ toolbar และโหมดเต็มหน้าจอเดิมได้
+// ลงทะเบียนตัวแสดงผลเพิ่ม: documentRenderers.register({ name, contentTypes, render(host, url, context) => view })
+(function () {
+    const MIN_ZOOM = 0.25;
+    const MAX_ZOOM = 5;
+    const ZOOM_STEP = 1.1;
+    const WHEEL_ZOOM_SENSITIVITY = 0.002;
+    const WHEEL_ZOOM_MAX_STEP = 1.25;
+    const MAX_TEXT_CHARACTERS = 1000000;
+    const MAX_TABLE_ROWS = 5000;
+    const MAX_TABLE_COLUMNS = 200;
+
+    // ต้องตรงกับ ErrorCodes ใน pdfViewerInterop.js
+    const ERROR_CODES = {
+        containerNotFound: "CONTAINER_NOT_FOUND",
+        docNotFound: "DOC_NOT_FOUND",
+        networkError: "NETWORK_ERROR",
+        unsupportedFormat: "UNSUPPORTED_FORMAT",
+        unknown: "UNKNOWN"
+    };
+    const ERROR_MESSAGES = {
+        [ERROR_CODES.containerNotFound]: "ไม่พบตำแหน่งสำหรับแสดงตัวอย่างเอกสาร",
+        [ERROR_CODES.docNotFound]: "ไม่พบไฟล์บนเซิร์ฟเวอร์ (อาจถูกย้ายหรือลบไปแล้ว)",
+        [ERROR_CODES.networkError]: "โหลดไฟล์ไม่สำเร็จเนื่องจากปัญหาการเชื่อมต่อ กรุณาลองอีกครั้ง",
+        [ERROR_CODES.unsupportedFormat]: "แสดงตัวอย่างไฟล์นี้ไม่ได้ (ไฟล์อาจเสียหายหรือเบราว์เซอร์ไม่รองรับ) กรุณาดาวน์โหลดไฟล์แทน",
+        [ERROR_CODES.unknown]: "ไม่สามารถแสดงตัวอย่างเอกสารได้ กรุณาลองอีกครั้งหรือดาวน์โหลดไฟล์แทน"
+    };
+
+    const renderers = []; // ตัวแสดงผลที่ลงทะเบียนไว้ ตัวที่ลงทีหลังมาก่อน
+    const views = new Map(); // containerId -> { generation, controller, view }
+    const generations = new Map();
+
+    function escapeHtml(value) {
+        return String(value === null || value === undefined ? "" : value).replace(/[&<>"']/g, character => ({
+            "&": "&amp;",
+            "<": "&lt;",
+            ">": "&gt;",
+            "\"": "&quot;",
+            "'": "&#39;"
+        })[character]);
+    }
+
+    function rendererError(code, message) {
+        const error = new Error(message || ERROR_MESSAGES[code] || code);
+        error.code = code;
+        return error;
+    }
+
+    function normalizeContentType(value) {
+        return String(value || "").split(";")[0].trim().toLowerCase();
+    }
+
+    function register(renderer) {
+        if (!renderer || !renderer.name || !Array.isArray(renderer.contentTypes) || typeof renderer.render !== "function") {
+            throw new Error("documentRenderers.register: renderer needs name, contentTypes and render().");
+        }
+
+        const index = renderers.findIndex(existing => existing.name === renderer.name);
+        if (index >= 0) {
+            renderers.splice(index, 1);
+        }
+        renderers.unshift({
+            name: renderer.name,
+            contentTypes: renderer.contentTypes.map(normalizeContentType),
+            render: renderer.render
+        });
+    }
+
+    function resolve(contentType) {
+        const normalized = normalizeContentType(contentType);
+        return normalized ? renderers.find(renderer => renderer.contentTypes.includes(normalized)) || null : null;
+    }
+
+    function canRender(contentType) {
+        return !!resolve(contentType);
+    }
+
+    function findScrollParent(element) {
+        let current = element ? element.parentElement : null;
+        while (current && current !== document.body) {
+            const overflowY = window.getComputedStyle(current).overflowY;
+            if (overflowY === "auto" || overflowY === "scroll") {
+                return current;
+            }
+            current = current.parentElement;
+        }
+        return document.scrollingElement || document.documentElement;
+    }
+
+    // โหลดไฟล์เองแทน <img src> เพื่อแยก 404 ออกจากเน็ตหลุดได้
+    async function fetchDocument(url, signal) {
+        let response;
+        try {
+            response = await fetch(url, { credentials: "include", signal });
+        } catch (error) {
+            if (error && error.name === "AbortError") {
+                throw error;
+            }
+            throw rendererError(ERROR_CODES.networkError);
+        }
+
+        if (response.status === 404) {
+            throw rendererError(ERROR_CODES.docNotFound);
+        }
+        if (!response.ok) {
+            throw rendererError(ERROR_CODES.networkError, `HTTP ${response.status}`);
+        }
+        return response;
+    }
+
+    // ซูมร่วมของทุกตัวแสดงผล: naturalSize() คือขนาดเนื้อหาที่ scale 1 (หลังหมุน), applyScale(scale) ปรับเนื้อหาตาม scale
+    function createZoomController(host, containerId, options) {
+        const scrollRoot = findScrollParent(host);
+        const state = {
+            scale: 1,
+            mode: options.initialMode || "actual",
+            disposed: false
+        };
+
+        function updateToolbarScale() {
+            const element = document.getElementById(`${containerId}-scale`);
+            if (element) {
+                element.textContent = `${Math.round(state.scale * 100)}%`;
+            }
+        }
+
+        function availableSize() {
+            let width = host.clientWidth || scrollRoot.clientWidth;
+            let height = scrollRoot.clientHeight || window.innerHeight;
+            const style = window.getComputedStyle(scrollRoot);
+            height -= (parseFloat(style.paddingTop) || 0) + (parseFloat(style.paddingBottom) || 0);
+            if (!host.clientWidth) {
+                width -= (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0);
+            }
+            return { width: Math.max(width, 1), height: Math.max(height, 1) };
+        }
+
+        function computeModeScale(mode) {
+            const natural = options.naturalSize();
+            if (!natural || !natural.width || !natural.height) {
+                return 1;
+            }
+
+            const available = availableSize();
+            switch (mode) {
+                case "fitWidth":
+                    return available.width / natural.width;
+                case "fitPage":
+                    return Math.min(available.width / natural.width, available.height / natural.height);
+                case "actual":
+                    return 1;
+                default:
+                    return state.scale;
+            }
+        }
+
+        function apply(mode, scale) {
+            if (state.disposed) {
+                return;
+            }
+            state.mode = mode;
+            const next = mode === "custom" ? scale : computeModeScale(mode);
+            state.scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, next));
+            options.applyScale(state.scale);
+            updateToolbarScale();
+        }
+
+        // ซูมโดยให้จุดใต้เคอร์เซอร์ยังอยู่ที่เดิมบนจอ
+        function zoomAround(scale, clientX, clientY) {
+            const rect = scrollRoot.getBoundingClientRect();
+            const offsetX = clientX - rect.left;
+            const offsetY = clientY - rect.top;
+            const ratio = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, scale)) / state.scale;
+            const targetLeft = (scrollRoot.scrollLeft + offsetX) * ratio - offsetX;
+            const targetTop = (scrollRoot.scrollTop + offsetY) * ratio - offsetY;
+            apply("custom", scale);
+            scrollRoot.scrollLeft = targetLeft;
+            scrollRoot.scrollTop = targetTop;
+        }
+
+        // Ctrl + ล้อเมาส์ (และ pinch บน touchpad ซึ่งเบราว์เซอร์ส่งมาเป็น ctrlKey) ซูมเนื้อหาแทนการซูมทั้งหน้า
+        const handleWheel = event => {
+            if (!event.ctrlKey) {
+                return;
+            }
+            event.preventDefault();
+            const factor = Math.min(WHEEL_ZOOM_MAX_STEP, Math.max(1 / WHEEL_ZOOM_MAX_STEP, Math.exp(-event.deltaY * WHEEL_ZOOM_SENSITIVITY)));
+            zoomAround(state.scale * factor, event.clientX, event.clientY);
+        };
+        host.addEventListener("wheel", handleWheel, { passive: false });
+
+        // จอเปลี่ยนขนาด (เช่น เข้า/ออกเต็มจอ) ให้คำนวณโหมดพอดีกว้าง/พอดีหน้าใหม่
+        let resizeObserver = null;
+        if (typeof ResizeObserver === "function") {
+            let lastWidth = scrollRoot.clientWidth;
+            let lastHeight = scrollRoot.clientHeight;
+            resizeObserver = new ResizeObserver(() => {
+                if (state.disposed || (scrollRoot.clientWidth === lastWidth && scrollRoot.clientHeight === lastHeight)) {
+                    return;
+                }
+                lastWidth = scrollRoot.clientWidth;
+                lastHeight = scrollRoot.clientHeight;
+                if (state.mode === "fitWidth" || state.mode === "fitPage") {
+                    apply(state.mode);
+                }
+            });
+            resizeObserver.observe(scrollRoot);
+        }
+
+        return {
+            scrollRoot,
+            refresh: () => apply(state.mode, state.scale),
+            getScale: () => state.scale,
+            zoomIn: () => apply("custom", state.scale * ZOOM_STEP),
+            zoomOut: () => apply("custom", state.scale / ZOOM_STEP),
+            fitWidth: () => apply("fitWidth"),
+            fitPage: () => apply("fitPage"),
+            actualSize: () => apply("actual"),
+            // value เป็นสัดส่วนของขนาดจริง เช่น 1.5 = 150%
+            setScale: value => {
+                const zoom = Number(value);
+                if (Number.isFinite(zoom) && zoom > 0) {
+                    apply("custom", zoom);
+                }
+            },
+            dispose: () => {
+                state.disposed = true;
+                host.removeEventListener("wheel", handleWheel);
+                if (resizeObserver) {
+                    resizeObserver.disconnect();
+                }
+            }
+        };
+    }
+
+    // view มาตรฐานหนึ่งหน้า: ตัวแสดงผลส่ง zoom controller และส่วนที่ต้องคืนทรัพยากรมา
+    function createView(zoom, extra) {
+        const additions = extra || {};
+        return {
+            zoomIn: zoom.zoomIn,
+            zoomOut: zoom.zoomOut,
+            fitWidth: zoom.fitWidth,
+            fitPage: zoom.fitPage,
+            actualSize: zoom.actualSize,
+            setScale: zoom.setScale,
+            rotate: additions.rotate || (() => { }),
+            hasDocument: () => true,
+            getPageCount: () => 1,
+            getCurrentPageIndex: () => 1,
+            goToPage: () => { },
+            dispose: () => {
+                zoom.dispose();
+                if (additions.dispose) {
+                    additions.dispose();
+                }
+            }
+        };
+    }
+
+    // ---------- รูปภาพ: ซูม + ลากเพื่อเลื่อนดู ----------
+
+    function attachPan(element, scrollRoot) {
+        let drag = null;
+
+        const handlePointerDown = event => {
+            // นิ้วบนจอสัมผัสเลื่อนได้เองอยู่แล้ว ดักเฉพาะเมาส์/ปากกา
+            if (event.button !== 0 || event.pointerType === "touch") {
+                return;
+            }
+            drag = { id: event.pointerId, x: event.clientX, y: event.clientY, left: scrollRoot.scrollLeft, top: scrollRoot.scrollTop };
+            element.setPointerCapture(event.pointerId);
+            element.classList.add("doc-image--panning");
+            event.preventDefault();
+        };
+        const handlePointerMove = event => {
+            if (!drag || event.pointerId !== drag.id) {
+                return;
+            }
+            scrollRoot.scrollLeft = drag.left - (event.clientX - drag.x);
+            scrollRoot.scrollTop = drag.top - (event.clientY - drag.y);
+        };
+        const handlePointerUp = event => {
+            if (!drag || event.pointerId !== drag.id) {
+                return;
+            }
+            drag = null;
+            element.classList.remove("doc-image--panning");
+        };
+
+        element.addEventListener("pointerdown", handlePointerDown);
+        element.addEventListener("pointermove", handlePointerMove);
+        element.addEventListener("pointerup", handlePointerUp);
+        element.addEventListener("pointercancel", handlePointerUp);
+        return () => {
+            element.removeEventListener("pointerdown", handlePointerDown);
+            element.removeEventListener("pointermove", handlePointerMove);
+            element.removeEventListener("pointerup", handlePointerUp);
+            element.removeEventListener("pointercancel", handlePointerUp);
+        };
+    }
+
+    async function renderImage(host, url, context) {
+        const response = await fetchDocument(url, context.signal);
+        const objectUrl = URL.createObjectURL(await response.blob());
+        const image = new Image();
+        image.className = "doc-image";
+        image.alt = "";
+        image.draggable = false;
+        try {
+            image.src = objectUrl;
+            await image.decode();
+        } catch (error) {
+            URL.revokeObjectURL(objectUrl);
+            throw rendererError(ERROR_CODES.unsupportedFormat);
+        }
+
+        const frame = document.createElement("div");
+        frame.className = "doc-image-frame";
+        frame.appendChild(image);
+        host.innerHTML = "";
+        host.appendChild(frame);
+
+        let rotation = 0;
+        const isQuarterTurn = () => rotation % 180 !== 0;
+        const zoom = createZoomController(host, context.containerId, {
+            initialMode: "fitPage",
+            naturalSize: () => isQuarterTurn()
+                ? { width: image.naturalHeight, height: image.naturalWidth }
+                : { width: image.naturalWidth, height: image.naturalHeight },
+            applyScale: scale => {
+                const width = image.naturalWidth * scale;
+                const height = image.naturalHeight * scale;
+                image.style.width = `${width}px`;
+                image.style.height = `${height}px`;
+                image.style.transform = `translate(-50%, -50%) rotate(${rotation}deg)`;
+                frame.style.width = `${isQuarterTurn() ? height : width}px`;
+                frame.style.height = `${isQuarterTurn() ? width : height}px`;
+            }
+        });
+        const detachPan = attachPan(frame, zoom.scrollRoot);
+        zoom.refresh();
+
+        return createView(zoom, {
+            rotate: degrees => {
+                const delta = degrees === undefined || degrees === null ? 90 : Number(degrees);
+                if (!Number.isFinite(delta) || delta % 90 !== 0) {
+                    return;
+                }
+                rotation = (((rotation + delta) % 360) + 360) % 360;
+                zoom.refresh();
+            },
+            dispose: () => {
+                detachPan();
+                URL.revokeObjectURL(objectUrl);
+            }
+        });
+    }
+
+    // ---------- ข้อความ/CSV: ตรวจ encoding (UTF-8 หรือ TIS-620) ----------
+
+    // ไฟล์จาก Excel/Notepad ภาษาไทยรุ่นเก่ามักเป็น TIS-620 (windows-874): ลอง UTF-8 แบบเข้มงวดก่อน ถ้าไม่ผ่านจึงถอดเป็น TIS-620
+    function decodeText(buffer) {
+        const bytes = new Uint8Array(buffer);
+        if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { text: new TextDecoder("utf-16le").decode(bytes), encoding: "UTF-16" };
+        }
+        if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { text: new TextDecoder("utf-16be").decode(bytes), encoding: "UTF-16" };
+        }
+
+        try {
+            return { text: new TextDecoder("utf-8", { fatal: true }).decode(bytes), encoding: "UTF-8" };
+        } catch (error) {
+            return { text: new TextDecoder("windows-874").decode(bytes), encoding: "TIS-620" };
+        }
+    }
+
+    // เดาตัวคั่นจากบรรทัดแรก (Excel ภาษาไทยบางเครื่องบันทึก CSV ด้วย ; หรือ tab)
+    function detectDelimiter(text) {
+        const firstLine = text.slice(0, text.search(/\r?\n|$/));
+        const candidates = [",", ";", "\t"];
+        return candidates.reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ",");
+    }
+
+    // RFC 4180: ช่องในเครื่องหมาย " มีตัวคั่น/ขึ้นบรรทัดใหม่ได้ และ "" แทน " หนึ่งตัว
+    function parseCsv(text, delimiter, maxRows) {
+        const rows = [];
+        let row = [];
+        let field = "";
+        let quoted = false;
+        for (let index = 0; index < text.length; index++) {
+            const character = text[index];
+            if (quoted) {
+                if (character === "\"") {
+                    if (text[index + 1] === "\"") {
+                        field += "\"";
+                        index++;
+                    } else {
+                        quoted = false;
+                    }
+                } else {
+                    field += character;
+                }
+            } else if (character === "\"" && field === "") {
+                quoted = true;
+            } else if (character === delimiter) {
+                row.push(field);
+                field = "";
+            } else if (character === "\n" || character === "\r") {
+                if (character === "\r" && text[index + 1] === "\n") {
+                    index++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = "";
+                if (rows.length >= maxRows) {
+                    return { rows, truncated: index < text.length - 1 };
+                }
+            } else {
+                field += character;
+            }
+        }
+
+        if (field !== "" || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return { rows, truncated: false };
+    }
+
+    // rows[r] = [{ text, colSpan, rowSpan, hidden }] หรือสตริง, แถวแรกเป็นหัวตาราง
+    function buildTable(rows, hasHeader) {
+        const table = document.createElement("table");
+        table.className = "doc-sheet-table";
+        const columnCount = Math.min(MAX_TABLE_COLUMNS, rows.reduce((max, row) => Math.max(max, row.length), 0));
+        const appendRow = (parent, cells, cellTag) => {
+            const tr = document.createElement("tr");
+            for (let column = 0; column < columnCount; column++) {
+                const cell = cells[column];
+                if (cell && cell.hidden) {
+                    continue;
+                }
+                const td = document.createElement(cellTag);
+                td.textContent = cell === undefined || cell === null ? "" : typeof cell === "string" ? cell : cell.text;
+                if (cell && cell.colSpan > 1) {
+                    td.colSpan = cell.colSpan;
+                }
+                if (cell && cell.rowSpan > 1) {
+                    td.rowSpan = cell.rowSpan;
+                }
+                if (cell && cell.numeric) {
+                    td.className = "doc-sheet-number";
+                }
+                tr.appendChild(td);
+            }
+            parent.appendChild(tr);
+        };
+
+        if (hasHeader && rows.length > 0) {
+            const thead = document.createElement("thead");
+            appendRow(thead, rows[0], "th");
+            table.appendChild(thead);
+        }
+        const tbody = document.createElement("tbody");
+        rows.slice(hasHeader ? 1 : 0).forEach(row => appendRow(tbody, row, "td"));
+        table.appendChild(tbody);
+        return table;
+    }
+
+    function createNotice(text) {
+        const notice = document.createElement("div");
+        notice.className = "doc-renderer-notice small text-muted";
+        notice.textContent = text;
+        return notice;
+    }
+
+    // เนื้อหาที่ขยายตามขนาดตัวอักษร: วัดขนาดที่ scale 1 ไว้ครั้งเดียวหลังใส่ลง DOM แล้วใช้คำนวณพอดีกว้าง/พอดีหน้า
+    function createTextZoom(host, content, containerId, initialMode) {
+        content.style.fontSize = "";
+        const baseFontSize = parseFloat(window.getComputedStyle(content).fontSize) || 14;
+        let natural = null;
+        const zoom = createZoomController(host, containerId, {
+            initialMode,
+            naturalSize: () => {
+                if (!natural) {
+                    content.style.fontSize = `${baseFontSize}px`;
+                    natural = { width: content.scrollWidth, height: content.scrollHeight };
+                }
+                return natural;
+            },
+            applyScale: scale => {
+                content.style.fontSize = `${baseFontSize * scale}px`;
+            }
+        });
+        zoom.refresh();
+        return zoom;
+    }
+
+    async function renderText(host, url, context) {
+        const response = await fetchDocument(url, context.signal);
+        const decoded = decodeText(await response.arrayBuffer());
+        const isCsv = normalizeContentType(context.contentType) === "text/csv";
+        const truncated = decoded.text.length > MAX_TEXT_CHARACTERS;
+        const text = truncated ? decoded.text.slice(0, MAX_TEXT_CHARACTERS) : decoded.text;
+
+        const content = document.createElement("div");
+        content.className = "doc-text-content";
+        let isTableTruncated = false;
+        if (isCsv) {
+            const parsed = parseCsv(text, detectDelimiter(text), MAX_TABLE_ROWS);
+            isTableTruncated = parsed.truncated;
+            content.appendChild(buildTable(parsed.rows, true));
+        } else {
+            const pre = document.createElement("pre");
+            pre.className = "doc-text-pre";
+            pre.textContent = text;
+            content.appendChild(pre);
+        }
+
+        host.innerHTML = "";
+        host.appendChild(createNotice(`การเข้ารหัส: ${decoded.encoding}`));
+        if (truncated || isTableTruncated) {
+            host.appendChild(createNotice(isCsv
+                ? `แสดงเฉพาะ ${MAX_TABLE_ROWS.toLocaleString()} แถวแรก กรุณาดาวน์โหลดไฟล์เพื่อดูทั้งหมด`
+                : "ไฟล์ยาวเกินไป แสดงเฉพาะส่วนต้น กรุณาดาวน์โหลดไฟล์เพื่อดูทั้งหมด"));
+        }
+        host.appendChild(content);
+
+        return createView(createTextZoom(host, content, context.containerId, "actual"));
+    }
+
+    // ---------- XLSX: อ่าน zip + XML ของชีตเอง (ไม่ต้องพึ่งไลบรารีภายนอก) ----------
+
+    const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+    const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+    const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+    const EXCEL_EPOCH_UTC = Date.UTC(1899, 11, 30);
+    const BUILT_IN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+    function readZipEntries(buffer) {
+        const view = new DataView(buffer);
+        const minimumOffset = Math.max(0, buffer.byteLength - 65557);
+        let endOffset = -1;
+        for (let offset = buffer.byteLength - 22; offset >= minimumOffset; offset--) {
+            if (view.getUint32(offset, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+                endOffset = offset;
+                break;
+            }
+        }
+        if (endOffset < 0) {
+            throw rendererError(ERROR_CODES.unsupportedFormat, "Not a zip archive.");
+        }
+
+        const entries = new Map();
+        const decoder = new TextDecoder("utf-8");
+        const count = view.getUint16(endOffset + 10, true);
+        let offset = view.getUint32(endOffset + 16, true);
+        for (let index = 0; index < count; index++) {
+            if (view.getUint32(offset, true) !== ZIP_CENTRAL_DIRECTORY_ENTRY) {
+                throw rendererError(ERROR_CODES.unsupportedFormat, "Corrupt zip central directory.");
+            }
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+            entries.set(name, { method, compressedSize, localOffset });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return {
+            has: name => entries.has(name),
+            readText: async name => {
+                const entry = entries.get(name);
+                if (!entry) {
+                    return null;
+                }
+                if (view.getUint32(entry.localOffset, true) !== ZIP_LOCAL_FILE_HEADER) {
+                    throw rendererError(ERROR_CODES.unsupportedFormat, "Corrupt zip entry.");
+                }
+                const dataOffset = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+                const data = new Uint8Array(buffer, dataOffset, entry.compressedSize);
+                if (entry.method === 0) {
+                    return decoder.decode(data);
+                }
+                if (entry.method !== 8 || typeof DecompressionStream !== "function") {
+                    throw rendererError(ERROR_CODES.unsupportedFormat, `Zip method ${entry.method} is not supported.`);
+                }
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+                return decoder.decode(await new Response(stream).arrayBuffer());
+            }
+        };
+    }
+
+    function parseXml(text) {
+        const xml = new DOMParser().parseFromString(text, "application/xml");
+        if (xml.getElementsByTagName("parsererror").length > 0) {
+            throw rendererError(ERROR_CODES.unsupportedFormat, "Invalid workbook XML.");
+        }
+        return xml;
+    }
+
+    // ไฟล์จากบางโปรแกรมใส่ prefix (เช่น x:row) จึงค้นด้วย localName
+    function elements(parent, localName) {
+        return Array.from(parent.getElementsByTagNameNS("*", localName));
+    }
+
+    function childElement(parent, localName) {
+        return Array.from(parent.children).find(child => child.localName === localName) || null;
+    }
+
+    // ข้อความใน <si>/<is>: รวม <t> ทุกตัว ยกเว้นคำอ่าน (<rPh>)
+    function readRichText(element) {
+        return elements(element, "t")
+            .filter(t => !t.parentElement || t.parentElement.localName !== "rPh")
+            .map(t => t.textContent)
+            .join("");
+    }
+
+    function resolveWorkbookTarget(target) {
+        if (target.startsWith("/")) {
+            return target.slice(1);
+        }
+        return `xl/${target}`.replace(/[^/]+\/\.\.\//g, "");
+    }
+
+    // รูปแบบตัวเลขที่เป็นวันที่/เวลา (เลขในเซลล์คือจำนวนวันนับจาก 1899-12-30)
+    function readDateStyles(stylesXml) {
+        if (!stylesXml) {
+            return [];
+        }
+        const customDateFormats = new Set(elements(stylesXml, "numFmt")
+            .filter(format => /[dmyh]/i.test((format.getAttribute("formatCode") || "").replace(/"[^"]*"|\[[^\]]*\]/g, "")))
+            .map(format => Number(format.getAttribute("numFmtId"))));
+        const cellXfs = elements(stylesXml, "cellXfs")[0];
+        if (!cellXfs) {
+            return [];
+        }
+        return Array.from(cellXfs.children)
+            .filter(child => child.localName === "xf")
+            .map(xf => {
+                const id = Number(xf.getAttribute("numFmtId") || 0);
+                return BUILT_IN_DATE_FORMATS.has(id) || customDateFormats.has(id);
+            });
+    }
+
+    function formatExcelDate(serial) {
+        const date = new Date(EXCEL_EPOCH_UTC + Math.round(serial * 86400000));
+        const iso = date.toISOString();
+        if (serial % 1 === 0) {
+            return iso.slice(0, 10);
+        }
+        return serial < 1 ? iso.slice(11, 16) : `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+    }
+
+    function columnIndex(reference) {
+        const letters = /^[A-Z]+/i.exec(reference || "");
+        if (!letters) {
+            return -1;
+        }
+        return letters[0].toUpperCase().split("").reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+
+    function rowIndex(reference) {
+        const digits = /\d+$/.exec(reference || "");
+        return digits ? Number(digits[0]) - 1 : -1;
+    }
+
+    function readCellText(cell, sharedStrings, dateStyles) {
+        const type = cell.getAttribute("t") || "n";
+        if (type === "inlineStr") {
+            const inline = childElement(cell, "is");
+            return { text: inline ? readRichText(inline) : "", numeric: false };
+        }
+
+        const valueElement = childElement(cell, "v");
+        const raw = valueElement ? valueElement.textContent : "";
+        switch (type) {
+            case "s":
+                return { text: sharedStrings[Number(raw)] || "", numeric: false };
+            case "b":
+                return { text: raw === "1" ? "TRUE" : "FALSE", numeric: false };
+            case "str":
+            case "e":
+                return { text: raw, numeric: false };
+            default: {
+                if (raw === "") {
+                    return { text: "", numeric: false };
+                }
+                const number = Number(raw);
+                const styleIndex = Number(cell.getAttribute("s") || 0);
+                if (Number.isFinite(number) && dateStyles[styleIndex]) {
+                    return { text: formatExcelDate(number), numeric: true };
+                }
+                return { text: Number.isFinite(number) ? String(Math.round(number * 1e10) / 1e10) : raw, numeric: true };
+            }
+        }
+    }
+
+    function readSheetRows(sheetXml, sharedStrings, dateStyles) {
+        const rows = [];
+        let truncated = false;
+        elements(sheetXml, "row").forEach((rowElement, position) => {
+            const rowNumber = Number(rowElement.getAttribute("r")) || position + 1;
+            if (rowNumber > MAX_TABLE_ROWS) {
+                truncated = true;
+                return;
+            }
+            const cells = rows[rowNumber - 1] = rows[rowNumber - 1] || [];
+            Array.from(rowElement.children).filter(child => child.localName === "c").forEach((cell, cellPosition) => {
+                const reference = cell.getAttribute("r");
+                const column = reference ? columnIndex(reference) : cellPosition;
+                if (column < 0 || column >= MAX_TABLE_COLUMNS) {
+                    return;
+                }
+                cells[column] = readCellText(cell, sharedStrings, dateStyles);
+            });
+        });
+
+        for (let index = 0; index < rows.length; index++) {
+            rows[index] = rows[index] || [];
+        }
+
+        // เซลล์ที่ผสานไว้: เซลล์มุมซ้ายบนกินพื้นที่ที่เหลือ
+        elements(sheetXml, "mergeCell").forEach(merge => {
+            const [start, end] = (merge.getAttribute("ref") || "").split(":");
+            const top = rowIndex(start);
+            const left = columnIndex(start);
+            const bottom = Math.min(rowIndex(end), rows.length - 1);
+            const right = Math.min(columnIndex(end), MAX_TABLE_COLUMNS - 1);
+            if (top < 0 || left < 0 || bottom < top || right < left || top >= rows.length) {
+                return;
+            }
+            for (let row = top; row <= bottom; row++) {
+                for (let column = left; column <= right; column++) {
+                    rows[row][column] = row === top && column === left
+                        ? Object.assign({ text: "" }, rows[row][column], { colSpan: right - left + 1, rowSpan: bottom - top + 1 })
+                        : { text: "", hidden: true };
+                }
+            }
+        });
+
+        return { rows, truncated };
+    }
+
+    async function readWorkbook(buffer) {
+        const zip = readZipEntries(buffer);
+        const workbookText = await zip.readText("xl/workbook.xml");
+        if (!workbookText) {
+            throw rendererError(ERROR_CODES.unsupportedFormat, "Missing xl/workbook.xml.");
+        }
+
+        const relationshipsText = await zip.readText("xl/_rels/workbook.xml.rels");
+        const targets = new Map(relationshipsText
+            ? elements(parseXml(relationshipsText), "Relationship").map(relationship => [relationship.getAttribute("Id"), relationship.getAttribute("Target") || ""])
+            : []);
+        const sharedStringsText = await zip.readText("xl/sharedStrings.xml");
+        const sharedStrings = sharedStringsText ? elements(parseXml(sharedStringsText), "si").map(readRichText) : [];
+        const stylesText = await zip.readText("xl/styles.xml");
+        const dateStyles = readDateStyles(stylesText ? parseXml(stylesText) : null);
+
+        const sheets = elements(parseXml(workbookText), "sheet")
+            .filter(sheet => sheet.getAttribute("state") !== "hidden" && sheet.getAttribute("state") !== "veryHidden")
+            .map((sheet, index) => {
+                const relationshipId = Array.from(sheet.attributes).find(attribute => attribute.localName === "id");
+                const target = relationshipId ? targets.get(relationshipId.value) : null;
+                return {
+                    name: sheet.getAttribute("name") || `Sheet${index + 1}`,
+                    path: target ? resolveWorkbookTarget(target) : `xl/worksheets/sheet${index + 1}.xml`
+                };
+            })
+            .filter(sheet => zip.has(sheet.path));
+        if (sheets.length === 0) {
+            throw rendererError(ERROR_CODES.unsupportedFormat, "Workbook has no readable sheets.");
+        }
+
+        return {
+            sheets,
+            readSheet: async sheet => readSheetRows(parseXml(await zip.readText(sheet.path)), sharedStrings, dateStyles)
+        };
+    }
+
+    async function renderSpreadsheet(host, url, context) {
+        const response = await fetchDocument(url, context.signal);
+        let workbook;
+        try {
+            workbook = await readWorkbook(await response.arrayBuffer());
+        } catch (error) {
+            throw error && error.code ? error : rendererError(ERROR_CODES.unsupportedFormat, error && error.message);
+        }
+
+        const tabs = document.createElement("div");
+        tabs.className = "doc-sheet-tabs";
+        tabs.setAttribute("role", "tablist");
+        const notice = createNotice("");
+        const content = document.createElement("div");
+        content.className = "doc-text-content";
+        host.innerHTML = "";
+        if (workbook.sheets.length > 1) {
+            host.appendChild(tabs);
+        }
+        host.appendChild(notice);
+        host.appendChild(content);
+
+        let zoom = null;
+        let showGeneration = 0;
+        const showSheet = async index => {
+            const generation = ++showGeneration;
+            const { rows, truncated } = await workbook.readSheet(workbook.sheets[index]);
+            if (generation !== showGeneration) {
+                return;
+            }
+
+            Array.from(tabs.children).forEach((tab, tabIndex) => {
+                tab.classList.toggle("active", tabIndex === index);
+                tab.setAttribute("aria-selected", tabIndex === index ? "true" : "false");
+            });
+            notice.textContent = truncated ? `แสดงเฉพาะ ${MAX_TABLE_ROWS.toLocaleString()} แถวแรก กรุณาดาวน์โหลดไฟล์เพื่อดูทั้งหมด` : "";
+            notice.hidden = !truncated;
+            content.replaceChildren(rows.length > 0 ? buildTable(rows, false) : createNotice("ชีตนี้ไม่มีข้อมูล"));
+
+            // คงระดับซูมเดิมไว้เมื่อสลับชีต
+            const previousScale = zoom ? zoom.getScale() : null;
+            if (zoom) {
+                zoom.dispose();
+            }
+            zoom = createTextZoom(host, content, context.containerId, "actual");
+            if (previousScale) {
+                zoom.setScale(previousScale);
+            }
+        };
+
+        workbook.sheets.forEach((sheet, index) => {
+            const tab = document.createElement("button");
+            tab.type = "button";
+            tab.className = "doc-sheet-tab";
+            tab.setAttribute("role", "tab");
+            tab.textContent = sheet.name;
+            tab.addEventListener("click", () => {
+                showSheet(index).catch(error => console.warn("documentRenderers: unable to show sheet", error));
+            });
+            tabs.appendChild(tab);
+        });
+        await showSheet(0);
+
+        // zoom ถูกสร้างใหม่ทุกครั้งที่สลับชีต จึงส่งคำสั่งผ่านตัวปัจจุบันเสมอ
+        const current = method => (...args) => zoom[method](...args);
+        return createView({
+            zoomIn: current("zoomIn"),
+            zoomOut: current("zoomOut"),
+            fitWidth: current("fitWidth"),
+            fitPage: current("fitPage"),
+            actualSize: current("actualSize"),
+            setScale: current("setScale"),
+            dispose: () => {
+                showGeneration++;
+                zoom.dispose();
+            }
+        });
+    }
+
+    // ---------- จัดการ view ต่อ containerId ----------
+
+    function dispose(containerId) {
+        generations.set(containerId, (generations.get(containerId) || 0) + 1);
+        const entry = views.get(containerId);
+        if (!entry) {
+            return;
+        }
+
+        views.delete(containerId);
+        entry.controller.abort();
+        if (entry.view) {
+            try {
+                entry.view.dispose();
+            } catch (error) {
+                console.warn("documentRenderers: dispose failed", error);
+            }
+        }
+        const host = document.getElementById(containerId);
+        if (host) {
+            host.innerHTML = "";
+            host.classList.remove("document-renderer");
+        }
+    }
+
+    // คืน { success, code, message } แบบเดียวกับ pdfViewer.render หรือ { cancelled: true } เมื่อมีการ render/dispose รอบใหม่มาแทน
+    async function render(url, containerId, contentType) {
+        dispose(containerId);
+        const generation = generations.get(containerId);
+        const isStale = () => generations.get(containerId) !== generation;
+        const cancelled = { success: false, cancelled: true };
+        const fail = (host, code, message) => {
+            const text = ERROR_MESSAGES[code] || ERROR_MESSAGES[ERROR_CODES.unknown];
+            if (host) {
+                host.innerHTML = `<div class="pdfjs-error alert alert-danger m-3">${escapeHtml(text)}</div>`;
+            }
+            return { success: false, code, message: message || text };
+        };
+
+        const host = document.getElementById(containerId);
+        if (!host) {
+            return fail(null, ERROR_CODES.containerNotFound);
+        }
+
+        const renderer = resolve(contentType);
+        if (!renderer) {
+            return fail(host, ERROR_CODES.unsupportedFormat, `No renderer for '${contentType}'.`);
+        }
+
+        const entry = { generation, controller: new AbortController(), view: null };
+        views.set(containerId, entry);
+        host.classList.add("document-renderer");
+        host.innerHTML = '<div class="pdfjs-loading text-muted text-center p-4">กำลังโหลดตัวอย่างเอกสาร...</div>';
+
+        try {
+            const view = await renderer.render(host, url, {
+                containerId,
+                contentType,
+                signal: entry.controller.signal,
+                isStale
+            });
+            if (isStale()) {
+                view.dispose();
+                return cancelled;
+            }
+            entry.view = view;
+            return { success: true, code: null, message: null };
+        } catch (error) {
+            if (isStale()) {
+                return cancelled;
+            }
+
+            views.delete(containerId);
+            const code = error && typeof error.code === "string" ? error.code : ERROR_CODES.unknown;
+            console.error("Document render error", { containerId, source: url, renderer: renderer.name, code, error });
+            return fail(host, code, error && error.message);
+        }
+    }
+
+    function getView(containerId) {
+        const entry = views.get(containerId);
+        return entry && entry.view ? entry.view : null;
+    }
+
+    register({
+        name: "image",
+        contentTypes: ["image/png", "image/jpeg", "image/gif", "image/webp", "image/bmp"],
+        render: renderImage
+    });
+    register({
+        name: "text",
+        contentTypes: ["text/plain", "text/csv"],
+        render: renderText
+    });
+    register({
+        name: "spreadsheet",
+        contentTypes: ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"],
+        render: renderSpreadsheet
+    });
+
+    window.documentRenderers = {
+        register,
+        resolve,
+        canRender,
+        render,
+        dispose,
+        getView
+    };
+})();
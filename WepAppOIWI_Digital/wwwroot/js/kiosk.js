@@ -0,0 +1,196 @@
+// wwwroot/js/kiosk.js
+// หน้าจอสถานี (/kiosk): กันจอดับด้วย Screen Wake Lock, หยุดวน playlist เมื่อผู้ใช้แตะ/เลื่อน/กดปุ่ม แล้วกลับไปวนเมื่อไม่มีการใช้งาน
+// และโหลดหน้าใหม่เองเมื่อ circuit ของ Blazor หลุด (หน้าจอสถานีไม่มีใครกด Reload ให้ ส่วน Work Order ที่ล็อกไว้อ่านจาก localStorage อยู่แล้ว)
+(function () {
+    const ACTIVITY_EVENTS = ["pointerdown", "keydown", "wheel", "touchmove"];
+    const HEARTBEAT_INTERVAL_MS = 15000;
+    const HEARTBEAT_TIMEOUT_MS = 10000;
+    const MAX_MISSED_HEARTBEATS = 2;
+    const RECOVERY_DELAYS_MS = [2000, 5000, 10000, 30000];
+    // ไฟล์ static ที่ service worker ไม่ดักไว้: ตอบได้ = server กลับมาแล้ว
+    const SERVER_PROBE_URL = "_framework/blazor.web.js";
+
+    let session = null;
+
+    function attach(dotNetRef, options) {
+        detach();
+        if (!dotNetRef) {
+            return;
+        }
+
+        const idleSeconds = options && Number(options.idleTimeoutSeconds) > 0 ? Number(options.idleTimeoutSeconds) : 90;
+        session = {
+            ref: dotNetRef,
+            idleTimeoutMs: Math.max(5, idleSeconds) * 1000,
+            idleTimer: 0,
+            interacting: false,
+            wakeLock: null,
+            heartbeatTimer: setInterval(checkCircuit, HEARTBEAT_INTERVAL_MS),
+            missedHeartbeats: 0,
+            recovering: false
+        };
+
+        ACTIVITY_EVENTS.forEach(name => document.addEventListener(name, handleActivity, { capture: true, passive: true }));
+        document.addEventListener("visibilitychange", handleVisibilityChange);
+        requestWakeLock();
+    }
+
+    function detach() {
+        if (!session) {
+            return;
+        }
+
+        ACTIVITY_EVENTS.forEach(name => document.removeEventListener(name, handleActivity, { capture: true }));
+        document.removeEventListener("visibilitychange", handleVisibilityChange);
+        clearTimeout(session.idleTimer);
+        clearInterval(session.heartbeatTimer);
+        if (session.wakeLock) {
+            session.wakeLock.release().catch(() => { });
+        }
+
+        session = null;
+    }
+
+    // แตะ/กดครั้งแรกหยุดการวน แล้วนับเวลาว่างใหม่ทุกครั้งที่มีการใช้งาน
+    function handleActivity(event) {
+        if (!session || session.recovering) {
+            return;
+        }
+
+        if (!session.interacting) {
+            session.interacting = true;
+            invoke("OnUserActivityAsync");
+        }
+
+        // เบราว์เซอร์ให้ขอเต็มจอได้เฉพาะตอนผู้ใช้กด จึงลองตอนแตะครั้งแรก (เครื่องที่เปิดด้วย --kiosk เต็มจออยู่แล้ว)
+        if ((event.type === "pointerdown" || event.type === "keydown") && !document.fullscreenElement && document.documentElement.requestFullscreen) {
+            document.documentElement.requestFullscreen().catch(() => { });
+        }
+
+        clearTimeout(session.idleTimer);
+        session.idleTimer = setTimeout(handleIdle, session.idleTimeoutMs);
+    }
+
+    function handleIdle() {
+        if (!session) {
+            return;
+        }
+
+        session.idleTimer = 0;
+        session.interacting = false;
+        invoke("OnIdleAsync");
+    }
+
+    // ระบบปล่อย wake lock เองเมื่อแท็บถูกซ่อน/จอถูกล็อก จึงขอใหม่ทุกครั้งที่กลับมาแสดง
+    async function requestWakeLock() {
+        if (!session || session.wakeLock || !("wakeLock" in navigator) || document.visibilityState !== "visible") {
+            return;
+        }
+
+        try {
+            const lock = await navigator.wakeLock.request("screen");
+            if (!session) {
+                lock.release().catch(() => { });
+                return;
+            }
+
+            session.wakeLock = lock;
+            lock.addEventListener("release", () => {
+                if (session && session.wakeLock === lock) {
+                    session.wakeLock = null;
+                }
+            });
+        } catch (error) {
+            console.warn("kiosk: screen wake lock unavailable", error);
+        }
+    }
+
+    function handleVisibilityChange() {
+        if (document.visibilityState === "visible") {
+            requestWakeLock();
+        }
+    }
+
+    async function invoke(method) {
+        if (!session) {
+            return;
+        }
+
+        try {
+            await session.ref.invokeMethodAsync(method);
+        } catch (error) {
+            console.warn(`kiosk: ${method} failed`, error);
+        }
+    }
+
+    // เรียก .NET ไม่ได้ติดกันหลายครั้ง = circuit หลุดแล้ว (ต่อใหม่ไม่ได้หรือ server ถูก restart)
+    async function checkCircuit() {
+        if (!session || session.recovering) {
+            return;
+        }
+
+        const current = session;
+        const alive = await ping(current.ref);
+        if (session !== current || current.recovering) {
+            return;
+        }
+
+        current.missedHeartbeats = alive ? 0 : current.missedHeartbeats + 1;
+        if (current.missedHeartbeats >= MAX_MISSED_HEARTBEATS) {
+            recover(current);
+        }
+    }
+
+    function ping(dotNetRef) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => resolve(false), HEARTBEAT_TIMEOUT_MS);
+            dotNetRef.invokeMethodAsync("PingAsync").then(
+                () => {
+                    clearTimeout(timer);
+                    resolve(true);
+                },
+                () => {
+                    clearTimeout(timer);
+                    resolve(false);
+                });
+        });
+    }
+
+    // รอจน server ตอบก่อนค่อยโหลดหน้าใหม่ (โหลดตอน server ยังไม่พร้อมจะได้หน้า error ค้างไว้)
+    async function recover(current) {
+        current.recovering = true;
+        clearInterval(current.heartbeatTimer);
+
+        for (let attempt = 0; session === current; attempt++) {
+            try {
+                const response = await fetch(SERVER_PROBE_URL, { method: "HEAD", cache: "no-store" });
+                if (response.ok) {
+                    window.location.reload();
+                    return;
+                }
+            } catch (error) {
+                // เครือข่ายยังไม่กลับมา
+            }
+
+            await new Promise(resolve => setTimeout(resolve, RECOVERY_DELAYS_MS[Math.min(attempt, RECOVERY_DELAYS_MS.length - 1)]));
+        }
+    }
+
+    function toggleFullScreen() {
+        if (document.fullscreenElement) {
+            return document.exitFullscreen().then(() => false, () => true);
+        }
+
+        if (!document.documentElement.requestFullscreen) {
+            return Promise.resolve(false);
+        }
+
+        return document.documentElement.requestFullscreen().then(() => true, () => false);
+    }
+
+    window.oiwiKiosk = {
+        attach,
+        detach,
+        toggleFullScreen
+    };
+})();
@@ -0,0 +1,176 @@
+// wwwroot/js/md5Worker.js
+// Web Worker ที่ chunkedUpload.js ใช้คำนวณ MD5 ของไฟล์ก่อนอัปโหลด อ่านทีละช่วงเพื่อไม่ให้ไฟล์ใหญ่กินหน่วยความจำหรือทำให้หน้าค้าง
+// รับ { type: "hash", id, file } / { type: "cancel", id } ตอบ { id, type: "progress", loaded } / { id, type: "done", hash } / { id, type: "error", message }
+(function () {
+    const READ_CHUNK_SIZE = 4 * 1024 * 1024;
+    const PROGRESS_INTERVAL_MS = 200;
+
+    const SHIFTS = [
+        7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+        5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+        4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+        6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+    ];
+
+    const CONSTANTS = new Int32Array(64);
+    for (let i = 0; i < 64; i++) {
+        CONSTANTS[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0;
+    }
+
+    const cancelled = new Set();
+
+    // MD5 แบบป้อนข้อมูลทีละส่วน (RFC 1321)
+    function createMd5() {
+        const state = new Int32Array([0x67452301, 0xefcdab89 | 0, 0x98badcfe | 0, 0x10325476]);
+        const words = new Int32Array(16);
+        const pending = new Uint8Array(64);
+        let pendingLength = 0;
+        let totalLength = 0;
+
+        function processBlock(bytes, offset) {
+            for (let i = 0; i < 16; i++) {
+                const index = offset + i * 4;
+                words[i] = bytes[index] | (bytes[index + 1] << 8) | (bytes[index + 2] << 16) | (bytes[index + 3] << 24);
+            }
+
+            let a = state[0];
+            let b = state[1];
+            let c = state[2];
+            let d = state[3];
+
+            for (let i = 0; i < 64; i++) {
+                let f;
+                let g;
+                if (i < 16) {
+                    f = (b & c) | (~b & d);
+                    g = i;
+                } else if (i < 32) {
+                    f = (d & b) | (~d & c);
+                    g = (5 * i + 1) & 15;
+                } else if (i < 48) {
+                    f = b ^ c ^ d;
+                    g = (3 * i + 5) & 15;
+                } else {
+                    f = c ^ (b | ~d);
+                    g = (7 * i) & 15;
+                }
+
+                const sum = (a + f + CONSTANTS[i] + words[g]) | 0;
+                const shift = SHIFTS[i];
+                a = d;
+                d = c;
+                c = b;
+                b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+            }
+
+            state[0] = (state[0] + a) | 0;
+            state[1] = (state[1] + b) | 0;
+            state[2] = (state[2] + c) | 0;
+            state[3] = (state[3] + d) | 0;
+        }
+
+        function update(bytes) {
+            let offset = 0;
+            totalLength += bytes.length;
+
+            if (pendingLength > 0) {
+                const take = Math.min(64 - pendingLength, bytes.length);
+                pending.set(bytes.subarray(0, take), pendingLength);
+                pendingLength += take;
+                offset = take;
+                if (pendingLength < 64) {
+                    return;
+                }
+                processBlock(pending, 0);
+                pendingLength = 0;
+            }
+
+            for (; offset + 64 <= bytes.length; offset += 64) {
+                processBlock(bytes, offset);
+            }
+
+            if (offset < bytes.length) {
+                pending.set(bytes.subarray(offset), 0);
+                pendingLength = bytes.length - offset;
+            }
+        }
+
+        function finish() {
+            const bitLength = totalLength * 8;
+            const padding = new Uint8Array(pendingLength < 56 ? 64 : 128);
+            padding.set(pending.subarray(0, pendingLength), 0);
+            padding[pendingLength] = 0x80;
+
+            // ความยาวเป็นบิตแบบ 64 บิต little-endian (แยกเป็นสองส่วนเพราะ bitwise ของ JS ทำได้แค่ 32 บิต)
+            let low = bitLength % 0x100000000;
+            let high = Math.floor(bitLength / 0x100000000);
+            const lengthOffset = padding.length - 8;
+            for (let i = 0; i < 4; i++) {
+                padding[lengthOffset + i] = low & 0xff;
+                padding[lengthOffset + 4 + i] = high & 0xff;
+                low = Math.floor(low / 256);
+                high = Math.floor(high / 256);
+            }
+
+            for (let offset = 0; offset < padding.length; offset += 64) {
+                processBlock(padding, offset);
+            }
+
+            let hex = "";
+            for (let i = 0; i < 4; i++) {
+                for (let j = 0; j < 4; j++) {
+                    hex += ((state[i] >>> (j * 8)) & 0xff).toString(16).padStart(2, "0");
+                }
+            }
+            return hex;
+        }
+
+        return { update, finish };
+    }
+
+    async function hashFile(id, file) {
+        const md5 = createMd5();
+        let lastProgressAt = 0;
+
+        for (let offset = 0; offset < file.size; offset += READ_CHUNK_SIZE) {
+            // รอ arrayBuffer ทุกช่วงทำให้ข้อความ cancel เข้ามาได้ระหว่างคำนวณ
+            const buffer = await file.slice(offset, Math.min(offset + READ_CHUNK_SIZE, file.size)).arrayBuffer();
+            if (cancelled.has(id)) {
+                return null;
+            }
+
+            md5.update(new Uint8Array(buffer));
+
+            const now = Date.now();
+            if (now - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+                lastProgressAt = now;
+                self.postMessage({ id, type: "progress", loaded: Math.min(offset + READ_CHUNK_SIZE, file.size) });
+            }
+        }
+
+        return md5.finish();
+    }
+
+    self.onmessage = async event => {
+        const message = event.data || {};
+        if (message.type === "cancel") {
+            cancelled.add(message.id);
+            return;
+        }
+
+        if (message.type !== "hash") {
+            return;
+        }
+
+        try {
+            const hash = await hashFile(message.id, message.file);
+            if (hash !== null) {
+                self.postMessage({ id: message.id, type: "done", hash });
+            }
+        } catch (error) {
+            self.postMessage({ id: message.id, type: "error", message: error && error.message ? error.message : String(error) });
+        } finally {
+            cancelled.delete(message.id);
+        }
+    };
+})();
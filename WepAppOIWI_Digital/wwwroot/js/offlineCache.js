@@ -0,0 +1,233 @@
+// wwwroot/js/offlineCache.js
+// ฝั่งหน้าเว็บของ cache ออฟไลน์: ลงทะเบียน service worker, จำ Line/Station/Model ของเครื่อง และสั่ง sync เอกสารเป็นระยะ
+(function () {
+    const STORAGE_KEY = "oiwi_offline_station";
+    const SERVICE_WORKER_URL = "service-worker.js";
+    const DOCUMENT_CACHE = "oiwi-documents-v1";
+    const DEFAULT_REFRESH_MINUTES = 15;
+    const SYNC_TIMEOUT_MS = 10 * 60 * 1000;
+
+    const script = document.currentScript;
+    const enabled = !script || !script.dataset || script.dataset.offlineEnabled !== "false";
+    const refreshMinutes = readRefreshMinutes(script);
+
+    let registrationPromise = null;
+    let refreshTimer = null;
+
+    function readRefreshMinutes(element) {
+        const minutes = element && element.dataset ? parseInt(element.dataset.offlineRefreshMinutes, 10) : NaN;
+        return !Number.isNaN(minutes) && minutes > 0 ? minutes : DEFAULT_REFRESH_MINUTES;
+    }
+
+    function isSupported() {
+        return typeof navigator !== "undefined" && "serviceWorker" in navigator && typeof caches !== "undefined";
+    }
+
+    function normalize(value) {
+        const text = typeof value === "string" ? value.trim() : "";
+        return text === "-" ? "" : text;
+    }
+
+    function getStation() {
+        try {
+            const raw = window.localStorage ? window.localStorage.getItem(STORAGE_KEY) : null;
+            const parsed = raw ? JSON.parse(raw) : null;
+            if (parsed && (parsed.line || parsed.station || parsed.model)) {
+                return { line: parsed.line || "", station: parsed.station || "", model: parsed.model || "" };
+            }
+        } catch (error) {
+            // ignore storage access errors (e.g. private mode)
+        }
+
+        return null;
+    }
+
+    function register() {
+        if (!enabled || !isSupported()) {
+            return Promise.resolve(null);
+        }
+
+        if (!registrationPromise) {
+            registrationPromise = navigator.serviceWorker
+                .register(SERVICE_WORKER_URL, { scope: "./" })
+                .then(() => navigator.serviceWorker.ready)
+                .catch(error => {
+                    console.warn("offlineCache: service worker registration failed", error);
+                    registrationPromise = null;
+                    return null;
+                });
+        }
+
+        return registrationPromise;
+    }
+
+    // ปิดใช้งานจาก appsettings แล้ว: ถอด service worker และล้างสำเนาเอกสารที่เคยเก็บไว้
+    async function unregister() {
+        if (!isSupported()) {
+            return;
+        }
+
+        try {
+            const registrations = await navigator.serviceWorker.getRegistrations();
+            await Promise.all(registrations
+                .filter(registration => registration.active && registration.active.scriptURL.endsWith("/" + SERVICE_WORKER_URL))
+                .map(registration => registration.unregister()));
+            await caches.delete(DOCUMENT_CACHE);
+        } catch (error) {
+            console.warn("offlineCache: failed to remove service worker", error);
+        }
+    }
+
+    function postToWorker(registration, message) {
+        return new Promise(resolve => {
+            const worker = registration && registration.active;
+            if (!worker) {
+                resolve({ success: false, message: "service worker ยังไม่พร้อม" });
+                return;
+            }
+
+            const channel = new MessageChannel();
+            const timer = setTimeout(() => resolve({ success: false, message: "หมดเวลารอ service worker" }), SYNC_TIMEOUT_MS);
+            channel.port1.onmessage = event => {
+                clearTimeout(timer);
+                resolve(event.data || { success: false });
+            };
+            worker.postMessage(message, [channel.port2]);
+        });
+    }
+
+    async function sync() {
+        const station = getStation();
+        const registration = await register();
+        if (!station || !registration) {
+            return { success: false, message: "ยังไม่ได้ตั้งค่าสถานีงานสำหรับเก็บเอกสารออฟไลน์" };
+        }
+
+        const query = new URLSearchParams();
+        ["line", "station", "model"].forEach(key => {
+            if (station[key]) {
+                query.set(key, station[key]);
+            }
+        });
+
+        let documents;
+        try {
+            const response = await fetch(`documents/offline-manifest?${query.toString()}`, { cache: "no-store" });
+            if (!response.ok) {
+                return { success: false, message: `โหลดรายการเอกสารไม่สำเร็จ (${response.status})` };
+            }
+
+            documents = await response.json();
+        } catch (error) {
+            // ออฟไลน์อยู่: คงสำเนาเดิมไว้ แล้วลองใหม่รอบหน้า
+            return { success: false, message: "ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้" };
+        }
+
+        return postToWorker(registration, { type: "sync", documents: Array.isArray(documents) ? documents : [] });
+    }
+
+    function scheduleRefresh() {
+        if (refreshTimer) {
+            clearInterval(refreshTimer);
+        }
+
+        refreshTimer = setInterval(() => {
+            sync().catch(() => { });
+        }, refreshMinutes * 60 * 1000);
+    }
+
+    // เรียกจากหน้า Setup หลังเลือก work order: จำค่าไว้ในเครื่องแล้ว sync ทันที
+    function configureStation(line, station, model) {
+        const value = { line: normalize(line), station: normalize(station), model: normalize(model) };
+        if (!value.line && !value.station && !value.model) {
+            return false;
+        }
+
+        try {
+            if (window.localStorage) {
+                window.localStorage.setItem(STORAGE_KEY, JSON.stringify(value));
+            }
+        } catch (error) {
+            return false;
+        }
+
+        if (enabled && isSupported()) {
+            sync().catch(() => { });
+            scheduleRefresh();
+        }
+
+        return true;
+    }
+
+    function describeCachedResponse(token, response) {
+        let title = "";
+        try {
+            title = decodeURIComponent(response.headers.get("X-Oiwi-Title") || "");
+        } catch (error) {
+            title = "";
+        }
+
+        return {
+            token,
+            versionId: response.headers.get("X-Oiwi-Version") || "",
+            cachedAt: response.headers.get("X-Oiwi-Cached-At") || null,
+            title,
+            contentType: response.headers.get("Content-Type") || ""
+        };
+    }
+
+    // ข้อมูลสำเนาในเครื่องของเอกสาร (null เมื่อไม่มี) ใช้แสดงแถบ "สำเนาออฟไลน์ของเวอร์ชัน ..." ใน viewer
+    async function getCachedDocument(token) {
+        if (!token || !isSupported()) {
+            return null;
+        }
+
+        try {
+            const cache = await caches.open(DOCUMENT_CACHE);
+            const response = await cache.match(new URL(`documents/file/${token}`, document.baseURI).toString());
+            return response ? describeCachedResponse(token, response) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async function listCachedDocuments() {
+        if (!isSupported()) {
+            return [];
+        }
+
+        try {
+            const cache = await caches.open(DOCUMENT_CACHE);
+            const keys = await cache.keys();
+            const entries = await Promise.all(keys.map(async key => {
+                const response = await cache.match(key);
+                const token = decodeURIComponent(new URL(key.url).pathname.split("/").pop() || "");
+                return response ? describeCachedResponse(token, response) : null;
+            }));
+            return entries.filter(Boolean);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    window.offlineCache = {
+        isSupported,
+        getStation,
+        configureStation,
+        sync,
+        getCachedDocument,
+        listCachedDocuments
+    };
+
+    if (!enabled) {
+        unregister();
+        return;
+    }
+
+    if (getStation()) {
+        sync().catch(() => { });
+        scheduleRefresh();
+    } else {
+        register();
+    }
+})();
@@ -1,24 +1,3 @@
-window.oiwi_getPageSize = () => {
-  try {
-    const value = localStorage.getItem('oiwi.pageSize');
-    if (value === null) {
-      return null;
-    }
-    const parsed = parseInt(value, 10);
-    return Number.isNaN(parsed) ? null : parsed;
-  } catch {
-    return null;
-  }
-};
-
-window.oiwi_setPageSize = (n) => {
-  try {
-    localStorage.setItem('oiwi.pageSize', String(n));
-  } catch {
-    // ignore persistence failures
-  }
-};
-
 window.oiwi_scrollToId = (id) => {
   const el = document.getElementById(id);
   if (el) {
@@ -32,3 +11,27 @@ window.oiwi_focusById = (id) => {
     el.focus({ preventScroll: true });
   }
 };
+
+// เลื่อนแถวที่เลือกด้วยคีย์ลัดให้อยู่ในจอ โดยไม่กระโดดถ้าเห็นอยู่แล้ว
+window.oiwi_scrollIntoViewIfNeeded = (id) => {
+  const el = document.getElementById(id);
+  if (el) {
+    el.scrollIntoView({ block: 'nearest' });
+  }
+};
+
+// ดาวน์โหลดไฟล์จาก endpoint ที่ตอบเป็น attachment (ไฟล์ส่งออก) โดยไม่เปลี่ยนหน้า/ไม่ตัด circuit ของ Blazor
+window.oiwi_downloadFile = (url, fileName) => {
+  if (!url) {
+    return;
+  }
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName || '';
+  link.rel = 'noopener';
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
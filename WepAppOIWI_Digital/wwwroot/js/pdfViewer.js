@@ -1,16 +1,73 @@
 // wwwroot/js/pdfViewer.js
 (function () {
-    const PDF_JS_CDN = "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js";
-    const PDF_JS_WORKER_CDN = "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js";
+    const DEFAULT_PDF_JS_SOURCES = [
+        {
+            name: "local",
+            libraryUrl: "lib/pdfjs/3.11.174/pdf.min.js",
+            workerUrl: "lib/pdfjs/3.11.174/pdf.worker.min.js"
+        },
+        {
+            name: "cdnjs",
+            libraryUrl: "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js",
+            workerUrl: "https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js"
+        }
+    ];
+    const DEFAULT_LOAD_TIMEOUT_MS = 15000;
+    const LIBRARY_LOAD_FAILED_MESSAGE = "ไม่สามารถโหลดตัวแสดงผล PDF ได้ (ไม่พบไลบรารี pdf.js ทั้งในเครื่องและบน CDN) กรุณาแจ้งผู้ดูแลระบบหรือดาวน์โหลดไฟล์แทน";
+    const RENDER_FAILED_MESSAGE = "ไม่สามารถโหลดตัวอย่างไฟล์ PDF ได้ กรุณาลองอีกครั้งหรือดาวน์โหลดไฟล์แทน";
+
+    // รหัสข้อผิดพลาดที่ส่งกลับให้ .NET (ดู ErrorCodes ใน pdfViewerInterop.js และ PdfViewerErrorCode ฝั่ง C#)
+    const ERROR_CODES = {
+        libLoadFailed: "LIB_LOAD_FAILED",
+        containerNotFound: "CONTAINER_NOT_FOUND",
+        docNotFound: "DOC_NOT_FOUND",
+        passwordRequired: "PASSWORD_REQUIRED",
+        corruptPdf: "CORRUPT_PDF",
+        networkError: "NETWORK_ERROR",
+        unsupportedFormat: "UNSUPPORTED_FORMAT",
+        unknown: "UNKNOWN"
+    };
+    const LOAD_ERROR_MESSAGES = {
+        [ERROR_CODES.docNotFound]: "ไม่พบไฟล์ PDF บนเซิร์ฟเวอร์ (อาจถูกย้ายหรือลบไปแล้ว)",
+        [ERROR_CODES.passwordRequired]: "ไฟล์ PDF นี้ถูกตั้งรหัสผ่านไว้ จึงแสดงตัวอย่างไม่ได้ กรุณาดาวน์โหลดไฟล์แทน",
+        [ERROR_CODES.corruptPdf]: "ไฟล์ PDF เสียหายหรือไม่ใช่ไฟล์ PDF ที่ถูกต้อง กรุณาแจ้งผู้อัปโหลดเอกสาร",
+        [ERROR_CODES.networkError]: "โหลดไฟล์ PDF ไม่สำเร็จเนื่องจากปัญหาการเชื่อมต่อ กรุณาลองอีกครั้ง"
+    };
+
+    // อ่านค่าแหล่งโหลด pdf.js จาก data attribute ที่ App.razor ใส่ไว้บน <script> ของไฟล์นี้
+    const config = readLoaderConfig(document.currentScript);
 
     let loader; // promise โหลด pdf.js
     const views = new Map(); // เก็บ state ต่อ containerId
+    const renderGenerations = new Map(); // นับรอบการเรียก render ต่อ containerId เพื่อทิ้งผลของรอบเก่า
+    const pendingLoads = new Map(); // loadingTask ของ pdf.js ที่ยังโหลดไม่เสร็จ
     const hostRegistrations = new Map();
     const viewerCallbacks = new Map();
-    let isReadyResolve;
-    const readyPromise = new Promise(resolve => {
-        isReadyResolve = resolve;
-    });
+    const passwordRequests = new Map(); // containerId -> คำขอรหัสผ่านของ pdf.js ที่รอคำตอบจาก .NET
+    const documentPasswords = new Map(); // url -> รหัสผ่านที่เปิดไฟล์ได้แล้ว (ใช้ซ้ำตอน render ใหม่และตอนพิมพ์)
+
+    function readLoaderConfig(script) {
+        let sources = DEFAULT_PDF_JS_SOURCES;
+        let timeoutMs = DEFAULT_LOAD_TIMEOUT_MS;
+
+        if (script && script.dataset) {
+            try {
+                const configured = JSON.parse(script.dataset.pdfjsSources || "[]");
+                if (Array.isArray(configured) && configured.length > 0) {
+                    sources = configured.filter(source => source && source.libraryUrl && source.workerUrl);
+                }
+            } catch (error) {
+                console.warn("pdfViewer: invalid data-pdfjs-sources, using defaults", error);
+            }
+
+            const seconds = parseInt(script.dataset.pdfjsTimeout, 10);
+            if (!Number.isNaN(seconds) && seconds > 0) {
+                timeoutMs = seconds * 1000;
+            }
+        }
+
+        return { sources: sources.length ? sources : DEFAULT_PDF_JS_SOURCES, timeoutMs };
+    }
 
     function escapeHtml(value) {
         if (value === null || value === undefined) {
@@ -32,240 +89,3096 @@
                 default:
                     return character;
             }
-        });
+        });
+    }
+
+    function sanitizeUrl(value) {
+        if (!value) {
+            return "";
+        }
+
+        return String(value)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#39;");
+    }
+
+    function loadScript(url, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement("script");
+            let timerId = null;
+
+            const fail = message => {
+                clearTimeout(timerId);
+                script.remove();
+                reject(new Error(message));
+            };
+
+            script.src = toAbsoluteUrl(url);
+            script.async = true;
+            script.onload = () => {
+                clearTimeout(timerId);
+                resolve();
+            };
+            script.onerror = () => fail(`failed to load ${url}`);
+            timerId = setTimeout(() => fail(`timed out loading ${url}`), timeoutMs);
+            document.head.appendChild(script);
+        });
+    }
+
+    async function loadFromSources() {
+        const failures = [];
+
+        for (const source of config.sources) {
+            try {
+                await loadScript(source.libraryUrl, config.timeoutMs);
+                if (!window.pdfjsLib) {
+                    throw new Error("pdf.js not found");
+                }
+
+                window.pdfjsLib.GlobalWorkerOptions.workerSrc = toAbsoluteUrl(source.workerUrl);
+                return window.pdfjsLib;
+            } catch (error) {
+                console.warn("pdfViewer: pdf.js source failed, trying next", { source: source.name || source.libraryUrl, error });
+                failures.push(`${source.name || source.libraryUrl}: ${error && error.message ? error.message : error}`);
+            }
+        }
+
+        throw new Error(`failed to load pdf.js from every source (${failures.join("; ")})`);
+    }
+
+    function ensureLoaded() {
+        if (window.pdfjsLib) {
+            if (!window.pdfjsLib.GlobalWorkerOptions.workerSrc) {
+                window.pdfjsLib.GlobalWorkerOptions.workerSrc = toAbsoluteUrl(config.sources[0].workerUrl);
+            }
+            return Promise.resolve(window.pdfjsLib);
+        }
+        if (!loader) {
+            loader = loadFromSources().catch(error => {
+                // ล้าง loader เพื่อให้การเรียกครั้งถัดไปลองโหลดใหม่ (เช่น เมื่อเครือข่ายกลับมา)
+                loader = null;
+                throw error;
+            });
+        }
+        return loader;
+    }
+
+    // preload
+    ensureLoaded().catch(console.error);
+
+    // ระยะล่วงหน้าที่เริ่มวาดหน้า และระยะที่ยังเก็บ canvas ไว้ (คิดเป็นสัดส่วนความสูงของกรอบเลื่อน)
+    const RENDER_ROOT_MARGIN = "100% 0px";
+    const RETAIN_ROOT_MARGIN = "300% 0px";
+    // รอให้ผู้ใช้กดซูมติดกันเสร็จก่อนค่อยวาดใหม่ (รวมหลายคำขอเป็นครั้งเดียว)
+    const RERENDER_DELAY_MS = 150;
+    const FAILED_PAGES_NOTIFY_DELAY_MS = 200;
+    // โหลดไฟล์เป็นช่วง (HTTP Range) ทีละ 256 KB: หน้าแรกแสดงได้ก่อนดาวน์โหลดครบ ส่วนที่เหลือ pdf.js ทยอยโหลดต่อเบื้องหลัง
+    const RANGE_CHUNK_SIZE = 256 * 1024;
+    // ส่งความคืบหน้าให้ .NET ไม่ถี่กว่านี้ (onProgress ของ pdf.js เรียกทุก chunk)
+    const PROGRESS_NOTIFY_INTERVAL_MS = 250;
+    // pdf.js วัดขนาดเป็น point (72 ต่อนิ้ว) ส่วน CSS ใช้ 96 px ต่อนิ้ว: ซูม 100% = ขนาดจริงของเอกสาร
+    const PDF_TO_CSS_UNITS = 96 / 72;
+    const MIN_ZOOM = 0.25;
+    const MAX_ZOOM = 5;
+    const ZOOM_STEP = 1.1;
+    // ล้อเมาส์ส่ง deltaY ทีละมาก ส่วน trackpad ส่งละเอียด จึงคิดอัตราซูมตาม delta และจำกัดต่อครั้ง
+    const WHEEL_ZOOM_SENSITIVITY = 0.002;
+    const WHEEL_ZOOM_MAX_STEP = 1.25;
+    const ZOOM_MODES = ["custom", "fitWidth", "fitPage", "actual"];
+
+    function findScrollParent(element) {
+        let current = element ? element.parentElement : null;
+        while (current && current !== document.body) {
+            const overflowY = window.getComputedStyle(current).overflowY;
+            if (overflowY === "auto" || overflowY === "scroll") {
+                return current;
+            }
+            current = current.parentElement;
+        }
+
+        return null;
+    }
+
+    function isQuarterTurn(state) {
+        return state.rotation % 180 !== 0;
+    }
+
+    // viewport ที่รวมการหมุนของหน้าใน PDF เองกับการหมุนที่ผู้ใช้เลือก
+    function getPageViewport(state, page, scale) {
+        return page.getViewport({ scale, rotation: (page.rotate + state.rotation) % 360 });
+    }
+
+    function getViewKey(state) {
+        return `${state.scale}@${state.rotation}`;
+    }
+
+    function sizePagePlaceholder(state, pageState) {
+        const baseWidth = isQuarterTurn(state) ? pageState.baseHeight : pageState.baseWidth;
+        const baseHeight = isQuarterTurn(state) ? pageState.baseWidth : pageState.baseHeight;
+        const width = Math.floor(baseWidth * state.scale);
+        const height = Math.floor(baseHeight * state.scale);
+        pageState.element.style.width = `${width}px`;
+        pageState.element.style.height = `${height}px`;
+    }
+
+    function createPagePlaceholder(state, pageNumber, baseViewport) {
+        const element = document.createElement("div");
+        element.className = "pdfjs-page";
+        element.dataset.pageNumber = String(pageNumber);
+
+        const pageState = {
+            pageNumber,
+            page: null,
+            element,
+            canvas: null,
+            renderTask: null,
+            isRendering: false,
+            renderingKey: null,
+            renderedKey: null,
+            textContent: null,
+            textLayer: null,
+            annotationLayer: null,
+            baseWidth: baseViewport.width,
+            baseHeight: baseViewport.height
+        };
+
+        sizePagePlaceholder(state, pageState);
+        return pageState;
+    }
+
+    async function getPageProxy(state, pageState) {
+        if (!pageState.page) {
+            pageState.page = await state.pdf.getPage(pageState.pageNumber);
+        }
+
+        return pageState.page;
+    }
+
+    // โหลดขนาดจริงของทุกหน้าเบื้องหลัง เพื่อให้ placeholder ตรงกับ viewport ของแต่ละหน้า
+    // lastPage: หยุดที่หน้านั้น (ใช้ก่อนกระโดดไปหน้าที่ลิงก์ระบุ ตำแหน่งจะได้ไม่เลื่อนเมื่อขนาดหน้าก่อน ๆ เปลี่ยน)
+    async function resolvePageSizes(state, lastPage) {
+        const pages = lastPage ? state.pages.slice(0, lastPage) : state.pages;
+        for (const pageState of pages) {
+            if (views.get(state.containerId) !== state) {
+                return;
+            }
+
+            try {
+                const page = await getPageProxy(state, pageState);
+                const viewport = page.getViewport({ scale: 1 });
+                if (viewport.width !== pageState.baseWidth || viewport.height !== pageState.baseHeight) {
+                    pageState.baseWidth = viewport.width;
+                    pageState.baseHeight = viewport.height;
+                    sizePagePlaceholder(state, pageState);
+                }
+            } catch (error) {
+                console.warn("pdfViewer: unable to read page size", { containerId: state.containerId, page: pageState.pageNumber, error });
+                markPageFailed(state, pageState);
+            }
+        }
+    }
+
+    // หน้าที่ pdf.js อ่านหรือวาดไม่ได้ (ไฟล์เสียบางส่วน): แสดงป้ายแทนเนื้อหา ไม่วาดซ้ำ และแจ้ง .NET รายการหน้าที่เสีย
+    function markPageFailed(state, pageState) {
+        if (pageState.failed || state.disposed) {
+            return;
+        }
+
+        pageState.failed = true;
+        freePage(pageState);
+        pageState.element.classList.add("pdfjs-page--failed");
+        const label = document.createElement("div");
+        label.className = "pdfjs-page-error";
+        label.setAttribute("role", "note");
+        label.textContent = `หน้า ${pageState.pageNumber} เสียหาย แสดงผลไม่ได้`;
+        pageState.element.appendChild(label);
+
+        state.failedPages.add(pageState.pageNumber);
+        // resolvePageSizes อาจพบหลายหน้าติดกัน รวมเป็นการแจ้งครั้งเดียว
+        clearTimeout(state.failedPagesTimer);
+        state.failedPagesTimer = setTimeout(() => {
+            state.failedPagesTimer = null;
+            if (!state.disposed) {
+                notifyFailedPages(state.containerId, Array.from(state.failedPages).sort((left, right) => left - right));
+            }
+        }, FAILED_PAGES_NOTIFY_DELAY_MS);
+    }
+
+    // ไฟล์ที่เสียบางส่วนอาจอ่านหน้าแรกไม่ได้ ใช้หน้าแรกที่อ่านได้เป็นขนาดตั้งต้นแทน
+    async function findFirstReadablePage(pdf, isStale) {
+        const failedPages = [];
+        for (let pageNumber = 1; pageNumber <= pdf.numPages && !isStale(); pageNumber++) {
+            try {
+                return { page: await pdf.getPage(pageNumber), failedPages };
+            } catch (error) {
+                console.warn("pdfViewer: unable to read page", { page: pageNumber, error });
+                failedPages.push(pageNumber);
+            }
+        }
+
+        return { page: null, failedPages };
+    }
+
+    function isRenderCancelled(error) {
+        return !!error && (error.name === "RenderingCancelledException" || error.name === "AbortException");
+    }
+
+    async function renderPage(state, pageState) {
+        if (state.disposed || pageState.failed) {
+            return;
+        }
+
+        const viewKey = getViewKey(state);
+        if (pageState.isRendering) {
+            // วาดอยู่แล้ว: ถ้า scale/การหมุนเปลี่ยนให้ยกเลิกงานเดิม แล้วจะวาดใหม่เมื่องานเดิมจบ (ไม่วาดซ้อนบน canvas เดียวกัน)
+            if (pageState.renderTask && pageState.renderingKey !== viewKey) {
+                pageState.renderTask.cancel();
+            }
+            return;
+        }
+
+        if (pageState.canvas && pageState.renderedKey === viewKey) {
+            return;
+        }
+
+        const scale = state.scale;
+        let failed = false;
+        pageState.isRendering = true;
+        pageState.renderingKey = viewKey;
+        try {
+            const page = await getPageProxy(state, pageState);
+            if (state.disposed || viewKey !== getViewKey(state)) {
+                return;
+            }
+
+            const viewport = getPageViewport(state, page, scale);
+            const dpr = window.devicePixelRatio || 1;
+
+            if (!pageState.canvas) {
+                const canvas = document.createElement("canvas");
+                canvas.className = "pdfjs-page-canvas";
+                pageState.canvas = canvas;
+                pageState.element.appendChild(canvas);
+            }
+
+            const canvas = pageState.canvas;
+            canvas.width = Math.floor(viewport.width * dpr);
+            canvas.height = Math.floor(viewport.height * dpr);
+
+            pageState.renderTask = page.render({
+                canvasContext: canvas.getContext("2d", { alpha: false }),
+                viewport,
+                transform: dpr !== 1 ? [dpr, 0, 0, dpr, 0, 0] : null
+            });
+            await pageState.renderTask.promise;
+            pageState.renderedKey = viewKey;
+            await renderTextLayer(state, pageState, page, viewport);
+            drawPageAnnotations(state, pageState);
+        } catch (error) {
+            if (!isRenderCancelled(error)) {
+                console.warn("pdfViewer: page render failed", { containerId: state.containerId, page: pageState.pageNumber, error });
+                failed = true;
+            }
+        } finally {
+            pageState.renderTask = null;
+            pageState.isRendering = false;
+            pageState.renderingKey = null;
+        }
+
+        if (failed) {
+            markPageFailed(state, pageState);
+            return;
+        }
+
+        if (!state.disposed
+            && !state.reRenderTimer
+            && state.nearPages.has(pageState.pageNumber)
+            && pageState.renderedKey !== getViewKey(state)) {
+            renderPage(state, pageState);
+        }
+    }
+
+    function getPageTextContent(state, pageState) {
+        if (!pageState.textContent) {
+            pageState.textContent = getPageProxy(state, pageState)
+                .then(page => page.getTextContent())
+                .catch(error => {
+                    pageState.textContent = null;
+                    console.warn("pdfViewer: unable to read page text", { containerId: state.containerId, page: pageState.pageNumber, error });
+                    return { items: [], styles: {} };
+                });
+        }
+
+        return pageState.textContent;
+    }
+
+    function getTextStrings(textContent) {
+        return textContent.items
+            .filter(item => item.str !== undefined)
+            .map(item => item.str);
+    }
+
+    function removeTextLayer(pageState) {
+        if (!pageState.textLayer) {
+            return;
+        }
+
+        try {
+            pageState.textLayer.task.cancel();
+        } catch (error) {
+            // ignore: task อาจเสร็จไปแล้ว
+        }
+        pageState.textLayer.container.remove();
+        pageState.textLayer = null;
+    }
+
+    // สร้าง text layer ของ pdf.js ทับบน canvas เพื่อให้เลือกข้อความและไฮไลต์ผลการค้นหาได้
+    async function renderTextLayer(state, pageState, page, viewport) {
+        try {
+            const textContent = await getPageTextContent(state, pageState);
+            if (state.disposed || !pageState.canvas) {
+                return;
+            }
+
+            removeTextLayer(pageState);
+
+            const container = document.createElement("div");
+            container.className = "textLayer";
+            container.style.setProperty("--scale-factor", String(viewport.scale));
+            pageState.element.appendChild(container);
+
+            const textDivs = [];
+            const task = window.pdfjsLib.renderTextLayer({
+                textContentSource: textContent,
+                container,
+                viewport,
+                textDivs
+            });
+            pageState.textLayer = {
+                container,
+                task,
+                textDivs,
+                strings: getTextStrings(textContent),
+                highlighted: []
+            };
+            await task.promise;
+
+            const endOfContent = document.createElement("div");
+            endOfContent.className = "endOfContent";
+            container.appendChild(endOfContent);
+
+            applyPageHighlights(state, pageState);
+            if (state.search && state.search.pendingScroll) {
+                const match = state.search.matches[state.search.current];
+                if (match && match.pageNumber === pageState.pageNumber) {
+                    scrollToSelectedMatch(state);
+                }
+            }
+        } catch (error) {
+            if (!error || error.name !== "AbortException") {
+                console.warn("pdfViewer: text layer failed", { containerId: state.containerId, page: pageState.pageNumber, error });
+            }
+        }
+    }
+
+    function freePage(pageState) {
+        if (!pageState.canvas || pageState.isRendering) {
+            return;
+        }
+
+        removeTextLayer(pageState);
+
+        // ลดขนาด canvas เป็น 0 ก่อนถอดออก เพื่อให้เบราว์เซอร์คืนหน่วยความจำทันที
+        pageState.canvas.width = 0;
+        pageState.canvas.height = 0;
+        pageState.canvas.remove();
+        pageState.canvas = null;
+        pageState.renderedKey = null;
+    }
+
+    function observePages(state, scrollRoot) {
+        if (typeof IntersectionObserver !== "function") {
+            state.pages.forEach(pageState => {
+                state.nearPages.add(pageState.pageNumber);
+                renderPage(state, pageState);
+            });
+            return;
+        }
+
+        const findPage = target => state.pages[Number(target.dataset.pageNumber) - 1];
+
+        state.renderObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                const pageState = findPage(entry.target);
+                if (!pageState) {
+                    return;
+                }
+
+                if (entry.isIntersecting) {
+                    state.nearPages.add(pageState.pageNumber);
+                    if (!state.reRenderTimer) {
+                        renderPage(state, pageState);
+                    }
+                } else {
+                    state.nearPages.delete(pageState.pageNumber);
+                }
+            });
+        }, { root: scrollRoot, rootMargin: RENDER_ROOT_MARGIN });
+
+        state.retainObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                const pageState = findPage(entry.target);
+                if (pageState && !entry.isIntersecting) {
+                    freePage(pageState);
+                }
+            });
+        }, { root: scrollRoot, rootMargin: RETAIN_ROOT_MARGIN });
+
+        state.pages.forEach(pageState => {
+            state.renderObserver.observe(pageState.element);
+            state.retainObserver.observe(pageState.element);
+        });
+    }
+
+    // ยกเลิกงานวาดที่ค้างอยู่ คืนหน่วยความจำ canvas และทำลาย PDFDocumentProxy ของ state เดิม
+    function teardownView(state) {
+        if (!state || state.disposed) {
+            return;
+        }
+
+        state.disposed = true;
+        clearTimeout(state.reRenderTimer);
+        state.reRenderTimer = null;
+        clearTimeout(state.failedPagesTimer);
+        state.failedPagesTimer = null;
+
+        if (state.renderObserver) {
+            state.renderObserver.disconnect();
+        }
+        if (state.retainObserver) {
+            state.retainObserver.disconnect();
+        }
+        if (state.gestureCleanup) {
+            state.gestureCleanup();
+            state.gestureCleanup = null;
+        }
+        if (state.resizeObserver) {
+            state.resizeObserver.disconnect();
+            state.resizeObserver = null;
+        }
+        if (state.locationCleanup) {
+            state.locationCleanup();
+            state.locationCleanup = null;
+        }
+        disposeSidebar(state);
+        flushAnnotations(state);
+
+        state.pages.forEach(pageState => {
+            if (pageState.renderTask) {
+                pageState.renderTask.cancel();
+            }
+            removeTextLayer(pageState);
+            if (pageState.canvas) {
+                pageState.canvas.width = 0;
+                pageState.canvas.height = 0;
+                pageState.canvas.remove();
+                pageState.canvas = null;
+            }
+        });
+
+        state.pdf.destroy().catch(error => console.warn("pdfViewer: failed to destroy document", { containerId: state.containerId, error }));
+    }
+
+    function startRenderGeneration(containerId) {
+        const generation = (renderGenerations.get(containerId) || 0) + 1;
+        renderGenerations.set(containerId, generation);
+
+        cancelPassword(containerId);
+        const pendingLoad = pendingLoads.get(containerId);
+        if (pendingLoad) {
+            pendingLoads.delete(containerId);
+            pendingLoad.destroy().catch(() => { });
+        }
+
+        teardownView(views.get(containerId));
+        views.delete(containerId);
+        if (window.documentRenderers) {
+            window.documentRenderers.dispose(containerId);
+        }
+        return generation;
+    }
+
+    function dispose(containerId) {
+        const state = views.get(containerId);
+        unlinkViews(containerId);
+        startRenderGeneration(containerId);
+        clearLocationHash(state);
+
+        const host = document.getElementById(containerId);
+        if (host) {
+            host.innerHTML = "";
+        }
+    }
+
+    function openDocument(resolvedUrl, password) {
+        return window.pdfjsLib.getDocument({
+            url: resolvedUrl,
+            withCredentials: true,
+            password: password || undefined,
+            rangeChunkSize: RANGE_CHUNK_SIZE,
+            disableRange: false,
+            disableStream: false,
+            disableAutoFetch: false
+        });
+    }
+
+    // ความคืบหน้าการดาวน์โหลด: แสดงเป็น % ในข้อความกำลังโหลด และแจ้ง .NET (total = 0 เมื่อ server ไม่บอกขนาดไฟล์)
+    function createProgressReporter(containerId, host, isStale) {
+        let lastSentAt = 0;
+        let lastPercent = -1;
+        return ({ loaded, total }) => {
+            if (isStale()) {
+                return;
+            }
+
+            const size = total > 0 ? total : 0;
+            const percent = size > 0 ? Math.min(100, Math.floor(loaded / size * 100)) : -1;
+            const label = host.querySelector(".pdfjs-loading-percent");
+            if (label && percent >= 0) {
+                label.textContent = ` ${percent}%`;
+            }
+
+            const now = Date.now();
+            const finished = size > 0 && loaded >= size;
+            if (percent === lastPercent || (!finished && now - lastSentAt < PROGRESS_NOTIFY_INTERVAL_MS)) {
+                return;
+            }
+
+            lastSentAt = now;
+            lastPercent = percent;
+            notifyLoadProgress(containerId, loaded, size);
+        };
+    }
+
+    // แยกสาเหตุจาก exception ของ pdf.js (3.x) เป็นรหัสข้อผิดพลาด
+    function classifyLoadError(error) {
+        const name = error && error.name;
+        if (name === "PasswordException") {
+            return ERROR_CODES.passwordRequired;
+        }
+        if (name === "MissingPDFException" || (error && error.status === 404)) {
+            return ERROR_CODES.docNotFound;
+        }
+        if (name === "InvalidPDFException" || name === "FormatError") {
+            return ERROR_CODES.corruptPdf;
+        }
+        if (name === "UnexpectedResponseException" || (error instanceof TypeError && /fetch|network/i.test(error.message || ""))) {
+            return ERROR_CODES.networkError;
+        }
+        return ERROR_CODES.unknown;
+    }
+
+    // pdf.js เรียกเมื่อไฟล์ตั้งรหัสผ่านไว้ (หรือรหัสที่ส่งไปผิด): ให้ .NET แสดงช่องกรอก แล้วรอ submitPassword/cancelPassword
+    // view ที่ไม่มี .NET รับ (หน้าเทียบเวอร์ชัน, offline.html) ปฏิเสธทันทีให้จบด้วย PASSWORD_REQUIRED
+    function requestPassword(containerId, host, attempt, updatePassword, reason) {
+        cancelPassword(containerId);
+        const dotNetRef = getDotNetRefForViewer(containerId);
+        if (!dotNetRef) {
+            updatePassword(new Error("no password prompt for this view"));
+            return;
+        }
+
+        const incorrect = reason === window.pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+        passwordRequests.set(containerId, { attempt, updatePassword });
+        if (host) {
+            host.innerHTML = "";
+        }
+
+        try {
+            dotNetRef.invokeMethodAsync("OnPdfPasswordRequiredFromJsAsync", containerId, incorrect)
+                .catch(() => cancelPassword(containerId));
+        } catch (error) {
+            cancelPassword(containerId);
+        }
+    }
+
+    function submitPassword(containerId, password) {
+        const request = passwordRequests.get(containerId);
+        if (!request) {
+            return false;
+        }
+
+        passwordRequests.delete(containerId);
+        request.attempt.password = password === null || password === undefined ? "" : String(password);
+        request.updatePassword(request.attempt.password);
+        return true;
+    }
+
+    function cancelPassword(containerId) {
+        const request = passwordRequests.get(containerId);
+        if (!request) {
+            return false;
+        }
+
+        passwordRequests.delete(containerId);
+        request.updatePassword(new Error("password entry cancelled"));
+        return true;
+    }
+
+    function failRender(containerId, host, code, message) {
+        if (host) {
+            host.innerHTML = `<div class="pdfjs-error alert alert-danger m-3">${escapeHtml(message)}</div>`;
+        }
+        notifyRenderStatus(containerId, false, message, code);
+        return { success: false, code, message };
+    }
+
+    function isPdfContentType(contentType) {
+        return !contentType || String(contentType).split(";")[0].trim().toLowerCase() === "application/pdf";
+    }
+
+    // ไฟล์ประเภทอื่น (รูปภาพ, ข้อความ, XLSX) ให้ตัวแสดงผลใน documentRenderers.js วาดลง container เดียวกัน
+    async function renderWithRegistry(url, containerId, contentType, isStale) {
+        const registry = window.documentRenderers;
+        if (!registry || !registry.canRender(contentType)) {
+            const host = document.getElementById(containerId);
+            return failRender(containerId, host, ERROR_CODES.unsupportedFormat, "ยังไม่รองรับการแสดงตัวอย่างไฟล์ประเภทนี้ กรุณาดาวน์โหลดไฟล์แทน");
+        }
+
+        const result = await registry.render(url, containerId, contentType);
+        if (result.cancelled || isStale()) {
+            return { success: false, cancelled: true };
+        }
+        notifyRenderStatus(containerId, result.success, result.message, result.code);
+        return result;
+    }
+
+    // options.deepLink: อ่าน #page=&zoom=&search= จาก URL ของหน้าหลังโหลดเสร็จ และเขียนตำแหน่งปัจจุบันกลับลง URL
+    // (เปิดได้ทีละ view ต่อหน้า หน้าที่มีหลาย view เช่นหน้าเทียบเวอร์ชันไม่ต้องส่ง)
+    // options.contentType: ไม่ใช่ application/pdf จะส่งต่อให้ documentRenderers
+    // คืน { success, code, message } หรือ { cancelled: true } เมื่อมีการ render/dispose รอบใหม่มาแทนก่อนเสร็จ
+    async function render(url, containerId, options) {
+        const generation = startRenderGeneration(containerId);
+        const isStale = () => renderGenerations.get(containerId) !== generation;
+        const cancelled = { success: false, cancelled: true };
+
+        const contentType = options && options.contentType;
+        if (!isPdfContentType(contentType)) {
+            return renderWithRegistry(url, containerId, contentType, isStale);
+        }
+
+        const isLibraryLoaded = await ready();
+        if (isStale()) {
+            return cancelled;
+        }
+
+        const host = document.getElementById(containerId);
+        if (!host) {
+            return failRender(containerId, null, ERROR_CODES.containerNotFound, "ไม่พบตำแหน่งสำหรับแสดงไฟล์ PDF");
+        }
+
+        if (!isLibraryLoaded) {
+            return failRender(containerId, host, ERROR_CODES.libLoadFailed, LIBRARY_LOAD_FAILED_MESSAGE);
+        }
+
+        host.innerHTML = '<div class="pdfjs-loading text-muted text-center p-4">กำลังโหลดตัวอย่างเอกสาร PDF...<span class="pdfjs-loading-percent"></span></div>';
+        host.style.position = "relative";
+
+        try {
+            const resolvedUrl = toAbsoluteUrl(url);
+            console.debug("pdfViewer.render -> loading", { containerId, url: resolvedUrl });
+            const attempt = { password: documentPasswords.get(resolvedUrl) || null };
+            const loadingTask = openDocument(resolvedUrl, attempt.password);
+            loadingTask.onProgress = createProgressReporter(containerId, host, isStale);
+            loadingTask.onPassword = (updatePassword, reason) => requestPassword(containerId, host, attempt, updatePassword, reason);
+            pendingLoads.set(containerId, loadingTask);
+            const pdf = await loadingTask.promise;
+            if (isStale()) {
+                pdf.destroy().catch(() => { });
+                return cancelled;
+            }
+            pendingLoads.delete(containerId);
+            if (attempt.password) {
+                documentPasswords.set(resolvedUrl, attempt.password);
+            }
+
+            const { page: firstPage, failedPages } = await findFirstReadablePage(pdf, isStale);
+            if (isStale()) {
+                pdf.destroy().catch(() => { });
+                return cancelled;
+            }
+            if (!firstPage) {
+                pdf.destroy().catch(() => { });
+                return failRender(containerId, host, ERROR_CODES.corruptPdf, LOAD_ERROR_MESSAGES[ERROR_CODES.corruptPdf]);
+            }
+
+            const firstViewport = firstPage.getViewport({ scale: 1 });
+            const settingsKey = getViewSettingsKey(resolvedUrl);
+            const settings = readViewSettings(settingsKey);
+            const deepLink = !!(options && options.deepLink);
+            const linkParameters = deepLink ? parseOpenParameters(window.location.hash) : null;
+            if (linkParameters && linkParameters.zoomMode) {
+                // ซูมจากลิงก์ใช้เฉพาะครั้งนี้ ไม่บันทึกทับค่าที่ผู้ใช้เลือกไว้
+                settings.zoomMode = linkParameters.zoomMode;
+                settings.zoom = linkParameters.zoom || settings.zoom;
+            }
+            const state = {
+                pdf,
+                scale: 1,
+                rotation: settings.rotation,
+                zoomMode: settings.zoomMode,
+                settingsKey,
+                referenceSize: { width: firstViewport.width, height: firstViewport.height },
+                scrollRoot: findScrollParent(host),
+                gestureCleanup: null,
+                resizeObserver: null,
+                presentation: null,
+                annotations: null,
+                pages: [],
+                failedPages: new Set(),
+                failedPagesTimer: null,
+                nearPages: new Set(),
+                renderObserver: null,
+                retainObserver: null,
+                reRenderTimer: null,
+                disposed: false,
+                sidebar: null,
+                deepLink,
+                linkPath: window.location.pathname,
+                locationTimer: null,
+                locationCleanup: null,
+                containerId
+            };
+            views.set(containerId, state);
+            host.innerHTML = "";
+
+            // คืนค่าซูม/การหมุนที่ผู้ใช้เลือกไว้ครั้งก่อน (ค่าเริ่มต้นคือพอดีความกว้าง)
+            state.scale = clampScale(settings.zoomMode === "custom"
+                ? settings.zoom * PDF_TO_CSS_UNITS
+                : computeModeScale(state, settings.zoomMode));
+            updateToolbarScale(containerId, state.scale);
+
+            // สร้าง placeholder ทุกหน้าโดยใช้ขนาดหน้าแรกก่อน แล้วค่อยวาดเฉพาะหน้าที่ใกล้ถูกเลื่อนมาเห็น
+            const fragment = document.createDocumentFragment();
+            for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+                const pageState = createPagePlaceholder(state, pageNumber, firstViewport);
+                if (pageNumber === firstPage.pageNumber) {
+                    pageState.page = firstPage;
+                }
+                state.pages.push(pageState);
+                fragment.appendChild(pageState.element);
+            }
+            host.appendChild(fragment);
+            failedPages.forEach(pageNumber => markPageFailed(state, state.pages[pageNumber - 1]));
+
+            observePages(state, state.scrollRoot);
+            attachZoomGestures(state);
+            observeViewportResize(state);
+            if (linkParameters && linkParameters.page > 1) {
+                await resolvePageSizes(state, linkParameters.page);
+                if (isStale()) {
+                    return cancelled;
+                }
+                goToPage(containerId, linkParameters.page, false);
+            }
+            resolvePageSizes(state);
+            if (deepLink) {
+                watchLocation(state);
+            }
+            notifyRenderStatus(containerId, true, null, null);
+            if (linkParameters && linkParameters.search) {
+                search(containerId, linkParameters.search);
+            }
+            return { success: true, code: null, message: null };
+        } catch (error) {
+            if (isStale()) {
+                // ถูกยกเลิกเพราะมีการ render/dispose รอบใหม่
+                return cancelled;
+            }
+
+            pendingLoads.delete(containerId);
+            const code = classifyLoadError(error);
+            if (code === ERROR_CODES.passwordRequired) {
+                documentPasswords.delete(toAbsoluteUrl(url));
+            }
+            console.error("PDF render error", {
+                containerId,
+                source: url,
+                code,
+                error
+            });
+            return failRender(containerId, host, code, LOAD_ERROR_MESSAGES[code] || RENDER_FAILED_MESSAGE);
+        }
+    }
+
+    function reRender(containerId) {
+        const state = views.get(containerId);
+        if (!state) {
+            return;
+        }
+
+        // ปรับขนาด placeholder และตัวเลข % ทันที แล้วยกเลิกงานวาดที่ใช้ scale เก่า
+        for (const pageState of state.pages) {
+            sizePagePlaceholder(state, pageState);
+            if (pageState.renderTask && pageState.renderingKey !== getViewKey(state)) {
+                pageState.renderTask.cancel();
+            }
+        }
+        updateToolbarScale(containerId, state.scale);
+
+        // วาดใหม่ครั้งเดียวหลังคำขอซูมชุดสุดท้าย เฉพาะหน้าที่อยู่ใกล้จอ หน้าอื่นจะวาดเมื่อเลื่อนไปถึง
+        clearTimeout(state.reRenderTimer);
+        state.reRenderTimer = setTimeout(() => {
+            state.reRenderTimer = null;
+            if (state.disposed) {
+                return;
+            }
+
+            for (const pageState of state.pages) {
+                if (state.nearPages.has(pageState.pageNumber)) {
+                    renderPage(state, pageState);
+                } else {
+                    freePage(pageState);
+                }
+            }
+        }, RERENDER_DELAY_MS);
+    }
+
+    function updateToolbarScale(containerId, scale) {
+        const element = document.getElementById(`${containerId}-scale`);
+        if (element) {
+            element.textContent = `${Math.round(scale / PDF_TO_CSS_UNITS * 100)}%`;
+        }
+    }
+
+    function hasDocument(containerId) {
+        const state = views.get(containerId);
+        return !!(state && state.pdf && !state.disposed);
+    }
+
+    function getPageCount(containerId) {
+        const state = views.get(containerId);
+        if (!state || !state.pdf) {
+            return 0;
+        }
+
+        return state.pdf.numPages || 0;
+    }
+
+    function clampScale(scale) {
+        const min = MIN_ZOOM * PDF_TO_CSS_UNITS;
+        const max = MAX_ZOOM * PDF_TO_CSS_UNITS;
+        return Math.min(max, Math.max(min, scale));
+    }
+
+    // คำนวณ scale ของโหมดพอดีกว้าง/พอดีหน้า/ขนาดจริง จากขนาดหน้าแรก (หลังหมุน) และพื้นที่ที่มองเห็น
+    function computeModeScale(state, mode) {
+        const reference = state.referenceSize;
+        const pageWidth = isQuarterTurn(state) ? reference.height : reference.width;
+        const pageHeight = isQuarterTurn(state) ? reference.width : reference.height;
+        const host = document.getElementById(state.containerId);
+        const availableWidth = (host && host.clientWidth) || pageWidth;
+
+        switch (mode) {
+            case "fitPage": {
+                const root = state.scrollRoot;
+                let availableHeight = root ? root.clientHeight : window.innerHeight;
+                if (root) {
+                    const style = window.getComputedStyle(root);
+                    availableHeight -= (parseFloat(style.paddingTop) || 0) + (parseFloat(style.paddingBottom) || 0);
+                }
+                if (state.pages.length > 0) {
+                    availableHeight -= parseFloat(window.getComputedStyle(state.pages[0].element).marginBottom) || 0;
+                }
+                return Math.min(availableWidth / pageWidth, Math.max(availableHeight, 1) / pageHeight);
+            }
+            case "actual":
+                return PDF_TO_CSS_UNITS;
+            case "fitWidth":
+                return availableWidth / pageWidth;
+            default:
+                return state.scale;
+        }
+    }
+
+    function applyZoom(state, mode, scale) {
+        state.zoomMode = mode;
+        state.scale = clampScale(mode === "custom" ? scale : computeModeScale(state, mode));
+        reRender(state.containerId);
+        saveViewSettings(state);
+        syncLinkedZoom(state);
+        scheduleLocationUpdate(state);
+    }
+
+    function zoomIn(containerId) {
+        const state = views.get(containerId);
+        if (!state) {
+            return;
+        }
+        applyZoom(state, "custom", state.scale * ZOOM_STEP);
+    }
+
+    function zoomOut(containerId) {
+        const state = views.get(containerId);
+        if (!state) {
+            return;
+        }
+        applyZoom(state, "custom", state.scale / ZOOM_STEP);
+    }
+
+    function fitWidth(containerId) {
+        const state = views.get(containerId);
+        if (!state) {
+            return;
+        }
+        applyZoom(state, "fitWidth");
+    }
+
+    function fitPage(containerId) {
+        const state = views.get(containerId);
+        if (!state) {
+            return;
+        }
+        applyZoom(state, "fitPage");
+    }
+
+    function actualSize(containerId) {
+        const state = views.get(containerId);
+        if (!state) {
+            return;
+        }
+        applyZoom(state, "actual");
+    }
+
+    // value เป็นสัดส่วนของขนาดจริง เช่น 1.5 = 150% (ถูกจำกัดไว้ระหว่าง MIN_ZOOM ถึง MAX_ZOOM)
+    function setScale(containerId, value) {
+        const state = views.get(containerId);
+        const zoom = Number(value);
+        if (!state || !Number.isFinite(zoom) || zoom <= 0) {
+            return;
+        }
+        applyZoom(state, "custom", zoom * PDF_TO_CSS_UNITS);
+    }
+
+    // หมุนทุกหน้าเพิ่มครั้งละ degrees (ต้องเป็นพหุคูณของ 90) โดยคงหน้าปัจจุบันไว้
+    function rotate(containerId, degrees) {
+        const state = views.get(containerId);
+        const delta = degrees === undefined || degrees === null ? 90 : Number(degrees);
+        if (!state || !Number.isFinite(delta) || delta % 90 !== 0) {
+            return;
+        }
+
+        const currentPage = getCurrentPageIndex(containerId);
+        state.rotation = (((state.rotation + delta) % 360) + 360) % 360;
+        if (state.zoomMode !== "custom") {
+            state.scale = clampScale(computeModeScale(state, state.zoomMode));
+        }
+        reRender(containerId);
+        saveViewSettings(state);
+        drawAllAnnotations(state);
+        goToPage(containerId, currentPage, false);
+    }
+
+    // ซูมโดยให้จุดใต้เคอร์เซอร์/กึ่งกลางนิ้วยังอยู่ที่เดิมบนจอ
+    function zoomAround(state, scale, clientX, clientY) {
+        const root = state.scrollRoot;
+        if (!root) {
+            applyZoom(state, "custom", scale);
+            return;
+        }
+
+        const previousScale = state.scale;
+        const rect = root.getBoundingClientRect();
+        const offsetX = clientX - rect.left;
+        const offsetY = clientY - rect.top;
+        const contentX = root.scrollLeft + offsetX;
+        const contentY = root.scrollTop + offsetY;
+
+        applyZoom(state, "custom", scale);
+
+        const ratio = state.scale / previousScale;
+        root.scrollLeft = contentX * ratio - offsetX;
+        root.scrollTop = contentY * ratio - offsetY;
+    }
+
+    // Ctrl+ล้อเมาส์ (รวมถึง pinch บน trackpad ซึ่งเบราว์เซอร์ส่งมาเป็น ctrl+wheel) และ pinch สองนิ้วบนจอสัมผัส
+    function attachZoomGestures(state) {
+        const target = state.scrollRoot || document.getElementById(state.containerId);
+        if (!target) {
+            return;
+        }
+
+        let pinch = null;
+        const getDistance = touches => Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+
+        const onWheel = event => {
+            if (!event.ctrlKey || state.disposed) {
+                return;
+            }
+
+            event.preventDefault();
+            const deltaY = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+            const factor = Math.min(WHEEL_ZOOM_MAX_STEP, Math.max(1 / WHEEL_ZOOM_MAX_STEP, Math.exp(-deltaY * WHEEL_ZOOM_SENSITIVITY)));
+            zoomAround(state, state.scale * factor, event.clientX, event.clientY);
+        };
+
+        const onTouchStart = event => {
+            if (event.touches.length === 2) {
+                pinch = { distance: getDistance(event.touches), scale: state.scale };
+            }
+        };
+
+        const onTouchMove = event => {
+            if (!pinch || event.touches.length !== 2 || state.disposed) {
+                return;
+            }
+
+            event.preventDefault();
+            const distance = getDistance(event.touches);
+            if (!pinch.distance || !distance) {
+                return;
+            }
+
+            const centerX = (event.touches[0].clientX + event.touches[1].clientX) / 2;
+            const centerY = (event.touches[0].clientY + event.touches[1].clientY) / 2;
+            zoomAround(state, pinch.scale * distance / pinch.distance, centerX, centerY);
+        };
+
+        const onTouchEnd = event => {
+            if (event.touches.length < 2) {
+                pinch = null;
+            }
+        };
+
+        target.addEventListener("wheel", onWheel, { passive: false });
+        target.addEventListener("touchstart", onTouchStart, { passive: true });
+        target.addEventListener("touchmove", onTouchMove, { passive: false });
+        target.addEventListener("touchend", onTouchEnd);
+        target.addEventListener("touchcancel", onTouchEnd);
+
+        state.gestureCleanup = () => {
+            target.removeEventListener("wheel", onWheel);
+            target.removeEventListener("touchstart", onTouchStart);
+            target.removeEventListener("touchmove", onTouchMove);
+            target.removeEventListener("touchend", onTouchEnd);
+            target.removeEventListener("touchcancel", onTouchEnd);
+        };
+    }
+
+    // เก็บโหมดซูมและการหมุนแยกตามเอกสาร (path ของ URL ไม่รวม query ?v= ที่เปลี่ยนทุกครั้งที่ไฟล์อัปเดต) ไว้ใน preferences.js
+    function getViewSettingsKey(url) {
+        try {
+            return new URL(url, window.location.href).pathname;
+        } catch {
+            return url;
+        }
+    }
+
+    function readViewSettings(key) {
+        const settings = { zoomMode: "fitWidth", zoom: 1, rotation: 0 };
+        const stored = window.oiwiPreferences ? window.oiwiPreferences.getViewSettings(key) : null;
+        if (!stored) {
+            return settings;
+        }
+
+        if (ZOOM_MODES.includes(stored.zoomMode)) {
+            settings.zoomMode = stored.zoomMode;
+        }
+        if (Number.isFinite(stored.zoom) && stored.zoom > 0) {
+            settings.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, stored.zoom));
+        }
+        if (Number.isFinite(stored.rotation) && stored.rotation % 90 === 0) {
+            settings.rotation = ((stored.rotation % 360) + 360) % 360;
+        }
+
+        return settings;
+    }
+
+    function saveViewSettings(state) {
+        if (state.presentation || !window.oiwiPreferences) {
+            // โหมดนำเสนอบังคับพอดีหน้าชั่วคราว ไม่บันทึกทับค่าที่ผู้ใช้เลือกไว้
+            return;
+        }
+
+        window.oiwiPreferences.setViewSettings(state.settingsKey, {
+            zoomMode: state.zoomMode,
+            zoom: state.scale / PDF_TO_CSS_UNITS,
+            rotation: state.rotation
+        });
+    }
+
+    // แท็บอื่นเปลี่ยนซูม/การหมุนของเอกสารเดียวกัน: ใช้ค่านั้นกับ view ที่เปิดอยู่ในแท็บนี้ด้วย
+    function applySharedViewSettings(viewer) {
+        views.forEach(state => {
+            const settings = viewer && viewer[state.settingsKey];
+            if (!settings || state.presentation || !state.pages || state.pages.length === 0) {
+                return;
+            }
+
+            const next = readViewSettings(state.settingsKey);
+            const currentZoom = state.scale / PDF_TO_CSS_UNITS;
+            if (next.zoomMode === state.zoomMode && next.rotation === state.rotation
+                && (next.zoomMode !== "custom" || Math.abs(next.zoom - currentZoom) < 0.001)) {
+                return;
+            }
+
+            const currentPage = getCurrentPageIndex(state.containerId);
+            const rotated = next.rotation !== state.rotation;
+            state.rotation = next.rotation;
+            applyZoom(state, next.zoomMode, next.zoom * PDF_TO_CSS_UNITS);
+            if (rotated) {
+                drawAllAnnotations(state);
+                goToPage(state.containerId, currentPage, false);
+            }
+        });
+    }
+
+    if (window.oiwiPreferences) {
+        window.oiwiPreferences.onChange((key, value, fromOtherTab) => {
+            if (key === "viewer" && fromOtherTab) {
+                applySharedViewSettings(value);
+            }
+        });
+    }
+
+    function goToPage(containerId, pageNumber, smooth) {
+        const state = views.get(containerId);
+        if (!state || !state.pages || state.pages.length === 0) {
+            return;
+        }
+
+        const index = Math.max(1, Math.min(pageNumber, state.pages.length)) - 1;
+        if (state.presentation) {
+            showPresentationPage(state, index + 1);
+            return;
+        }
+
+        const element = state.pages[index] && state.pages[index].element;
+        if (!element) {
+            return;
+        }
+
+        const behavior = smooth === false ? "auto" : "smooth";
+        element.scrollIntoView({ behavior, block: "center", inline: "nearest" });
+    }
+
+    function getCurrentPageIndex(containerId) {
+        const state = views.get(containerId);
+        if (!state || !state.pages || state.pages.length === 0) {
+            return 0;
+        }
+
+        if (state.presentation) {
+            return state.presentation.pageNumber;
+        }
+
+        let bestIndex = 0;
+        let bestDistance = Number.POSITIVE_INFINITY;
+        const viewportCenter = window.innerHeight / 2;
+
+        state.pages.forEach((pageState, index) => {
+            const rect = pageState.element.getBoundingClientRect();
+            const center = rect.top + rect.height / 2;
+            const distance = Math.abs(center - viewportCenter);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = index;
+            }
+        });
+
+        return bestIndex + 1;
+    }
+
+    // จอเปลี่ยนขนาด (เช่น เข้า/ออกเต็มจอของเบราว์เซอร์) ให้คำนวณโหมดพอดีกว้าง/พอดีหน้าใหม่
+    function observeViewportResize(state) {
+        if (typeof ResizeObserver !== "function" || !state.scrollRoot) {
+            return;
+        }
+
+        let lastWidth = state.scrollRoot.clientWidth;
+        let lastHeight = state.scrollRoot.clientHeight;
+        state.resizeObserver = new ResizeObserver(() => {
+            const root = state.scrollRoot;
+            if (state.disposed || (root.clientWidth === lastWidth && root.clientHeight === lastHeight)) {
+                return;
+            }
+
+            lastWidth = root.clientWidth;
+            lastHeight = root.clientHeight;
+            if (state.zoomMode === "fitWidth" || state.zoomMode === "fitPage") {
+                state.scale = clampScale(computeModeScale(state, state.zoomMode));
+                reRender(state.containerId);
+            }
+        });
+        state.resizeObserver.observe(state.scrollRoot);
+    }
+
+    function showPresentationPage(state, pageNumber) {
+        const target = Math.max(1, Math.min(pageNumber || 1, state.pages.length));
+        state.presentation.pageNumber = target;
+        scheduleLocationUpdate(state);
+        state.pages.forEach(pageState => {
+            pageState.element.classList.toggle("pdfjs-page--current", pageState.pageNumber === target);
+        });
+
+        if (state.scrollRoot) {
+            state.scrollRoot.scrollTop = 0;
+        }
+    }
+
+    // โหมดนำเสนอ: แสดงทีละหน้าแบบพอดีจอ หน้าที่ถูกซ่อนจะหลุดจาก IntersectionObserver และคืน canvas เอง
+    function setPresentationMode(containerId, enabled, pageNumber) {
+        const state = views.get(containerId);
+        const host = document.getElementById(containerId);
+        if (!state || !host) {
+            return false;
+        }
+
+        if (enabled) {
+            if (!state.presentation) {
+                state.presentation = { zoomMode: state.zoomMode, scale: state.scale, pageNumber: 1 };
+            }
+
+            host.classList.add("pdfjs-viewer--presentation");
+            showPresentationPage(state, pageNumber || getCurrentPageIndex(containerId));
+            state.zoomMode = "fitPage";
+            state.scale = clampScale(computeModeScale(state, "fitPage"));
+            reRender(containerId);
+            return true;
+        }
+
+        if (!state.presentation) {
+            return false;
+        }
+
+        const previous = state.presentation;
+        state.presentation = null;
+        host.classList.remove("pdfjs-viewer--presentation");
+        state.pages.forEach(pageState => pageState.element.classList.remove("pdfjs-page--current"));
+        state.zoomMode = previous.zoomMode;
+        state.scale = clampScale(previous.zoomMode === "custom" ? previous.scale : computeModeScale(state, previous.zoomMode));
+        reRender(containerId);
+        goToPage(containerId, pageNumber || previous.pageNumber, false);
+        return true;
+    }
+
+    // ฟอนต์ไทยรุ่นเก่าบางตัวเก็บวรรณยุกต์/สระตำแหน่งพิเศษไว้ใน Private Use Area จึงต้องแปลงกลับเป็นอักขระมาตรฐานก่อนค้นหา
+    const THAI_PUA_MAP = {
+        "\uF700": "\u0E10", "\uF701": "\u0E34", "\uF702": "\u0E35", "\uF703": "\u0E36", "\uF704": "\u0E37",
+        "\uF705": "\u0E48", "\uF706": "\u0E49", "\uF707": "\u0E4A", "\uF708": "\u0E4B", "\uF709": "\u0E4C",
+        "\uF70A": "\u0E48", "\uF70B": "\u0E49", "\uF70C": "\u0E4A", "\uF70D": "\u0E4B", "\uF70E": "\u0E4C",
+        "\uF70F": "\u0E0D", "\uF710": "\u0E31", "\uF711": "\u0E4D", "\uF712": "\u0E47", "\uF713": "\u0E48",
+        "\uF714": "\u0E49", "\uF715": "\u0E4A", "\uF716": "\u0E4B", "\uF717": "\u0E4C", "\uF718": "\u0E38",
+        "\uF719": "\u0E39", "\uF71A": "\u0E3A"
+    };
+    const WHITESPACE_PATTERN = /\s/;
+
+    function normalizeSearchCharacter(character, caseSensitive) {
+        // NFKC ทำให้ "ำ" (U+0E33) กับ "ํา" (U+0E4D U+0E32) เทียบกันได้ และรวมตัวอักษรเต็มความกว้าง/ลิกเจอร์
+        const normalized = (THAI_PUA_MAP[character] || character).normalize("NFKC");
+        return caseSensitive ? normalized : normalized.toLocaleLowerCase();
+    }
+
+    // ตัดช่องว่างทิ้งทั้งหมด เพราะภาษาไทยไม่เว้นวรรคระหว่างคำ แต่ pdf.js มักแทรกช่องว่าง/ขึ้นบรรทัดระหว่าง text item
+    function buildSearchIndex(strings, caseSensitive) {
+        let text = "";
+        const map = [];
+
+        strings.forEach((value, itemIndex) => {
+            for (let offset = 0; offset < value.length; offset++) {
+                const character = value[offset];
+                if (WHITESPACE_PATTERN.test(character)) {
+                    continue;
+                }
+
+                const normalized = normalizeSearchCharacter(character, caseSensitive);
+                for (let part = 0; part < normalized.length; part++) {
+                    text += normalized[part];
+                    map.push([itemIndex, offset]);
+                }
+            }
+        });
+
+        return { text, map };
+    }
+
+    function findPageMatches(strings, needle, caseSensitive, pageNumber) {
+        const index = buildSearchIndex(strings, caseSensitive);
+        const matches = [];
+        let position = index.text.indexOf(needle);
+
+        while (position !== -1) {
+            const first = index.map[position];
+            const last = index.map[position + needle.length - 1];
+            matches.push({
+                pageNumber,
+                startItem: first[0],
+                startOffset: first[1],
+                endItem: last[0],
+                endOffset: last[1] + 1
+            });
+            position = index.text.indexOf(needle, position + needle.length);
+        }
+
+        return matches;
+    }
+
+    function clearPageHighlights(pageState) {
+        const layer = pageState.textLayer;
+        if (!layer) {
+            return;
+        }
+
+        layer.highlighted.forEach(itemIndex => {
+            const div = layer.textDivs[itemIndex];
+            if (div) {
+                div.textContent = layer.strings[itemIndex];
+            }
+        });
+        layer.highlighted = [];
+    }
+
+    function applyPageHighlights(state, pageState) {
+        clearPageHighlights(pageState);
+
+        const layer = pageState.textLayer;
+        const search = state.search;
+        if (!layer || !search || search.matches.length === 0) {
+            return;
+        }
+
+        const rangesByItem = new Map();
+        search.matches.forEach((match, matchIndex) => {
+            if (match.pageNumber !== pageState.pageNumber) {
+                return;
+            }
+
+            for (let itemIndex = match.startItem; itemIndex <= match.endItem; itemIndex++) {
+                const value = layer.strings[itemIndex] || "";
+                const range = {
+                    start: itemIndex === match.startItem ? match.startOffset : 0,
+                    end: itemIndex === match.endItem ? match.endOffset : value.length,
+                    selected: matchIndex === search.current
+                };
+                if (!rangesByItem.has(itemIndex)) {
+                    rangesByItem.set(itemIndex, []);
+                }
+                rangesByItem.get(itemIndex).push(range);
+            }
+        });
+
+        rangesByItem.forEach((ranges, itemIndex) => {
+            const div = layer.textDivs[itemIndex];
+            const value = layer.strings[itemIndex];
+            if (!div || !value) {
+                return;
+            }
+
+            ranges.sort((left, right) => left.start - right.start);
+            div.textContent = "";
+
+            let cursor = 0;
+            ranges.forEach(range => {
+                const start = Math.max(range.start, cursor);
+                if (start > cursor) {
+                    div.append(value.slice(cursor, start));
+                }
+                if (range.end > start) {
+                    const highlight = document.createElement("span");
+                    highlight.className = range.selected ? "highlight appended selected" : "highlight appended";
+                    highlight.textContent = value.slice(start, range.end);
+                    div.append(highlight);
+                }
+                cursor = Math.max(cursor, range.end);
+            });
+
+            if (cursor < value.length) {
+                div.append(value.slice(cursor));
+            }
+
+            layer.highlighted.push(itemIndex);
+        });
+    }
+
+    function refreshHighlights(state) {
+        state.pages.forEach(pageState => applyPageHighlights(state, pageState));
+    }
+
+    function scrollToSelectedMatch(state) {
+        const search = state.search;
+        const match = search && search.matches[search.current];
+        if (!match) {
+            return;
+        }
+
+        const pageState = state.pages[match.pageNumber - 1];
+        const selected = pageState && pageState.textLayer
+            ? pageState.textLayer.container.querySelector(".highlight.selected")
+            : null;
+
+        if (selected) {
+            search.pendingScroll = false;
+            selected.scrollIntoView({ behavior: "smooth", block: "center", inline: "nearest" });
+            return;
+        }
+
+        // หน้ายังไม่ถูกวาด: เลื่อนไปที่หน้านั้นก่อน แล้วเลื่อนไปที่ผลลัพธ์อีกครั้งเมื่อ text layer พร้อม
+        search.pendingScroll = true;
+        if (pageState) {
+            pageState.element.scrollIntoView({ behavior: "auto", block: "center", inline: "nearest" });
+        }
+    }
+
+    function getSearchResult(state) {
+        const search = state && state.search;
+        if (!search) {
+            return { query: "", current: 0, total: 0 };
+        }
+
+        return {
+            query: search.query,
+            current: search.current >= 0 ? search.current + 1 : 0,
+            total: search.matches.length
+        };
+    }
+
+    function notifySearchResult(state) {
+        scheduleLocationUpdate(state);
+
+        const dotNetRef = getDotNetRefForViewer(state.containerId);
+        if (!dotNetRef) {
+            return;
+        }
+
+        // ส่งคำค้นไปด้วย เพราะการค้นหาอาจมาจากลิงก์ (#search=) ไม่ได้มาจากช่องค้นหา
+        const result = getSearchResult(state);
+        try {
+            dotNetRef.invokeMethodAsync("OnPdfSearchResultChangedFromJsAsync", state.containerId, result.current, result.total, result.query || null)
+                .catch(() => { });
+        } catch (error) {
+            // ignore
+        }
+    }
+
+    function selectMatch(state, matchIndex) {
+        state.search.current = matchIndex;
+        refreshHighlights(state);
+        scrollToSelectedMatch(state);
+        notifySearchResult(state);
+    }
+
+    async function search(containerId, query, options) {
+        const state = views.get(containerId);
+        if (!state) {
+            return getSearchResult(null);
+        }
+
+        const caseSensitive = !!(options && options.caseSensitive);
+        const needle = buildSearchIndex([String(query || "")], caseSensitive).text;
+        const generation = (state.searchGeneration || 0) + 1;
+        state.searchGeneration = generation;
+        state.search = { query: String(query || ""), matches: [], current: -1, pendingScroll: false };
+        refreshHighlights(state);
+
+        if (!needle) {
+            state.search = null;
+            notifySearchResult(state);
+            return getSearchResult(state);
+        }
+
+        const matches = [];
+        for (const pageState of state.pages) {
+            const textContent = await getPageTextContent(state, pageState);
+            if (state.searchGeneration !== generation || views.get(containerId) !== state) {
+                // มีการค้นหาใหม่หรือโหลดเอกสารใหม่ระหว่างทาง
+                return getSearchResult(state);
+            }
+
+            matches.push(...findPageMatches(getTextStrings(textContent), needle, caseSensitive, pageState.pageNumber));
+        }
+
+        state.search.matches = matches;
+        if (matches.length === 0) {
+            notifySearchResult(state);
+            return getSearchResult(state);
+        }
+
+        // เริ่มจากผลลัพธ์แรกที่อยู่ในหน้าปัจจุบันหรือหลังจากนั้น
+        const currentPage = getCurrentPageIndex(containerId);
+        const startIndex = matches.findIndex(match => match.pageNumber >= currentPage);
+        selectMatch(state, startIndex >= 0 ? startIndex : 0);
+        return getSearchResult(state);
+    }
+
+    function stepMatch(containerId, delta) {
+        const state = views.get(containerId);
+        if (!state || !state.search || state.search.matches.length === 0) {
+            return getSearchResult(state);
+        }
+
+        const total = state.search.matches.length;
+        selectMatch(state, (state.search.current + delta + total) % total);
+        return getSearchResult(state);
+    }
+
+    function findNext(containerId) {
+        return stepMatch(containerId, 1);
+    }
+
+    function findPrevious(containerId) {
+        return stepMatch(containerId, -1);
+    }
+
+    function clearSearch(containerId) {
+        const state = views.get(containerId);
+        if (!state) {
+            return;
+        }
+
+        state.searchGeneration = (state.searchGeneration || 0) + 1;
+        state.search = null;
+        refreshHighlights(state);
+        notifySearchResult(state);
+    }
+
+    // ===== ลิงก์ไปยังหน้า/ซูม/คำค้น (PDF open parameters: #page=14&zoom=150&search=torque) =====
+    const LOCATION_UPDATE_DELAY_MS = 250;
+    const MAX_LINK_SEARCH_LENGTH = 200;
+    const OPEN_PARAMETER_ZOOM_MODES = {
+        "page-width": "fitWidth",
+        "page-fit": "fitPage",
+        "page-actual": "actual",
+        auto: "fitWidth"
+    };
+
+    // คืน null เมื่อ hash ไม่มีค่าที่ viewer ใช้ได้ (zoom รองรับทั้ง "150", "150,0,0" และ page-width/page-fit, view=Fit/FitH)
+    function parseOpenParameters(hash) {
+        const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+        const result = { page: 0, zoomMode: null, zoom: 0, search: "" };
+
+        const page = parseInt(params.get("page"), 10);
+        if (Number.isInteger(page) && page > 0) {
+            result.page = page;
+        }
+
+        const zoom = (params.get("zoom") || "").split(",")[0].trim().toLowerCase();
+        const percent = parseFloat(zoom);
+        if (OPEN_PARAMETER_ZOOM_MODES[zoom]) {
+            result.zoomMode = OPEN_PARAMETER_ZOOM_MODES[zoom];
+        } else if (Number.isFinite(percent) && percent > 0) {
+            result.zoomMode = "custom";
+            result.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, percent / 100));
+        } else {
+            const view = (params.get("view") || "").split(",")[0].trim().toLowerCase();
+            if (view === "fit" || view === "fitb") {
+                result.zoomMode = "fitPage";
+            } else if (view === "fith" || view === "fitbh") {
+                result.zoomMode = "fitWidth";
+            }
+        }
+
+        result.search = (params.get("search") || "").trim().replace(/^"(.*)"$/, "$1").slice(0, MAX_LINK_SEARCH_LENGTH);
+
+        return result.page || result.zoomMode || result.search ? result : null;
+    }
+
+    function hasOpenParameters() {
+        return !!parseOpenParameters(window.location.hash);
+    }
+
+    function formatOpenParameters(state) {
+        const params = new URLSearchParams();
+        params.set("page", String(getCurrentPageIndex(state.containerId) || 1));
+
+        switch (state.zoomMode) {
+            case "fitWidth":
+                params.set("zoom", "page-width");
+                break;
+            case "fitPage":
+                params.set("zoom", "page-fit");
+                break;
+            default:
+                params.set("zoom", String(Math.round(state.scale / PDF_TO_CSS_UNITS * 100)));
+                break;
+        }
+
+        if (state.search && state.search.query) {
+            params.set("search", state.search.query);
+        }
+
+        return params.toString();
+    }
+
+    function buildPageLink(state) {
+        const url = new URL(window.location.href);
+        url.hash = formatOpenParameters(state);
+        return url.href;
+    }
+
+    // replaceState: เลื่อนอ่านไม่ควรสร้างประวัติย้อนกลับทีละหน้า (คง history.state ของ Blazor ไว้)
+    function updateLocation(state) {
+        if (state.disposed || !state.deepLink || window.location.pathname !== state.linkPath) {
+            return;
+        }
+
+        const next = buildPageLink(state);
+        if (next !== window.location.href) {
+            history.replaceState(history.state, "", next);
+        }
+    }
+
+    function scheduleLocationUpdate(state) {
+        if (!state || !state.deepLink) {
+            return;
+        }
+
+        clearTimeout(state.locationTimer);
+        state.locationTimer = setTimeout(() => {
+            state.locationTimer = null;
+            updateLocation(state);
+        }, LOCATION_UPDATE_DELAY_MS);
+    }
+
+    function watchLocation(state) {
+        const target = state.scrollRoot || window;
+        const onScroll = () => scheduleLocationUpdate(state);
+        target.addEventListener("scroll", onScroll, { passive: true });
+        state.locationCleanup = () => {
+            target.removeEventListener("scroll", onScroll);
+            clearTimeout(state.locationTimer);
+            state.locationTimer = null;
+        };
+        scheduleLocationUpdate(state);
+    }
+
+    // ปิด view แล้ว (เช่น ออกจากเต็มจอ) ลิงก์ไม่ได้ชี้ไปที่หน้าใดแล้ว; ข้ามถ้าผู้ใช้ไปหน้าอื่นแล้ว
+    function clearLocationHash(state) {
+        if (!state || !state.deepLink || window.location.pathname !== state.linkPath || !window.location.hash) {
+            return;
+        }
+
+        history.replaceState(history.state, "", window.location.pathname + window.location.search);
+    }
+
+    async function copyText(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            try {
+                await navigator.clipboard.writeText(text);
+                return true;
+            } catch (error) {
+                // ใช้วิธีสำรองด้านล่าง
+            }
+        }
+
+        // เครื่องในโรงงานเปิดผ่าน http ภายใน (ไม่ใช่ secure context) จึงไม่มี Clipboard API
+        const textarea = document.createElement("textarea");
+        textarea.value = text;
+        textarea.setAttribute("readonly", "");
+        textarea.style.position = "fixed";
+        textarea.style.opacity = "0";
+        (document.fullscreenElement || document.body).appendChild(textarea);
+        textarea.select();
+
+        let copied = false;
+        try {
+            copied = document.execCommand("copy");
+        } catch (error) {
+            copied = false;
+        }
+        textarea.remove();
+        return copied;
+    }
+
+    // คัดลอกลิงก์ของหน้าที่กำลังดู (พร้อมซูมและคำค้น) คืน false เมื่อเบราว์เซอร์ไม่ยอมให้คัดลอก
+    async function copyPageLink(containerId) {
+        const state = views.get(containerId);
+        if (!state) {
+            return copyText(window.location.href);
+        }
+
+        updateLocation(state);
+        return copyText(buildPageLink(state));
+    }
+
+    // ===== Sidebar: thumbnails + outline =====
+    const THUMBNAIL_WIDTH = 120;
+
+    function disposeSidebar(state) {
+        if (!state || !state.sidebar) {
+            return;
+        }
+
+        if (state.sidebar.observer) {
+            state.sidebar.observer.disconnect();
+        }
+        state.sidebar.thumbnails.forEach(thumbnail => {
+            if (thumbnail.canvas) {
+                thumbnail.canvas.width = 0;
+                thumbnail.canvas.height = 0;
+            }
+        });
+        state.sidebar = null;
+    }
+
+    async function renderThumbnail(state, thumbnail) {
+        if (thumbnail.rendered || thumbnail.rendering) {
+            return;
+        }
+
+        thumbnail.rendering = true;
+        try {
+            const pageState = state.pages[thumbnail.pageNumber - 1];
+            const page = await getPageProxy(state, pageState);
+            const baseViewport = page.getViewport({ scale: 1 });
+            const viewport = page.getViewport({ scale: THUMBNAIL_WIDTH / baseViewport.width });
+
+            const canvas = document.createElement("canvas");
+            canvas.className = "pdfjs-thumbnail-canvas";
+            canvas.width = Math.floor(viewport.width);
+            canvas.height = Math.floor(viewport.height);
+
+            await page.render({
+                canvasContext: canvas.getContext("2d", { alpha: false }),
+                viewport
+            }).promise;
+
+            thumbnail.canvas = canvas;
+            thumbnail.image.replaceChildren(canvas);
+            thumbnail.image.style.aspectRatio = `${canvas.width} / ${canvas.height}`;
+            thumbnail.rendered = true;
+        } catch (error) {
+            console.warn("pdfViewer: thumbnail render failed", { containerId: state.containerId, page: thumbnail.pageNumber, error });
+        } finally {
+            thumbnail.rendering = false;
+        }
+    }
+
+    function renderThumbnails(state, host) {
+        host.innerHTML = "";
+        const list = document.createElement("div");
+        list.className = "pdfjs-thumbnails";
+
+        const thumbnails = state.pages.map(pageState => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "pdfjs-thumbnail";
+            button.dataset.pageNumber = String(pageState.pageNumber);
+            button.setAttribute("aria-label", `ไปหน้าที่ ${pageState.pageNumber}`);
+
+            const image = document.createElement("div");
+            image.className = "pdfjs-thumbnail-image";
+            image.style.aspectRatio = `${pageState.baseWidth} / ${pageState.baseHeight}`;
+
+            const label = document.createElement("span");
+            label.className = "pdfjs-thumbnail-label";
+            label.textContent = String(pageState.pageNumber);
+
+            button.append(image, label);
+            button.addEventListener("click", () => goToPage(state.containerId, pageState.pageNumber));
+            list.appendChild(button);
+
+            return { pageNumber: pageState.pageNumber, button, image, canvas: null, rendered: false, rendering: false };
+        });
+
+        host.appendChild(list);
+        state.sidebar.thumbnails = thumbnails;
+
+        if (typeof IntersectionObserver !== "function") {
+            thumbnails.forEach(thumbnail => renderThumbnail(state, thumbnail));
+            return;
+        }
+
+        state.sidebar.observer = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const thumbnail = thumbnails[Number(entry.target.dataset.pageNumber) - 1];
+                    if (thumbnail) {
+                        renderThumbnail(state, thumbnail);
+                    }
+                }
+            });
+        }, { root: host, rootMargin: "200px 0px" });
+
+        thumbnails.forEach(thumbnail => state.sidebar.observer.observe(thumbnail.button));
+    }
+
+    async function resolveOutlinePage(pdf, dest) {
+        try {
+            const explicitDest = typeof dest === "string" ? await pdf.getDestination(dest) : dest;
+            if (!Array.isArray(explicitDest) || explicitDest.length === 0) {
+                return null;
+            }
+
+            const target = explicitDest[0];
+            if (Number.isInteger(target)) {
+                return target + 1;
+            }
+
+            return (await pdf.getPageIndex(target)) + 1;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async function buildOutlineList(state, items) {
+        const list = document.createElement("ul");
+        list.className = "pdfjs-outline-list";
+
+        for (const item of items) {
+            const entry = document.createElement("li");
+            const pageNumber = item.dest ? await resolveOutlinePage(state.pdf, item.dest) : null;
+
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "pdfjs-outline-item";
+            button.textContent = item.title || "(ไม่มีชื่อ)";
+            if (pageNumber) {
+                button.title = `หน้าที่ ${pageNumber}`;
+                button.addEventListener("click", () => goToPage(state.containerId, pageNumber));
+            } else {
+                button.disabled = true;
+            }
+            entry.appendChild(button);
+
+            if (Array.isArray(item.items) && item.items.length > 0) {
+                entry.appendChild(await buildOutlineList(state, item.items));
+            }
+
+            list.appendChild(entry);
+        }
+
+        return list;
+    }
+
+    async function renderOutline(state, host) {
+        host.innerHTML = "";
+
+        let outline = null;
+        try {
+            outline = await state.pdf.getOutline();
+        } catch (error) {
+            console.warn("pdfViewer: unable to read outline", { containerId: state.containerId, error });
+        }
+
+        if (!Array.isArray(outline) || outline.length === 0) {
+            host.innerHTML = '<div class="pdfjs-outline-empty text-muted small p-3">ไม่มีสารบัญ (bookmark) ในเอกสารนี้</div>';
+            return false;
+        }
+
+        host.appendChild(await buildOutlineList(state, outline));
+        return true;
+    }
+
+    // สร้างรูปย่อทุกหน้าและสารบัญลงใน element ที่ Razor เตรียมไว้ คืนค่าว่ามีสารบัญหรือไม่
+    async function renderSidebar(containerId, thumbnailsHostId, outlineHostId) {
+        const state = views.get(containerId);
+        if (!state) {
+            return { hasOutline: false };
+        }
+
+        disposeSidebar(state);
+        state.sidebar = { observer: null, thumbnails: [], activePage: 0 };
+
+        const thumbnailsHost = thumbnailsHostId ? document.getElementById(thumbnailsHostId) : null;
+        if (thumbnailsHost) {
+            renderThumbnails(state, thumbnailsHost);
+        }
+
+        const outlineHost = outlineHostId ? document.getElementById(outlineHostId) : null;
+        const hasOutline = outlineHost ? await renderOutline(state, outlineHost) : false;
+
+        setActiveThumbnail(containerId, getCurrentPageIndex(containerId) || 1);
+        return { hasOutline };
+    }
+
+    function setActiveThumbnail(containerId, pageNumber) {
+        const state = views.get(containerId);
+        if (!state || !state.sidebar) {
+            return;
+        }
+
+        const sidebar = state.sidebar;
+        if (sidebar.activePage === pageNumber) {
+            return;
+        }
+
+        const previous = sidebar.thumbnails[sidebar.activePage - 1];
+        if (previous) {
+            previous.button.classList.remove("active");
+            previous.button.removeAttribute("aria-current");
+        }
+
+        const current = sidebar.thumbnails[pageNumber - 1];
+        sidebar.activePage = current ? pageNumber : 0;
+        if (current) {
+            current.button.classList.add("active");
+            current.button.setAttribute("aria-current", "page");
+            current.button.scrollIntoView({ block: "nearest", inline: "nearest" });
+        }
+    }
+
+    // Markup ของผู้ใช้ (ปากกา สี่เหลี่ยม ลูกศร ไฮไลต์ โน้ต) วาดเป็น SVG ทับบน canvas
+    // พิกัดเก็บเป็นหน่วยของหน้า PDF จึงยังตรงตำแหน่งเมื่อซูม/หมุน
+    const SVG_NS = "http://www.w3.org/2000/svg";
+    const ANNOTATION_TOOLS = ["pen", "rect", "arrow", "highlight", "note", "eraser"];
+    const ANNOTATION_SAVE_DELAY_MS = 800;
+    const DEFAULT_ANNOTATION_COLOR = "#e53935";
+    const HIGHLIGHT_COLOR = "#ffeb3b";
+    const DEFAULT_STROKE_WIDTH = 2;
+    const MAX_PEN_POINT_VALUES = 8000;
+    const PEN_SIMPLIFY_TOLERANCE = 0.75; // หน่วย point ของหน้า PDF: เล็กกว่าความหนาเส้นปกติ มองไม่เห็นความต่าง
+    const KEEPALIVE_BODY_LIMIT = 60 * 1024; // เบราว์เซอร์ปฏิเสธ fetch แบบ keepalive ที่ body เกิน 64 KB
+    const NOTE_ICON_SIZE = 16;
+    const NOTE_MAX_LENGTH = 1000;
+
+    function createAnnotationId() {
+        if (window.crypto && typeof window.crypto.randomUUID === "function") {
+            return window.crypto.randomUUID().replace(/-/g, "");
+        }
+
+        return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    function createSvgElement(name, attributes) {
+        const element = document.createElementNS(SVG_NS, name);
+        Object.entries(attributes || {}).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                element.setAttribute(key, String(value));
+            }
+        });
+        return element;
+    }
+
+    function createAnnotationElement(viewport, annotation) {
+        const points = [];
+        for (let index = 0; index + 1 < annotation.points.length; index += 2) {
+            points.push(viewport.convertToViewportPoint(annotation.points[index], annotation.points[index + 1]));
+        }
+
+        const color = annotation.color || (annotation.type === "highlight" ? HIGHLIGHT_COLOR : DEFAULT_ANNOTATION_COLOR);
+        const strokeWidth = annotation.strokeWidth || DEFAULT_STROKE_WIDTH;
+        let element;
+
+        switch (annotation.type) {
+            case "pen":
+                element = createSvgElement("polyline", {
+                    points: points.map(point => point.join(",")).join(" "),
+                    fill: "none",
+                    stroke: color,
+                    "stroke-width": strokeWidth,
+                    "stroke-linecap": "round",
+                    "stroke-linejoin": "round"
+                });
+                break;
+            case "rect":
+            case "highlight": {
+                const [start, end] = points;
+                const isHighlight = annotation.type === "highlight";
+                element = createSvgElement("rect", {
+                    x: Math.min(start[0], end[0]),
+                    y: Math.min(start[1], end[1]),
+                    width: Math.abs(end[0] - start[0]),
+                    height: Math.abs(end[1] - start[1]),
+                    fill: isHighlight ? color : "none",
+                    "fill-opacity": isHighlight ? 0.35 : null,
+                    stroke: isHighlight ? "none" : color,
+                    "stroke-width": isHighlight ? null : strokeWidth
+                });
+                break;
+            }
+            case "arrow": {
+                const [start, end] = points;
+                const angle = Math.atan2(end[1] - start[1], end[0] - start[0]);
+                const headLength = Math.max(8, strokeWidth * 4);
+                const head = [angle - Math.PI / 7, angle + Math.PI / 7]
+                    .map(headAngle => [end[0] - headLength * Math.cos(headAngle), end[1] - headLength * Math.sin(headAngle)]);
+                element = createSvgElement("path", {
+                    d: `M ${start.join(" ")} L ${end.join(" ")} M ${head[0].join(" ")} L ${end.join(" ")} L ${head[1].join(" ")}`,
+                    fill: "none",
+                    stroke: color,
+                    "stroke-width": strokeWidth,
+                    "stroke-linecap": "round",
+                    "stroke-linejoin": "round"
+                });
+                break;
+            }
+            case "note": {
+                const [anchor] = points;
+                element = createSvgElement("g", { class: "pdfjs-annotation-note" });
+                element.appendChild(createSvgElement("rect", {
+                    x: anchor[0],
+                    y: anchor[1],
+                    width: NOTE_ICON_SIZE,
+                    height: NOTE_ICON_SIZE,
+                    rx: 2,
+                    fill: "#ffd54f",
+                    stroke: "#b28704",
+                    "stroke-width": 1
+                }));
+
+                const label = createSvgElement("text", {
+                    x: anchor[0] + NOTE_ICON_SIZE + 4,
+                    y: anchor[1] + NOTE_ICON_SIZE - 4,
+                    fill: color
+                });
+                const text = annotation.text || "";
+                label.textContent = text.length > 40 ? `${text.slice(0, 40)}…` : text;
+                element.appendChild(label);
+
+                const title = createSvgElement("title");
+                title.textContent = annotation.author ? `${text}\n— ${annotation.author}` : text;
+                element.appendChild(title);
+                break;
+            }
+            default:
+                return null;
+        }
+
+        element.classList.add("pdfjs-annotation");
+        element.dataset.annotationId = annotation.id;
+        return element;
+    }
+
+    function getAnnotationLayer(state, pageState) {
+        if (!pageState.annotationLayer) {
+            const svg = createSvgElement("svg", { class: "pdfjs-annotation-layer", preserveAspectRatio: "none" });
+            svg.addEventListener("pointerdown", event => beginAnnotation(state, pageState, event));
+            pageState.element.appendChild(svg);
+            pageState.annotationLayer = { svg, viewport: null };
+        }
+
+        return pageState.annotationLayer;
+    }
+
+    // วาดที่ scale 1 แล้วให้ viewBox ยืดตามขนาดหน้า: ซูมไม่ต้องวาดใหม่ ส่วนการหมุนต้องคำนวณพิกัดใหม่
+    function drawPageAnnotations(state, pageState) {
+        if (!state.annotations || !pageState.page || state.disposed) {
+            return;
+        }
+
+        const layer = getAnnotationLayer(state, pageState);
+        const viewport = getPageViewport(state, pageState.page, 1);
+        layer.viewport = viewport;
+        layer.svg.setAttribute("viewBox", `0 0 ${viewport.width} ${viewport.height}`);
+        layer.svg.replaceChildren(...state.annotations.items
+            .filter(annotation => annotation.page === pageState.pageNumber)
+            .map(annotation => createAnnotationElement(viewport, annotation))
+            .filter(Boolean));
+        updateAnnotationLayerMode(state, pageState);
+    }
+
+    function drawAllAnnotations(state) {
+        state.pages.forEach(pageState => drawPageAnnotations(state, pageState));
+    }
+
+    function updateAnnotationLayerMode(state, pageState) {
+        const layer = pageState.annotationLayer;
+        if (!layer) {
+            return;
+        }
+
+        const tool = state.annotations && !state.annotations.readOnly ? state.annotations.tool : null;
+        layer.svg.classList.toggle("is-editing", !!tool);
+        layer.svg.classList.toggle("is-erasing", tool === "eraser");
+    }
+
+    function toPdfPoint(layer, event) {
+        const rect = layer.svg.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * layer.viewport.width / (rect.width || 1);
+        const y = (event.clientY - rect.top) * layer.viewport.height / (rect.height || 1);
+        return layer.viewport.convertToPdfPoint(x, y).map(value => Math.round(value * 100) / 100);
+    }
+
+    function isMeaningfulAnnotation(annotation) {
+        const [x1, y1, x2, y2] = annotation.points;
+        if (annotation.type === "pen") {
+            return annotation.points.length >= 4;
+        }
+
+        return Math.hypot(x2 - x1, y2 - y1) >= 3;
+    }
+
+    // ลดจุดของเส้นปากกาด้วย Ramer-Douglas-Peucker ก่อนบันทึก (เส้นหนึ่งเก็บได้ถึง MAX_PEN_POINT_VALUES ค่า)
+    function simplifyPenPoints(points, tolerance) {
+        const count = points.length / 2;
+        if (count <= 2) {
+            return points;
+        }
+
+        const keep = new Uint8Array(count);
+        keep[0] = 1;
+        keep[count - 1] = 1;
+        const stack = [[0, count - 1]];
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            const x1 = points[first * 2];
+            const y1 = points[first * 2 + 1];
+            const dx = points[last * 2] - x1;
+            const dy = points[last * 2 + 1] - y1;
+            const length = Math.hypot(dx, dy);
+            let farthest = -1;
+            let maxDistance = tolerance;
+            for (let index = first + 1; index < last; index++) {
+                const px = points[index * 2] - x1;
+                const py = points[index * 2 + 1] - y1;
+                const distance = length > 0 ? Math.abs(dx * py - dy * px) / length : Math.hypot(px, py);
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    farthest = index;
+                }
+            }
+
+            if (farthest > 0) {
+                keep[farthest] = 1;
+                stack.push([first, farthest], [farthest, last]);
+            }
+        }
+
+        const simplified = [];
+        keep.forEach((kept, index) => {
+            if (kept) {
+                simplified.push(points[index * 2], points[index * 2 + 1]);
+            }
+        });
+        return simplified;
+    }
+
+    function beginAnnotation(state, pageState, event) {
+        const annotations = state.annotations;
+        const layer = pageState.annotationLayer;
+        if (!annotations || annotations.readOnly || !annotations.tool || !layer || !layer.viewport || event.button !== 0) {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (annotations.tool === "eraser") {
+            const target = event.target instanceof Element ? event.target.closest(".pdfjs-annotation") : null;
+            const annotation = target
+                ? annotations.items.find(item => item.id === target.dataset.annotationId)
+                : null;
+            if (annotation && canEditAnnotation(annotations, annotation)) {
+                removeAnnotation(state, annotation.id);
+            }
+            return;
+        }
+
+        const start = toPdfPoint(layer, event);
+        if (annotations.tool === "note") {
+            const text = window.prompt("ข้อความโน้ต");
+            if (text && text.trim()) {
+                addAnnotation(state, {
+                    id: createAnnotationId(),
+                    page: pageState.pageNumber,
+                    type: "note",
+                    points: start,
+                    color: annotations.color,
+                    text: text.trim().slice(0, NOTE_MAX_LENGTH)
+                });
+            }
+            return;
+        }
+
+        const draft = {
+            id: createAnnotationId(),
+            page: pageState.pageNumber,
+            type: annotations.tool,
+            points: [...start, ...start],
+            color: annotations.tool === "highlight" ? null : annotations.color,
+            strokeWidth: annotations.tool === "highlight" ? null : DEFAULT_STROKE_WIDTH
+        };
+
+        let preview = createAnnotationElement(layer.viewport, draft);
+        layer.svg.appendChild(preview);
+        try {
+            layer.svg.setPointerCapture(event.pointerId);
+        } catch (error) {
+            // ignore: บางเบราว์เซอร์ไม่รองรับ capture บน SVG
+        }
+
+        const onMove = moveEvent => {
+            const point = toPdfPoint(layer, moveEvent);
+            if (draft.type === "pen") {
+                const lastX = draft.points[draft.points.length - 2];
+                const lastY = draft.points[draft.points.length - 1];
+                if (draft.points.length >= MAX_PEN_POINT_VALUES || Math.hypot(point[0] - lastX, point[1] - lastY) < 1) {
+                    return;
+                }
+                draft.points.push(point[0], point[1]);
+            } else {
+                draft.points.splice(2, 2, point[0], point[1]);
+            }
+
+            const next = createAnnotationElement(layer.viewport, draft);
+            preview.replaceWith(next);
+            preview = next;
+        };
+
+        const finish = commit => {
+            layer.svg.removeEventListener("pointermove", onMove);
+            layer.svg.removeEventListener("pointerup", onUp);
+            layer.svg.removeEventListener("pointercancel", onCancel);
+            preview.remove();
+            if (draft.type === "pen") {
+                draft.points = simplifyPenPoints(draft.points, PEN_SIMPLIFY_TOLERANCE);
+            }
+            if (commit && isMeaningfulAnnotation(draft)) {
+                addAnnotation(state, draft);
+            }
+        };
+        const onUp = () => finish(true);
+        const onCancel = () => finish(false);
+
+        layer.svg.addEventListener("pointermove", onMove);
+        layer.svg.addEventListener("pointerup", onUp);
+        layer.svg.addEventListener("pointercancel", onCancel);
+    }
+
+    function redrawAnnotationPage(state, pageNumber) {
+        const pageState = state.pages[pageNumber - 1];
+        if (pageState) {
+            drawPageAnnotations(state, pageState);
+        }
+    }
+
+    // ลบได้เฉพาะ markup ของผู้ใช้เอง ถ้าไม่ได้ระบุรหัสพนักงานให้ลบได้เฉพาะที่สร้างในรอบนี้
+    function canEditAnnotation(annotations, annotation) {
+        if (!annotations.author) {
+            return annotations.history.includes(annotation.id);
+        }
+
+        return typeof annotation.author === "string"
+            && annotation.author.trim().toLowerCase() === annotations.author.toLowerCase();
+    }
+
+    function addAnnotation(state, annotation) {
+        const annotations = state.annotations;
+        // ใช้แสดงผลและตรวจสิทธิ์ฝั่งหน้าจอเท่านั้น เซิร์ฟเวอร์กำหนดผู้สร้างจาก session ที่ออกให้เอง
+        annotation.author = annotations.author;
+        annotations.items.push(annotation);
+        annotations.history.push(annotation.id);
+        annotations.pendingAdded.set(annotation.id, annotation);
+        redrawAnnotationPage(state, annotation.page);
+        scheduleAnnotationSave(state);
+    }
+
+    function removeAnnotation(state, annotationId) {
+        const annotations = state.annotations;
+        const index = annotations.items.findIndex(annotation => annotation.id === annotationId);
+        if (index < 0) {
+            return;
+        }
+
+        const [removed] = annotations.items.splice(index, 1);
+        annotations.pendingAdded.delete(annotationId);
+        annotations.pendingRemoved.add(annotationId);
+        redrawAnnotationPage(state, removed.page);
+        scheduleAnnotationSave(state);
+    }
+
+    function hasPendingAnnotations(annotations) {
+        return annotations.pendingAdded.size > 0 || annotations.pendingRemoved.size > 0;
+    }
+
+    function scheduleAnnotationSave(state) {
+        const annotations = state.annotations;
+        clearTimeout(annotations.saveTimer);
+        annotations.saveTimer = setTimeout(() => saveAnnotations(state), ANNOTATION_SAVE_DELAY_MS);
+    }
+
+    // ใช้รายการจากเซิร์ฟเวอร์ (รวม markup ที่ผู้อื่นเพิ่งบันทึก) แล้วซ้อนการแก้ไขที่ยังไม่ได้ส่งกลับเข้าไป
+    function applySavedAnnotations(state, saved) {
+        const annotations = state.annotations;
+        if (!saved || !Array.isArray(saved.annotations)) {
+            return;
+        }
+
+        const items = saved.annotations.filter(annotation => !annotations.pendingRemoved.has(annotation.id)
+            && !annotations.pendingAdded.has(annotation.id));
+        annotations.items = [...items, ...annotations.pendingAdded.values()];
+        drawAllAnnotations(state);
+    }
+
+    function saveAnnotations(state, keepalive) {
+        const annotations = state.annotations;
+        annotations.saveTimer = null;
+        if (!hasPendingAnnotations(annotations) || !annotations.url) {
+            return Promise.resolve(true);
+        }
+
+        if (annotations.saving && !keepalive) {
+            scheduleAnnotationSave(state);
+            return Promise.resolve(false);
+        }
+
+        annotations.inFlight = sendAnnotationChanges(state, keepalive);
+        return annotations.inFlight;
+    }
+
+    async function sendAnnotationChanges(state, keepalive) {
+        const annotations = state.annotations;
+
+        // ส่งเฉพาะส่วนที่เปลี่ยน ถ้าบันทึกไม่สำเร็จจะคืนกลับเข้าคิวให้การแก้ไขครั้งถัดไปลองใหม่
+        const added = [...annotations.pendingAdded.values()];
+        const removed = [...annotations.pendingRemoved];
+        annotations.pendingAdded.clear();
+        annotations.pendingRemoved.clear();
+        annotations.saving = true;
+        let success = false;
+        let message = null;
+        let saved = null;
+        try {
+            const body = JSON.stringify({ added, removed });
+            const response = await fetch(annotations.url, {
+                method: "PUT",
+                credentials: "same-origin",
+                keepalive: !!keepalive && new TextEncoder().encode(body).length <= KEEPALIVE_BODY_LIMIT,
+                headers: { "Content-Type": "application/json" },
+                body
+            });
+            success = response.ok;
+            const result = await response.json().catch(() => null);
+            if (success) {
+                saved = result;
+            } else {
+                message = result && result.message ? result.message : null;
+            }
+        } catch (error) {
+            console.warn("pdfViewer: failed to save annotations", { containerId: state.containerId, error });
+        } finally {
+            annotations.saving = false;
+        }
+
+        if (!success) {
+            added.forEach(annotation => {
+                if (!annotations.pendingRemoved.has(annotation.id) && !annotations.pendingAdded.has(annotation.id)) {
+                    annotations.pendingAdded.set(annotation.id, annotation);
+                }
+            });
+            removed.forEach(annotationId => annotations.pendingRemoved.add(annotationId));
+        } else if (!state.disposed) {
+            applySavedAnnotations(state, saved);
+        }
+
+        // ตอนปิด viewer แจ้งเฉพาะกรณีล้มเหลว ผู้ใช้จะได้รู้ว่า markup ยังไม่ถูกบันทึก
+        if (!keepalive || !success) {
+            notifyAnnotationsSaved(state, success, message);
+        }
+        return success;
+    }
+
+    // .NET เรียกก่อน dispose: รอคำขอที่ค้างอยู่แล้วบันทึกส่วนที่เหลือแบบปกติ (ไม่ติดขนาด keepalive) คืน false ถ้ายังค้างบันทึก
+    async function saveAnnotationsNow(containerId) {
+        const state = views.get(containerId);
+        const annotations = state && state.annotations;
+        if (!annotations || annotations.readOnly) {
+            return true;
+        }
+
+        clearTimeout(annotations.saveTimer);
+        annotations.saveTimer = null;
+        if (annotations.inFlight) {
+            await annotations.inFlight;
+        }
+
+        await saveAnnotations(state, false);
+        return !hasPendingAnnotations(annotations);
+    }
+
+    // ปิด viewer ระหว่างรอ debounce: ส่งคำขอบันทึกแบบ keepalive ให้ไปถึงเซิร์ฟเวอร์แม้หน้าถูกปิด
+    function flushAnnotations(state) {
+        const annotations = state.annotations;
+        if (!annotations) {
+            return;
+        }
+
+        clearTimeout(annotations.saveTimer);
+        if (hasPendingAnnotations(annotations)) {
+            saveAnnotations(state, true);
+        }
+    }
+
+    function notifyAnnotationsSaved(state, success, message) {
+        const dotNetRef = getDotNetRefForViewer(state.containerId);
+        if (!dotNetRef) {
+            return;
+        }
+
+        try {
+            dotNetRef.invokeMethodAsync("OnPdfAnnotationsSavedFromJsAsync", state.containerId, !!success, message || null)
+                .catch(() => { });
+        } catch (error) {
+            // ignore
+        }
+    }
+
+    async function loadAnnotations(containerId, url, options) {
+        const state = views.get(containerId);
+        if (!state || !url) {
+            return 0;
+        }
+
+        let items = [];
+        try {
+            const response = await fetch(url, { credentials: "same-origin", headers: { Accept: "application/json" } });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const body = await response.json();
+            items = Array.isArray(body && body.annotations) ? body.annotations : [];
+        } catch (error) {
+            console.warn("pdfViewer: failed to load annotations", { containerId, url, error });
+        }
+
+        if (state.disposed || views.get(containerId) !== state) {
+            return 0;
+        }
+
+        const author = options && typeof options.author === "string" ? options.author.trim() : "";
+        state.annotations = {
+            url,
+            items,
+            history: [],
+            tool: null,
+            color: DEFAULT_ANNOTATION_COLOR,
+            readOnly: !!(options && options.readOnly),
+            author: author || null,
+            pendingAdded: new Map(),
+            pendingRemoved: new Set(),
+            saving: false,
+            inFlight: null,
+            saveTimer: null
+        };
+        drawAllAnnotations(state);
+        return items.length;
+    }
+
+    function setAnnotationTool(containerId, tool, color) {
+        const state = views.get(containerId);
+        if (!state || !state.annotations) {
+            return null;
+        }
+
+        const annotations = state.annotations;
+        annotations.tool = ANNOTATION_TOOLS.includes(tool) && !annotations.readOnly ? tool : null;
+        if (typeof color === "string" && /^#[0-9a-f]{6}$/i.test(color)) {
+            annotations.color = color;
+        }
+
+        const host = document.getElementById(containerId);
+        if (host) {
+            host.classList.toggle("pdfjs-viewer--annotating", !!annotations.tool);
+        }
+        state.pages.forEach(pageState => updateAnnotationLayerMode(state, pageState));
+        return annotations.tool;
+    }
+
+    // ย้อนกลับเฉพาะรายการที่เพิ่มในรอบนี้ (ไม่ลบของผู้อื่นที่โหลดมาจากเซิร์ฟเวอร์)
+    function undoAnnotation(containerId) {
+        const state = views.get(containerId);
+        if (!state || !state.annotations || state.annotations.readOnly) {
+            return;
+        }
+
+        const history = state.annotations.history;
+        while (history.length > 0) {
+            const annotationId = history.pop();
+            if (state.annotations.items.some(annotation => annotation.id === annotationId)) {
+                removeAnnotation(state, annotationId);
+                return;
+            }
+        }
     }
 
-    function sanitizeUrl(value) {
-        if (!value) {
-            return "";
+    // ===== เปรียบเทียบสองเวอร์ชัน: ซิงก์การเลื่อน/ซูมระหว่าง viewer และ diff ระดับพิกเซลทีละหน้า =====
+    const DIFF_SCALE = 1; // 72 dpi พอสำหรับหาตำแหน่งที่เปลี่ยน และไม่กินหน่วยความจำมากเกินไป
+    const DIFF_PIXEL_THRESHOLD = 48; // ผลต่างสีต่อช่องที่ยังถือว่าเหมือนกัน (กันขอบตัวอักษร anti-alias ต่างกันเล็กน้อย)
+    const DIFF_CELL_SIZE = 12;
+    const DIFF_MIN_CELL_PIXELS = 3;
+    const DIFF_REGION_PADDING = 4;
+    const DIFF_MAX_PAGES = 300;
+    const DIFF_ADDED_COLOR = [46, 160, 67];
+    const DIFF_REMOVED_COLOR = [220, 53, 69];
+    const viewLinks = new Map(); // containerId -> { peerId, cleanup } ของ viewer ที่ผูกกันไว้
+    const diffRuns = new Map(); // hostId -> งาน diff ล่าสุด (ใช้ยกเลิกและคืน object URL)
+
+    function getLinkedState(state) {
+        const link = viewLinks.get(state.containerId);
+        const peer = link ? views.get(link.peerId) : null;
+        return peer && !peer.disposed ? peer : null;
+    }
+
+    // ให้อีกฝั่งใช้โหมดซูมเดียวกัน (พอดีกว้าง/พอดีหน้าคำนวณจากขนาดหน้าของฝั่งนั้นเอง)
+    function syncLinkedZoom(state) {
+        const peer = getLinkedState(state);
+        if (!peer) {
+            return;
         }
 
-        return String(value)
-            .replace(/&/g, "&amp;")
-            .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;")
-            .replace(/"/g, "&quot;")
-            .replace(/'/g, "&#39;");
+        peer.zoomMode = state.zoomMode;
+        peer.scale = clampScale(state.zoomMode === "custom" ? state.scale : computeModeScale(peer, state.zoomMode));
+        reRender(peer.containerId);
     }
 
-    function ensureLoaded() {
-        if (window.pdfjsLib) {
-            window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_JS_WORKER_CDN;
-            if (isReadyResolve) {
-                isReadyResolve();
-                isReadyResolve = null;
-            }
-            return Promise.resolve(window.pdfjsLib);
-        }
-        if (!loader) {
-            loader = new Promise((resolve, reject) => {
-                const script = document.createElement("script");
-                script.src = PDF_JS_CDN;
-                script.async = true;
-                script.onload = () => {
-                    if (!window.pdfjsLib) {
-                        reject(new Error("pdf.js not found"));
-                        return;
-                    }
-                    window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_JS_WORKER_CDN;
-                    if (isReadyResolve) {
-                        isReadyResolve();
-                        isReadyResolve = null;
-                    }
-                    resolve(window.pdfjsLib);
+    // ตำแหน่งบนสุดของจอเป็น "หน้าไหน + สัดส่วนภายในหน้า" เพื่อจับคู่การเลื่อนของเอกสารที่ขนาดหน้า/จำนวนหน้าไม่เท่ากัน
+    function getScrollAnchor(state) {
+        const rootTop = state.scrollRoot.getBoundingClientRect().top;
+        for (const pageState of state.pages) {
+            const rect = pageState.element.getBoundingClientRect();
+            if (rect.bottom > rootTop) {
+                return {
+                    index: pageState.pageNumber - 1,
+                    ratio: rect.height > 0 ? Math.max(0, (rootTop - rect.top) / rect.height) : 0
                 };
-                script.onerror = () => reject(new Error("failed to load pdf.js"));
-                document.head.appendChild(script);
-            });
+            }
         }
-        return loader;
+
+        return { index: Math.max(0, state.pages.length - 1), ratio: 1 };
     }
 
-    // preload
-    ensureLoaded().catch(console.error);
+    function scrollToAnchor(state, anchor) {
+        const pageState = state.pages[Math.min(anchor.index, state.pages.length - 1)];
+        if (!pageState) {
+            return null;
+        }
 
-    function computeFitWidthScale(page, containerWidth) {
-        const viewport = page.getViewport({ scale: 1 });
-        const width = containerWidth || viewport.width;
-        return width / viewport.width;
+        const root = state.scrollRoot;
+        const rect = pageState.element.getBoundingClientRect();
+        root.scrollTop += rect.top - root.getBoundingClientRect().top + rect.height * anchor.ratio;
+        return root.scrollTop;
     }
 
-    async function render(url, containerId) {
-        await ready();
-        const host = document.getElementById(containerId);
-        if (!host) {
-            notifyRenderStatus(containerId, false, "ไม่พบตำแหน่งสำหรับแสดงไฟล์ PDF");
-            return;
+    // ผูก viewer สองตัว (เช่น เวอร์ชันเก่า/ใหม่) ให้เลื่อนและซูมไปด้วยกัน ฝั่งขวาจะปรับซูมตามฝั่งซ้ายทันที
+    function linkViews(leftId, rightId) {
+        unlinkViews(leftId);
+        unlinkViews(rightId);
+
+        const left = views.get(leftId);
+        const right = views.get(rightId);
+        if (!left || !right || !left.scrollRoot || !right.scrollRoot || left.scrollRoot === right.scrollRoot) {
+            return false;
         }
 
-        host.innerHTML = '<div class="pdfjs-loading text-muted text-center p-4">กำลังโหลดตัวอย่างเอกสาร PDF...</div>';
-        host.style.position = "relative";
+        // scrollTop ที่เราตั้งให้ฝั่งตรงข้าม ใช้แยก scroll event ที่เกิดจากการซิงก์เองออกจากการเลื่อนของผู้ใช้
+        const expected = new Map();
+        const follow = (sourceId, targetId) => () => {
+            const source = views.get(sourceId);
+            const target = views.get(targetId);
+            if (!source || !target || source.disposed || target.disposed || source.presentation || target.presentation) {
+                return;
+            }
 
-        try {
-            const resolvedUrl = toAbsoluteUrl(url);
-            console.debug("pdfViewer.render -> loading", { containerId, url: resolvedUrl });
-            const pdf = await window.pdfjsLib.getDocument({ url: resolvedUrl, withCredentials: true }).promise;
-            const state = {
-                pdf,
-                scale: 1,
-                fitWidthScale: 1,
-                pages: [],
-                containerId
-            };
-            views.set(containerId, state);
-            host.innerHTML = "";
+            const echo = expected.get(sourceId);
+            if (echo !== undefined) {
+                expected.delete(sourceId);
+                if (Math.abs(source.scrollRoot.scrollTop - echo) < 2) {
+                    return;
+                }
+            }
 
-            for (let pageIndex = 1; pageIndex <= pdf.numPages; pageIndex++) {
-                const page = await pdf.getPage(pageIndex);
+            const top = scrollToAnchor(target, getScrollAnchor(source));
+            target.scrollRoot.scrollLeft = source.scrollRoot.scrollLeft;
+            if (top !== null) {
+                expected.set(targetId, top);
+            }
+        };
+
+        const leftRoot = left.scrollRoot;
+        const rightRoot = right.scrollRoot;
+        const onLeftScroll = follow(leftId, rightId);
+        const onRightScroll = follow(rightId, leftId);
+        leftRoot.addEventListener("scroll", onLeftScroll, { passive: true });
+        rightRoot.addEventListener("scroll", onRightScroll, { passive: true });
+
+        const cleanup = () => {
+            leftRoot.removeEventListener("scroll", onLeftScroll);
+            rightRoot.removeEventListener("scroll", onRightScroll);
+        };
+        viewLinks.set(leftId, { peerId: rightId, cleanup });
+        viewLinks.set(rightId, { peerId: leftId, cleanup });
+
+        syncLinkedZoom(left);
+        return true;
+    }
 
-                const fit = computeFitWidthScale(page, host.clientWidth);
-                if (pageIndex === 1) {
-                    state.fitWidthScale = fit;
-                    state.scale = fit;
-                    updateToolbarScale(containerId, state.scale);
-                }
+    function unlinkViews(containerId) {
+        const link = viewLinks.get(containerId);
+        if (!link) {
+            return;
+        }
 
-                const viewport = page.getViewport({ scale: state.scale });
-                const dpr = window.devicePixelRatio || 1;
+        link.cleanup();
+        viewLinks.delete(containerId);
+        viewLinks.delete(link.peerId);
+    }
 
-                const canvas = document.createElement("canvas");
-                canvas.className = "pdfjs-page-canvas";
-                canvas.style.display = "block";
-                canvas.style.margin = "0 auto 16px";
-                canvas.style.width = `${Math.floor(viewport.width)}px`;
-                canvas.style.height = `${Math.floor(viewport.height)}px`;
+    async function renderPageForDiff(page) {
+        const viewport = page.getViewport({ scale: DIFF_SCALE });
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+
+        const context = canvas.getContext("2d", { willReadFrequently: true });
+        context.fillStyle = "#fff";
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        await page.render({ canvasContext: context, viewport }).promise;
+        return canvas;
+    }
 
-                canvas.width = Math.floor(viewport.width * dpr);
-                canvas.height = Math.floor(viewport.height * dpr);
+    // อ่านพิกเซลบนพื้นขาวขนาด width x height (หน้าที่เล็กกว่าจะถูกเติมขาวด้านขวา/ล่าง)
+    function readPixels(canvas, width, height) {
+        if (canvas.width === width && canvas.height === height) {
+            return canvas.getContext("2d", { willReadFrequently: true }).getImageData(0, 0, width, height).data;
+        }
 
-                const context = canvas.getContext("2d", { alpha: false });
-                host.appendChild(canvas);
+        const padded = document.createElement("canvas");
+        padded.width = width;
+        padded.height = height;
+        const context = padded.getContext("2d", { willReadFrequently: true });
+        context.fillStyle = "#fff";
+        context.fillRect(0, 0, width, height);
+        context.drawImage(canvas, 0, 0);
+        const data = context.getImageData(0, 0, width, height).data;
+        padded.width = 0;
+        padded.height = 0;
+        return data;
+    }
 
-                await page.render({
-                    canvasContext: context,
-                    viewport,
-                    transform: dpr !== 1 ? [dpr, 0, 0, dpr, 0, 0] : null
-                }).promise;
+    // รวม cell ที่เปลี่ยนและอยู่ติดกัน (รวมแนวทแยง) เป็นกรอบสี่เหลี่ยมของบริเวณที่เปลี่ยน
+    function findChangedRegions(cells, columns, rows) {
+        const regions = [];
+        const visited = new Uint8Array(cells.length);
+        for (let start = 0; start < cells.length; start++) {
+            if (visited[start] || cells[start] < DIFF_MIN_CELL_PIXELS) {
+                continue;
+            }
 
-                state.pages.push({ canvas, ctx: context, page, dpr });
+            const region = { left: columns, top: rows, right: 0, bottom: 0 };
+            const stack = [start];
+            visited[start] = 1;
+            while (stack.length > 0) {
+                const index = stack.pop();
+                const column = index % columns;
+                const row = (index - column) / columns;
+                region.left = Math.min(region.left, column);
+                region.top = Math.min(region.top, row);
+                region.right = Math.max(region.right, column + 1);
+                region.bottom = Math.max(region.bottom, row + 1);
+
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const x = column + dx;
+                        const y = row + dy;
+                        const next = y * columns + x;
+                        if (x >= 0 && y >= 0 && x < columns && y < rows && !visited[next] && cells[next] >= DIFF_MIN_CELL_PIXELS) {
+                            visited[next] = 1;
+                            stack.push(next);
+                        }
+                    }
+                }
             }
-            notifyRenderStatus(containerId, true, null);
-        } catch (error) {
-            console.error("PDF render error", {
-                containerId,
-                source: url,
-                error
-            });
-            host.innerHTML = '<div class="pdfjs-error alert alert-danger m-3">ไม่สามารถโหลดตัวอย่างไฟล์ PDF ได้</div>';
-            notifyRenderStatus(containerId, false, "ไม่สามารถโหลดตัวอย่างไฟล์ PDF ได้ กรุณาลองอีกครั้งหรือดาวน์โหลดไฟล์แทน");
+
+            regions.push(region);
         }
+
+        return regions;
     }
 
-    async function reRender(containerId) {
-        const state = views.get(containerId);
-        if (!state) {
-            return;
+    // ภาพผลต่าง: หน้าใหม่แบบจาง ส่วนที่เพิ่มเป็นสีเขียว ส่วนที่หายไปเป็นสีแดง และตีกรอบบริเวณที่เปลี่ยน
+    function computePageDiff(beforeCanvas, afterCanvas) {
+        const width = Math.max(beforeCanvas.width, afterCanvas.width);
+        const height = Math.max(beforeCanvas.height, afterCanvas.height);
+        const before = readPixels(beforeCanvas, width, height);
+        const after = readPixels(afterCanvas, width, height);
+
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext("2d");
+        const output = context.createImageData(width, height);
+        const pixels = output.data;
+
+        const columns = Math.ceil(width / DIFF_CELL_SIZE);
+        const rows = Math.ceil(height / DIFF_CELL_SIZE);
+        const cells = new Uint32Array(columns * rows);
+
+        for (let y = 0; y < height; y++) {
+            const cellRow = Math.floor(y / DIFF_CELL_SIZE) * columns;
+            for (let x = 0; x < width; x++) {
+                const offset = (y * width + x) * 4;
+                const difference = Math.max(
+                    Math.abs(before[offset] - after[offset]),
+                    Math.abs(before[offset + 1] - after[offset + 1]),
+                    Math.abs(before[offset + 2] - after[offset + 2]));
+                const beforeLuma = (before[offset] * 299 + before[offset + 1] * 587 + before[offset + 2] * 114) / 1000;
+                const afterLuma = (after[offset] * 299 + after[offset + 1] * 587 + after[offset + 2] * 114) / 1000;
+
+                if (difference > DIFF_PIXEL_THRESHOLD) {
+                    const color = afterLuma < beforeLuma ? DIFF_ADDED_COLOR : DIFF_REMOVED_COLOR;
+                    pixels[offset] = color[0];
+                    pixels[offset + 1] = color[1];
+                    pixels[offset + 2] = color[2];
+                    cells[cellRow + Math.floor(x / DIFF_CELL_SIZE)]++;
+                } else {
+                    const faded = 255 - (255 - afterLuma) * 0.3;
+                    pixels[offset] = faded;
+                    pixels[offset + 1] = faded;
+                    pixels[offset + 2] = faded;
+                }
+                pixels[offset + 3] = 255;
+            }
         }
 
-        for (const pageState of state.pages) {
-            const viewport = pageState.page.getViewport({ scale: state.scale });
+        context.putImageData(output, 0, 0);
+
+        const regions = findChangedRegions(cells, columns, rows);
+        context.strokeStyle = "rgba(255, 152, 0, .95)";
+        context.lineWidth = 2;
+        regions.forEach(region => {
+            const x = region.left * DIFF_CELL_SIZE - DIFF_REGION_PADDING;
+            const y = region.top * DIFF_CELL_SIZE - DIFF_REGION_PADDING;
+            context.strokeRect(
+                x,
+                y,
+                (region.right - region.left) * DIFF_CELL_SIZE + DIFF_REGION_PADDING * 2,
+                (region.bottom - region.top) * DIFF_CELL_SIZE + DIFF_REGION_PADDING * 2);
+        });
 
-            pageState.canvas.style.width = `${Math.floor(viewport.width)}px`;
-            pageState.canvas.style.height = `${Math.floor(viewport.height)}px`;
+        return { canvas, regionCount: regions.length };
+    }
 
-            pageState.canvas.width = Math.floor(viewport.width * pageState.dpr);
-            pageState.canvas.height = Math.floor(viewport.height * pageState.dpr);
+    // แปลง canvas เป็นรูปแล้วคืนหน่วยความจำ canvas ทันที (เอกสารหลายสิบหน้าจะไม่ค้าง bitmap ไว้ทั้งหมด)
+    function canvasToObjectUrl(canvas) {
+        return new Promise(resolve => {
+            const release = url => {
+                canvas.width = 0;
+                canvas.height = 0;
+                resolve(url);
+            };
 
-            await pageState.page.render({
-                canvasContext: pageState.ctx,
-                viewport,
-                transform: pageState.dpr !== 1 ? [pageState.dpr, 0, 0, pageState.dpr, 0, 0] : null
-            }).promise;
-        }
+            if (typeof canvas.toBlob !== "function") {
+                release(canvas.toDataURL("image/png"));
+                return;
+            }
 
-        updateToolbarScale(containerId, state.scale);
+            canvas.toBlob(blob => release(blob ? URL.createObjectURL(blob) : canvas.toDataURL("image/png")), "image/png");
+        });
     }
 
-    function updateToolbarScale(containerId, scale) {
-        const element = document.getElementById(`${containerId}-scale`);
-        if (element) {
-            element.textContent = `${Math.round(scale * 100)}%`;
-        }
+    function createDiffFigure(pageNumber, status, label) {
+        const figure = document.createElement("figure");
+        figure.className = `pdf-diff-page pdf-diff-page--${status}`;
+        figure.dataset.pageNumber = String(pageNumber);
+
+        const caption = document.createElement("figcaption");
+        caption.className = "pdf-diff-caption";
+        caption.innerHTML = `<span>หน้า ${pageNumber}</span><span class="pdf-diff-badge">${escapeHtml(label)}</span>`;
+        figure.appendChild(caption);
+        return figure;
     }
 
-    function getPageCount(containerId) {
-        const state = views.get(containerId);
-        if (!state || !state.pdf) {
-            return 0;
+    function appendDiffImage(run, figure, url, pageNumber) {
+        run.urls.push(url);
+        const image = document.createElement("img");
+        image.className = "pdf-diff-image";
+        image.alt = `ผลต่างของหน้า ${pageNumber}`;
+        image.src = url;
+        figure.appendChild(image);
+    }
+
+    // เทียบทีละคู่หน้าของ viewer ซ้าย (เก่า) กับขวา (ใหม่) ที่โหลดไว้แล้ว วาดผลลง hostId และคืนสรุปรายหน้า
+    async function diffViews(leftId, rightId, hostId) {
+        disposeDiff(hostId);
+
+        const left = views.get(leftId);
+        const right = views.get(rightId);
+        const host = document.getElementById(hostId);
+        if (!left || !right || !host) {
+            return null;
         }
 
-        return state.pdf.numPages || 0;
-    }
+        const run = { cancelled: false, urls: [] };
+        diffRuns.set(hostId, run);
+        const isStale = () => run.cancelled || left.disposed || right.disposed;
+
+        const leftPageCount = left.pdf.numPages;
+        const rightPageCount = right.pdf.numPages;
+        const totalPages = Math.max(leftPageCount, rightPageCount);
+        const summary = {
+            leftPageCount,
+            rightPageCount,
+            comparedPageCount: Math.min(totalPages, DIFF_MAX_PAGES),
+            changed: [],
+            added: [],
+            removed: [],
+            failed: []
+        };
+
+        for (let pageNumber = 1; pageNumber <= summary.comparedPageCount; pageNumber++) {
+            const canvases = [];
+            try {
+                const beforePage = pageNumber <= leftPageCount ? await getPageProxy(left, left.pages[pageNumber - 1]) : null;
+                const afterPage = pageNumber <= rightPageCount ? await getPageProxy(right, right.pages[pageNumber - 1]) : null;
+                if (isStale()) {
+                    return null;
+                }
 
-    function zoomIn(containerId) {
-        const state = views.get(containerId);
-        if (!state) {
-            return;
+                let figure;
+                let url;
+                if (!beforePage || !afterPage) {
+                    const isAdded = !beforePage;
+                    const source = await renderPageForDiff(isAdded ? afterPage : beforePage);
+                    canvases.push(source);
+                    (isAdded ? summary.added : summary.removed).push(pageNumber);
+                    figure = createDiffFigure(pageNumber, isAdded ? "added" : "removed", isAdded ? "หน้าใหม่" : "หน้าถูกลบ");
+                    url = await canvasToObjectUrl(source);
+                } else {
+                    const beforeCanvas = await renderPageForDiff(beforePage);
+                    canvases.push(beforeCanvas);
+                    const afterCanvas = await renderPageForDiff(afterPage);
+                    canvases.push(afterCanvas);
+                    if (isStale()) {
+                        return null;
+                    }
+
+                    const diff = computePageDiff(beforeCanvas, afterCanvas);
+                    const isChanged = diff.regionCount > 0;
+                    if (isChanged) {
+                        summary.changed.push(pageNumber);
+                    }
+                    figure = createDiffFigure(
+                        pageNumber,
+                        isChanged ? "changed" : "same",
+                        isChanged ? `เปลี่ยน ${diff.regionCount} จุด` : "ไม่เปลี่ยน");
+                    url = await canvasToObjectUrl(diff.canvas);
+                }
+
+                if (isStale()) {
+                    if (url.startsWith("blob:")) {
+                        URL.revokeObjectURL(url);
+                    }
+                    return null;
+                }
+
+                appendDiffImage(run, figure, url, pageNumber);
+                host.appendChild(figure);
+            } catch (error) {
+                if (isStale()) {
+                    return null;
+                }
+
+                console.warn("pdfViewer: page diff failed", { hostId, page: pageNumber, error });
+                summary.failed.push(pageNumber);
+                host.appendChild(createDiffFigure(pageNumber, "failed", "เปรียบเทียบไม่ได้"));
+            } finally {
+                canvases.forEach(canvas => {
+                    canvas.width = 0;
+                    canvas.height = 0;
+                });
+            }
         }
-        state.scale *= 1.1;
-        reRender(containerId);
+
+        return summary;
     }
 
-    function zoomOut(containerId) {
-        const state = views.get(containerId);
-        if (!state) {
-            return;
+    function disposeDiff(hostId) {
+        const run = diffRuns.get(hostId);
+        if (run) {
+            run.cancelled = true;
+            run.urls.forEach(url => {
+                if (url.startsWith("blob:")) {
+                    URL.revokeObjectURL(url);
+                }
+            });
+            diffRuns.delete(hostId);
+        }
+
+        const host = document.getElementById(hostId);
+        if (host) {
+            host.innerHTML = "";
         }
-        state.scale /= 1.1;
-        reRender(containerId);
     }
 
-    function fitWidth(containerId) {
-        const state = views.get(containerId);
-        if (!state) {
+    // ===== พิมพ์เอกสาร: วาดหน้าของไฟล์ที่ประทับตราแล้วเป็นรูปความละเอียดสูงลง container ที่แสดงเฉพาะตอนพิมพ์ =====
+    const PRINT_DPI = 150;
+    const PRINT_CONTAINER_CLASS = "pdfjs-print-container";
+    let activePrint = null; // งานพิมพ์ที่เตรียมไว้ (มีได้ครั้งละหนึ่งงาน)
+
+    function cleanupPrint() {
+        const job = activePrint;
+        if (!job) {
             return;
         }
-        state.scale = state.fitWidthScale || state.scale;
-        reRender(containerId);
+
+        activePrint = null;
+        job.cancelled = true;
+        window.removeEventListener("afterprint", cleanupPrint);
+        document.body.classList.remove("pdfjs-printing");
+        job.urls.forEach(url => {
+            if (url.startsWith("blob:")) {
+                URL.revokeObjectURL(url);
+            }
+        });
+        job.container.remove();
+        if (job.loadingTask) {
+            job.loadingTask.destroy().catch(() => { });
+        }
     }
 
-    function goToPage(containerId, pageNumber, smooth) {
-        const state = views.get(containerId);
-        if (!state || !state.pages || state.pages.length === 0) {
-            return;
+    // ขั้นที่ 1: โหลดไฟล์และวาดหน้าที่เลือก (options.pages = รายการเลขหน้า ว่าง/ไม่ระบุ = ทุกหน้า)
+    // คืน { success, pages, message } โดย pages คือหน้าที่จะพิมพ์จริง ให้ .NET บันทึก log ก่อนเรียก startPrint
+    async function preparePrint(url, options) {
+        if (activePrint && !activePrint.started) {
+            return { success: false, pages: [], message: "กำลังเตรียมพิมพ์เอกสารอยู่" };
         }
+        cleanupPrint();
 
-        const index = Math.max(1, Math.min(pageNumber, state.pages.length)) - 1;
-        const canvas = state.pages[index] && state.pages[index].canvas;
-        if (!canvas) {
-            return;
+        const isLibraryLoaded = await ready();
+        if (!isLibraryLoaded) {
+            return { success: false, pages: [], message: LIBRARY_LOAD_FAILED_MESSAGE, code: ERROR_CODES.libLoadFailed };
         }
 
-        const behavior = smooth === false ? "auto" : "smooth";
-        canvas.scrollIntoView({ behavior, block: "center", inline: "nearest" });
+        const container = document.createElement("div");
+        container.className = PRINT_CONTAINER_CLASS;
+        container.setAttribute("aria-hidden", "true");
+        const job = { container, urls: [], loadingTask: null, started: false, cancelled: false };
+        activePrint = job;
+
+        try {
+            const resolvedUrl = toAbsoluteUrl(url);
+            job.loadingTask = openDocument(resolvedUrl, documentPasswords.get(resolvedUrl));
+            const pdf = await job.loadingTask.promise;
+            const requested = options && Array.isArray(options.pages) && options.pages.length > 0
+                ? options.pages
+                : Array.from({ length: pdf.numPages }, (_, index) => index + 1);
+            const pages = requested.filter(pageNumber => Number.isInteger(pageNumber) && pageNumber >= 1 && pageNumber <= pdf.numPages);
+            if (pages.length === 0) {
+                cleanupPrint();
+                return { success: false, pages: [], message: `ไม่มีหน้าที่เลือกในเอกสาร (เอกสารมี ${pdf.numPages} หน้า)` };
+            }
+
+            const images = [];
+            for (const pageNumber of pages) {
+                const page = await pdf.getPage(pageNumber);
+                if (job.cancelled) {
+                    return { success: false, pages: [], message: null };
+                }
+
+                const viewport = page.getViewport({ scale: PRINT_DPI / 72 });
+                const canvas = document.createElement("canvas");
+                canvas.width = Math.floor(viewport.width);
+                canvas.height = Math.floor(viewport.height);
+                const context = canvas.getContext("2d", { alpha: false });
+                context.fillStyle = "#fff";
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                await page.render({ canvasContext: context, viewport, intent: "print" }).promise;
+                page.cleanup();
+
+                const imageUrl = await canvasToObjectUrl(canvas);
+                if (job.cancelled) {
+                    if (imageUrl.startsWith("blob:")) {
+                        URL.revokeObjectURL(imageUrl);
+                    }
+                    return { success: false, pages: [], message: null };
+                }
+                job.urls.push(imageUrl);
+
+                const wrapper = document.createElement("div");
+                wrapper.className = "pdfjs-print-page";
+                const image = document.createElement("img");
+                image.alt = "";
+                image.src = imageUrl;
+                wrapper.appendChild(image);
+                container.appendChild(wrapper);
+                images.push(image);
+            }
+
+            document.body.appendChild(container);
+            await Promise.all(images.map(image => typeof image.decode === "function" ? image.decode().catch(() => { }) : Promise.resolve()));
+            if (job.cancelled) {
+                return { success: false, pages: [], message: null };
+            }
+
+            return { success: true, pages, message: null };
+        } catch (error) {
+            if (job.cancelled) {
+                return { success: false, pages: [], message: null };
+            }
+
+            const code = classifyLoadError(error);
+            console.error("pdfViewer: print preparation failed", { source: url, code, error });
+            cleanupPrint();
+            return { success: false, pages: [], message: LOAD_ERROR_MESSAGES[code] || "ไม่สามารถเตรียมไฟล์สำหรับพิมพ์ได้", code };
+        }
     }
 
-    function getCurrentPageIndex(containerId) {
-        const state = views.get(containerId);
-        if (!state || !state.pages || state.pages.length === 0) {
-            return 0;
+    // ขั้นที่ 2: เปิดหน้าต่างพิมพ์ของเบราว์เซอร์ (ไม่รอให้ปิด เพราะบางเบราว์เซอร์บล็อก script จนกว่าผู้ใช้จะปิดหน้าต่าง)
+    function startPrint() {
+        const job = activePrint;
+        if (!job || job.started || !job.container.isConnected) {
+            return false;
         }
 
-        let bestIndex = 0;
-        let bestDistance = Number.POSITIVE_INFINITY;
-        const viewportCenter = window.innerHeight / 2;
+        job.started = true;
+        document.body.classList.add("pdfjs-printing");
+        window.addEventListener("afterprint", cleanupPrint);
+        setTimeout(() => window.print(), 0);
+        return true;
+    }
 
-        state.pages.forEach((pageState, index) => {
-            const rect = pageState.canvas.getBoundingClientRect();
-            const center = rect.top + rect.height / 2;
-            const distance = Math.abs(center - viewportCenter);
-            if (distance < bestDistance) {
-                bestDistance = distance;
-                bestIndex = index;
-            }
-        });
+    function cancelPrint() {
+        cleanupPrint();
+    }
 
-        return bestIndex + 1;
+    const FILE_PREVIEW_WIDTH = 160;
+
+    // ตัวอย่างหน้าแรกของไฟล์ที่ผู้ใช้เลือกไว้ในเครื่อง (File/Blob ที่ยังไม่ได้อัปโหลด) ใช้ในหน้าเพิ่ม/แก้ไขเอกสาร
+    // คืน { success, pageCount, message, code } ไฟล์ที่ตั้งรหัสผ่านไว้ตอบ PASSWORD_REQUIRED โดยไม่ถามรหัส
+    async function renderFilePreview(file, host, options) {
+        if (!file || !host) {
+            return { success: false, pageCount: 0, message: null, code: ERROR_CODES.containerNotFound };
+        }
+
+        const isLibraryLoaded = await ready();
+        if (!isLibraryLoaded) {
+            return { success: false, pageCount: 0, message: LIBRARY_LOAD_FAILED_MESSAGE, code: ERROR_CODES.libLoadFailed };
+        }
+
+        const objectUrl = URL.createObjectURL(file);
+        const loadingTask = window.pdfjsLib.getDocument({ url: objectUrl, disableRange: true, disableStream: true });
+        try {
+            const pdf = await loadingTask.promise;
+            const page = await pdf.getPage(1);
+            const width = options && options.width > 0 ? options.width : FILE_PREVIEW_WIDTH;
+            const baseViewport = page.getViewport({ scale: 1 });
+            const pixelRatio = window.devicePixelRatio || 1;
+            const viewport = page.getViewport({ scale: width / baseViewport.width * pixelRatio });
+
+            const canvas = document.createElement("canvas");
+            canvas.className = "pdfjs-file-preview-canvas";
+            canvas.width = Math.floor(viewport.width);
+            canvas.height = Math.floor(viewport.height);
+            canvas.style.width = `${width}px`;
+            const context = canvas.getContext("2d", { alpha: false });
+            context.fillStyle = "#fff";
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            await page.render({ canvasContext: context, viewport }).promise;
+
+            host.replaceChildren(canvas);
+            return { success: true, pageCount: pdf.numPages, message: null, code: null };
+        } catch (error) {
+            const code = classifyLoadError(error);
+            console.warn("pdfViewer: file preview failed", { name: file.name, code, error });
+            return { success: false, pageCount: 0, message: LOAD_ERROR_MESSAGES[code] || null, code };
+        } finally {
+            loadingTask.destroy().catch(() => { });
+            URL.revokeObjectURL(objectUrl);
+        }
     }
 
     function getPageElements(scrollContainer, selector) {
@@ -314,7 +3227,6 @@
         if (!scrollContainer) {
             return;
         }
-    }
 
         const pages = getPageElements(scrollContainer, selector);
         if (!pages.length) {
@@ -346,28 +3258,87 @@
         viewerCallbacks.set(viewerId, dotNetRef);
 
         if (hostId) {
-            hostRegistrations.set(hostId, { dotNetRef, viewerId });
+            hostRegistrations.set(hostId, { dotNetRef, viewerId, isNativeFullScreen: false });
         }
     }
 
-    function requestFullScreenHost(hostId) {
+    function getFullscreenElement() {
+        return document.fullscreenElement || document.webkitFullscreenElement || null;
+    }
+
+    // ใช้ Fullscreen API ของเบราว์เซอร์ (ซ่อนแถบเบราว์เซอร์/taskbar) ถ้าใช้ไม่ได้จะเหลือแค่ overlay ด้วย CSS
+    // resolve เป็น true เมื่อเข้าเต็มจอจริงได้ หรือ false เมื่อใช้ overlay แทน
+    async function requestFullScreenHost(hostId) {
         const host = hostId ? document.getElementById(hostId) : null;
-        if (host) {
-            host.classList.add("pdf-fullscreen-overlay");
+        if (!host) {
+            return false;
+        }
+
+        host.classList.add("pdf-fullscreen-overlay");
+
+        const request = host.requestFullscreen || host.webkitRequestFullscreen;
+        const enabled = document.fullscreenEnabled || document.webkitFullscreenEnabled;
+        if (typeof request !== "function" || !enabled) {
+            return false;
         }
 
-        return Promise.resolve();
+        if (getFullscreenElement() === host) {
+            return true;
+        }
+
+        try {
+            await request.call(host, { navigationUI: "hide" });
+            const registration = hostRegistrations.get(hostId);
+            if (registration) {
+                registration.isNativeFullScreen = true;
+            }
+            return true;
+        } catch (error) {
+            // เช่น ไม่ได้เรียกจากการกดของผู้ใช้ หรือถูกนโยบายของหน้าเว็บบล็อก
+            console.warn("pdfViewer: fullscreen request was rejected, using overlay instead", error);
+            return false;
+        }
     }
 
-    function exitFullScreenHost(hostId) {
+    async function exitFullScreenHost(hostId) {
         const host = hostId ? document.getElementById(hostId) : null;
         if (host) {
             host.classList.remove("pdf-fullscreen-overlay");
         }
 
-        return Promise.resolve();
+        const registration = hostId ? hostRegistrations.get(hostId) : null;
+        if (registration) {
+            registration.isNativeFullScreen = false;
+        }
+
+        if (host && getFullscreenElement() === host) {
+            const exit = document.exitFullscreen || document.webkitExitFullscreen;
+            try {
+                await exit.call(document);
+            } catch (error) {
+                // ignore: เบราว์เซอร์ออกจากเต็มจอไปแล้ว
+            }
+        }
+    }
+
+    // ผู้ใช้กด Esc/F11 ออกจากเต็มจอเอง: แจ้ง .NET ให้ปิด overlay ตามไปด้วย
+    function handleFullscreenChange() {
+        const fullscreenElement = getFullscreenElement();
+        hostRegistrations.forEach((registration, hostId) => {
+            const host = document.getElementById(hostId);
+            const isNativeFullScreen = !!host && fullscreenElement === host;
+            if (registration.isNativeFullScreen === isNativeFullScreen) {
+                return;
+            }
+
+            registration.isNativeFullScreen = isNativeFullScreen;
+            notifyFullScreenChanged(registration, isNativeFullScreen);
+        });
     }
 
+    document.addEventListener("fullscreenchange", handleFullscreenChange);
+    document.addEventListener("webkitfullscreenchange", handleFullscreenChange);
+
     function disposeFullScreenHost(hostId) {
         if (!hostId) {
             return;
@@ -397,9 +3368,14 @@
         }
     }
 
+    // resolve เป็น true เมื่อโหลด pdf.js สำเร็จ หรือ false เมื่อทุกแหล่งล้มเหลว (ไม่ค้างรอตลอดไป)
     function ready() {
-        ensureLoaded().catch(console.error);
-        return readyPromise;
+        return ensureLoaded().then(
+            () => true,
+            error => {
+                console.error(error);
+                return false;
+            });
     }
 
     function getDotNetRefForViewer(containerId) {
@@ -417,14 +3393,55 @@
         return null;
     }
 
-    function notifyRenderStatus(containerId, success, message) {
+    function notifyRenderStatus(containerId, success, message, code) {
+        const dotNetRef = getDotNetRefForViewer(containerId);
+        if (!dotNetRef) {
+            return;
+        }
+
+        try {
+            dotNetRef.invokeMethodAsync("OnPdfRenderStatusChangedFromJsAsync", containerId, !!success, message || null, code || null)
+                .catch(() => { });
+        } catch (error) {
+            // ignore
+        }
+    }
+
+    function notifyLoadProgress(containerId, loaded, total) {
+        const dotNetRef = getDotNetRefForViewer(containerId);
+        if (!dotNetRef) {
+            return;
+        }
+
+        try {
+            dotNetRef.invokeMethodAsync("OnPdfLoadProgressFromJsAsync", containerId, loaded, total)
+                .catch(() => { });
+        } catch (error) {
+            // ignore
+        }
+    }
+
+    function notifyFailedPages(containerId, pages) {
         const dotNetRef = getDotNetRefForViewer(containerId);
         if (!dotNetRef) {
             return;
         }
 
         try {
-            dotNetRef.invokeMethodAsync("OnPdfRenderStatusChangedFromJsAsync", containerId, !!success, message || null)
+            dotNetRef.invokeMethodAsync("OnPdfFailedPagesChangedFromJsAsync", containerId, pages)
+                .catch(() => { });
+        } catch (error) {
+            // ignore
+        }
+    }
+
+    function notifyFullScreenChanged(registration, isFullScreen) {
+        if (!registration.dotNetRef) {
+            return;
+        }
+
+        try {
+            registration.dotNetRef.invokeMethodAsync("OnPdfFullScreenChangedFromJsAsync", registration.viewerId, !!isFullScreen)
                 .catch(() => { });
         } catch (error) {
             // ignore
@@ -452,16 +3469,56 @@
         });
     }
 
+    // คำสั่งที่ไฟล์ประเภทอื่นรองรับด้วย: ถ้า containerId แสดงผ่าน documentRenderers ให้ view ของตัวนั้นทำแทน
+    function withRenderer(method, handler) {
+        return (containerId, ...args) => {
+            const view = window.documentRenderers ? window.documentRenderers.getView(containerId) : null;
+            if (view) {
+                return typeof view[method] === "function" ? view[method](...args) : undefined;
+            }
+            return handler(containerId, ...args);
+        };
+    }
+
     window.pdfViewer = {
         render,
-        zoomIn,
-        zoomOut,
-        fitWidth,
+        submitPassword,
+        cancelPassword,
+        zoomIn: withRenderer("zoomIn", zoomIn),
+        zoomOut: withRenderer("zoomOut", zoomOut),
+        fitWidth: withRenderer("fitWidth", fitWidth),
         ready,
+        dispose,
+        fitPage: withRenderer("fitPage", fitPage),
+        actualSize: withRenderer("actualSize", actualSize),
+        setScale: withRenderer("setScale", setScale),
+        rotate: withRenderer("rotate", rotate),
+        setPresentationMode,
+        loadAnnotations,
+        setAnnotationTool,
+        undoAnnotation,
+        saveAnnotations: saveAnnotationsNow,
+        linkViews,
+        unlinkViews,
+        diffViews,
+        disposeDiff,
+        preparePrint,
+        startPrint,
+        cancelPrint,
+        renderFilePreview,
         renderPdf: render,
-        getPageCount,
-        goToPage,
-        getCurrentPageIndex,
+        hasDocument: withRenderer("hasDocument", hasDocument),
+        getPageCount: withRenderer("getPageCount", getPageCount),
+        goToPage: withRenderer("goToPage", goToPage),
+        getCurrentPageIndex: withRenderer("getCurrentPageIndex", getCurrentPageIndex),
+        search,
+        findNext,
+        findPrevious,
+        clearSearch,
+        hasOpenParameters,
+        copyPageLink,
+        renderSidebar,
+        setActiveThumbnail,
         getVisiblePageIndexInContainer,
         scrollToPageInContainer,
         initializeFullScreen,
@@ -1,133 +1,159 @@
-(function () {
-    const READY_EVENT = "pdfViewer:initialized";
-    const POLL_INTERVAL_MS = 50;
-    const MAX_ATTEMPTS = 200;
+// wwwroot/js/pdfViewerInterop.js
+// ES module ที่ Services/PdfViewerInterop.cs import ผ่าน IJSObjectReference แล้วส่งต่อคำสั่งไปยัง window.pdfViewer
+// ทุกฟังก์ชันคืน { ok, value } หรือ { ok: false, code, message } แทนการกลืน error เพื่อให้ .NET แยกสาเหตุได้
+const READY_EVENT = "pdfViewer:initialized";
 
-    let pendingViewerPromise = null;
+// ต้องตรงกับ PdfViewerErrorCode ใน Services/PdfViewerInterop.cs
+export const ErrorCodes = Object.freeze({
+    viewerUnavailable: "VIEWER_UNAVAILABLE",
+    libLoadFailed: "LIB_LOAD_FAILED",
+    containerNotFound: "CONTAINER_NOT_FOUND",
+    noDocument: "NO_DOCUMENT",
+    docNotFound: "DOC_NOT_FOUND",
+    passwordRequired: "PASSWORD_REQUIRED",
+    corruptPdf: "CORRUPT_PDF",
+    networkError: "NETWORK_ERROR",
+    unsupportedFormat: "UNSUPPORTED_FORMAT",
+    unknown: "UNKNOWN"
+});
 
-    function resetPromise() {
-        pendingViewerPromise = null;
+let viewerPromise = null;
+
+function viewerError(code, message) {
+    const error = new Error(message || code);
+    error.code = code;
+    return error;
+}
+
+// pdfViewer.js เป็น script แบบ defer จึงรอ event ตอนสร้างเสร็จ ถ้าหน้าโหลดครบแล้วยังไม่มีแสดงว่าไฟล์โหลดไม่ขึ้น (ไม่ต้อง poll)
+function whenViewerReady() {
+    if (window.pdfViewer) {
+        return Promise.resolve(window.pdfViewer);
     }
 
-    function waitForViewer() {
-        if (typeof window !== "undefined" && window.pdfViewer) {
-            return Promise.resolve(window.pdfViewer);
-        }
+    if (!viewerPromise) {
+        viewerPromise = new Promise((resolve, reject) => {
+            const settle = () => {
+                document.removeEventListener(READY_EVENT, settle);
+                window.removeEventListener("load", settle);
+                if (window.pdfViewer) {
+                    resolve(window.pdfViewer);
+                } else {
+                    reject(viewerError(ErrorCodes.viewerUnavailable, "pdfViewer.js did not initialize."));
+                }
+            };
 
-        if (!pendingViewerPromise) {
-            pendingViewerPromise = new Promise((resolve, reject) => {
-                let attempts = 0;
-
-                const cleanup = () => {
-                    clearInterval(intervalId);
-                    document.removeEventListener(READY_EVENT, handleReady);
-                };
-
-                const handleReady = () => {
-                    if (typeof window !== "undefined" && window.pdfViewer) {
-                        cleanup();
-                        resolve(window.pdfViewer);
-                    }
-                };
-
-                const intervalId = setInterval(() => {
-                    attempts += 1;
-                    if (typeof window !== "undefined" && window.pdfViewer) {
-                        cleanup();
-                        resolve(window.pdfViewer);
-                        return;
-                    }
-
-                    if (attempts >= MAX_ATTEMPTS) {
-                        cleanup();
-                        reject(new Error("pdfViewer is not available"));
-                    }
-                }, POLL_INTERVAL_MS);
-
-                document.addEventListener(READY_EVENT, handleReady, { once: true });
-                handleReady();
-            });
-        }
+            document.addEventListener(READY_EVENT, settle);
+            if (document.readyState === "complete") {
+                settle();
+            } else {
+                window.addEventListener("load", settle);
+            }
+        });
 
-        return pendingViewerPromise.catch(error => {
-            console.warn(error?.message ?? error);
-            resetPromise();
-            throw error;
+        // ให้การเรียกครั้งถัดไปตรวจใหม่ได้
+        viewerPromise.catch(() => {
+            viewerPromise = null;
         });
     }
 
-    async function callViewer(method, args) {
-        const viewer = await waitForViewer();
-        if (!viewer) {
-            throw new Error("pdfViewer instance is unavailable");
-        }
+    return viewerPromise;
+}
+
+function toFailure(error) {
+    const code = error && typeof error.code === "string" ? error.code : ErrorCodes.unknown;
+    const message = error && error.message ? error.message : String(error);
+    return { ok: false, value: null, code, message };
+}
 
+// requiresDocument: ตรวจก่อนว่า containerId (อาร์กิวเมนต์แรก) มีเอกสารเปิดอยู่ ไม่อย่างนั้นตอบ NO_DOCUMENT
+async function call(method, args, requiresDocument) {
+    try {
+        const viewer = await whenViewerReady();
         const target = viewer[method];
         if (typeof target !== "function") {
-            throw new Error(`pdfViewer method '${method}' is unavailable.`);
+            throw viewerError(ErrorCodes.viewerUnavailable, `pdfViewer.${method} is unavailable.`);
+        }
+
+        if (requiresDocument && !viewer.hasDocument(args[0])) {
+            throw viewerError(ErrorCodes.noDocument, `No PDF is loaded in '${args[0]}'.`);
         }
 
-        return await target.apply(viewer, args || []);
+        const value = await target.apply(viewer, args);
+        return { ok: true, value: value === undefined ? null : value };
+    } catch (error) {
+        return toFailure(error);
     }
+}
 
-    async function tryCall(method, args) {
-        try {
-            return await callViewer(method, args);
-        } catch (error) {
-            console.warn(error?.message ?? error);
-            throw error;
-        }
+function command(method, requiresDocument) {
+    return (...args) => call(method, args, requiresDocument === true);
+}
+
+// value = true เมื่อโหลด pdf.js สำเร็จ
+export async function ready() {
+    const result = await call("ready", []);
+    if (result.ok && result.value !== true) {
+        return toFailure(viewerError(ErrorCodes.libLoadFailed, "pdf.js could not be loaded from any source."));
     }
+    return result;
+}
 
-    window.pdfViewerInterop = {
-        waitForViewer: () => waitForViewer().catch(() => null),
-        initializeFullScreen: async function (dotNetRef, hostId, viewerId) {
-            await tryCall("initializeFullScreen", [dotNetRef, hostId, viewerId]);
-        },
-        disposeFullScreen: function (hostId) {
-            return tryCall("disposeFullScreen", [hostId]);
-        },
-        requestFullScreen: function (hostId) {
-            return tryCall("requestFullScreen", [hostId]);
-        },
-        exitFullScreen: function (hostId) {
-            return tryCall("exitFullScreen", [hostId]);
-        },
-        focusFullScreenHost: function (hostId) {
-            return tryCall("focusFullScreenHost", [hostId]);
-        },
-        ready: function () {
-            return tryCall("ready", []);
-        },
-        render: function (source, containerId) {
-            return tryCall("render", [source, containerId]);
-        },
-        zoomIn: function (containerId) {
-            return tryCall("zoomIn", [containerId]);
-        },
-        zoomOut: function (containerId) {
-            return tryCall("zoomOut", [containerId]);
-        },
-        fitWidth: function (containerId) {
-            return tryCall("fitWidth", [containerId]);
-        },
-        goToPage: function (containerId, pageNumber, smooth) {
-            return tryCall("goToPage", [containerId, pageNumber, smooth]);
-        },
-        getPageCount: function (containerId) {
-            return tryCall("getPageCount", [containerId]).catch(() => 0);
-        },
-        getCurrentPageIndex: function (containerId) {
-            return tryCall("getCurrentPageIndex", [containerId]).catch(() => 0);
-        },
-        getVisiblePageIndexInContainer: function (scrollContainer, pageSelector) {
-            return tryCall("getVisiblePageIndexInContainer", [scrollContainer, pageSelector]).catch(() => 0);
-        },
-        scrollToPageInContainer: function (scrollContainer, pageSelector, pageNumber, smooth) {
-            return tryCall("scrollToPageInContainer", [scrollContainer, pageSelector, pageNumber, smooth]);
-        },
-        openStandalone: function (source, title) {
-            return tryCall("openStandalone", [source, title]);
-        }
-    };
-})();
+// value = true เมื่อแสดงผลเสร็จ, false เมื่อถูกแทนที่ด้วยการ render/dispose รอบใหม่ก่อนเสร็จ
+export async function render(source, containerId, options) {
+    const result = await call("render", [source, containerId, options]);
+    if (!result.ok) {
+        return result;
+    }
+
+    const status = result.value || {};
+    if (status.cancelled) {
+        return { ok: true, value: false };
+    }
+    if (!status.success) {
+        return toFailure(viewerError(status.code || ErrorCodes.unknown, status.message));
+    }
+    return { ok: true, value: true };
+}
+
+// value = false เมื่อไม่มีคำขอรหัสผ่านค้างอยู่ (เช่น ผู้ใช้ปิด viewer ไปแล้ว)
+export const submitPassword = command("submitPassword");
+export const cancelPassword = command("cancelPassword");
+export const initializeFullScreen = command("initializeFullScreen");
+export const disposeFullScreen = command("disposeFullScreen");
+export const requestFullScreen = command("requestFullScreen");
+export const exitFullScreen = command("exitFullScreen");
+export const focusFullScreenHost = command("focusFullScreenHost");
+export const dispose = command("dispose");
+export const zoomIn = command("zoomIn");
+export const zoomOut = command("zoomOut");
+export const fitWidth = command("fitWidth");
+export const fitPage = command("fitPage");
+export const actualSize = command("actualSize");
+export const setScale = command("setScale");
+export const rotate = command("rotate");
+export const setPresentationMode = command("setPresentationMode", true);
+export const loadAnnotations = command("loadAnnotations", true);
+export const setAnnotationTool = command("setAnnotationTool");
+export const undoAnnotation = command("undoAnnotation");
+export const saveAnnotations = command("saveAnnotations");
+export const linkViews = command("linkViews");
+export const unlinkViews = command("unlinkViews");
+export const diffViews = command("diffViews");
+export const disposeDiff = command("disposeDiff");
+export const preparePrint = command("preparePrint");
+export const startPrint = command("startPrint");
+export const cancelPrint = command("cancelPrint");
+export const goToPage = command("goToPage");
+export const search = command("search", true);
+export const findNext = command("findNext");
+export const findPrevious = command("findPrevious");
+export const clearSearch = command("clearSearch");
+export const hasOpenParameters = command("hasOpenParameters");
+export const copyPageLink = command("copyPageLink", true);
+export const renderSidebar = command("renderSidebar", true);
+export const setActiveThumbnail = command("setActiveThumbnail");
+export const getPageCount = command("getPageCount", true);
+export const getCurrentPageIndex = command("getCurrentPageIndex", true);
+export const getVisiblePageIndexInContainer = command("getVisiblePageIndexInContainer");
+export const scrollToPageInContainer = command("scrollToPageInContainer");
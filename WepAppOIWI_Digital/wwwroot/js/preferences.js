@@ -0,0 +1,309 @@
+// wwwroot/js/preferences.js
+// ที่เก็บค่าที่ผู้ใช้ตั้งไว้ในเบราว์เซอร์รวมไว้ที่ key เดียว (มีเลขเวอร์ชันของ schema) และแจ้งการเปลี่ยนแปลงข้ามแท็บผ่าน storage event
+(function () {
+    const STORAGE_KEY = "oiwi.preferences";
+    const SCHEMA_VERSION = 1;
+    const MAX_VIEWER_ENTRIES = 200;
+
+    const TEXT_ZOOM_LEVELS = ["small", "normal", "large"];
+    const VIEWER_ZOOM_MODES = ["custom", "fitWidth", "fitPage", "actual"];
+    const STATION_FIELDS = ["workOrder", "model", "line", "section", "group", "station"];
+
+    // ตัวตรวจค่าต่อ key: คืน undefined เมื่อค่าไม่ถูกต้อง (key ที่ไม่อยู่ในนี้จะไม่ถูกบันทึก)
+    const SANITIZERS = {
+        pageSize: value => Number.isInteger(value) && value > 0 && value <= 500 ? value : undefined,
+        textZoom: value => TEXT_ZOOM_LEVELS.includes(value) ? value : undefined,
+        sortColumn: value => typeof value === "string" && value.length <= 64 ? value : undefined,
+        sortDescending: value => typeof value === "boolean" ? value : undefined,
+        filters: value => typeof value === "string" && value.length <= 2048 ? value : undefined,
+        shellCollapsed: value => typeof value === "boolean" ? value : undefined,
+        station: sanitizeStation,
+        viewer: sanitizeViewerMap
+    };
+
+    // migrations[n] แปลงค่าจาก schema เวอร์ชัน n ไปเป็น n + 1
+    const MIGRATIONS = {
+        0: migrateLegacyKeys
+    };
+
+    const listeners = new Set();
+    const dotNetSubscriptions = new Map();
+    let nextSubscriptionId = 1;
+    let cache = null;
+
+    function sanitizeViewSettings(value) {
+        if (!value || typeof value !== "object" || !VIEWER_ZOOM_MODES.includes(value.zoomMode)) {
+            return undefined;
+        }
+
+        return {
+            zoomMode: value.zoomMode,
+            zoom: Number.isFinite(value.zoom) && value.zoom > 0 ? value.zoom : 1,
+            rotation: Number.isFinite(value.rotation) && value.rotation % 90 === 0 ? ((value.rotation % 360) + 360) % 360 : 0
+        };
+    }
+
+    // Work Order/สถานีที่ล็อกไว้ที่หน้า Setup (หน้า /kiosk ใช้เลือกเอกสารที่จะแสดง)
+    function sanitizeStation(value) {
+        if (!value || typeof value !== "object" || Array.isArray(value)) {
+            return undefined;
+        }
+
+        const result = {};
+        STATION_FIELDS.forEach(field => {
+            result[field] = typeof value[field] === "string" ? value[field].slice(0, 128) : "";
+        });
+        if (!result.workOrder) {
+            return undefined;
+        }
+
+        result.lockedAt = typeof value.lockedAt === "string" && value.lockedAt.length <= 64 ? value.lockedAt : null;
+        return result;
+    }
+
+    function sanitizeViewerMap(value) {
+        if (!value || typeof value !== "object" || Array.isArray(value)) {
+            return undefined;
+        }
+
+        const entries = Object.keys(value)
+            .map(key => [key, sanitizeViewSettings(value[key])])
+            .filter(entry => entry[1] !== undefined)
+            .slice(-MAX_VIEWER_ENTRIES);
+        return Object.fromEntries(entries);
+    }
+
+    function sanitizeValues(values) {
+        const result = {};
+        if (!values || typeof values !== "object") {
+            return result;
+        }
+
+        Object.keys(SANITIZERS).forEach(key => {
+            const sanitized = values[key] === undefined || values[key] === null ? undefined : SANITIZERS[key](values[key]);
+            if (sanitized !== undefined) {
+                result[key] = sanitized;
+            }
+        });
+        return result;
+    }
+
+    // ย้ายค่าจาก key เดิมที่กระจายอยู่ (oiwi.pageSize, oiwi_text_zoom, pdfViewer.view:*) มาไว้ที่เดียว แล้วลบ key เดิมทิ้ง
+    function migrateLegacyKeys(values) {
+        const storage = window.localStorage;
+        const legacyKeys = [];
+
+        const pageSize = parseInt(storage.getItem("oiwi.pageSize"), 10);
+        if (!Number.isNaN(pageSize)) {
+            values.pageSize = pageSize;
+        }
+        legacyKeys.push("oiwi.pageSize");
+
+        const textZoom = storage.getItem("oiwi_text_zoom");
+        if (textZoom) {
+            values.textZoom = textZoom;
+        }
+        legacyKeys.push("oiwi_text_zoom");
+
+        const viewer = {};
+        for (let index = 0; index < storage.length; index++) {
+            const key = storage.key(index);
+            if (key && key.startsWith("pdfViewer.view:")) {
+                try {
+                    viewer[key.substring("pdfViewer.view:".length)] = JSON.parse(storage.getItem(key));
+                } catch {
+                    // ค่าเสีย ทิ้งไป
+                }
+                legacyKeys.push(key);
+            }
+        }
+        values.viewer = viewer;
+
+        legacyKeys.forEach(key => storage.removeItem(key));
+        return values;
+    }
+
+    function parseStored(raw) {
+        if (!raw) {
+            return { version: 0, values: {} };
+        }
+
+        try {
+            const parsed = JSON.parse(raw);
+            if (parsed && Number.isInteger(parsed.version) && parsed.values && typeof parsed.values === "object") {
+                return parsed;
+            }
+        } catch {
+            // ค่าเสีย เริ่มใหม่
+        }
+
+        return { version: 0, values: {} };
+    }
+
+    function load() {
+        if (cache) {
+            return cache;
+        }
+
+        let stored = { version: SCHEMA_VERSION, values: {} };
+        try {
+            stored = parseStored(window.localStorage.getItem(STORAGE_KEY));
+            if (stored.version < SCHEMA_VERSION) {
+                let values = stored.values;
+                for (let version = stored.version; version < SCHEMA_VERSION; version++) {
+                    values = MIGRATIONS[version] ? MIGRATIONS[version](values) : values;
+                }
+                stored = { version: SCHEMA_VERSION, values: sanitizeValues(values) };
+                window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+            }
+        } catch {
+            // localStorage ใช้ไม่ได้ (เช่น private mode) เก็บไว้ในหน่วยความจำของแท็บนี้แทน
+        }
+
+        cache = { version: SCHEMA_VERSION, values: sanitizeValues(stored.values) };
+        return cache;
+    }
+
+    function persist() {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(cache));
+        } catch {
+            // ignore persistence failures
+        }
+    }
+
+    function clone(value) {
+        return value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    function notify(key, value, fromOtherTab) {
+        listeners.forEach(listener => {
+            try {
+                listener(key, clone(value), fromOtherTab);
+            } catch (error) {
+                console.warn("preferences: listener failed", error);
+            }
+        });
+
+        dotNetSubscriptions.forEach(subscription => {
+            if (subscription.keys && !subscription.keys.includes(key)) {
+                return;
+            }
+
+            subscription.ref.invokeMethodAsync("OnPreferenceChanged", key, clone(value), fromOtherTab)
+                .catch(() => dotNetSubscriptions.delete(subscription.id));
+        });
+    }
+
+    function get(key) {
+        return clone(load().values[key]);
+    }
+
+    function getAll() {
+        return clone(load().values);
+    }
+
+    function set(key, value) {
+        if (!Object.prototype.hasOwnProperty.call(SANITIZERS, key)) {
+            return false;
+        }
+
+        const values = load().values;
+        if (value === null || value === undefined) {
+            return remove(key);
+        }
+
+        const sanitized = SANITIZERS[key](value);
+        if (sanitized === undefined) {
+            return false;
+        }
+
+        if (JSON.stringify(values[key]) === JSON.stringify(sanitized)) {
+            return true;
+        }
+
+        values[key] = sanitized;
+        persist();
+        notify(key, sanitized, false);
+        return true;
+    }
+
+    function remove(key) {
+        const values = load().values;
+        if (values[key] === undefined) {
+            return true;
+        }
+
+        delete values[key];
+        persist();
+        notify(key, null, false);
+        return true;
+    }
+
+    // ค่าซูม/หมุนของ viewer แยกตามเอกสาร (path) ตัวที่ใช้ล่าสุดอยู่ท้ายสุด เกิน MAX_VIEWER_ENTRIES จะตัดตัวเก่าทิ้ง
+    function getViewSettings(path) {
+        const viewer = load().values.viewer;
+        return viewer && viewer[path] ? clone(viewer[path]) : null;
+    }
+
+    function setViewSettings(path, settings) {
+        const sanitized = sanitizeViewSettings(settings);
+        if (!path || !sanitized) {
+            return false;
+        }
+
+        const viewer = Object.assign({}, load().values.viewer);
+        if (JSON.stringify(viewer[path]) === JSON.stringify(sanitized)) {
+            return true;
+        }
+
+        delete viewer[path];
+        viewer[path] = sanitized;
+        return set("viewer", viewer);
+    }
+
+    function onChange(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    // ฝั่ง .NET (ClientPreferences) ลงทะเบียนรับการเปลี่ยนแปลง keys = null คือทุก key
+    function subscribe(dotNetRef, keys) {
+        const id = nextSubscriptionId++;
+        dotNetSubscriptions.set(id, { id, ref: dotNetRef, keys: Array.isArray(keys) && keys.length ? keys : null });
+        return id;
+    }
+
+    function unsubscribe(id) {
+        dotNetSubscriptions.delete(id);
+    }
+
+    // แท็บอื่นบันทึกค่า: อ่านใหม่แล้วแจ้งเฉพาะ key ที่เปลี่ยน
+    window.addEventListener("storage", event => {
+        if (event.storageArea !== window.localStorage || (event.key !== STORAGE_KEY && event.key !== null)) {
+            return;
+        }
+
+        const previous = load().values;
+        const next = sanitizeValues(parseStored(event.key === null ? null : event.newValue).values);
+        cache = { version: SCHEMA_VERSION, values: next };
+
+        Object.keys(SANITIZERS).forEach(key => {
+            if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+                notify(key, next[key], true);
+            }
+        });
+    });
+
+    window.oiwiPreferences = {
+        get,
+        getAll,
+        set,
+        remove,
+        getViewSettings,
+        setViewSettings,
+        onChange,
+        subscribe,
+        unsubscribe
+    };
+})();
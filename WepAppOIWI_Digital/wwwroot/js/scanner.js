@@ -0,0 +1,598 @@
+// wwwroot/js/scanner.js
+// สแกนบาร์โค้ด/QR เพื่อเปิดเอกสาร เลือก Work Order หรือกรองตามสถานี
+// รับได้สองทาง: เครื่องสแกนแบบคีย์บอร์ด (พิมพ์ตัวอักษรรัว ๆ แล้วจบด้วย Enter) และกล้องของเครื่อง (BarcodeDetector หรือ jsQR + ตัวอ่าน Code128 ในไฟล์นี้)
+(function () {
+    const MAX_KEY_GAP_MS = 35;
+    const MIN_CODE_LENGTH = 4;
+    const CAMERA_INTERVAL_MS = 200;
+    const CAMERA_MAX_WIDTH = 640;
+    const TOAST_DURATION_MS = 4000;
+    const JSQR_URL = "lib/jsqr/1.4.0/jsQR.js";
+
+    const script = document.currentScript;
+    const enabled = !script || !script.dataset || script.dataset.scannerEnabled !== "false";
+
+    const handlers = new Map(); // scopeId -> { kinds, ref, order }
+    let registrationCounter = 0;
+    let buffer = "";
+    let lastKeyAt = 0;
+    let fastKeys = 0;
+    let bufferStartedAt = 0;
+    let camera = null;
+    let jsQrPromise = null;
+    let toastElement = null;
+    let toastTimer = null;
+
+    function overlayParent() {
+        return document.fullscreenElement || document.body;
+    }
+
+    function isEditableTarget(target) {
+        return !!(target && target instanceof Element
+            && (target.isContentEditable || target.closest("input, textarea, select, [contenteditable='true']")));
+    }
+
+    // ------------------------------------------------------------------
+    // เครื่องสแกนแบบคีย์บอร์ด: ตัวอักษรที่ห่างกันไม่เกิน MAX_KEY_GAP_MS ถือเป็นการสแกน คนพิมพ์เองไม่เร็วขนาดนี้
+    // ------------------------------------------------------------------
+    function resetBuffer() {
+        buffer = "";
+        fastKeys = 0;
+    }
+
+    // ระหว่างสแกน shortcuts.js จะไม่ตีความตัวอักษรเป็นคีย์ลัด
+    function isBurstActive() {
+        return fastKeys > 0 && performance.now() - lastKeyAt <= MAX_KEY_GAP_MS * 2;
+    }
+
+    // ตัวอักษรแรกของการสแกนยังแยกจากการกดเองไม่ได้ (fastKeys ยังเป็น 0): คีย์ลัดตัวอักษรเดียวของ shortcuts.js รอดูก่อน MAX_KEY_GAP_MS
+    // ถ้ามีตัวถัดไปตามมาเร็วต่อจากตัวนั้น = การสแกน ไม่ทำคีย์ลัด (เช่นรหัสที่ขึ้นต้นด้วย / j k 0 f)
+    function runUnlessScan(action) {
+        if (!enabled) {
+            action();
+            return;
+        }
+
+        const keyAt = lastKeyAt;
+        setTimeout(() => {
+            if (fastKeys > 0 && bufferStartedAt === keyAt) {
+                return;
+            }
+
+            action();
+        }, MAX_KEY_GAP_MS + 5);
+    }
+
+    function handleKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey || isEditableTarget(event.target)) {
+            resetBuffer();
+            return;
+        }
+
+        const now = performance.now();
+        const gap = now - lastKeyAt;
+        lastKeyAt = now;
+
+        if (event.key === "Enter") {
+            const code = buffer;
+            const scanned = fastKeys >= MIN_CODE_LENGTH - 1 && code.length >= MIN_CODE_LENGTH && gap <= MAX_KEY_GAP_MS * 2;
+            resetBuffer();
+            if (scanned) {
+                event.preventDefault();
+                event.stopImmediatePropagation();
+                handleCode(code);
+            }
+            return;
+        }
+
+        if (event.key.length !== 1) {
+            resetBuffer();
+            return;
+        }
+
+        if (buffer && gap <= MAX_KEY_GAP_MS) {
+            fastKeys++;
+        } else {
+            buffer = "";
+            fastKeys = 0;
+            bufferStartedAt = now;
+        }
+
+        buffer += event.key;
+        if (fastKeys > 0) {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // ส่งผลการสแกนให้หน้าที่ลงทะเบียนไว้ ถ้าไม่มีหน้าไหนรับ ให้เปิด url ที่เซิร์ฟเวอร์แนะนำ
+    // ------------------------------------------------------------------
+    function register(scopeId, kinds, dotNetRef) {
+        if (!scopeId || !dotNetRef) {
+            return;
+        }
+
+        handlers.set(scopeId, {
+            kinds: Array.isArray(kinds) ? kinds : [],
+            ref: dotNetRef,
+            order: ++registrationCounter
+        });
+    }
+
+    function unregister(scopeId) {
+        handlers.delete(scopeId);
+    }
+
+    async function resolve(code) {
+        const response = await fetch(`scan/resolve?code=${encodeURIComponent(code)}`, { cache: "no-store" });
+        if (!response.ok) {
+            throw new Error(`scan/resolve ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    async function dispatch(result) {
+        // เอกสารเปิดเสมอ ส่วน Work Order/สถานีให้หน้าที่เปิดอยู่จัดการก่อน (เช่น Setup เลือก Work Order ให้ทันที)
+        if (result.kind !== "Document") {
+            const candidates = Array.from(handlers.values())
+                .filter(handler => handler.kinds.includes(result.kind))
+                .sort((left, right) => right.order - left.order);
+
+            for (const handler of candidates) {
+                try {
+                    if (await handler.ref.invokeMethodAsync("OnScanAsync", result)) {
+                        return;
+                    }
+                } catch (error) {
+                    console.warn("scanner: handler failed", error);
+                }
+            }
+        }
+
+        if (result.url) {
+            navigate(result.url);
+        }
+    }
+
+    function navigate(url) {
+        if (window.Blazor && typeof window.Blazor.navigateTo === "function") {
+            window.Blazor.navigateTo(url);
+        } else {
+            window.location.assign(url);
+        }
+    }
+
+    async function handleCode(code) {
+        const text = String(code || "").trim();
+        if (!text) {
+            return false;
+        }
+
+        let result;
+        try {
+            result = await resolve(text);
+        } catch (error) {
+            console.warn("scanner: resolve failed", error);
+            showToast("ไม่สามารถตรวจสอบรหัสที่สแกนได้ กรุณาลองใหม่");
+            return false;
+        }
+
+        if (!result || result.kind === "Unknown") {
+            showToast(`ไม่รู้จักรหัสที่สแกน: ${text}`);
+            return false;
+        }
+
+        closeCamera();
+        await dispatch(result);
+        return true;
+    }
+
+    function showToast(message) {
+        if (!toastElement) {
+            toastElement = document.createElement("div");
+            toastElement.className = "scan-toast";
+            toastElement.setAttribute("role", "status");
+            toastElement.setAttribute("aria-live", "polite");
+        }
+
+        toastElement.textContent = message;
+        overlayParent().appendChild(toastElement);
+        clearTimeout(toastTimer);
+        toastTimer = setTimeout(() => toastElement.remove(), TOAST_DURATION_MS);
+    }
+
+    // ------------------------------------------------------------------
+    // ตัวอ่าน Code128 จากภาพ (ใช้เมื่อเบราว์เซอร์ไม่มี BarcodeDetector): อ่านความกว้างแถบดำ/ขาวตามแนวนอนหลายแถว
+    // ------------------------------------------------------------------
+    const CODE128_PATTERNS = [
+        "212222", "222122", "222221", "121223", "121322", "131222", "122213", "122312", "132212", "221213",
+        "221312", "231212", "112232", "122132", "122231", "113222", "123122", "123221", "223211", "221132",
+        "221231", "213212", "223112", "312131", "311222", "321122", "321221", "312212", "322112", "322211",
+        "212123", "212321", "232121", "111323", "131123", "131321", "112313", "132113", "132311", "211313",
+        "231113", "231311", "112133", "112331", "132131", "113123", "113321", "133121", "313121", "211331",
+        "231131", "213113", "213311", "213131", "311123", "311321", "331121", "312113", "312311", "332111",
+        "314111", "221411", "431111", "111224", "111422", "121124", "121421", "141122", "141221", "112214",
+        "112412", "122114", "122411", "142112", "142211", "241211", "221114", "413111", "241112", "134111",
+        "111242", "121142", "121241", "114212", "124112", "124211", "411212", "421112", "421211", "212141",
+        "214121", "412121", "111143", "111341", "131141", "114113", "114311", "411113", "411311", "113141",
+        "114131", "311141", "411131", "211412", "211214", "211232", "233111"
+    ].map(pattern => pattern.split("").map(Number));
+
+    const START_A = 103;
+    const START_C = 105;
+    const STOP = 106;
+    const MAX_SYMBOL_ERROR = 0.5;
+
+    function matchSymbol(runs, offset) {
+        if (offset + 6 > runs.length) {
+            return -1;
+        }
+
+        let total = 0;
+        for (let index = 0; index < 6; index++) {
+            total += runs[offset + index];
+        }
+
+        const moduleWidth = total / 11;
+        let best = -1;
+        let bestError = Infinity;
+        CODE128_PATTERNS.forEach((pattern, value) => {
+            let error = 0;
+            for (let index = 0; index < 6; index++) {
+                const difference = runs[offset + index] / moduleWidth - pattern[index];
+                error += difference * difference;
+            }
+            if (error < bestError) {
+                bestError = error;
+                best = value;
+            }
+        });
+
+        return bestError / 6 <= MAX_SYMBOL_ERROR ? best : -1;
+    }
+
+    function decodeCode128Values(values) {
+        let set = values[0] - START_A; // 0 = A, 1 = B, 2 = C
+        let text = "";
+        let shift = false;
+
+        for (let index = 1; index < values.length; index++) {
+            const value = values[index];
+            const activeSet = shift ? (set === 0 ? 1 : 0) : set;
+            shift = false;
+
+            if (activeSet === 2) {
+                if (value < 100) {
+                    text += value < 10 ? `0${value}` : String(value);
+                } else if (value === 100) {
+                    set = 1;
+                } else if (value === 101) {
+                    set = 0;
+                }
+                continue;
+            }
+
+            if (value < 96) {
+                text += activeSet === 0 && value >= 64
+                    ? String.fromCharCode(value - 64)
+                    : String.fromCharCode(value + 32);
+            } else if (value === 98) {
+                shift = true;
+            } else if (value === 99) {
+                set = 2;
+            } else if (value === 100 && activeSet === 0) {
+                set = 1;
+            } else if (value === 101 && activeSet === 1) {
+                set = 0;
+            }
+            // 96, 97, 102 (FNC1-4) ไม่ใช้กับป้ายของเรา ข้ามไป
+        }
+
+        return text;
+    }
+
+    // runs เริ่มด้วยแถบดำเสมอ (ตำแหน่งคู่ = ดำ, คี่ = ขาว)
+    function decodeCode128Runs(runs) {
+        for (let start = 0; start + 6 <= runs.length; start += 2) {
+            const first = matchSymbol(runs, start);
+            if (first < START_A || first > START_C) {
+                continue;
+            }
+
+            const values = [first];
+            let offset = start + 6;
+            while (offset + 6 <= runs.length) {
+                const value = matchSymbol(runs, offset);
+                if (value < 0) {
+                    break;
+                }
+                if (value === STOP) {
+                    const checksum = values.pop();
+                    const sum = values.reduce((accumulator, current, position) => accumulator + current * (position === 0 ? 1 : position), 0);
+                    if (values.length > 1 && sum % 103 === checksum) {
+                        return decodeCode128Values(values);
+                    }
+                    break;
+                }
+                values.push(value);
+                offset += 6;
+            }
+        }
+
+        return null;
+    }
+
+    function rowRuns(data, width, y) {
+        const row = new Float32Array(width);
+        let min = 255;
+        let max = 0;
+        for (let x = 0; x < width; x++) {
+            const index = (y * width + x) * 4;
+            const luminance = data[index] * 0.299 + data[index + 1] * 0.587 + data[index + 2] * 0.114;
+            row[x] = luminance;
+            min = Math.min(min, luminance);
+            max = Math.max(max, luminance);
+        }
+
+        if (max - min < 48) {
+            return null;
+        }
+
+        const threshold = (min + max) / 2;
+        const runs = [];
+        let dark = null;
+        let length = 0;
+        for (let x = 0; x < width; x++) {
+            const isDark = row[x] < threshold;
+            if (dark === null) {
+                if (!isDark) {
+                    continue;
+                }
+                dark = true;
+            }
+
+            if (isDark === dark) {
+                length++;
+            } else {
+                runs.push(length);
+                dark = isDark;
+                length = 1;
+            }
+        }
+        if (length > 0 && dark) {
+            runs.push(length);
+        }
+
+        return runs;
+    }
+
+    function decodeCode128(imageData) {
+        const { data, width, height } = imageData;
+        const rows = [0.5, 0.4, 0.6, 0.3, 0.7];
+        for (const position of rows) {
+            const runs = rowRuns(data, width, Math.floor(height * position));
+            if (!runs || runs.length < 31) {
+                continue;
+            }
+
+            // ป้ายอาจกลับหัว: ลองอ่านจากขวาไปซ้ายด้วย
+            const text = decodeCode128Runs(runs) || decodeCode128Runs(runs.slice().reverse());
+            if (text) {
+                return text;
+            }
+        }
+
+        return null;
+    }
+
+    // ------------------------------------------------------------------
+    // กล้อง
+    // ------------------------------------------------------------------
+    function loadJsQr() {
+        if (window.jsQR) {
+            return Promise.resolve(window.jsQR);
+        }
+
+        if (!jsQrPromise) {
+            jsQrPromise = new Promise((resolveScript, reject) => {
+                const element = document.createElement("script");
+                element.src = JSQR_URL;
+                element.async = true;
+                element.onload = () => resolveScript(window.jsQR);
+                element.onerror = () => {
+                    jsQrPromise = null;
+                    reject(new Error("jsQR failed to load"));
+                };
+                document.head.appendChild(element);
+            });
+        }
+
+        return jsQrPromise;
+    }
+
+    async function createDetector() {
+        if ("BarcodeDetector" in window) {
+            try {
+                const supported = await window.BarcodeDetector.getSupportedFormats();
+                const formats = ["qr_code", "code_128"].filter(format => supported.includes(format));
+                if (formats.length === 2) {
+                    const detector = new window.BarcodeDetector({ formats });
+                    return async source => {
+                        const codes = await detector.detect(source.video);
+                        return codes.length ? codes[0].rawValue : null;
+                    };
+                }
+            } catch (error) {
+                // ใช้ตัวอ่านสำรองด้านล่าง
+            }
+        }
+
+        const jsQR = await loadJsQr().catch(() => null);
+        return async source => {
+            const imageData = source.capture();
+            if (!imageData) {
+                return null;
+            }
+
+            const qr = jsQR ? jsQR(imageData.data, imageData.width, imageData.height, { inversionAttempts: "dontInvert" }) : null;
+            return qr && qr.data ? qr.data : decodeCode128(imageData);
+        };
+    }
+
+    function buildCameraOverlay() {
+        const overlay = document.createElement("div");
+        overlay.className = "scan-camera";
+        overlay.setAttribute("role", "dialog");
+        overlay.setAttribute("aria-modal", "true");
+        overlay.setAttribute("aria-label", "สแกนด้วยกล้อง");
+        overlay.innerHTML = `
+            <div class="scan-camera-panel card shadow">
+                <div class="card-body">
+                    <div class="d-flex justify-content-between align-items-center mb-2">
+                        <h2 class="h5 mb-0">สแกนบาร์โค้ด / QR</h2>
+                        <button type="button" class="btn-close scan-camera-close" aria-label="ปิด"></button>
+                    </div>
+                    <div class="scan-camera-frame">
+                        <video class="scan-camera-video" playsinline muted></video>
+                        <div class="scan-camera-target" aria-hidden="true"></div>
+                    </div>
+                    <p class="scan-camera-status small text-muted mb-0 mt-2">กำลังเปิดกล้อง...</p>
+                </div>
+            </div>`;
+
+        overlay.addEventListener("click", event => {
+            if (event.target === overlay || event.target.closest(".scan-camera-close")) {
+                closeCamera();
+            }
+        });
+        overlay.addEventListener("keydown", event => {
+            if (event.key === "Escape") {
+                event.preventDefault();
+                event.stopPropagation();
+                closeCamera();
+            }
+        });
+
+        return overlay;
+    }
+
+    async function openCamera() {
+        if (!enabled || camera) {
+            return false;
+        }
+
+        if (!navigator.mediaDevices || typeof navigator.mediaDevices.getUserMedia !== "function") {
+            showToast("เบราว์เซอร์นี้ไม่รองรับการใช้กล้อง");
+            return false;
+        }
+
+        const overlay = buildCameraOverlay();
+        const video = overlay.querySelector("video");
+        const status = overlay.querySelector(".scan-camera-status");
+        const canvas = document.createElement("canvas");
+        const context = canvas.getContext("2d", { willReadFrequently: true });
+        const session = { overlay, stream: null, timer: null, busy: false, lastCode: null };
+        camera = session;
+
+        overlayParent().appendChild(overlay);
+        overlay.tabIndex = -1;
+        overlay.focus({ preventScroll: true });
+
+        try {
+            session.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" }, audio: false });
+        } catch (error) {
+            status.textContent = "ไม่สามารถเปิดกล้องได้ กรุณาอนุญาตการใช้กล้องแล้วลองใหม่";
+            return false;
+        }
+
+        if (camera !== session) {
+            session.stream.getTracks().forEach(track => track.stop());
+            return false;
+        }
+
+        video.srcObject = session.stream;
+        await video.play().catch(() => { });
+        status.textContent = "เล็งกล้องไปที่บาร์โค้ดหรือ QR code";
+
+        const detect = await createDetector();
+        const source = {
+            video,
+            capture() {
+                if (!video.videoWidth) {
+                    return null;
+                }
+
+                const scale = Math.min(1, CAMERA_MAX_WIDTH / video.videoWidth);
+                canvas.width = Math.round(video.videoWidth * scale);
+                canvas.height = Math.round(video.videoHeight * scale);
+                context.drawImage(video, 0, 0, canvas.width, canvas.height);
+                return context.getImageData(0, 0, canvas.width, canvas.height);
+            }
+        };
+
+        session.timer = setInterval(async () => {
+            if (session.busy || camera !== session || video.readyState < 2) {
+                return;
+            }
+
+            session.busy = true;
+            try {
+                const code = await detect(source);
+                // รหัสเดิมที่อ่านไม่สำเร็จไปแล้ว ไม่ต้องส่งซ้ำทุกเฟรม
+                if (code && code !== session.lastCode) {
+                    session.lastCode = code;
+                    status.textContent = `อ่านได้: ${code}`;
+                    await handleCode(code);
+                }
+            } catch (error) {
+                console.warn("scanner: detect failed", error);
+            } finally {
+                session.busy = false;
+            }
+        }, CAMERA_INTERVAL_MS);
+
+        return true;
+    }
+
+    function closeCamera() {
+        const session = camera;
+        camera = null;
+        if (!session) {
+            return;
+        }
+
+        clearInterval(session.timer);
+        if (session.stream) {
+            session.stream.getTracks().forEach(track => track.stop());
+        }
+        session.overlay.remove();
+    }
+
+    window.oiwiScanner = {
+        register,
+        unregister,
+        handleCode,
+        openCamera,
+        closeCamera,
+        isBurstActive,
+        runUnlessScan
+    };
+
+    if (!enabled) {
+        return;
+    }
+
+    // capture และโหลดก่อน shortcuts.js เพื่อให้ได้ตัวอักษรของการสแกนก่อนคีย์ลัด
+    document.addEventListener("keydown", handleKeyDown, true);
+
+    // ปุ่มกล้องบนแถบด้านบน (อยู่ใน layout ที่ไม่ใช่ interactive จึงผูกด้วย event delegation)
+    document.addEventListener("click", event => {
+        const trigger = event.target instanceof Element ? event.target.closest("[data-oiwi-scan-camera]") : null;
+        if (trigger) {
+            event.preventDefault();
+            openCamera();
+        }
+    });
+})();
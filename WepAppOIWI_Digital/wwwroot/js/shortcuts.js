@@ -0,0 +1,300 @@
+// wwwroot/js/shortcuts.js
+// ทะเบียนคีย์ลัดกลาง: แต่ละหน้าลงทะเบียนชุดคีย์ของตัวเอง (scope) แล้วถอนออกตอน dispose, กด ? เพื่อดูคีย์ลัดทั้งหมดที่ใช้ได้ตอนนี้
+(function () {
+    const NUMBER_PLACEHOLDER = "#";
+    const SEQUENCE_TIMEOUT_MS = 1500;
+    const HELP_KEY = "?";
+
+    const scopes = new Map(); // scopeId -> { title, bindings, ref, order }
+    let registrationCounter = 0;
+    let pending = null; // คีย์นำของลำดับ เช่น "g" ที่รอตัวเลขต่อ
+    let helpElement = null;
+    let indicatorElement = null;
+
+    function escapeHtml(value) {
+        return String(value === null || value === undefined ? "" : value).replace(/[&<>"']/g, character => ({
+            "&": "&amp;",
+            "<": "&lt;",
+            ">": "&gt;",
+            "\"": "&quot;",
+            "'": "&#39;"
+        })[character]);
+    }
+
+    // keys เช่น "j", "+|=" (หลายปุ่มให้ผลเดียวกัน) หรือ "g #" (g ตามด้วยตัวเลข)
+    function parseBinding(binding) {
+        const parts = String(binding.keys || "").trim().split(/\s+/);
+        const sequence = parts.length === 2 && parts[1] === NUMBER_PLACEHOLDER;
+        return {
+            id: binding.id,
+            keys: binding.keys,
+            description: binding.description || "",
+            alternatives: parts[0].split("|").filter(Boolean),
+            takesNumber: sequence
+        };
+    }
+
+    function register(scopeId, title, bindings, dotNetRef) {
+        if (!scopeId || !Array.isArray(bindings)) {
+            return;
+        }
+
+        scopes.set(scopeId, {
+            title: title || "",
+            bindings: bindings.filter(binding => binding && binding.id && binding.keys).map(parseBinding),
+            ref: dotNetRef,
+            order: ++registrationCounter
+        });
+    }
+
+    function unregister(scopeId) {
+        scopes.delete(scopeId);
+        if (scopes.size === 0) {
+            cancelSequence();
+            hideHelp();
+        } else if (isHelpOpen()) {
+            showHelp();
+        }
+    }
+
+    // scope ที่ลงทะเบียนทีหลังมาก่อน (คีย์ซ้ำกันให้ scope ใหม่ชนะ)
+    function orderedScopes() {
+        return Array.from(scopes.entries())
+            .map(([id, scope]) => Object.assign({ id }, scope))
+            .sort((left, right) => right.order - left.order);
+    }
+
+    function findBinding(key, takesNumber) {
+        for (const scope of orderedScopes()) {
+            const binding = scope.bindings.find(candidate => candidate.takesNumber === takesNumber && candidate.alternatives.includes(key));
+            if (binding) {
+                return { scope, binding };
+            }
+        }
+
+        return null;
+    }
+
+    function invoke(match, number) {
+        if (!match.scope.ref) {
+            return;
+        }
+
+        match.scope.ref.invokeMethodAsync("OnShortcutAsync", match.binding.id, number === undefined ? null : number)
+            .catch(error => console.warn("shortcuts: handler failed", error));
+    }
+
+    // พิมพ์อยู่ในช่องกรอกข้อมูล: ไม่ดักคีย์ (Enter/Space บนปุ่มหรือลิงก์ก็ปล่อยให้ทำงานตามปกติ)
+    function isTypingTarget(target, key) {
+        if (!target || !(target instanceof Element)) {
+            return false;
+        }
+
+        if (target.isContentEditable || target.closest("input, textarea, select, [contenteditable='true']")) {
+            return true;
+        }
+
+        return (key === "Enter" || key === " ") && !!target.closest("a, button, [role='button'], summary");
+    }
+
+    function overlayParent() {
+        return document.fullscreenElement || document.body;
+    }
+
+    function showIndicator(text) {
+        if (!indicatorElement) {
+            indicatorElement = document.createElement("div");
+            indicatorElement.className = "shortcut-sequence-indicator";
+            indicatorElement.setAttribute("role", "status");
+            indicatorElement.setAttribute("aria-live", "polite");
+        }
+
+        indicatorElement.textContent = text;
+        overlayParent().appendChild(indicatorElement);
+    }
+
+    function hideIndicator() {
+        if (indicatorElement) {
+            indicatorElement.remove();
+        }
+    }
+
+    function startSequence(match, key) {
+        cancelSequence();
+        pending = { match, key, digits: "", timer: null };
+        showIndicator(`${key} …`);
+        pending.timer = setTimeout(cancelSequence, SEQUENCE_TIMEOUT_MS);
+    }
+
+    function cancelSequence() {
+        if (pending && pending.timer) {
+            clearTimeout(pending.timer);
+        }
+        pending = null;
+        hideIndicator();
+    }
+
+    function commitSequence() {
+        const current = pending;
+        cancelSequence();
+        const number = current ? parseInt(current.digits, 10) : NaN;
+        if (!Number.isNaN(number) && number > 0) {
+            invoke(current.match, number);
+        }
+    }
+
+    // ระหว่างรอตัวเลข: ตัวเลขต่อท้าย, Enter ยืนยันทันที, Escape ยกเลิก, เว้นนานเกินกำหนดก็ยืนยันเท่าที่พิมพ์ไว้
+    function handleSequenceKey(event) {
+        if (/^[0-9]$/.test(event.key)) {
+            pending.digits += event.key;
+            showIndicator(`${pending.key} ${pending.digits}`);
+            clearTimeout(pending.timer);
+            pending.timer = setTimeout(commitSequence, SEQUENCE_TIMEOUT_MS);
+        } else if (event.key === "Enter") {
+            commitSequence();
+        } else if (event.key === "Escape" || event.key === "Backspace") {
+            cancelSequence();
+        } else {
+            return false;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+        return true;
+    }
+
+    function describeKeys(binding) {
+        const keys = binding.alternatives.map(key => `<kbd>${escapeHtml(key === " " ? "Space" : key)}</kbd>`).join(" / ");
+        return binding.takesNumber ? `${keys} แล้วตามด้วย <kbd>ตัวเลข</kbd>` : keys;
+    }
+
+    function showHelp() {
+        if (!helpElement) {
+            helpElement = document.createElement("div");
+            helpElement.className = "shortcut-help";
+            helpElement.setAttribute("role", "dialog");
+            helpElement.setAttribute("aria-modal", "true");
+            helpElement.setAttribute("aria-label", "คีย์ลัด");
+            helpElement.tabIndex = -1;
+            helpElement.addEventListener("click", event => {
+                if (event.target === helpElement || event.target.closest(".shortcut-help-close")) {
+                    hideHelp();
+                }
+            });
+        }
+
+        // คีย์เดียวกันใน scope เก่าถูก scope ใหม่บังอยู่ จึงแสดงเฉพาะตัวที่ใช้งานได้จริง
+        const seen = new Set();
+        const sections = orderedScopes().map(scope => {
+            const rows = scope.bindings
+                .filter(binding => {
+                    const signature = binding.alternatives.join("|") + (binding.takesNumber ? " #" : "");
+                    if (seen.has(signature)) {
+                        return false;
+                    }
+                    seen.add(signature);
+                    return true;
+                })
+                .map(binding => `<tr><td class="shortcut-help-keys">${describeKeys(binding)}</td><td>${escapeHtml(binding.description)}</td></tr>`)
+                .join("");
+            return rows ? `<h3 class="h6 mt-3">${escapeHtml(scope.title)}</h3><table class="table table-sm mb-0"><tbody>${rows}</tbody></table>` : "";
+        }).join("");
+
+        helpElement.innerHTML = `
+            <div class="shortcut-help-panel card shadow">
+                <div class="card-body">
+                    <div class="d-flex justify-content-between align-items-center">
+                        <h2 class="h5 mb-0">คีย์ลัด</h2>
+                        <button type="button" class="btn-close shortcut-help-close" aria-label="ปิด"></button>
+                    </div>
+                    ${sections}
+                    <h3 class="h6 mt-3">ทั่วไป</h3>
+                    <table class="table table-sm mb-0"><tbody>
+                        <tr><td class="shortcut-help-keys"><kbd>?</kbd></td><td>แสดง/ซ่อนรายการคีย์ลัด</td></tr>
+                        <tr><td class="shortcut-help-keys"><kbd>Esc</kbd></td><td>ปิดหน้าต่างนี้</td></tr>
+                    </tbody></table>
+                </div>
+            </div>`;
+
+        overlayParent().appendChild(helpElement);
+        helpElement.focus({ preventScroll: true });
+    }
+
+    function hideHelp() {
+        if (helpElement) {
+            helpElement.remove();
+        }
+    }
+
+    function isHelpOpen() {
+        return !!(helpElement && helpElement.isConnected);
+    }
+
+    function handleKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey || event.isComposing) {
+            return;
+        }
+
+        // ตัวอักษรจากเครื่องสแกนบาร์โค้ด (scanner.js) ไม่ใช่คีย์ลัด
+        if (window.oiwiScanner && window.oiwiScanner.isBurstActive()) {
+            cancelSequence();
+            return;
+        }
+
+        if (isHelpOpen()) {
+            if (event.key === "Escape" || event.key === HELP_KEY) {
+                event.preventDefault();
+                event.stopPropagation();
+                hideHelp();
+            }
+            return;
+        }
+
+        if (pending && handleSequenceKey(event)) {
+            return;
+        }
+        cancelSequence();
+
+        if (scopes.size === 0 || isTypingTarget(event.target, event.key)) {
+            return;
+        }
+
+        const key = event.key;
+        const isHelp = key === HELP_KEY;
+        const sequence = isHelp ? null : findBinding(key, true);
+        const match = isHelp || sequence ? null : findBinding(key, false);
+        if (!isHelp && !sequence && !match) {
+            return;
+        }
+
+        event.preventDefault();
+        runUnlessScan(key, () => {
+            if (isHelp) {
+                showHelp();
+            } else if (sequence) {
+                startSequence(sequence, key);
+            } else {
+                invoke(match);
+            }
+        });
+    }
+
+    // ตัวอักษรเดียวอาจเป็นตัวแรกของรหัสจากเครื่องสแกน: ให้ scanner.js ยืนยันว่าไม่มีตัวถัดไปตามมาเร็วก่อนทำคีย์ลัด
+    function runUnlessScan(key, action) {
+        if (key.length === 1 && window.oiwiScanner && typeof window.oiwiScanner.runUnlessScan === "function") {
+            window.oiwiScanner.runUnlessScan(action);
+        } else {
+            action();
+        }
+    }
+
+    // capture เพื่อให้ Escape ปิดหน้าต่างคีย์ลัดก่อนที่ viewer จะออกจากโหมดเต็มหน้าจอ
+    document.addEventListener("keydown", handleKeyDown, true);
+
+    window.oiwiShortcuts = {
+        register,
+        unregister,
+        showHelp,
+        hideHelp
+    };
+})();
@@ -11,30 +11,38 @@ window.blazorFocus = (element) => {
 };
 
 
-window.appTextZoom = window.appTextZoom || {};
-
-(function attachTextZoomHelpers(api) {
-    const storageKey = 'oiwi_text_zoom';
-
-    api.get = function () {
-        try {
-            if (window.localStorage) {
-                return window.localStorage.getItem(storageKey) || null;
-            }
-        } catch (err) {
-            // ignore storage access errors (e.g. private mode)
+// ขนาดตัวอักษรของ #app-shell ตามค่าใน preferences.js (ใส่ซ้ำหลัง Blazor render layout ใหม่ และเมื่อแท็บอื่นเปลี่ยนค่า)
+(function attachTextZoom() {
+    const levels = ['small', 'normal', 'large'];
+
+    function apply(level) {
+        const shell = document.getElementById('app-shell');
+        if (!shell) {
+            return;
         }
 
-        return null;
-    };
+        const current = levels.includes(level) ? level : 'normal';
+        levels.forEach(value => shell.classList.toggle(`text-zoom-${value}`, value === current));
+    }
+
+    function applyStored() {
+        apply(window.oiwiPreferences ? window.oiwiPreferences.get('textZoom') : null);
+    }
+
+    if (!window.oiwiPreferences) {
+        return;
+    }
+
+    window.oiwiPreferences.onChange((key, value) => {
+        if (key === 'textZoom') {
+            apply(value);
+        }
+    });
 
-    api.set = function (value) {
-        try {
-            if (window.localStorage) {
-                window.localStorage.setItem(storageKey, value);
-            }
-        } catch (err) {
-            // ignore persistence failures
+    document.addEventListener('DOMContentLoaded', () => {
+        applyStored();
+        if (window.Blazor && typeof window.Blazor.addEventListener === 'function') {
+            window.Blazor.addEventListener('enhancedload', applyStored);
         }
-    };
-})(window.appTextZoom);
+    });
+})();
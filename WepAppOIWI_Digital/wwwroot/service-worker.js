@@ -0,0 +1,295 @@
+// wwwroot/service-worker.js
+// cache ออฟไลน์สำหรับเครื่องประจำสถานีงาน: เก็บ app shell + ตัวแสดง PDF และไฟล์เอกสารของ Line/Station/Model ที่ตั้งไว้
+const SHELL_CACHE = "oiwi-shell-v3"; // เปลี่ยนเลขเมื่อไฟล์ใน SHELL_ASSETS เปลี่ยน เพื่อให้เครื่องที่ติดตั้งไว้โหลด app shell ใหม่
+const DOCUMENT_CACHE = "oiwi-documents-v1";
+const OFFLINE_PAGE = "offline.html";
+
+const SHELL_ASSETS = [
+    OFFLINE_PAGE,
+    "app.css",
+    "css/site.css",
+    "bootstrap/bootstrap.min.css",
+    "favicon.png",
+    "js/preferences.js",
+    "js/site.js",
+    "js/documentRenderers.js",
+    "js/pdfViewer.js",
+    "js/pdfViewerInterop.js",
+    "js/offlineCache.js",
+    "lib/pdfjs/3.11.174/pdf.min.js",
+    "lib/pdfjs/3.11.174/pdf.worker.min.js"
+];
+
+// ไฟล์เอกสารเก็บไว้ที่ key เดียวต่อ token (/documents/file/{token}) ทั้ง file และ preview ใช้สำเนาเดียวกัน
+const DOCUMENT_PATTERN = /^\/documents\/(?:file|preview)\/([^/]+)$/;
+
+// header ที่แนบไปกับสำเนาใน cache เพื่อให้หน้าเว็บรู้ว่าเป็นเวอร์ชันไหนและเก็บไว้เมื่อไร
+const VERSION_HEADER = "X-Oiwi-Version";
+const CACHED_AT_HEADER = "X-Oiwi-Cached-At";
+const TITLE_HEADER = "X-Oiwi-Title";
+const CURRENT_VERSION_ID = "current";
+
+let syncInProgress = null;
+
+function scopedUrl(path) {
+    return new URL(path, self.registration.scope).toString();
+}
+
+function documentCacheKey(token) {
+    return scopedUrl(`documents/file/${token}`);
+}
+
+self.addEventListener("install", event => {
+    // ไฟล์ไหนโหลดไม่ได้ก็ข้ามไป ไม่ให้ทั้งชุดล้มเพราะไฟล์เดียว
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await Promise.allSettled(SHELL_ASSETS.map(asset => cache.add(scopedUrl(asset))));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener("activate", event => {
+    event.waitUntil((async () => {
+        const keep = new Set([SHELL_CACHE, DOCUMENT_CACHE]);
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name.startsWith("oiwi-") && !keep.has(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener("fetch", event => {
+    const request = event.request;
+    if (request.method !== "GET") {
+        return;
+    }
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin || url.pathname.startsWith("/_blazor") || url.pathname.startsWith("/_framework")) {
+        return;
+    }
+
+    const documentMatch = DOCUMENT_PATTERN.exec(url.pathname);
+    if (documentMatch) {
+        event.respondWith(fetchDocument(request, documentMatch[1]));
+        return;
+    }
+
+    if (request.mode === "navigate") {
+        event.respondWith(fetchNavigation(request));
+        return;
+    }
+
+    if (isShellAsset(url)) {
+        event.respondWith(fetchShellAsset(request, event));
+    }
+});
+
+function isShellAsset(url) {
+    return SHELL_ASSETS.some(asset => url.href.split("?")[0] === scopedUrl(asset));
+}
+
+// เอกสาร: ใช้ของจาก server ก่อนเสมอ ถ้า server/share ล่ม (เครือข่ายหลุด, 404, 5xx) จึงใช้สำเนาใน cache
+async function fetchDocument(request, token) {
+    let response = null;
+    try {
+        response = await fetch(request);
+        if (response.status < 500 && response.status !== 404) {
+            return response;
+        }
+    } catch (error) {
+        response = null;
+    }
+
+    const cache = await caches.open(DOCUMENT_CACHE);
+    const cached = await cache.match(documentCacheKey(token));
+    if (cached && request.headers.has("Range")) {
+        return toRangeResponse(cached, request.headers.get("Range"));
+    }
+    return cached || response || Response.error();
+}
+
+// pdf.js ขอไฟล์เป็นช่วง (HTTP Range) แต่สำเนาใน cache เป็นไฟล์เต็ม จึงตัดช่วงให้เองตอนออฟไลน์
+async function toRangeResponse(response, rangeHeader) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader || "");
+    if (!match || (match[1] === "" && match[2] === "")) {
+        return response;
+    }
+
+    const body = await response.arrayBuffer();
+    const size = body.byteLength;
+    let start;
+    let end;
+    if (match[1] === "") {
+        // bytes=-N คือ N ไบต์สุดท้าย
+        start = Math.max(0, size - parseInt(match[2], 10));
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === "" ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start >= size || end < start) {
+        return new Response(null, { status: 416, headers: { "Content-Range": `bytes */${size}` } });
+    }
+
+    const headers = new Headers(response.headers);
+    headers.set("Content-Range", `bytes ${start}-${end}/${size}`);
+    headers.set("Content-Length", String(end - start + 1));
+    return new Response(body.slice(start, end + 1), { status: 206, statusText: "Partial Content", headers });
+}
+
+async function fetchNavigation(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cache = await caches.open(SHELL_CACHE);
+        const offline = await cache.match(scopedUrl(OFFLINE_PAGE));
+        return offline || Response.error();
+    }
+}
+
+// app shell: ตอบจาก cache ทันทีแล้วอัปเดตเบื้องหลัง
+async function fetchShellAsset(request, event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const key = request.url.split("?")[0];
+    const cached = await cache.match(key);
+
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                return cache.put(key, response.clone()).then(() => response);
+            }
+
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        event.waitUntil(update);
+        return cached;
+    }
+
+    const response = await update;
+    return response || Response.error();
+}
+
+self.addEventListener("message", event => {
+    const data = event.data || {};
+    const port = event.ports && event.ports[0];
+    const reply = result => {
+        if (port) {
+            port.postMessage(result);
+        }
+    };
+
+    if (data.type === "sync") {
+        event.waitUntil(syncDocuments(Array.isArray(data.documents) ? data.documents : [])
+            .then(reply)
+            .catch(error => reply({ success: false, message: String(error && error.message || error) })));
+    } else if (data.type === "clear") {
+        event.waitUntil(caches.delete(DOCUMENT_CACHE).then(() => reply({ success: true })));
+    }
+});
+
+// เทียบรายการเอกสารของสถานีกับของใน cache: ลบที่ไม่อยู่ในรายการแล้ว และโหลดใหม่เฉพาะที่ active version เปลี่ยน
+function syncDocuments(documents) {
+    if (syncInProgress) {
+        return syncInProgress;
+    }
+
+    syncInProgress = runSync(documents).finally(() => {
+        syncInProgress = null;
+    });
+    return syncInProgress;
+}
+
+async function runSync(documents) {
+    const cache = await caches.open(DOCUMENT_CACHE);
+    const wanted = new Map(documents.filter(entry => entry && entry.token).map(entry => [documentCacheKey(entry.token), entry]));
+
+    const stale = (await cache.keys()).filter(key => !wanted.has(key.url));
+    await Promise.all(stale.map(key => cache.delete(key)));
+
+    const result = { success: true, cached: 0, updated: 0, removed: stale.length, failed: 0 };
+
+    // ทีละไฟล์ เพื่อไม่ให้เครื่องสถานีงานและ share โหลดหนักพร้อมกัน
+    for (const [key, entry] of wanted) {
+        let cached = null;
+        try {
+            cached = await cache.match(key);
+            const activeVersionId = await resolveActiveVersion(entry);
+            if (cached && activeVersionId && activeVersionId !== CURRENT_VERSION_ID
+                && cached.headers.get(VERSION_HEADER) === activeVersionId) {
+                result.cached += 1;
+                continue;
+            }
+
+            const stored = await storeDocument(cache, key, entry, activeVersionId, cached);
+            if (stored === "updated") {
+                result.updated += 1;
+            } else if (stored === "failed") {
+                result.failed += 1;
+            }
+
+            if (stored !== "failed" || cached) {
+                result.cached += 1;
+            }
+        } catch (error) {
+            result.failed += 1;
+            if (cached) {
+                result.cached += 1;
+            }
+        }
+    }
+
+    return result;
+}
+
+async function resolveActiveVersion(entry) {
+    try {
+        const response = await fetch(scopedUrl(`documents/${entry.token}/versions?take=0`), { cache: "no-store" });
+        if (response.ok) {
+            const history = await response.json();
+            const active = Array.isArray(history) ? history.find(item => item && item.isActive) : null;
+            if (active && active.versionId) {
+                return active.versionId;
+            }
+        }
+    } catch (error) {
+        // ใช้ค่าจาก manifest แทน
+    }
+
+    return entry.activeVersionId || null;
+}
+
+// เอกสารที่ยังไม่มีประวัติเวอร์ชัน ("current") เทียบด้วย Last-Modified แทน เพื่อไม่ต้องโหลดไฟล์เต็มทุกรอบ
+async function storeDocument(cache, key, entry, versionId, cached) {
+    const init = { cache: "no-store" };
+    const lastModified = cached ? cached.headers.get("Last-Modified") : null;
+    if (lastModified) {
+        init.headers = { "If-Modified-Since": lastModified };
+    }
+
+    const response = await fetch(key, init);
+    if (response.status === 304 && cached) {
+        return "unchanged";
+    }
+
+    if (!response.ok) {
+        return "failed";
+    }
+
+    // เก็บเป็นไฟล์เต็ม (ไม่มี Accept-Ranges) เพื่อให้ pdf.js อ่านจาก cache ได้โดยไม่ขอเป็นช่วง
+    const body = await response.blob();
+    const headers = new Headers();
+    headers.set("Content-Type", response.headers.get("Content-Type") || "application/pdf");
+    headers.set(VERSION_HEADER, versionId || CURRENT_VERSION_ID);
+    headers.set(CACHED_AT_HEADER, new Date().toISOString());
+    headers.set(TITLE_HEADER, encodeURIComponent(entry.displayName || entry.documentCode || ""));
+    if (response.headers.get("Last-Modified")) {
+        headers.set("Last-Modified", response.headers.get("Last-Modified"));
+    }
+
+    await cache.put(key, new Response(body, { status: 200, headers }));
+    return "updated";
+}